@@ -6,6 +6,7 @@ import CalendarPane from './components/CalendarPane'
 import SignIn from './components/SignIn'
 import NotificationPanel from './components/NotificationPanel'
 import PersonalizationPanel from './components/PersonalizationPanel'
+import HistoryPanel from './components/HistoryPanel'
 import ConversationHistory from './components/ConversationHistory'
 import api from './api'
 
@@ -38,6 +39,7 @@ export default function App() {
             alignItems: 'center'
           }}>
             <PersonalizationPanel />
+            <HistoryPanel />
             <NotificationPanel />
           </div>
         )}
@@ -55,7 +57,7 @@ export default function App() {
               <>
                 <SidebarWidget />
                 {!user ? <div style={{display:'flex',alignItems:'center',justifyContent:'center',height:'80vh'}}><SignIn /></div> : <ChatWindow />}
-                <CalendarPane />
+                <CalendarPane user={user} />
               </>
             )
           } />
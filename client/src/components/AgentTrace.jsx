@@ -0,0 +1,45 @@
+import React, { useState } from 'react'
+import ApprovalCard from './ApprovalCard'
+
+const STATUS_ICONS = { ok: '✅', error: '⚠️', rejected: '🚫', running: '⏳', awaiting_confirmation: '✋' }
+
+function stepLabel(step){
+  if(step.type === 'answer') return '💬 Answered'
+  if(step.type === 'step_limit') return `⏱ Stopped after ${step.max_steps} steps`
+  const label = step.summary || step.tool.replace(/_/g, ' ')
+  return `${STATUS_ICONS[step.status] || '•'} ${label}${step.error ? ` — ${step.error}` : ''}`
+}
+
+// Tool steps behind an agent reply, plus the approval the run is waiting on
+export default function AgentTrace({ run, onDecided }){
+  const [open, setOpen] = useState(false)
+  const steps = (run && run.steps) || []
+  const toolSteps = steps.filter(s => s.type === 'tool')
+  const awaiting = run && run.status === 'awaiting_confirmation' && run.awaiting && run.awaiting.approvalId ? run.awaiting : null
+  if(toolSteps.length === 0 && !awaiting) return null
+
+  return (
+    <div style={{marginTop:8,display:'flex',flexDirection:'column',gap:6,fontSize:'12px',color:'#555'}}>
+      {awaiting && (
+        <ApprovalCard
+          approval={{id: awaiting.approvalId, action_type: awaiting.tool, status: 'pending', preview: awaiting.preview, payload: awaiting.arguments}}
+          onDecided={onDecided}
+        />
+      )}
+      {toolSteps.length > 0 && (
+        <div>
+          <button onClick={()=>setOpen(o => !o)} style={{border:'none',background:'none',padding:0,color:'#1e40af',cursor:'pointer',fontSize:'12px'}}>
+            {open ? '▾' : '▸'} {toolSteps.length} tool step{toolSteps.length === 1 ? '' : 's'}
+          </button>
+          {open && (
+            <div style={{marginTop:4,display:'flex',flexDirection:'column',gap:2}}>
+              {steps.map(step => (
+                <div key={step.index} style={{padding:'3px 8px',borderRadius:6,background:'rgba(0,0,0,0.04)'}}>{stepLabel(step)}</div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
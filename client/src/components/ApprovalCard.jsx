@@ -0,0 +1,129 @@
+import React, { useState } from 'react'
+import LLMApi from '../llmApi'
+
+const ACTION_LABELS = {
+  draft_reply: '📝 Draft reply',
+  create_event: '📅 Calendar event',
+  create_task: '✅ Task',
+  respond_to_invite: '📨 Invitation reply',
+  snooze: '⏰ Snooze',
+  schedule_send: '📤 Scheduled email'
+}
+const LONG_FIELDS = ['body', 'notes', 'description']
+const STATUS_TEXT = { executed: '✅ Done', failed: '⚠️ Failed', rejected: '🚫 Rejected', executing: '⏳ Running…' }
+
+function toInput(value){
+  return Array.isArray(value) ? value.join(', ') : value
+}
+
+function fromInput(original, value){
+  return Array.isArray(original) ? value.split(',').map(s => s.trim()).filter(Boolean) : value
+}
+
+// An action the assistant wants to take: preview of the changes, then Approve / Edit / Reject.
+// Nothing happens in Gmail, Calendar or Tasks until it is approved.
+export default function ApprovalCard({ approval, onDecided }){
+  const [current, setCurrent] = useState(approval)
+  const [editing, setEditing] = useState(false)
+  const [form, setForm] = useState({})
+  const [busy, setBusy] = useState(null) // 'approve' | 'reject' | null
+  const [error, setError] = useState(null)
+
+  const payload = current.payload || {}
+  // Strings, lists and flags can be edited in place; structured values (recurrence) keep the proposal
+  const editable = Object.keys(payload).filter(k => ['string', 'boolean'].includes(typeof payload[k]) || Array.isArray(payload[k]))
+  const changes = (current.preview && current.preview.changes) || []
+  const pending = current.status === 'pending'
+
+  function startEdit(){
+    setForm(Object.fromEntries(editable.map(k => [k, toInput(payload[k])])))
+    setEditing(true)
+  }
+
+  async function decide(approve){
+    setBusy(approve ? 'approve' : 'reject')
+    setError(null)
+    try{
+      let edits
+      if(approve && editing){
+        edits = {}
+        for(const k of editable){
+          const value = typeof payload[k] === 'boolean' ? form[k] : fromInput(payload[k], form[k])
+          if(JSON.stringify(value) !== JSON.stringify(payload[k])) edits[k] = value
+        }
+      }
+      const json = await LLMApi.decideApproval(current.id, approve, { payload: edits })
+      setCurrent(json.approval)
+      setEditing(false)
+      if(onDecided) onDecided(json.approval, json)
+    }catch(e){
+      if(e.status === 409){
+        setCurrent(c => ({...c, status: 'handled'}))
+      } else {
+        setError(e.message || String(e))
+      }
+    }finally{
+      setBusy(null)
+    }
+  }
+
+  return (
+    <div style={{marginTop:8,padding:12,borderRadius:12,border:`1px solid ${pending ? '#fcd34d' : 'rgba(0,0,0,0.08)'}`,background: pending ? '#fffbeb' : 'rgba(0,0,0,0.02)',fontSize:'12px',color:'#444'}}>
+      <div style={{fontSize:'11px',color:'#666',marginBottom:6,fontWeight:'500'}}>
+        {ACTION_LABELS[current.action_type] || current.action_type}
+        {' · '}
+        {pending ? 'needs your approval' : current.status === 'handled' ? 'already handled' : STATUS_TEXT[current.status] || current.status}
+        {current.decided_by === 'auto' && ' (auto-approved)'}
+      </div>
+
+      {!editing && (
+        <div style={{display:'flex',flexDirection:'column',gap:3}}>
+          {changes.map(c => (
+            <div key={c.field}>
+              <strong>{c.label}:</strong>{' '}
+              {c.from && <span style={{textDecoration:'line-through',color:'#999',marginRight:6}}>{c.from}</span>}
+              <span style={{whiteSpace:'pre-wrap'}}>{c.to}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {editing && (
+        <div style={{display:'flex',flexDirection:'column',gap:6}}>
+          {editable.map(k => (
+            <label key={k} style={{display:'flex',flexDirection:'column',gap:2}}>
+              <span style={{color:'#666'}}>{k.replace(/_/g, ' ')}</span>
+              {typeof payload[k] === 'boolean'
+                ? <input type="checkbox" checked={!!form[k]} onChange={e=>setForm(f=>({...f, [k]: e.target.checked}))} />
+                : LONG_FIELDS.includes(k)
+                  ? <textarea value={form[k] || ''} rows={4} onChange={e=>setForm(f=>({...f, [k]: e.target.value}))} style={{padding:6,borderRadius:6,border:'1px solid rgba(0,0,0,0.12)',fontFamily:'inherit',fontSize:'12px',resize:'vertical'}} />
+                  : <input value={form[k] || ''} onChange={e=>setForm(f=>({...f, [k]: e.target.value}))} style={{padding:6,borderRadius:6,border:'1px solid rgba(0,0,0,0.12)',fontSize:'12px'}} />}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {current.status === 'executed' && current.result && current.result.link && (
+        <div style={{marginTop:6}}><a href={current.result.link} target="_blank" rel="noopener noreferrer" style={{color:'#1e40af'}}>Open in Google</a></div>
+      )}
+      {current.status === 'failed' && current.error && <div style={{color:'#dc3545',marginTop:6}}>{current.error}</div>}
+      {error && <div style={{color:'#dc3545',marginTop:6}}>❌ {error}</div>}
+
+      {pending && (
+        <div style={{display:'flex',gap:8,marginTop:8}}>
+          <button onClick={()=>decide(true)} disabled={!!busy} style={{padding:'6px 10px',borderRadius:8,border:'1px solid #16a34a',background:'#16a34a',color:'white',cursor:'pointer'}}>
+            {busy === 'approve' ? 'Running…' : editing ? 'Save & approve' : 'Approve'}
+          </button>
+          {editable.length > 0 && (
+            <button onClick={()=>editing ? setEditing(false) : startEdit()} disabled={!!busy} style={{padding:'6px 10px',borderRadius:8,border:'1px solid rgba(0,0,0,0.15)',background:'white',cursor:'pointer'}}>
+              {editing ? 'Cancel edit' : 'Edit'}
+            </button>
+          )}
+          <button onClick={()=>decide(false)} disabled={!!busy} style={{padding:'6px 10px',borderRadius:8,border:'1px solid rgba(0,0,0,0.15)',background:'white',cursor:'pointer'}}>
+            {busy === 'reject' ? 'Skipping…' : 'Reject'}
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
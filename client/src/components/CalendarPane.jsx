@@ -1,31 +1,161 @@
-import React from 'react'
-import { format } from 'date-fns'
+import React, { useState, useEffect, useCallback } from 'react'
+import { format, addDays, startOfDay, startOfWeek } from 'date-fns'
 
-const sampleEvents = [
-  {time:'09:00',title:'Daily Standup',loc:'Zoom',desc:'15m async updates'},
-  {time:'11:00',title:'Product Sync',loc:'Conf A',desc:'Discuss roadmap'},
-  {time:'15:30',title:'1:1 with Alex',loc:'Teams',desc:'Career conversation'}
-]
+const base = window.location.hostname === 'localhost' ? 'http://localhost:4000' : ''
+
+const RSVP_LABELS = { accepted: 'Going', tentative: 'Maybe', declined: 'Declined', needsAction: 'Not answered' }
+const RSVP_BUTTONS = [['accepted', 'Yes'], ['tentative', 'Maybe'], ['declined', 'No']]
+
+// first day and length of the range shown
+function rangeFor(view, anchor){
+  const from = view === 'week' ? startOfWeek(anchor, { weekStartsOn: 1 }) : startOfDay(anchor)
+  return { from, days: view === 'week' ? 7 : 1 }
+}
+
+function eventsOn(events, day){
+  const next = addDays(day, 1)
+  return events.filter(ev => new Date(ev.start) < next && new Date(ev.end) > day)
+}
+
+function timeLabel(ev){
+  if(ev.allDay) return 'All day'
+  return `${format(new Date(ev.start), 'HH:mm')}–${format(new Date(ev.end), 'HH:mm')}`
+}
+
+export default function CalendarPane({ user }){
+  const [view, setView] = useState('day')
+  const [anchor, setAnchor] = useState(() => new Date())
+  const [data, setData] = useState({ events: [], connected: true, lastSync: null })
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [busyId, setBusyId] = useState(null)
+  const [syncing, setSyncing] = useState(false)
+
+  const { from, days } = rangeFor(view, anchor)
+  const fromKey = from.getTime()
+
+  const load = useCallback(async () => {
+    if(!user) return
+    setLoading(true)
+    try{
+      const to = addDays(new Date(fromKey), days)
+      const res = await fetch(`${base}/api/calendar/events?from=${encodeURIComponent(new Date(fromKey).toISOString())}&to=${encodeURIComponent(to.toISOString())}`, { credentials: 'include' })
+      const json = await res.json().catch(() => ({}))
+      if(!res.ok) throw new Error(json.message || 'Could not load your calendar')
+      setData({ events: json.events || [], connected: json.connected !== false, lastSync: json.lastSync })
+      setError(null)
+    }catch(e){
+      setError(e.message)
+    }finally{
+      setLoading(false)
+    }
+  }, [user, fromKey, days])
+
+  useEffect(() => { load() }, [load])
+
+  async function syncNow(){
+    setSyncing(true)
+    try{
+      const res = await fetch(`${base}/api/calendar/sync`, { method: 'POST', credentials: 'include' })
+      const json = await res.json().catch(() => ({}))
+      if(!res.ok) throw new Error(json.message || 'Calendar sync failed')
+      await load()
+    }catch(e){
+      setError(e.message)
+    }finally{
+      setSyncing(false)
+    }
+  }
+
+  async function rsvp(ev, response){
+    setBusyId(ev.id)
+    try{
+      const res = await fetch(`${base}/api/calendar/events/${ev.id}/rsvp`, {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ response })
+      })
+      const json = await res.json().catch(() => ({}))
+      if(!res.ok) throw new Error(json.message || 'Could not send your reply')
+      setData(d => ({ ...d, events: d.events.map(e => e.id === ev.id ? json.event : e) }))
+      setError(null)
+    }catch(e){
+      setError(e.message)
+    }finally{
+      setBusyId(null)
+    }
+  }
+
+  function prep(ev){
+    window.dispatchEvent(new CustomEvent('prepForMeeting', { detail: ev }))
+  }
+
+  function move(step){
+    setAnchor(a => addDays(a, step * days))
+  }
+
+  const dayList = Array.from({ length: days }, (_, i) => addDays(from, i))
+  const title = view === 'week'
+    ? `${format(from, 'MMM d')} – ${format(addDays(from, 6), 'MMM d')}`
+    : format(from, 'EEEE, MMM d')
 
-export default function CalendarPane(){
-  const today = new Date()
   return (
-    <aside className="calendar" aria-label="Today calendar">
+    <aside className="calendar" aria-label="Calendar">
       <div className="calendar-header">
         <div>
-          <div className="day">{format(today,'EEEE, MMM d')}</div>
-          <div className="small">{format(today,'yyyy')}</div>
+          <div className="day">{title}</div>
+          <div className="small">{format(from, 'yyyy')} · {Intl.DateTimeFormat().resolvedOptions().timeZone}</div>
         </div>
-        <div className="small">Timezone: {Intl.DateTimeFormat().resolvedOptions().timeZone}</div>
-      </div>
-      <div>
-        {sampleEvents.map((ev,i)=> (
-          <div className="event" key={i} role="article">
-            <div className="time">{ev.time} • <span className="title">{ev.title}</span></div>
-            <div className="desc small">{ev.loc} — {ev.desc}</div>
+        {user && (
+          <div className="calendar-nav">
+            <button onClick={() => move(-1)} aria-label="Previous">‹</button>
+            <button onClick={() => setAnchor(new Date())}>Today</button>
+            <button onClick={() => move(1)} aria-label="Next">›</button>
+            <button onClick={() => setView(view === 'day' ? 'week' : 'day')}>{view === 'day' ? 'Week' : 'Day'}</button>
+            <button onClick={syncNow} disabled={syncing} title={data.lastSync ? `Last synced ${new Date(data.lastSync).toLocaleString()}` : 'Not synced yet'}>{syncing ? '…' : '⟳'}</button>
           </div>
-        ))}
+        )}
       </div>
+
+      {!user && <div className="small" style={{ marginTop: 12 }}>Sign in to see your calendar.</div>}
+      {user && !data.connected && <div className="small" style={{ marginTop: 12 }}>Connect Google in Settings → Integrations to see your calendar.</div>}
+      {error && <div className="small calendar-error" role="alert">{error}</div>}
+      {user && loading && data.events.length === 0 && <div className="small" style={{ marginTop: 12 }}>Loading…</div>}
+
+      {user && data.connected && dayList.map(day => {
+        const events = eventsOn(data.events, day)
+        return (
+          <div key={day.getTime()}>
+            {view === 'week' && <div className="calendar-day-label">{format(day, 'EEE d')}</div>}
+            {events.length === 0 && !loading && <div className="small calendar-empty">No events</div>}
+            {events.map(ev => {
+              const invited = !ev.isOrganizer && ev.responseStatus != null
+              return (
+                <div className={`event${ev.responseStatus === 'declined' ? ' declined' : ''}`} key={ev.id} role="article">
+                  <div className="time">{timeLabel(ev)} • <span className="title">{ev.title}</span></div>
+                  {(ev.location || ev.organizerName || ev.organizer) && (
+                    <div className="desc small">{[ev.location, !ev.isOrganizer && (ev.organizerName || ev.organizer)].filter(Boolean).join(' — ')}</div>
+                  )}
+                  {invited && <div className="small rsvp-status">{RSVP_LABELS[ev.responseStatus] || ev.responseStatus}</div>}
+                  <div className="event-actions">
+                    {ev.meetingUrl && <a href={ev.meetingUrl} target="_blank" rel="noreferrer">Join</a>}
+                    {invited && RSVP_BUTTONS.map(([response, label]) => (
+                      <button
+                        key={response}
+                        className={ev.responseStatus === response ? 'active' : ''}
+                        disabled={busyId === ev.id || ev.responseStatus === response}
+                        onClick={() => rsvp(ev, response)}
+                      >{label}</button>
+                    ))}
+                    <button onClick={() => prep(ev)} title="Ask the assistant to prepare you for this meeting">Prep</button>
+                  </div>
+                </div>
+              )
+            })}
+          </div>
+        )
+      })}
     </aside>
   )
 }
@@ -8,6 +8,12 @@ import EnhancedSearchBar from './EnhancedSearchBar'
 import EmailSchedulingModal from './EmailSchedulingModal'
 import SmartNotificationPanel from './SmartNotificationPanel'
 import EmailAnalyticsDashboard from './EmailAnalyticsDashboard'
+import DraftCard from './DraftCard'
+import UndoSendNotice from './UndoSendNotice'
+import SourceList from './SourceList'
+import AgentTrace from './AgentTrace'
+import ApprovalCard from './ApprovalCard'
+import LLMApi from '../llmApi'
 
 export default function ChatWindow(){
   const [messages, setMessages] = useState([])
@@ -30,6 +36,9 @@ export default function ChatWindow(){
   const [notificationCount, setNotificationCount] = useState(0)
   
   const bodyRef = useRef()
+  const streamRef = useRef(null) // AbortController of the reply being streamed
+  const sendRef = useRef(null) // latest send(), for window event listeners registered once
+  const [streaming, setStreaming] = useState(false)
   const navigate = useNavigate()
 
   useEffect(()=>{ if(bodyRef.current) bodyRef.current.scrollTop = bodyRef.current.scrollHeight },[messages])
@@ -241,14 +250,80 @@ export default function ChatWindow(){
     window.addEventListener('showPendingMessages', loadPendingMessages)
     window.addEventListener('showEmailSummary', handleEmailSummary)
     window.addEventListener('showDailyBriefing', handleDailyBriefing)
+    window.addEventListener('showDrafts', loadDrafts)
+    window.addEventListener('prepForMeeting', handlePrepForMeeting)
     
     return ()=> {
       window.removeEventListener('showPendingMessages', loadPendingMessages)
       window.removeEventListener('showEmailSummary', handleEmailSummary)
       window.removeEventListener('showDailyBriefing', handleDailyBriefing)
+      window.removeEventListener('showDrafts', loadDrafts)
+      window.removeEventListener('prepForMeeting', handlePrepForMeeting)
     }
   },[])
 
+  // "Prep" on a calendar event: ask the assistant for a briefing on the meeting
+  function handlePrepForMeeting(e){
+    const event = e.detail || {}
+    const when = event.start ? new Date(event.start).toLocaleString([], {weekday:'short', month:'short', day:'numeric', hour:'numeric', minute:'2-digit'}) : ''
+    const guests = (event.attendees || []).filter(a => !a.self).map(a => a.name || a.email).filter(Boolean)
+    const prompt = `Help me prepare for "${event.title}"${when ? ` on ${when}` : ''}.`
+      + (guests.length ? ` Attendees: ${guests.join(', ')}.` : '')
+      + ' Summarize recent emails with the attendees and anything related to this meeting, open questions, and what I should bring up.'
+    if(sendRef.current) sendRef.current(prompt)
+  }
+
+  // helper to list open Gmail drafts created from suggested replies
+  async function loadDrafts(){
+    try{
+      const base = window.location.hostname === 'localhost' ? 'http://localhost:4000' : ''
+      const res = await fetch(`${base}/api/messages/drafts`, {credentials:'include'})
+      if(!res.ok) throw new Error('drafts_failed')
+      const json = await res.json()
+      const drafts = json.drafts || []
+      if(drafts.length === 0){
+        setMessages(m=>[...m,{id:Date.now(), from:'ai', text:'📝 You have no open drafts.'}])
+        return
+      }
+      setMessages(m=>[...m,{id:Date.now(), from:'ai', text:`📝 You have ${drafts.length} open draft${drafts.length === 1 ? '' : 's'}:`}])
+      for(const d of drafts){
+        setMessages(m=>[...m,{id:Date.now()+Math.random(), from:'ai', text:`**Re:** ${d.subject || '(no subject)'} — ${d.sender || ''}`, draft: d}])
+      }
+    }catch(e){
+      setMessages(m=>[...m,{id:Date.now(), from:'ai', text:'Failed to load drafts.'}])
+    }
+  }
+
+  // An approval card was decided; when an agent run was waiting on it, its next reply is added here
+  async function handleApprovalDecided(approval, json){
+    if(json.resumeError){
+      // The decision went through; only the assistant's follow-up failed
+      setMessages(m => [...m, {id: Date.now(), from: 'ai', text: `That's done, but I couldn't carry on from there: ${json.resumeError.message}`}])
+      return
+    }
+    const result = json.response
+    if(!result) return
+    const text = result.content || result.response || (result.type === 'error' ? 'Sorry, that step failed.' : 'Done.')
+    setMessages(m => [...m, {
+      id: Date.now(),
+      from: 'ai',
+      text,
+      type: result.type,
+      agentRun: result.type && result.type.startsWith('agent_') ? result.data : null
+    }])
+    if(!json.messageId && currentSessionId){
+      await saveMessage('assistant', text, result.type || 'chat_response', result)
+    }
+  }
+
+  function handleDraftStatus(status, draft, outbox){
+    if(status === 'queued'){
+      setMessages(m=>[...m,{id:Date.now(), from:'ai', text:'📧 Draft queued for sending.', outbox}])
+    } else {
+      setMessages(m=>[...m,{id:Date.now(), from:'ai', text:'🗑️ Draft discarded.'}])
+    }
+  }
+
   // helper to load all unread emails with full action buttons
   async function loadAllUnreadEmails(){
     try{
@@ -444,6 +519,29 @@ ${summaryData.summary_text || 'No additional insights available.'}`
     return ()=> window.removeEventListener('keydown', onKey)
   },[])
 
+  // Answer a meeting invitation email (accept_invite, decline_invite or propose_new_time); the organizer is notified
+  async function answerInvite(messageId, actionType){
+    let payload = {}
+    if(actionType === 'propose_new_time'){
+      const start = window.prompt('Propose which time? (e.g. "friday 3pm")')
+      if(!start) return
+      payload = { start }
+    }
+    const base = window.location.hostname === 'localhost' ? 'http://localhost:4000' : ''
+    try{
+      const res = await fetch(`${base}/api/messages/${messageId}/action`, {method:'POST', credentials:'include', headers:{'Content-Type':'application/json'}, body:JSON.stringify({actionType, payload})})
+      const json = await res.json().catch(() => ({}))
+      if(!res.ok) throw new Error(json.message || (json.error === 'invalid_proposed_time' ? 'I could not read that time.' : 'Could not answer the invitation.'))
+      const title = (json.result && json.result.title) || 'the meeting'
+      const text = actionType === 'propose_new_time'
+        ? `🕒 Proposed ${new Date(json.result.proposed_start).toLocaleString()} for "${title}" and let the organizer know.`
+        : `✅ ${actionType === 'accept_invite' ? 'Accepted' : 'Declined'} "${title}". The organizer has been notified.`
+      setMessages(m=>[...m,{id:Date.now(), from:'ai', text}])
+    }catch(e){
+      setMessages(m=>[...m,{id:Date.now(), from:'ai', text:`❌ ${e.message}`}])
+    }
+  }
+
   // performAction: execute immediately for simple actions; for complex actions we'll call prepare first
   async function performAction(messageId, actionType, payload){
     try{
@@ -535,7 +633,7 @@ ${summaryData.summary_text || 'No additional insights available.'}`
       }
 
       // Append a small UI message with Confirm buttons by adding a message that contains all actions (rendered below)
-      const confirmText = actionType === 'draft_reply' ? 'Send this reply?' : 
+      const confirmText = actionType === 'draft_reply' ? 'Save this reply as a Gmail draft?' : 
                          actionType === 'create_meeting' ? 'Create this meeting?' : 
                          'Choose an option to confirm.'
       setMessages(m=>[...m,{id:Date.now(), from:'ai', text:confirmText, suggestedBatch: {messageId, actions}}])
@@ -574,10 +672,20 @@ ${summaryData.summary_text || 'No additional insights available.'}`
       
       const j = await res.json()
       
+      if(action.type === 'draft_reply' && j.result){
+        // Drafts are reviewed before sending; show the editable draft instead of a success message
+        setMessages(m=>[...m,{id:Date.now(), from:'ai', text:'📝 Reply saved as a Gmail draft. Review it, then send or discard.', draft: {...j.result, status:'open'}}])
+        return j
+      }
+
+      if(['reply', 'reply_all', 'forward'].includes(action.type) && j.result && j.result.scheduled_for){
+        // Sends wait in the outbox for the undo window
+        setMessages(m=>[...m,{id:Date.now(), from:'ai', text: action.type === 'forward' ? '📧 Forward queued.' : '📧 Reply queued.', outbox: j.result}])
+        return j
+      }
+
       let successText = `✅ Executed ${action.type}`
-      if(action.type === 'reply' || action.type === 'draft_reply'){
-        successText = '📧 Reply sent successfully!'
-      } else if(action.type === 'create_event' || action.type === 'create_meeting'){
+      if(action.type === 'create_event' || action.type === 'create_meeting'){
         successText = '📅 Meeting created successfully!'
       } else if(action.type === 'create_task'){
         successText = '✓ Task created successfully!'
@@ -591,13 +699,15 @@ ${summaryData.summary_text || 'No additional insights available.'}`
     }
   }
 
-  async function send(){
-    if(!text.trim()) return
+  // prompt: text sent on the user's behalf (e.g. the calendar's prep shortcut); defaults to the input box
+  async function send(prompt){
+    const fromInput = typeof prompt !== 'string'
+    const userText = fromInput ? text : prompt
+    if(!userText.trim()) return
     
-    const userMsg = {id:Date.now(),from:'user',text}
-    const userText = text
+    const userMsg = {id:Date.now(),from:'user',text:userText}
     setMessages(m=>[...m,userMsg])
-    setText('')
+    if(fromInput) setText('')
     
     // Initialize session if this is the first message
     let sessionId = currentSessionId
@@ -623,25 +733,50 @@ ${summaryData.summary_text || 'No additional insights available.'}`
       const typingId = Date.now() + 1
       setMessages(m=>[...m,{id:typingId,from:'ai',text:'...', typing: true}])
       
-      const base = window.location.hostname === 'localhost' ? 'http://localhost:4000' : ''
-      const res = await fetch(`${base}/api/llm/intelligent`, {
-        method: 'POST',
-        credentials: 'include',
-        headers: {'Content-Type': 'application/json'},
-        body: JSON.stringify({ 
-          message: userText,
-          sessionId: sessionId
+      // Tokens replace the typing indicator as they arrive; the server saves the finished reply
+      const controller = new AbortController()
+      streamRef.current = controller
+      setStreaming(true)
+      let json
+      try {
+        const done = await LLMApi.streamIntelligent(userText, sessionId, {
+          signal: controller.signal,
+          onEvent: (event, data) => {
+            if (event === 'processor') {
+              setMessages(m => m.map(msg => msg.id === typingId ? {...msg, processorType: data.type} : msg))
+            } else if (event === 'agent_step' && data.tool) {
+              setMessages(m => m.map(msg => msg.id === typingId ? {...msg, processorType: data.tool} : msg))
+            } else if (event === 'token') {
+              setMessages(m => m.map(msg => msg.id === typingId
+                ? {...msg, typing: false, streaming: true, text: (msg.streaming ? msg.text : '') + data.text}
+                : msg))
+            }
+          }
         })
-      })
-      
-      // Remove typing indicator
-      setMessages(m => m.filter(msg => msg.id !== typingId))
-      
-      if (!res.ok) {
-        throw new Error(`HTTP ${res.status}`)
+        json = { response: done.response, detectedType: done.detectedType, messageId: done.messageId }
+      } catch (err) {
+        if (err.name === 'AbortError') {
+          // Keep whatever streamed before the stop; the server discards the cancelled reply
+          setMessages(m => m.map(msg => msg.id === typingId
+            ? {...msg, typing: false, streaming: false, text: msg.streaming ? `${msg.text}\n\n_⏹ Stopped_` : '⏹ Stopped'}
+            : msg))
+          return
+        }
+        if (err.status === 429) {
+          const quota = err.body || {}
+          const resetsAt = quota.limits && quota.limits[0] && quota.limits[0].resets_at
+          setMessages(m => [...m.filter(msg => msg.id !== typingId), {
+            id: Date.now() + 2,
+            from: 'ai',
+            text: `⏳ ${quota.message || 'AI usage limit reached'}.${resetsAt ? ` It resets ${new Date(resetsAt).toLocaleString()}.` : ''}`
+          }])
+          return
+        }
+        throw err
+      } finally {
+        streamRef.current = null
+        setStreaming(false)
       }
-      
-      const json = await res.json()
       console.log('Server response:', json) // Debug log
       
       // Extract the actual text response from the nested object structure
@@ -769,12 +904,13 @@ ${summaryData.summary_text || aiResponse}${priorityText}${recommendationsText}${
         if (json.response.actions && json.response.actions.length > 0) {
           // Display the AI response
           setTimeout(async ()=>{
-            setMessages(m=>[...m,{
+            setMessages(m=>[...m.filter(msg => msg.id !== typingId),{
               id:Date.now(),
               from:'ai',
               text:aiResponse,
               type: detectedType || 'chat_response',
-              data: summaryData
+              data: summaryData,
+              sources: json.response && json.response.sources
             }])
             
             // Add action buttons for meeting creation
@@ -791,12 +927,14 @@ ${summaryData.summary_text || aiResponse}${priorityText}${recommendationsText}${
               }
             }, 300)
             
-            // Save AI response to database
-            await saveMessage('assistant', aiResponse, detectedType || 'chat_response', summaryData || {})
+            // Save AI response to database (the stream already did when it had a session)
+            if (!json.messageId) {
+              await saveMessage('assistant', aiResponse, detectedType || 'chat_response', summaryData || {})
+            }
           }, 400)
           return // Don't continue with the normal flow
         }
-      } else if (detectedType && detectedType !== 'chat_response') {
+      } else if (detectedType && detectedType !== 'chat_response' && !detectedType.startsWith('agent_') && detectedType !== 'approval_request') {
         // Add detected type info for debugging (optional)
         aiResponse = `🤖 *Detected: ${detectedType.replace('_', ' ')}*\n\n${aiResponse}`
       }
@@ -823,16 +961,19 @@ ${summaryData.summary_text || aiResponse}${priorityText}${recommendationsText}${
 
       // Add AI response with slight delay for natural feel
       setTimeout(async ()=>{
-        setMessages(m=>[...m,{
+        setMessages(m=>[...m.filter(msg => msg.id !== typingId),{
           id:Date.now(),
           from:'ai',
           text:aiResponse,
           type: detectedType || 'chat_response',
-          data: summaryData
+          data: summaryData,
+          sources: json.response && json.response.sources,
+          agentRun: detectedType && detectedType.startsWith('agent_') ? json.response.data : null,
+          approval: detectedType === 'approval_request' ? json.response.data.approval : null
         }])
         
-        // Save AI response to database (only if session exists)
-        if (sessionId) {
+        // Save AI response to database (only if session exists and the stream didn't already)
+        if (sessionId && !json.messageId) {
           await saveMessage('assistant', aiResponse, detectedType || 'chat_response', summaryData || {})
         }
       }, 400)
@@ -840,7 +981,7 @@ ${summaryData.summary_text || aiResponse}${priorityText}${recommendationsText}${
     } catch(e) {
       console.error('Chat error:', e)
       // Remove typing indicator and show error
-      setMessages(m => m.filter(msg => !msg.typing))
+      setMessages(m => m.filter(msg => !msg.typing && !msg.streaming))
       setTimeout(async ()=>{
         const errorMsg = `Sorry, I encountered an error: ${e.message}. You can still use the suggestion buttons below for email management.`
         setMessages(m=>[...m,{id:Date.now(),from:'ai',text:errorMsg}])
@@ -903,6 +1044,9 @@ ${summaryData.summary_text || aiResponse}${priorityText}${recommendationsText}${
         let successText = '✅ Action completed successfully!'
         if (action.type === 'create_calendar_event') {
           successText = `📅 **Meeting Created Successfully!**\n\n**${result.event.title}**\n📅 ${new Date(result.event.start).toLocaleString()}\n🔗 [View in Calendar](${result.event.link})`
+        } else if (action.type === 'send_email' && result.outbox) {
+          setMessages(m=>[...m,{id:Date.now(), from:'ai', text:'📧 Email queued.', outbox: result.outbox}])
+          return result
         }
         setMessages(m=>[...m,{id:Date.now(), from:'ai', text:successText}])
       } else {
@@ -964,6 +1108,8 @@ ${summaryData.summary_text || aiResponse}${priorityText}${recommendationsText}${
     }
   }
 
+  sendRef.current = send
+
   function handleKey(e){ if(e.key==='Enter' && !e.shiftKey){ e.preventDefault(); send() }}
 
   return (
@@ -1019,7 +1165,7 @@ ${summaryData.summary_text || aiResponse}${priorityText}${recommendationsText}${
                 fontSize: m.typing ? '14px' : '15px',
                 color: m.typing ? '#666' : 'inherit'
               }}>
-                {m.typing ? '💭 Thinking...' : (
+                {m.typing ? (m.processorType ? `💭 Working on ${m.processorType.replace(/_/g, ' ')}...` : '💭 Thinking...') : (
                   m.from === 'ai' ? 
                     <ReactMarkdown
                       components={{
@@ -1075,6 +1221,29 @@ ${summaryData.summary_text || aiResponse}${priorityText}${recommendationsText}${
                 </div>
               )}
 
+              {/* agent tool steps and pending approval (saved replies keep the run in their metadata) */}
+              {m.from === 'ai' && (
+                <AgentTrace run={m.agentRun || (m.data && m.data.data && m.data.data.runId ? m.data.data : null)} onDecided={handleApprovalDecided} />
+              )}
+
+              {/* action proposed from a chat request (saved replies keep it in their metadata) */}
+              {m.from === 'ai' && (m.approval || (m.data && m.data.data && m.data.data.approval)) && (
+                <ApprovalCard approval={m.approval || m.data.data.approval} onDecided={handleApprovalDecided} />
+              )}
+
+              {/* cited mailbox sources (live replies carry them directly, saved ones in their metadata) */}
+              {m.from === 'ai' && (
+                <SourceList sources={m.sources || (m.data && m.data.sources)} />
+              )}
+
+              {m.draft && (
+                <DraftCard draft={m.draft} onStatus={handleDraftStatus} />
+              )}
+
+              {m.outbox && (
+                <UndoSendNotice outbox={m.outbox} />
+              )}
+
               {/* render batch suggested actions (from prepare) */}
               {m.suggestedBatch && Array.isArray(m.suggestedBatch.actions) && (
                 <div style={{marginTop:8,display:'flex',flexDirection:'column',gap:8}}>
@@ -1096,6 +1265,22 @@ ${summaryData.summary_text || aiResponse}${priorityText}${recommendationsText}${
                   borderRadius:12,
                   border:'1px solid rgba(0,0,0,0.06)'
                 }}>
+                  {m.messageData.invite && m.messageData.invite.method === 'REQUEST' && (
+                    <div style={{marginBottom:10}}>
+                      <div style={{fontSize:'11px',color:'#666',marginBottom:8,fontWeight:'500'}}>
+                        📨 Invitation: {m.messageData.invite.title || 'meeting'}{m.messageData.invite.start ? ` · ${new Date(m.messageData.invite.start).toLocaleString()}` : ''}{m.messageData.invite.recurrence ? ` · ${m.messageData.invite.recurrence}` : ''}
+                      </div>
+                      <div style={{display:'flex',gap:8,flexWrap:'wrap'}}>
+                        {[['accept_invite', '✓ Accept'], ['decline_invite', '✗ Decline'], ['propose_new_time', '🕒 Propose new time']].map(([type, label]) => (
+                          <button
+                            key={type}
+                            onClick={()=>answerInvite(m.messageData.id, type)}
+                            style={{padding:'8px 12px',borderRadius:8,border:'1px solid rgba(0,0,0,0.12)',background:'#fff',fontSize:'12px',fontWeight:'500',cursor:'pointer'}}
+                          >{label}</button>
+                        ))}
+                      </div>
+                    </div>
+                  )}
                   <div style={{fontSize:'11px',color:'#666',marginBottom:8,fontWeight:'500'}}>
                     📧 Email Actions
                   </div>
@@ -1372,7 +1557,9 @@ ${summaryData.summary_text || aiResponse}${priorityText}${recommendationsText}${
                   {m.messageData.suggested.map((act,idx)=> (
                     <button key={idx} onClick={()=>{
                       // if simple, execute directly; otherwise run prepare flow
-                      if(act.type === 'mark_read' || act.type === 'delete'){
+                      if(['accept_invite', 'decline_invite', 'propose_new_time'].includes(act.type)){
+                        answerInvite(m.messageData.id, act.type)
+                      } else if(act.type === 'mark_read' || act.type === 'delete'){
                         performAction(m.messageData.id, act.type, act)
                       } else {
                         performAction(m.messageData.id, act.type, act)
@@ -1469,14 +1656,24 @@ ${summaryData.summary_text || aiResponse}${priorityText}${recommendationsText}${
             placeholder={sessionLoading ? "Setting up chat..." : "Type a message... (Enter to send)"} 
             disabled={sessionLoading}
           />
-          <button 
-            className="send-btn" 
-            onClick={send} 
-            aria-label="Send message"
-            disabled={sessionLoading || !text.trim()}
-          >
-            Send
-          </button>
+          {streaming ? (
+            <button 
+              className="send-btn" 
+              onClick={() => streamRef.current && streamRef.current.abort()} 
+              aria-label="Stop response"
+            >
+              Stop
+            </button>
+          ) : (
+            <button 
+              className="send-btn" 
+              onClick={send} 
+              aria-label="Send message"
+              disabled={sessionLoading || !text.trim()}
+            >
+              Send
+            </button>
+          )}
         </div>
 
         {/* suggestions bar below input */}
@@ -0,0 +1,96 @@
+import React, { useState } from 'react'
+import { MdSend, MdSave, MdDeleteOutline } from 'react-icons/md'
+
+// Editable Gmail draft shown inline in the chat; nothing is sent until the user presses Send
+export default function DraftCard({ draft, onStatus }) {
+  const [body, setBody] = useState((draft.payload && draft.payload.body) || '')
+  const [savedBody, setSavedBody] = useState(body)
+  const [status, setStatus] = useState(draft.status || 'open')
+  const [busy, setBusy] = useState(null) // 'save' | 'send' | 'discard' | null
+  const [error, setError] = useState(null)
+
+  const base = window.location.hostname === 'localhost' ? 'http://localhost:4000' : ''
+  const url = `${base}/api/messages/drafts/${encodeURIComponent(draft.draft_id)}`
+
+  async function request(kind, path, options){
+    setBusy(kind)
+    setError(null)
+    try{
+      const res = await fetch(path, {credentials:'include', headers:{'Content-Type':'application/json'}, ...options})
+      const json = await res.json().catch(()=>({}))
+      if(res.status === 410 || res.status === 404){
+        // Draft was removed in Gmail (or already handled elsewhere)
+        setStatus('discarded')
+        if(onStatus) onStatus('discarded', draft)
+        return null
+      }
+      if(!res.ok) throw new Error(json.message || json.error || 'request_failed')
+      return json
+    }catch(e){
+      setError(e.message || String(e))
+      return null
+    }finally{
+      setBusy(null)
+    }
+  }
+
+  async function save(){
+    const json = await request('save', url, {method:'PUT', body: JSON.stringify({body})})
+    if(json) setSavedBody(body)
+    return json
+  }
+
+  async function send(){
+    // Persist pending edits first so Gmail sends what the user sees
+    if(body !== savedBody && !(await save())) return
+    // Sending goes through the outbox; the chat shows the undo countdown
+    const json = await request('send', `${url}/send`, {method:'POST'})
+    if(json){
+      setStatus('queued')
+      if(onStatus) onStatus('queued', draft, json.result)
+    }
+  }
+
+  async function discard(){
+    const json = await request('discard', url, {method:'DELETE'})
+    if(json){
+      setStatus('discarded')
+      if(onStatus) onStatus('discarded', draft)
+    }
+  }
+
+  const recipients = (draft.to || []).map(a => a.name ? `${a.name} <${a.email}>` : a.email).join(', ')
+
+  return (
+    <div style={{marginTop:8,padding:12,borderRadius:12,border:'1px solid rgba(0,0,0,0.08)',background:'rgba(0,0,0,0.02)'}}>
+      <div style={{fontSize:'11px',color:'#666',marginBottom:6,fontWeight:'500'}}>
+        📝 Gmail draft {status === 'queued' ? '· queued for sending' : status === 'discarded' ? '· discarded' : '· not sent yet'}
+      </div>
+      <div style={{fontSize:'12px',color:'#444',marginBottom:6}}>
+        {recipients && <div><strong>To:</strong> {recipients}</div>}
+        <div><strong>Subject:</strong> {draft.subject || '(no subject)'}</div>
+      </div>
+      <textarea
+        value={body}
+        onChange={e=>setBody(e.target.value)}
+        disabled={status !== 'open' || !!busy}
+        rows={6}
+        style={{width:'100%',boxSizing:'border-box',padding:8,borderRadius:8,border:'1px solid rgba(0,0,0,0.12)',fontFamily:'inherit',fontSize:'13px',resize:'vertical'}}
+      />
+      {error && <div style={{color:'#dc3545',fontSize:'12px',marginTop:4}}>❌ {error}</div>}
+      {status === 'open' && (
+        <div style={{display:'flex',gap:8,marginTop:8}}>
+          <button onClick={send} disabled={!!busy || !body.trim()} style={{display:'flex',alignItems:'center',gap:4,padding:'6px 10px',borderRadius:8,border:'1px solid #007bff',background:'#007bff',color:'white',cursor:'pointer'}}>
+            <MdSend size={14}/> {busy === 'send' ? 'Sending…' : 'Send'}
+          </button>
+          <button onClick={save} disabled={!!busy || body === savedBody} style={{display:'flex',alignItems:'center',gap:4,padding:'6px 10px',borderRadius:8,border:'1px solid rgba(0,0,0,0.12)',background:'white',cursor:'pointer'}}>
+            <MdSave size={14}/> {busy === 'save' ? 'Saving…' : 'Save draft'}
+          </button>
+          <button onClick={discard} disabled={!!busy} style={{display:'flex',alignItems:'center',gap:4,padding:'6px 10px',borderRadius:8,border:'1px solid rgba(220,53,69,0.4)',background:'white',color:'#dc3545',cursor:'pointer'}}>
+            <MdDeleteOutline size={14}/> {busy === 'discard' ? 'Discarding…' : 'Discard'}
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,207 @@
+import React, { useState, useEffect, useRef } from 'react'
+import { FaHistory, FaTimes, FaRobot, FaUser, FaCog } from 'react-icons/fa'
+
+const PAGE_SIZE = 20
+
+const ACTION_LABELS = {
+  login: 'Signed in',
+  reauth: 'Reconnected Google',
+  mark_read: 'Marked as read',
+  delete: 'Moved to trash',
+  archive: 'Archived',
+  snooze: 'Snoozed',
+  unsnooze: 'Unsnoozed',
+  reply: 'Replied',
+  reply_all: 'Replied to all',
+  forward: 'Forwarded',
+  queue_send: 'Queued email',
+  send_email: 'Sent email',
+  undo_send: 'Undid send',
+  send_draft: 'Sent draft',
+  discard_draft: 'Discarded draft',
+  draft_reply: 'Saved draft reply',
+  schedule_email: 'Scheduled email',
+  schedule_send: 'Scheduled email',
+  cancel_scheduled_email: 'Cancelled scheduled email',
+  create_event: 'Created event',
+  create_meeting: 'Created meeting',
+  create_task: 'Created task',
+  calendar_rsvp: 'Answered invitation',
+  accept_invite: 'Accepted invitation',
+  decline_invite: 'Declined invitation',
+  propose_new_time: 'Proposed new meeting time',
+  respond_to_invite: 'Answered invitation',
+  approval_approved: 'Approved assistant action',
+  approval_rejected: 'Rejected assistant action',
+  approval_auto_approved: 'Auto-approved action',
+  update_profile: 'Updated profile',
+  update_auto_approve: 'Changed auto-approve settings',
+  update_llm_settings: 'Changed AI settings',
+  set_llm_key: 'Set AI key',
+  remove_llm_key: 'Removed AI key'
+}
+
+const ACTOR_FILTERS = [
+  { value: '', label: 'Everyone' },
+  { value: 'assistant', label: 'Assistant' },
+  { value: 'user', label: 'Me' },
+  { value: 'job', label: 'Background' }
+]
+
+const ACTOR_ICONS = {
+  assistant: <FaRobot size={11} style={{color: '#7c3aed'}} />,
+  user: <FaUser size={11} style={{color: '#2563eb'}} />,
+  job: <FaCog size={11} style={{color: '#6b7280'}} />
+}
+
+// Short description of what an entry acted on, from whatever its payload carries
+function entryDetail(entry){
+  const p = entry.payload || {}
+  const args = p.arguments || {}
+  return args.title || args.subject || p.subject || p.title || (p.payload && (p.payload.title || p.payload.subject)) || args.to || p.to || ''
+}
+
+// What the assistant, background jobs and the user did, newest first
+export default function HistoryPanel() {
+  const [isOpen, setIsOpen] = useState(false)
+  const [entries, setEntries] = useState([])
+  const [total, setTotal] = useState(0)
+  const [actor, setActor] = useState('assistant')
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const panelRef = useRef()
+
+  useEffect(() => {
+    function handleClickOutside(event) {
+      if (panelRef.current && !panelRef.current.contains(event.target)) {
+        setIsOpen(false)
+      }
+    }
+    if (isOpen) {
+      document.addEventListener('mousedown', handleClickOutside)
+      return () => document.removeEventListener('mousedown', handleClickOutside)
+    }
+  }, [isOpen])
+
+  useEffect(() => {
+    if (isOpen) loadEntries(0)
+  }, [isOpen, actor])
+
+  async function loadEntries(offset) {
+    setLoading(true)
+    setError(null)
+    try {
+      const base = window.location.hostname === 'localhost' ? 'http://localhost:4000' : ''
+      const params = new URLSearchParams({ limit: String(PAGE_SIZE), offset: String(offset) })
+      if (actor) params.set('actor', actor)
+      const res = await fetch(`${base}/api/audit?${params}`, { credentials: 'include' })
+      if (!res.ok) throw new Error(`History failed to load (${res.status})`)
+      const data = await res.json()
+      setEntries(prev => offset === 0 ? data.entries : [...prev, ...data.entries])
+      setTotal(data.total)
+    } catch (e) {
+      setError(e.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div ref={panelRef} style={{position: 'relative'}}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        title="Activity history"
+        style={{
+          background: 'transparent',
+          border: 'none',
+          padding: '8px',
+          borderRadius: '50%',
+          cursor: 'pointer',
+          color: '#6b7280'
+        }}
+      >
+        <FaHistory size={18} />
+      </button>
+
+      {isOpen && (
+        <div style={{
+          position: 'absolute',
+          top: '100%',
+          right: '0',
+          marginTop: '8px',
+          width: '360px',
+          background: '#ffffff',
+          border: '1px solid rgba(0,0,0,0.1)',
+          borderRadius: '12px',
+          boxShadow: '0 10px 25px rgba(0,0,0,0.1)',
+          zIndex: 1000,
+          overflow: 'hidden'
+        }}>
+          <div style={{
+            padding: '16px',
+            borderBottom: '1px solid rgba(0,0,0,0.05)',
+            background: 'linear-gradient(135deg, #f8fafc 0%, #f1f5f9 100%)',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '8px'
+          }}>
+            <h3 style={{margin: 0, fontSize: '14px', fontWeight: '600', color: '#374151', flex: 1}}>
+              Activity
+            </h3>
+            <select
+              value={actor}
+              onChange={e => setActor(e.target.value)}
+              style={{fontSize: '12px', padding: '4px 6px', borderRadius: '6px', border: '1px solid rgba(0,0,0,0.1)'}}
+            >
+              {ACTOR_FILTERS.map(f => <option key={f.value} value={f.value}>{f.label}</option>)}
+            </select>
+            <button
+              onClick={() => setIsOpen(false)}
+              style={{background: 'transparent', border: 'none', padding: '4px', cursor: 'pointer', color: '#6b7280'}}
+            >
+              <FaTimes size={12} />
+            </button>
+          </div>
+
+          <div style={{maxHeight: '360px', overflowY: 'auto'}}>
+            {error && <div style={{padding: '12px 16px', color: '#dc2626', fontSize: '12px'}}>{error}</div>}
+            {!error && !loading && entries.length === 0 && (
+              <div style={{padding: '24px 16px', textAlign: 'center', color: '#6b7280', fontSize: '13px'}}>
+                Nothing here yet
+              </div>
+            )}
+            {entries.map(entry => (
+              <div key={entry.id} style={{padding: '10px 16px', borderBottom: '1px solid rgba(0,0,0,0.05)', fontSize: '12px', color: '#374151'}}>
+                <div style={{display: 'flex', alignItems: 'center', gap: '6px'}}>
+                  {ACTOR_ICONS[entry.actor]}
+                  <span style={{fontWeight: '500', flex: 1}}>
+                    {entry.outcome === 'failure' ? '⚠️ ' : ''}{ACTION_LABELS[entry.action] || entry.action.replace(/_/g, ' ')}
+                  </span>
+                  <span style={{color: '#9ca3af', fontSize: '11px'}}>{new Date(entry.created_at).toLocaleString()}</span>
+                </div>
+                {entryDetail(entry) && (
+                  <div style={{color: '#6b7280', marginTop: '2px', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'}}>
+                    {String(entryDetail(entry))}
+                  </div>
+                )}
+                {entry.error && <div style={{color: '#dc2626', marginTop: '2px'}}>{entry.error}</div>}
+              </div>
+            ))}
+            {entries.length < total && (
+              <button
+                onClick={() => loadEntries(entries.length)}
+                disabled={loading}
+                style={{width: '100%', padding: '10px', border: 'none', background: 'transparent', color: '#3b82f6', cursor: 'pointer', fontSize: '12px'}}
+              >
+                {loading ? 'Loading…' : `Show more (${total - entries.length})`}
+              </button>
+            )}
+            {loading && entries.length === 0 && (
+              <div style={{padding: '16px', textAlign: 'center', color: '#6b7280', fontSize: '12px'}}>Loading…</div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -1,30 +1,53 @@
 import React, {useState} from 'react'
 
-export default function LLMKeyModal({onSave}){
+const REJECT_REASONS = {
+  invalid_key: 'The provider rejected this API key.',
+  invalid_model: 'This model does not exist for your key.',
+  model_not_allowed: 'Your key does not have access to this model.'
+}
+
+export default function LLMKeyModal({onSave, onClose, initialModel}){
   const [key, setKey] = useState('')
-  const [model, setModel] = useState('gpt-4o-mini')
-  function save(){
+  const [model, setModel] = useState(initialModel || 'gpt-4o-mini')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  async function save(){
     if(!key.trim()) return
-    // send to server to persist (endpoint not implemented yet)
-    fetch((window.location.hostname==='localhost'? 'http://localhost:4000' : '') + '/api/settings/llm', {method:'POST', credentials:'include', headers:{'Content-Type':'application/json'}, body:JSON.stringify({key, model})}).then(r=>{
-      if(r.ok) onSave({model})
-    })
+    setSaving(true)
+    setError(null)
+    try{
+      // the server checks the key against the provider before storing it encrypted
+      const r = await fetch((window.location.hostname==='localhost'? 'http://localhost:4000' : '') + '/api/settings/llm', {method:'POST', credentials:'include', headers:{'Content-Type':'application/json'}, body:JSON.stringify({key, model})})
+      const json = await r.json().catch(()=>({}))
+      if(!r.ok){
+        setError(REJECT_REASONS[json.reason] || json.message || 'Could not save the key.')
+        return
+      }
+      onSave({model})
+    }catch(e){
+      setError('Could not save the key.')
+    }finally{
+      setSaving(false)
+    }
   }
 
   return (
     <div style={{position:'fixed',inset:0,display:'flex',alignItems:'center',justifyContent:'center',zIndex:9999}}>
-      <div style={{position:'absolute',inset:0,backdropFilter:'blur(6px)',background:'rgba(0,0,0,0.25)'}} />
+      <div onClick={onClose} style={{position:'absolute',inset:0,backdropFilter:'blur(6px)',background:'rgba(0,0,0,0.25)'}} />
       <div style={{position:'relative',background:'white',padding:24,borderRadius:12,width:420,boxShadow:'0 20px 60px rgba(2,6,23,0.2)'}}>
         <h3>Enter your LLM API key</h3>
-        <p style={{color:'#666'}}>We will use your key to process emails and take actions. Your key will be stored encrypted (demo).</p>
-        <input value={key} onChange={e=>setKey(e.target.value)} style={{width:'100%',padding:10,marginBottom:10}} placeholder="sk-..." />
+        <p style={{color:'#666'}}>We will use your key to process emails and take actions. Your key is stored encrypted and never shown again.</p>
+        <input value={key} onChange={e=>setKey(e.target.value)} type="password" autoComplete="off" style={{width:'100%',padding:10,marginBottom:10}} placeholder="sk-..." />
         <select value={model} onChange={e=>setModel(e.target.value)} style={{width:'100%',padding:10,marginBottom:10}}>
           <option value="gpt-4o-mini">gpt-4o-mini</option>
           <option value="gpt-4o">gpt-4o</option>
-          <option value="gpt-4o-mini-2025">gpt-4o-mini-2025</option>
+          <option value="gpt-4.1-mini">gpt-4.1-mini</option>
         </select>
+        {error && <div style={{color:'#dc3545',fontSize:'13px',marginBottom:10}}>❌ {error}</div>}
         <div style={{display:'flex',justifyContent:'flex-end',gap:8}}>
-          <button onClick={save} style={{background:'#7c3aed',color:'white',padding:'8px 12px',borderRadius:8}}>Save</button>
+          {onClose && <button onClick={onClose} style={{padding:'8px 12px',borderRadius:8}}>Cancel</button>}
+          <button onClick={save} disabled={saving || !key.trim()} style={{background:'#7c3aed',color:'white',padding:'8px 12px',borderRadius:8}}>{saving ? 'Checking…' : 'Save'}</button>
         </div>
       </div>
     </div>
@@ -78,8 +78,20 @@ export default function NotificationPanel() {
       setPermissionStatus(data)
       setLastCheck(new Date())
       
-      // Create notifications for missing permissions
-      if (!data.hasAllPermissions && data.missingPermissions && data.missingPermissions.length > 0) {
+      // A revoked grant fails every permission; show one reconnect prompt instead
+      if (data.needsReauth) {
+        setNotifications([{
+          id: 'reauth',
+          type: 'warning',
+          title: 'Reconnect Google',
+          message: 'Google access was revoked or has expired',
+          permission: 'reauth',
+          action: 'grant_permission',
+          timestamp: new Date(),
+          dismissible: false
+        }])
+      } else if (!data.hasAllPermissions && data.missingPermissions && data.missingPermissions.length > 0) {
+        // Create notifications for missing permissions
         console.log('🔔 Missing permissions detected:', data.missingPermissions)
         
         const missingNotifications = data.missingPermissions.map(permission => ({
@@ -144,7 +156,8 @@ export default function NotificationPanel() {
       'gmail_send': 'Send replies and forwarded emails on your behalf',
       'gmail_modify': 'Mark emails as read, delete emails, and manage labels',
       'calendar': 'Create calendar events and meetings from email requests',
-      'tasks': 'Create tasks from emails and manage your to-do list'
+      'tasks': 'Create tasks from emails and manage your to-do list',
+      'reauth': 'Google no longer accepts the saved sign-in. Mail sync, sending and calendar actions are paused until you reconnect'
     }
     return descriptions[permission] || 'Required for full app functionality'
   }
@@ -1,5 +1,50 @@
 import React, { useState, useEffect, useRef } from 'react'
-import { FaUser, FaTimes, FaSave, FaGlobe, FaClock, FaBriefcase, FaEdit } from 'react-icons/fa'
+import { FaUser, FaTimes, FaSave, FaGlobe, FaClock, FaBriefcase, FaEdit, FaUndo, FaKey, FaCheckDouble, FaCalendarAlt } from 'react-icons/fa'
+import LLMKeyModal from './LLMKeyModal'
+
+const FALLBACK_POLICY_LABELS = {
+  when_missing: 'Shared key for users without their own',
+  on_failure: 'Shared key when missing or when a user key fails',
+  never: 'Users must bring their own key'
+}
+
+const AUTO_APPROVE_LABELS = {
+  create_task: 'Create tasks',
+  create_event: 'Create calendar events',
+  draft_reply: 'Save draft replies',
+  snooze: 'Snooze emails',
+  schedule_send: 'Schedule emails to send'
+}
+
+const WEEKDAYS = [['mon', 'Mon'], ['tue', 'Tue'], ['wed', 'Wed'], ['thu', 'Thu'], ['fri', 'Fri'], ['sat', 'Sat'], ['sun', 'Sun']]
+const MEETING_LENGTHS = [15, 25, 30, 45, 50, 60, 90]
+
+// Same defaults as the server (services/workPreferencesService)
+const DEFAULT_WORK_PREFERENCES = {
+  workingHours: {
+    mon: { start: '09:00', end: '17:00' },
+    tue: { start: '09:00', end: '17:00' },
+    wed: { start: '09:00', end: '17:00' },
+    thu: { start: '09:00', end: '17:00' },
+    fri: { start: '09:00', end: '17:00' },
+    sat: null,
+    sun: null
+  },
+  lunch: { start: '12:00', end: '13:00' },
+  bufferMinutes: 10,
+  meetingLengths: [30, 60],
+  noMeetingDays: [],
+  focus: { hoursPerWeek: 0, blockMinutes: 120 }
+}
+
+const smallInputStyle = {
+  padding: '6px 8px',
+  borderRadius: '6px',
+  border: '1px solid rgba(255,255,255,0.1)',
+  background: 'rgba(255,255,255,0.05)',
+  color: 'var(--text)',
+  fontSize: '13px'
+}
 
 export default function PersonalizationPanel() {
   const [isOpen, setIsOpen] = useState(false)
@@ -9,9 +54,14 @@ export default function PersonalizationPanel() {
     timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
     location: '',
     role: '',
-    personalNote: ''
+    personalNote: '',
+    undoSendSeconds: 10,
+    workPreferences: DEFAULT_WORK_PREFERENCES
   })
   const [hasChanges, setHasChanges] = useState(false)
+  const [llm, setLlm] = useState(null)
+  const [showKeyModal, setShowKeyModal] = useState(false)
+  const [autoApprove, setAutoApprove] = useState(null)
   const panelRef = useRef()
 
   // Close panel when clicking outside
@@ -29,6 +79,8 @@ export default function PersonalizationPanel() {
   useEffect(() => {
     if (isOpen) {
       loadProfile()
+      loadLLMSettings()
+      loadAutoApprove()
     }
   }, [isOpen])
 
@@ -44,7 +96,9 @@ export default function PersonalizationPanel() {
           timezone: data.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
           location: data.location || '',
           role: data.role || '',
-          personalNote: data.personalNote || ''
+          personalNote: data.personalNote || '',
+          undoSendSeconds: data.undoSendSeconds ?? 10,
+          workPreferences: data.workPreferences || DEFAULT_WORK_PREFERENCES
         })
       }
     } catch (error) {
@@ -54,6 +108,74 @@ export default function PersonalizationPanel() {
     }
   }
 
+  const loadLLMSettings = async () => {
+    try {
+      const response = await fetch('/api/settings/llm', { credentials: 'include' })
+      if (response.ok) setLlm(await response.json())
+    } catch (error) {
+      console.error('Failed to load LLM settings:', error)
+    }
+  }
+
+  const loadAutoApprove = async () => {
+    try {
+      const response = await fetch('/api/settings/approvals', { credentials: 'include' })
+      if (response.ok) setAutoApprove((await response.json()).autoApprove)
+    } catch (error) {
+      console.error('Failed to load approval settings:', error)
+    }
+  }
+
+  // Saved right away, like the key settings
+  const toggleAutoApprove = async (actionType, enabled) => {
+    try {
+      const response = await fetch('/api/settings/approvals', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ autoApprove: { [actionType]: enabled } })
+      })
+      if (!response.ok) throw new Error('Failed to save approval settings')
+      setAutoApprove((await response.json()).autoApprove)
+    } catch (error) {
+      console.error('Failed to save approval settings:', error)
+      alert('Failed to save the setting. Please try again.')
+    }
+  }
+
+  const removeLLMKey = async () => {
+    if (!window.confirm('Remove your API key? The assistant will fall back to the shared key if allowed.')) return
+    try {
+      const response = await fetch('/api/settings/llm', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ key: null })
+      })
+      if (!response.ok) throw new Error('Failed to remove key')
+      loadLLMSettings()
+    } catch (error) {
+      console.error('Failed to remove LLM key:', error)
+      alert('Failed to remove the key. Please try again.')
+    }
+  }
+
+  const saveFallbackPolicy = async (fallbackPolicy) => {
+    try {
+      const response = await fetch('/api/admin/llm', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ fallbackPolicy })
+      })
+      if (!response.ok) throw new Error('Failed to save policy')
+      setLlm(prev => ({ ...prev, fallbackPolicy }))
+    } catch (error) {
+      console.error('Failed to save fallback policy:', error)
+      alert('Failed to save the policy. Please try again.')
+    }
+  }
+
   const saveProfile = async () => {
     setSaving(true)
     try {
@@ -80,11 +202,12 @@ export default function PersonalizationPanel() {
           }, 1000)
         }
       } else {
-        throw new Error('Failed to save profile')
+        const data = await response.json().catch(() => ({}))
+        throw new Error(data.message || 'Failed to save profile')
       }
     } catch (error) {
       console.error('Failed to save profile:', error)
-      alert('Failed to save profile. Please try again.')
+      alert(`${error.message}. Please try again.`)
     } finally {
       setSaving(false)
     }
@@ -95,6 +218,32 @@ export default function PersonalizationPanel() {
     setHasChanges(true)
   }
 
+  const updateWorkPreferences = (changes) => {
+    setProfile(prev => ({ ...prev, workPreferences: { ...prev.workPreferences, ...changes } }))
+    setHasChanges(true)
+  }
+
+  const setDayHours = (day, hours) => {
+    updateWorkPreferences({ workingHours: { ...profile.workPreferences.workingHours, [day]: hours } })
+  }
+
+  const toggleNoMeetingDay = (day, enabled) => {
+    const days = profile.workPreferences.noMeetingDays.filter(d => d !== day)
+    updateWorkPreferences({ noMeetingDays: enabled ? [...days, day] : days })
+  }
+
+  // The first length is the default for new meetings
+  const toggleMeetingLength = (minutes, enabled) => {
+    const lengths = profile.workPreferences.meetingLengths.filter(m => m !== minutes)
+    if (enabled) lengths.push(minutes)
+    if (lengths.length > 0) updateWorkPreferences({ meetingLengths: lengths })
+  }
+
+  const setDefaultMeetingLength = (minutes) => {
+    const others = profile.workPreferences.meetingLengths.filter(m => m !== minutes)
+    updateWorkPreferences({ meetingLengths: [minutes, ...others] })
+  }
+
   // Get list of common timezones
   const commonTimezones = [
     'UTC',
@@ -347,6 +496,285 @@ export default function PersonalizationPanel() {
                 </div>
               </div>
 
+              {/* Undo Send Section */}
+              <div>
+                <label style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '8px',
+                  marginBottom: '8px',
+                  color: 'var(--text)',
+                  fontSize: '14px',
+                  fontWeight: '500'
+                }}>
+                  <FaUndo style={{color: '#d97706'}} />
+                  Undo Send Window
+                </label>
+                <select
+                  value={profile.undoSendSeconds}
+                  onChange={(e) => handleInputChange('undoSendSeconds', parseInt(e.target.value, 10))}
+                  style={{
+                    width: '100%',
+                    padding: '10px 12px',
+                    borderRadius: '8px',
+                    border: '1px solid rgba(255,255,255,0.1)',
+                    background: 'rgba(255,255,255,0.05)',
+                    color: 'var(--text)',
+                    fontSize: '14px'
+                  }}
+                >
+                  {[0, 5, 10, 20, 30].map(seconds => (
+                    <option key={seconds} value={seconds}>
+                      {seconds === 0 ? 'Send immediately' : `${seconds} seconds`}
+                    </option>
+                  ))}
+                </select>
+                <div style={{
+                  fontSize: '12px',
+                  color: 'var(--muted)',
+                  marginTop: '6px'
+                }}>
+                  Emails wait this long in your outbox so you can undo them.
+                </div>
+              </div>
+
+              {/* Working Hours & Meetings Section */}
+              <div>
+                <label style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  gap: '8px',
+                  marginBottom: '8px',
+                  color: 'var(--text)',
+                  fontSize: '14px',
+                  fontWeight: '500'
+                }}>
+                  <FaCalendarAlt style={{color: '#0891b2'}} />
+                  Working Hours &amp; Meetings
+                </label>
+                {WEEKDAYS.map(([day, label]) => {
+                  const hours = profile.workPreferences.workingHours[day]
+                  return (
+                    <div key={day} style={{display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px', color: 'var(--text)', marginBottom: '4px'}}>
+                      <label style={{display: 'flex', alignItems: 'center', gap: '4px', width: '56px'}}>
+                        <input
+                          type="checkbox"
+                          checked={!!hours}
+                          onChange={(e) => setDayHours(day, e.target.checked ? { start: '09:00', end: '17:00' } : null)}
+                        />
+                        {label}
+                      </label>
+                      {hours ? (
+                        <>
+                          <input type="time" value={hours.start} onChange={(e) => setDayHours(day, { ...hours, start: e.target.value })} style={smallInputStyle} />
+                          <span>–</span>
+                          <input type="time" value={hours.end} onChange={(e) => setDayHours(day, { ...hours, end: e.target.value })} style={smallInputStyle} />
+                          <label style={{display: 'flex', alignItems: 'center', gap: '4px', marginLeft: 'auto', color: 'var(--muted)'}}>
+                            <input
+                              type="checkbox"
+                              checked={profile.workPreferences.noMeetingDays.includes(day)}
+                              onChange={(e) => toggleNoMeetingDay(day, e.target.checked)}
+                            />
+                            No meetings
+                          </label>
+                        </>
+                      ) : (
+                        <span style={{color: 'var(--muted)'}}>Day off</span>
+                      )}
+                    </div>
+                  )
+                })}
+
+                <div style={{display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px', color: 'var(--text)', marginTop: '10px'}}>
+                  <label style={{display: 'flex', alignItems: 'center', gap: '4px', width: '56px'}}>
+                    <input
+                      type="checkbox"
+                      checked={!!profile.workPreferences.lunch}
+                      onChange={(e) => updateWorkPreferences({ lunch: e.target.checked ? DEFAULT_WORK_PREFERENCES.lunch : null })}
+                    />
+                    Lunch
+                  </label>
+                  {profile.workPreferences.lunch && (
+                    <>
+                      <input type="time" value={profile.workPreferences.lunch.start} onChange={(e) => updateWorkPreferences({ lunch: { ...profile.workPreferences.lunch, start: e.target.value } })} style={smallInputStyle} />
+                      <span>–</span>
+                      <input type="time" value={profile.workPreferences.lunch.end} onChange={(e) => updateWorkPreferences({ lunch: { ...profile.workPreferences.lunch, end: e.target.value } })} style={smallInputStyle} />
+                    </>
+                  )}
+                </div>
+
+                <div style={{display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px', color: 'var(--text)', marginTop: '10px'}}>
+                  <span style={{flex: 1}}>Gap between meetings</span>
+                  <select
+                    value={profile.workPreferences.bufferMinutes}
+                    onChange={(e) => updateWorkPreferences({ bufferMinutes: parseInt(e.target.value, 10) })}
+                    style={smallInputStyle}
+                  >
+                    {[0, 5, 10, 15, 30].map(minutes => (
+                      <option key={minutes} value={minutes}>{minutes === 0 ? 'None' : `${minutes} minutes`}</option>
+                    ))}
+                  </select>
+                </div>
+
+                <div style={{fontSize: '13px', color: 'var(--text)', marginTop: '10px'}}>
+                  Meeting lengths
+                  <div style={{display: 'flex', flexWrap: 'wrap', gap: '8px', marginTop: '4px'}}>
+                    {MEETING_LENGTHS.map(minutes => (
+                      <label key={minutes} style={{display: 'flex', alignItems: 'center', gap: '4px'}}>
+                        <input
+                          type="checkbox"
+                          checked={profile.workPreferences.meetingLengths.includes(minutes)}
+                          onChange={(e) => toggleMeetingLength(minutes, e.target.checked)}
+                        />
+                        {minutes}m
+                      </label>
+                    ))}
+                  </div>
+                  <div style={{display: 'flex', alignItems: 'center', gap: '6px', marginTop: '6px'}}>
+                    <span style={{flex: 1}}>Default length</span>
+                    <select
+                      value={profile.workPreferences.meetingLengths[0]}
+                      onChange={(e) => setDefaultMeetingLength(parseInt(e.target.value, 10))}
+                      style={smallInputStyle}
+                    >
+                      {profile.workPreferences.meetingLengths.map(minutes => (
+                        <option key={minutes} value={minutes}>{minutes} minutes</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div style={{display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px', color: 'var(--text)', marginTop: '10px'}}>
+                  <span style={{flex: 1}}>Focus time per week</span>
+                  <input
+                    type="number"
+                    min={0}
+                    max={60}
+                    value={profile.workPreferences.focus.hoursPerWeek}
+                    onChange={(e) => updateWorkPreferences({ focus: { ...profile.workPreferences.focus, hoursPerWeek: Math.max(0, parseInt(e.target.value, 10) || 0) } })}
+                    style={{...smallInputStyle, width: '60px'}}
+                  />
+                  <span>hours, in blocks of</span>
+                  <select
+                    value={profile.workPreferences.focus.blockMinutes}
+                    onChange={(e) => updateWorkPreferences({ focus: { ...profile.workPreferences.focus, blockMinutes: parseInt(e.target.value, 10) } })}
+                    style={smallInputStyle}
+                  >
+                    {[60, 90, 120, 180, 240].map(minutes => (
+                      <option key={minutes} value={minutes}>{minutes / 60}h</option>
+                    ))}
+                  </select>
+                </div>
+                <div style={{
+                  fontSize: '12px',
+                  color: 'var(--muted)',
+                  marginTop: '6px'
+                }}>
+                  Used for meeting suggestions, snooze times like "tomorrow morning" and when notifications reach you.
+                </div>
+              </div>
+
+              {/* Auto-approve Section (saved on its own, not with the profile) */}
+              {autoApprove && (
+                <div>
+                  <label style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '8px',
+                    marginBottom: '8px',
+                    color: 'var(--text)',
+                    fontSize: '14px',
+                    fontWeight: '500'
+                  }}>
+                    <FaCheckDouble style={{color: '#16a34a'}} />
+                    Assistant Actions Without Asking
+                  </label>
+                  {Object.keys(autoApprove).map(actionType => (
+                    <label key={actionType} style={{display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: 'var(--text)', marginBottom: '4px'}}>
+                      <input
+                        type="checkbox"
+                        checked={autoApprove[actionType]}
+                        onChange={(e) => toggleAutoApprove(actionType, e.target.checked)}
+                      />
+                      {AUTO_APPROVE_LABELS[actionType] || actionType}
+                    </label>
+                  ))}
+                  <div style={{
+                    fontSize: '12px',
+                    color: 'var(--muted)',
+                    marginTop: '6px'
+                  }}>
+                    Everything else the assistant proposes waits for your approval in the chat.
+                  </div>
+                </div>
+              )}
+
+              {/* LLM Key Section (saved on its own, not with the profile) */}
+              {llm && (
+                <div>
+                  <label style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '8px',
+                    marginBottom: '8px',
+                    color: 'var(--text)',
+                    fontSize: '14px',
+                    fontWeight: '500'
+                  }}>
+                    <FaKey style={{color: '#7c3aed'}} />
+                    AI API Key
+                  </label>
+                  <div style={{display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: 'var(--text)'}}>
+                    <span style={{flex: 1}}>
+                      {llm.hasKey
+                        ? `Your key ${llm.keyHint || ''}${llm.model ? ` · ${llm.model}` : ''}`
+                        : llm.fallbackPolicy === 'never' ? 'No key set — required to use the assistant' : 'Using the shared key'}
+                    </span>
+                    <button
+                      onClick={() => setShowKeyModal(true)}
+                      style={{padding: '6px 10px', borderRadius: '8px', border: '1px solid rgba(99,102,241,0.3)', background: 'rgba(99,102,241,0.1)', color: '#4f46e5', cursor: 'pointer'}}
+                    >
+                      {llm.hasKey ? 'Change' : 'Add key'}
+                    </button>
+                    {llm.hasKey && (
+                      <button
+                        onClick={removeLLMKey}
+                        style={{padding: '6px 10px', borderRadius: '8px', border: '1px solid rgba(220,53,69,0.3)', background: 'transparent', color: '#dc2626', cursor: 'pointer'}}
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                  {llm.isAdmin && (
+                    <select
+                      value={llm.fallbackPolicy}
+                      onChange={(e) => saveFallbackPolicy(e.target.value)}
+                      style={{
+                        width: '100%',
+                        marginTop: '10px',
+                        padding: '10px 12px',
+                        borderRadius: '8px',
+                        border: '1px solid rgba(255,255,255,0.1)',
+                        background: 'rgba(255,255,255,0.05)',
+                        color: 'var(--text)',
+                        fontSize: '14px'
+                      }}
+                    >
+                      {Object.entries(FALLBACK_POLICY_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                  )}
+                  {showKeyModal && (
+                    <LLMKeyModal
+                      initialModel={llm.model}
+                      onClose={() => setShowKeyModal(false)}
+                      onSave={() => { setShowKeyModal(false); loadLLMSettings() }}
+                    />
+                  )}
+                </div>
+              )}
+
               {/* Save Button */}
               <div style={{paddingTop: '10px', borderTop: '1px solid rgba(255,255,255,0.1)'}}>
                 <button
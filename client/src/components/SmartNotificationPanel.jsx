@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react'
+import { monitorOAuthPopup, openOAuthPopup } from '../utils/oauth'
 
 const SmartNotificationPanel = ({ isOpen, onClose }) => {
   const [notifications, setNotifications] = useState([])
@@ -84,6 +85,15 @@ const SmartNotificationPanel = ({ isOpen, onClose }) => {
     }
   }
 
+  // Revoked Google grant: reconnect in a popup, then clear the notification
+  const reconnectGoogle = (notificationId) => {
+    const popup = openOAuthPopup('/api/auth/reauth')
+    monitorOAuthPopup(popup, () => {
+      markAsRead(notificationId)
+      window.dispatchEvent(new Event('permissionsUpdated'))
+    })
+  }
+
   const markAllAsRead = async () => {
     try {
       const base = window.location.hostname === 'localhost' ? 'http://localhost:4000' : ''
@@ -137,6 +147,7 @@ const SmartNotificationPanel = ({ isOpen, onClose }) => {
       case 'keyword_alert': return '🔔'
       case 'follow_up': return '⏰'
       case 'scheduled_reminder': return '📅'
+      case 'reauth_required': return '🔐'
       default: return '📧'
     }
   }
@@ -243,6 +254,14 @@ const SmartNotificationPanel = ({ isOpen, onClose }) => {
                       </div>
 
                       <div className="notification-actions">
+                        {notification.type === 'reauth_required' && (
+                          <button
+                            className="notification-action-btn mark-read"
+                            onClick={() => reconnectGoogle(notification.id)}
+                          >
+                            Reconnect
+                          </button>
+                        )}
                         {!notification.read && (
                           <button
                             className="notification-action-btn mark-read"
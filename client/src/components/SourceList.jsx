@@ -0,0 +1,27 @@
+import React from 'react'
+
+const TYPE_ICONS = { message: '📧', thread: '🧵', event: '📅' }
+
+// Mailbox and calendar items an answer cited, numbered like the [n] markers in its text
+export default function SourceList({ sources }){
+  const cited = (sources || []).filter(s => s.cited)
+  if(cited.length === 0) return null
+
+  return (
+    <div style={{marginTop:8,display:'flex',flexDirection:'column',gap:4,fontSize:'12px',color:'#555'}}>
+      <div style={{fontWeight:600}}>Sources</div>
+      {cited.map(s => {
+        const label = `[${s.ref}] ${TYPE_ICONS[s.type] || ''} ${s.title}${s.sender ? ` — ${s.sender}` : ''}`
+        const date = s.date ? new Date(s.date).toLocaleDateString() : null
+        return (
+          <div key={`${s.type}-${s.id}`} title={s.snippet || ''} style={{padding:'4px 8px',borderRadius:6,background:'rgba(0,0,0,0.04)'}}>
+            {s.url
+              ? <a href={s.url} target="_blank" rel="noopener noreferrer" style={{color:'#1e40af',textDecoration:'none'}}>{label}</a>
+              : <span>{label}</span>}
+            {date && <span style={{marginLeft:6,color:'#888'}}>{date}</span>}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
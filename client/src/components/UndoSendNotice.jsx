@@ -0,0 +1,51 @@
+import React, { useState, useEffect } from 'react'
+import { MdUndo } from 'react-icons/md'
+
+// Countdown shown after a send is queued in the outbox; Undo cancels it before the dispatcher sends it
+export default function UndoSendNotice({ outbox, onUndone }) {
+  const sendAt = new Date(outbox.scheduled_for).getTime()
+  const [remaining, setRemaining] = useState(Math.max(0, Math.ceil((sendAt - Date.now()) / 1000)))
+  const [state, setState] = useState('pending') // 'pending' | 'undoing' | 'undone' | 'sent' | 'error'
+
+  useEffect(()=>{
+    if(state !== 'pending') return
+    const id = setInterval(()=>{
+      const left = Math.max(0, Math.ceil((sendAt - Date.now()) / 1000))
+      setRemaining(left)
+      if(left === 0) setState('sent')
+    }, 500)
+    return ()=> clearInterval(id)
+  },[state, sendAt])
+
+  async function undo(){
+    setState('undoing')
+    try{
+      const base = window.location.hostname === 'localhost' ? 'http://localhost:4000' : ''
+      const res = await fetch(`${base}/api/messages/outbox/${outbox.id}/cancel`, {method:'POST', credentials:'include'})
+      if(res.status === 409){
+        setState('sent')
+        return
+      }
+      if(!res.ok) throw new Error('undo_failed')
+      setState('undone')
+      if(onUndone) onUndone(outbox)
+    }catch(e){
+      setState('error')
+    }
+  }
+
+  return (
+    <div style={{marginTop:8,display:'flex',alignItems:'center',gap:8,padding:'8px 12px',borderRadius:10,background:'rgba(0,0,0,0.04)',fontSize:'13px'}}>
+      {state === 'pending' && <span style={{flex:1}}>📤 Sending in {remaining}s…</span>}
+      {state === 'undoing' && <span style={{flex:1}}>Cancelling…</span>}
+      {state === 'undone' && <span style={{flex:1}}>↩️ Send cancelled.</span>}
+      {state === 'sent' && <span style={{flex:1}}>📧 Sent.</span>}
+      {state === 'error' && <span style={{flex:1,color:'#dc3545'}}>❌ Could not undo the send.</span>}
+      {state === 'pending' && (
+        <button onClick={undo} style={{display:'flex',alignItems:'center',gap:4,padding:'4px 10px',borderRadius:8,border:'1px solid rgba(0,0,0,0.12)',background:'white',cursor:'pointer'}}>
+          <MdUndo size={14}/> Undo
+        </button>
+      )}
+    </div>
+  )
+}
@@ -1,5 +1,5 @@
 import React, {useEffect, useState} from 'react'
-import { MdEmail, MdSummarize, MdToday, MdPlaylistAddCheck } from 'react-icons/md'
+import { MdEmail, MdSummarize, MdToday, MdPlaylistAddCheck, MdDrafts } from 'react-icons/md'
 
 export default function Gmail(){
   const [loading, setLoading] = useState(true)
@@ -45,6 +45,11 @@ export default function Gmail(){
     setShowHoverMenu(false)
   }
 
+  function openDrafts(){
+    window.dispatchEvent(new CustomEvent('showDrafts'))
+    setShowHoverMenu(false)
+  }
+
   async function requestEmailSummary(){
     try {
       const base = window.location.hostname === 'localhost' ? 'http://localhost:4000' : ''
@@ -123,6 +128,10 @@ export default function Gmail(){
             <MdToday size={16} />
             <span>Daily Briefing</span>
           </div>
+          <div className="hover-menu-item" onClick={openDrafts}>
+            <MdDrafts size={16} />
+            <span>Drafts</span>
+          </div>
         </div>
       )}
     </div>
@@ -46,6 +46,83 @@ export const LLMApi = {
     return res.json()
   },
 
+  // Intelligent chat streamed over SSE (fetch, since EventSource can't POST)
+  // onEvent(event, data) sees start/processor/token/action/tool events; resolves with the done payload.
+  // Non-2xx responses (429 quota, 403 missing key) reject with err.status and err.body
+  async streamIntelligent(message, sessionId, { onEvent = () => {}, signal } = {}) {
+    const res = await fetch(`${SERVER_BASE}/api/llm/intelligent/stream`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
+      body: JSON.stringify({ message, sessionId }),
+      signal
+    })
+    if (!res.ok) {
+      const err = new Error(`HTTP ${res.status}`)
+      err.status = res.status
+      err.body = await res.json().catch(() => ({}))
+      throw err
+    }
+
+    const reader = res.body.getReader()
+    const decoder = new TextDecoder()
+    let buffer = ''
+    let done = null
+    while (true) {
+      const { value, done: finished } = await reader.read()
+      if (finished) break
+      buffer += decoder.decode(value, { stream: true })
+
+      let boundary
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const frame = buffer.slice(0, boundary)
+        buffer = buffer.slice(boundary + 2)
+        let event = 'message'
+        let data = ''
+        for (const line of frame.split('\n')) {
+          if (line.startsWith('event: ')) event = line.slice(7)
+          else if (line.startsWith('data: ')) data += line.slice(6)
+        }
+        if (!data) continue // heartbeat comment
+        const payload = JSON.parse(data)
+        if (event === 'error') throw new Error(payload.message || payload.error || 'Streaming failed')
+        if (event === 'done') done = payload
+        else onEvent(event, payload)
+      }
+    }
+    if (!done) throw new Error('Stream ended before the response was complete')
+    return done
+  },
+
+  // Actions the assistant proposed (status: pending by default, or 'all')
+  async listApprovals(status = 'pending') {
+    const res = await fetch(`${SERVER_BASE}/api/llm/approvals?status=${encodeURIComponent(status)}`, {
+      credentials: 'include'
+    })
+    if (!res.ok) throw new Error('Failed to load approvals')
+    return res.json()
+  },
+
+  // Approve (payload = edited arguments, optional) or reject a proposed action; when an agent run
+  // was waiting on it, resolves with the run's next reply as well
+  // (409 when it was already decided, with err.status and err.body like streamIntelligent)
+  async decideApproval(approvalId, approve, { payload, reason } = {}) {
+    const res = await fetch(`${SERVER_BASE}/api/llm/approvals/${encodeURIComponent(approvalId)}/${approve ? 'approve' : 'reject'}`, {
+      method: 'POST',
+      credentials: 'include',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(approve ? { payload } : { reason })
+    })
+    const json = await res.json().catch(() => ({}))
+    if (!res.ok) {
+      const err = new Error(json.message || json.error || `HTTP ${res.status}`)
+      err.status = res.status
+      err.body = json
+      throw err
+    }
+    return json
+  },
+
   // Get processor stats and available types
   async getStats() {
     const res = await fetch(`${SERVER_BASE}/api/llm/stats`, {
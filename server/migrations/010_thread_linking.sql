@@ -0,0 +1,14 @@
+-- Migration: Link ingested messages to conversation threads
+-- Date: 2026-10-18
+
+BEGIN;
+
+-- One thread row per platform conversation (e.g. Gmail threadId) so ingestion can upsert on it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_threads_user_platform_external ON threads(user_id, platform, external_thread_id);
+
+-- Conversation lookups order messages within a thread by time
+CREATE INDEX IF NOT EXISTS idx_messages_thread_received ON messages(thread_id, received_at) WHERE thread_id IS NOT NULL;
+
+COMMIT;
+
+COMMENT ON COLUMN threads.metadata IS 'Thread metadata: participants (email addresses) and last_message_at';
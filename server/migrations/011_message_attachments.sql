@@ -0,0 +1,34 @@
+-- Migration: Attachment metadata and content-addressed attachment store
+-- Date: 2026-10-18
+
+BEGIN;
+
+-- Message attachments: metadata from ingestion, bytes fetched lazily into a content-addressed store
+CREATE TABLE IF NOT EXISTS message_attachments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  part_id TEXT NOT NULL, -- MIME part id within the message
+  filename TEXT,
+  mime_type TEXT,
+  size_bytes INTEGER,
+  external_attachment_id TEXT, -- platform attachment id (Gmail ids can change between fetches)
+  content_id TEXT, -- Content-ID for inline parts
+  is_inline BOOLEAN DEFAULT false,
+  content_hash TEXT, -- sha256 of the bytes in the local store, null until fetched
+  extracted_text TEXT,
+  extraction_status TEXT, -- 'extracted','unsupported','failed'
+  fetched_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_message_attachments_part ON message_attachments(message_id, part_id);
+CREATE INDEX IF NOT EXISTS idx_message_attachments_user ON message_attachments(user_id);
+
+-- Older rows stored attachments as '{}' - normalize to an empty array
+UPDATE messages SET attachments = '[]'::jsonb WHERE attachments IS NULL OR attachments = '{}'::jsonb;
+
+COMMIT;
+
+COMMENT ON TABLE message_attachments IS 'Attachment metadata per message; bytes live in ATTACHMENT_STORE_DIR keyed by content_hash';
+COMMENT ON COLUMN message_attachments.extracted_text IS 'Plain text pulled from PDF/DOCX/text attachments for the LLM and search';
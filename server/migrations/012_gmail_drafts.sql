@@ -0,0 +1,19 @@
+-- Migration: Track Gmail drafts created from suggested replies
+-- Date: 2026-10-18
+
+BEGIN;
+
+-- draft_reply creates a Gmail draft instead of sending; the draft id lives on the message's action row
+ALTER TABLE message_actions ADD COLUMN IF NOT EXISTS gmail_draft_id TEXT;
+ALTER TABLE message_actions ADD COLUMN IF NOT EXISTS draft_status TEXT CHECK (draft_status IN ('open','sent','discarded'));
+ALTER TABLE message_actions ADD COLUMN IF NOT EXISTS draft_payload JSONB;
+ALTER TABLE message_actions ADD COLUMN IF NOT EXISTS draft_updated_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_message_actions_gmail_draft ON message_actions(user_id, gmail_draft_id) WHERE gmail_draft_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_message_actions_open_drafts ON message_actions(user_id, draft_updated_at DESC) WHERE draft_status = 'open';
+
+COMMIT;
+
+COMMENT ON COLUMN message_actions.gmail_draft_id IS 'Gmail draft id created for a draft_reply action';
+COMMENT ON COLUMN message_actions.draft_status IS 'Draft lifecycle: open, sent or discarded';
+COMMENT ON COLUMN message_actions.draft_payload IS 'Editable draft content: body, html, replyAll, cc, bcc';
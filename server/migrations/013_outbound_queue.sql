@@ -0,0 +1,26 @@
+-- Migration: Outbound send queue with an undo-send window
+-- Date: 2026-10-18
+
+BEGIN;
+
+-- Every outbound send becomes an email_schedules row; 'outbox' rows are due after the user's undo delay
+ALTER TABLE email_schedules ADD COLUMN IF NOT EXISTS kind TEXT DEFAULT 'scheduled' CHECK (kind IN ('scheduled','outbox'));
+ALTER TABLE email_schedules ADD COLUMN IF NOT EXISTS payload JSONB;
+ALTER TABLE email_schedules ADD COLUMN IF NOT EXISTS source TEXT;
+ALTER TABLE email_schedules ADD COLUMN IF NOT EXISTS gmail_message_id TEXT;
+
+-- 'sending' marks rows claimed by the dispatcher so a cancel can no longer race the send
+ALTER TABLE email_schedules DROP CONSTRAINT IF EXISTS email_schedules_status_check;
+ALTER TABLE email_schedules ADD CONSTRAINT email_schedules_status_check CHECK (status IN ('scheduled','sending','sent','failed','cancelled'));
+
+CREATE INDEX IF NOT EXISTS idx_email_schedules_user_outbox ON email_schedules(user_id, scheduled_for) WHERE kind = 'outbox' AND status IN ('scheduled','sending');
+
+-- Per-user undo delay applied to outbox sends
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS undo_send_seconds INTEGER DEFAULT 10 CHECK (undo_send_seconds BETWEEN 0 AND 30);
+
+COMMIT;
+
+COMMENT ON COLUMN email_schedules.kind IS 'scheduled (user picked a time) or outbox (immediate send held for the undo window)';
+COMMENT ON COLUMN email_schedules.payload IS 'Prepared send: {raw, threadId} MIME message or {gmail_draft_id}; null for legacy scheduled rows built from subject/body';
+COMMENT ON COLUMN email_schedules.source IS 'Where the send came from, e.g. action:reply, draft, llm:send_email';
+COMMENT ON COLUMN user_settings.undo_send_seconds IS 'Seconds an outbound send waits in the outbox before dispatch (0-30)';
@@ -0,0 +1,11 @@
+-- Migration: Per-user LLM provider selection
+-- Date: 2026-10-18
+
+BEGIN;
+
+-- NULL means the deployment default (LLM_PROVIDER)
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS llm_provider TEXT;
+
+COMMIT;
+
+COMMENT ON COLUMN user_settings.llm_provider IS 'LLM provider chosen by the user (openai, local); must be listed in LLM_USER_PROVIDERS';
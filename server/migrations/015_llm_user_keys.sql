@@ -0,0 +1,22 @@
+-- Migration: Encrypted per-user LLM keys and admin fallback policy
+-- Date: 2026-10-19
+
+BEGIN;
+
+-- llm_key_encrypted now holds AES-256-GCM ciphertext (utils/secrets.js); older plaintext values are still read
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS llm_key_hint TEXT;
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS llm_key_validated_at TIMESTAMPTZ;
+
+-- Deployment-wide settings changed by admins at runtime
+CREATE TABLE IF NOT EXISTS system_settings (
+  key TEXT PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+COMMIT;
+
+COMMENT ON COLUMN user_settings.llm_key_hint IS 'Last characters of the user LLM key for display; the key itself is never returned';
+COMMENT ON COLUMN user_settings.llm_key_validated_at IS 'When the stored key was last checked against the provider';
+COMMENT ON TABLE system_settings IS 'Admin-editable deployment settings (e.g. llm_key_fallback: when_missing | on_failure | never)';
@@ -0,0 +1,17 @@
+-- Migration: Token and cost accounting for every LLM call
+-- Date: 2026-10-19
+
+BEGIN;
+
+ALTER TABLE llm_calls ADD COLUMN IF NOT EXISTS provider TEXT;
+ALTER TABLE llm_calls ADD COLUMN IF NOT EXISTS key_source TEXT CHECK (key_source IN ('user', 'deployment'));
+
+-- Usage breakdowns and per-user windows scan by time
+CREATE INDEX IF NOT EXISTS idx_llm_calls_user_created ON llm_calls(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_llm_calls_created ON llm_calls(created_at DESC);
+
+COMMIT;
+
+COMMENT ON COLUMN llm_calls.provider IS 'LLM provider that served the call (openai, local, mock)';
+COMMENT ON COLUMN llm_calls.key_source IS 'Whether the call ran on the user''s own API key or the deployment key';
+COMMENT ON COLUMN llm_calls.cost_estimate IS 'USD estimate from src/llm/pricing.js; NULL when the model has no known price';
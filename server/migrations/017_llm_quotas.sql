@@ -0,0 +1,11 @@
+-- Migration: Per-user LLM budgets and rate limits
+-- Date: 2026-10-19
+
+BEGIN;
+
+-- Per-user overrides; deployment defaults live in system_settings under 'llm_limits'
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS llm_limits JSONB;
+
+COMMIT;
+
+COMMENT ON COLUMN user_settings.llm_limits IS 'Admin overrides of LLM limits (daily_tokens, monthly_tokens, daily_cost, monthly_cost, requests_per_minute, requests_per_hour); null values mean unlimited';
@@ -0,0 +1,26 @@
+-- Migration: Embedding pipeline for message_embeddings
+-- Date: 2026-10-19
+
+BEGIN;
+
+-- One row per chunk of a message's text
+ALTER TABLE message_embeddings ADD COLUMN IF NOT EXISTS chunk_index INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE message_embeddings ADD COLUMN IF NOT EXISTS chunk_text TEXT;
+CREATE INDEX IF NOT EXISTS idx_message_embeddings_message ON message_embeddings(message_id);
+CREATE INDEX IF NOT EXISTS idx_message_embeddings_user_model ON message_embeddings(user_id, model);
+
+-- Embedding state per message; a message is pending while embedding_model differs from EMBEDDING_MODEL
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS embedded_at TIMESTAMPTZ;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS embedding_attempts INTEGER DEFAULT 0;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS embedding_error TEXT;
+CREATE INDEX IF NOT EXISTS idx_messages_embedding_pending ON messages(embedding_model, embedding_attempts, received_at DESC);
+
+COMMIT;
+
+COMMENT ON COLUMN message_embeddings.chunk_index IS 'Position of the chunk within the message text (0-based)';
+COMMENT ON COLUMN message_embeddings.chunk_text IS 'Text that was embedded (subject and sender header plus the body chunk)';
+COMMENT ON COLUMN messages.embedding_model IS 'Embedding model the stored message_embeddings rows came from; NULL when not embedded yet';
+COMMENT ON COLUMN messages.embedded_at IS 'When the message was last embedded';
+COMMENT ON COLUMN messages.embedding_attempts IS 'Failed embedding attempts for the current model (reset on success and on model change)';
+COMMENT ON COLUMN messages.embedding_error IS 'Error from the last failed embedding attempt';
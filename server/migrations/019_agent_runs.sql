@@ -0,0 +1,33 @@
+-- Migration: Agent runs for the tool-calling chat agent
+-- Date: 2026-10-19
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS agent_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  session_id UUID REFERENCES chat_sessions(id) ON DELETE SET NULL,
+  chat_message_id UUID REFERENCES chat_messages(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'awaiting_confirmation', 'completed', 'failed', 'cancelled')),
+  input TEXT NOT NULL,
+  messages JSONB NOT NULL DEFAULT '[]',
+  steps JSONB NOT NULL DEFAULT '[]',
+  pending JSONB NOT NULL DEFAULT '[]',
+  step_count INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_runs_user_created ON agent_runs(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_agent_runs_chat_message ON agent_runs(chat_message_id);
+
+COMMIT;
+
+COMMENT ON TABLE agent_runs IS 'Tool-calling agent runs behind intelligent chat replies, with their execution trace';
+COMMENT ON COLUMN agent_runs.chat_message_id IS 'Assistant chat message showing the latest reply of the run';
+COMMENT ON COLUMN agent_runs.messages IS 'Model transcript (system, user, assistant tool calls and tool results) used to resume the run';
+COMMENT ON COLUMN agent_runs.steps IS 'Execution trace: one entry per tool call, answer or step-limit event';
+COMMENT ON COLUMN agent_runs.pending IS 'Tool calls from the last model turn not run yet; the first waits for confirmation when the run is paused';
+COMMENT ON COLUMN agent_runs.step_count IS 'Model turns used so far (capped by AGENT_MAX_STEPS)';
@@ -0,0 +1,39 @@
+-- Migration: Approval queue for side-effecting assistant actions
+-- Date: 2026-10-19
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS action_approvals (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  action_type TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'executing', 'executed', 'rejected', 'failed')),
+  payload JSONB NOT NULL,
+  proposed_payload JSONB NOT NULL,
+  preview JSONB NOT NULL DEFAULT '{}',
+  source TEXT NOT NULL DEFAULT 'chat' CHECK (source IN ('chat', 'agent')),
+  session_id UUID REFERENCES chat_sessions(id) ON DELETE SET NULL,
+  agent_run_id UUID REFERENCES agent_runs(id) ON DELETE SET NULL,
+  tool_call_id TEXT,
+  decided_by TEXT CHECK (decided_by IN ('user', 'auto')),
+  result JSONB,
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  decided_at TIMESTAMPTZ,
+  executed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_action_approvals_user_status ON action_approvals(user_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_action_approvals_agent_run ON action_approvals(agent_run_id);
+
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS auto_approve_actions JSONB DEFAULT '{}';
+
+COMMIT;
+
+COMMENT ON TABLE action_approvals IS 'Side-effecting actions proposed by the assistant, waiting for or recording the user''s decision';
+COMMENT ON COLUMN action_approvals.action_type IS 'Agent tool that performs the action (draft_reply, create_event, create_task, snooze, schedule_send)';
+COMMENT ON COLUMN action_approvals.payload IS 'Tool arguments that run (or will run), including the user''s edits';
+COMMENT ON COLUMN action_approvals.proposed_payload IS 'Tool arguments as the assistant proposed them';
+COMMENT ON COLUMN action_approvals.preview IS 'Summary and field-by-field changes shown to the user before deciding';
+COMMENT ON COLUMN action_approvals.decided_by IS 'user, or auto when the action type is auto-approved in settings';
+COMMENT ON COLUMN user_settings.auto_approve_actions IS 'Action types that run without asking, e.g. {"create_task": true}';
@@ -0,0 +1,20 @@
+-- Migration: Actor, target and outcome on audit log entries
+-- Date: 2026-10-19
+
+BEGIN;
+
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS actor TEXT NOT NULL DEFAULT 'user' CHECK (actor IN ('user', 'assistant', 'job'));
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS target_type TEXT;
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS target_id TEXT;
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS outcome TEXT NOT NULL DEFAULT 'success' CHECK (outcome IN ('success', 'failure'));
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_audit_logs_user_created ON audit_logs(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_user_action ON audit_logs(user_id, action, created_at DESC);
+
+COMMIT;
+
+COMMENT ON COLUMN audit_logs.actor IS 'Who acted: the user, the assistant on their behalf (approved or auto-approved actions), or a background job';
+COMMENT ON COLUMN audit_logs.target_type IS 'Kind of object acted on (message, draft, outbox, approval, settings, ...)';
+COMMENT ON COLUMN audit_logs.target_id IS 'ID of the object acted on, as text';
+COMMENT ON COLUMN audit_logs.outcome IS 'success or failure; failures keep the error message';
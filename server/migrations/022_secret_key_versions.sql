@@ -0,0 +1,16 @@
+-- Migration: Track the master key version of encrypted secrets
+-- Date: 2026-10-19
+-- Existing plaintext OAuth tokens and LLM keys are encrypted on the next server start
+-- (rows with a NULL key version); `npm run secrets:rotate` does the same on demand and
+-- re-wraps values written with an older master key.
+
+BEGIN;
+
+ALTER TABLE integrations ADD COLUMN IF NOT EXISTS oauth_token_key_version INTEGER;
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS llm_key_version INTEGER;
+
+COMMIT;
+
+COMMENT ON COLUMN integrations.oauth_token_encrypted IS 'OAuth tokens JSON, envelope-encrypted with utils/secrets.js';
+COMMENT ON COLUMN integrations.oauth_token_key_version IS 'Master key version the token data key is wrapped with; NULL = plaintext or pre-envelope value';
+COMMENT ON COLUMN user_settings.llm_key_version IS 'Master key version the LLM key data key is wrapped with; NULL = plaintext or pre-envelope value';
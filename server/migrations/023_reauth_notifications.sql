@@ -0,0 +1,12 @@
+-- Migration: Notification type for integrations whose Google grant was revoked
+-- Date: 2026-10-19
+-- The Google client factory flags the integration (config.needs_reauth) and notifies the
+-- user with a link to /api/auth/reauth; reconnecting rewrites config and clears the flag.
+
+BEGIN;
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+  CHECK (type IN ('new_email', 'high_priority', 'keyword_alert', 'scheduled_reminder', 'follow_up', 'reauth_required'));
+
+COMMIT;
@@ -0,0 +1,12 @@
+-- Migration: Structured working hours, meeting and focus preferences on the user profile
+-- Date: 2026-10-19
+-- Read through services/workPreferencesService.js, which fills in defaults for missing keys;
+-- an empty object means the defaults (Mon-Fri 09:00-17:00, lunch 12:00-13:00).
+
+BEGIN;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS work_preferences JSONB NOT NULL DEFAULT '{}';
+
+COMMIT;
+
+COMMENT ON COLUMN users.work_preferences IS 'Working hours per weekday, lunch window, meeting buffer and lengths, no-meeting days and focus-time target';
@@ -0,0 +1,19 @@
+-- Migration: Google Calendar sync into calendar_events
+-- Date: 2026-10-19
+-- integrations/google/calendarSync.js mirrors the primary calendar with incremental sync tokens
+-- (kept in integrations.config.calendar_sync_token). Events are upserted on
+-- (user_id, platform, external_event_id); cancelled events are deleted.
+
+BEGIN;
+
+ALTER TABLE calendar_events ADD COLUMN IF NOT EXISTS calendar_id TEXT;
+ALTER TABLE calendar_events ADD COLUMN IF NOT EXISTS status TEXT;
+ALTER TABLE calendar_events ADD COLUMN IF NOT EXISTS all_day BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE calendar_events ADD COLUMN IF NOT EXISTS response_status TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_events_external ON calendar_events(user_id, platform, external_event_id);
+
+COMMIT;
+
+COMMENT ON COLUMN calendar_events.status IS 'Provider event status: confirmed or tentative (cancelled events are removed)';
+COMMENT ON COLUMN calendar_events.response_status IS 'The user''s RSVP: accepted, declined, tentative or needsAction';
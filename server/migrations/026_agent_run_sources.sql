@@ -0,0 +1,12 @@
+-- Migration: numbered search results on agent runs
+-- Date: 2026-10-19
+-- llm/agent/agentLoop.js numbers search_mail results across a run so the final answer can cite
+-- them; they are kept with the run so a run resumed after an approval can still cite them.
+
+BEGIN;
+
+ALTER TABLE agent_runs ADD COLUMN IF NOT EXISTS sources JSONB NOT NULL DEFAULT '[]';
+
+COMMIT;
+
+COMMENT ON COLUMN agent_runs.sources IS 'search_mail results seen by the run, numbered by ref for citations';
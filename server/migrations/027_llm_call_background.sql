@@ -0,0 +1,12 @@
+-- Migration: mark background LLM calls
+-- Date: 2026-10-19
+-- services/llmQuotaService.js counts only the user's own requests against requests_per_minute and
+-- requests_per_hour; background triage and message embedding still count toward token and cost budgets.
+
+BEGIN;
+
+ALTER TABLE llm_calls ADD COLUMN IF NOT EXISTS background BOOLEAN NOT NULL DEFAULT false;
+
+COMMIT;
+
+COMMENT ON COLUMN llm_calls.background IS 'Made by a job (triage, embedding) rather than a user request; excluded from request rate limits';
@@ -0,0 +1,26 @@
+-- Migration: stored full-text search vectors for mail and calendar search
+-- Date: 2026-10-19
+-- services/retrievalService.js matched keywords by building to_tsvector for every row of the user's
+-- mail and calendar on each search. The vectors are now generated columns with GIN indexes, so keyword
+-- search is an index lookup. Adding a STORED column rewrites both tables once.
+
+BEGIN;
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', COALESCE(subject, '')), 'A') ||
+  setweight(to_tsvector('simple', COALESCE(sender, '')), 'A') ||
+  setweight(to_tsvector('english', LEFT(COALESCE(body_plain, ''), 20000)), 'B')
+) STORED;
+CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON messages USING GIN (search_vector);
+
+ALTER TABLE calendar_events ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+  setweight(to_tsvector('simple', COALESCE(organizer, '') || ' ' || COALESCE(attendees::text, '')), 'A') ||
+  setweight(to_tsvector('english', COALESCE(description, '') || ' ' || COALESCE(location, '')), 'B')
+) STORED;
+CREATE INDEX IF NOT EXISTS idx_calendar_events_search_vector ON calendar_events USING GIN (search_vector);
+
+COMMIT;
+
+COMMENT ON COLUMN messages.search_vector IS 'Weighted full-text vector: subject and sender (A), first 20000 characters of body_plain (B)';
+COMMENT ON COLUMN calendar_events.search_vector IS 'Weighted full-text vector: title, organizer and attendees (A), description and location (B)';
@@ -5,7 +5,10 @@ const session = require('express-session')
 const authRoutes = require('./routes/auth')
 const settingsRoutes = require('./routes/settings')
 const googlePoller = require('./integrations/google/poller')
+const calendarSync = require('./integrations/google/calendarSync')
 const llmProcessingJob = require('./jobs/llmProcessingJob')
+const embeddingJob = require('./jobs/embeddingJob')
+const secretRotationService = require('./services/secretRotationService')
 const db = require('./db')
 const fs = require('fs')
 const { userContextMiddleware } = require('./middleware/userContext')
@@ -37,6 +40,9 @@ app.use('/api/llm', require('./routes/llm'))
 app.use('/api/chat', require('./routes/chat'))
 app.use('/api/phase1', require('./routes/phase1')) // Phase 1 features
 app.use('/api/phase2', require('./routes/phase2')) // Phase 2 features
+app.use('/api/admin', require('./routes/admin'))
+app.use('/api/audit', require('./routes/audit'))
+app.use('/api/calendar', require('./routes/calendar'))
 
 async function start(){
   try{
@@ -45,13 +51,24 @@ async function start(){
     await db.query(migration)
     console.log('migrations applied')
 
+    // Encrypt OAuth tokens / LLM keys stored before encryption at rest
+    try{
+      const report = await secretRotationService.rotateSecrets({ unencryptedOnly: true })
+      const rotated = report.reduce((n, stats)=> n + stats.rotated, 0)
+      if(rotated > 0) console.log(`encrypted ${rotated} stored secrets`)
+    }catch(e){
+      console.error('could not encrypt stored secrets', e.message)
+    }
+
     const port = process.env.PORT || 4000
     app.listen(port, ()=>{
       console.log('server listening', port)
       
       // Start background jobs
       googlePoller.start()
+      calendarSync.start()
        llmProcessingJob.start()
+      embeddingJob.start()
     })
   }catch(e){
     console.error('failed to start', e)
@@ -1,28 +1,24 @@
 const {google} = require('googleapis')
+const { buildMimeMessage, encodeRaw } = require('../../utils/mimeMessage')
 
-function oauthClientFromTokens(tokens){
-  const o = new google.auth.OAuth2(process.env.GOOGLE_CLIENT_ID, process.env.GOOGLE_CLIENT_SECRET)
-  o.setCredentials(tokens)
-  return o
-}
-
-async function createCalendarEvent(tokens, event){
-  const o = oauthClientFromTokens(tokens)
-  const calendar = google.calendar({version:'v3', auth:o})
+// auth is an OAuth2 client from ./client (createClient / getClientForUser)
+async function createCalendarEvent(auth, event){
+  const calendar = google.calendar({version:'v3', auth})
   const res = await calendar.events.insert({calendarId:'primary', requestBody: event})
   return res.data
 }
 
-async function sendGmail(tokens, rawMessage){
-  const o = oauthClientFromTokens(tokens)
-  const gmail = google.gmail({version:'v1', auth:o})
-  const res = await gmail.users.messages.send({userId:'me', requestBody:{raw: rawMessage}})
+// message is either an already encoded raw string or options for buildMimeMessage (plus optional threadId)
+async function sendGmail(auth, message, opts = {}){
+  const gmail = google.gmail({version:'v1', auth})
+  const raw = typeof message === 'string' ? message : encodeRaw(buildMimeMessage(message))
+  const threadId = opts.threadId || (typeof message === 'object' && message.threadId) || undefined
+  const res = await gmail.users.messages.send({userId:'me', requestBody:{raw, threadId}})
   return res.data
 }
 
-async function createTask(tokens, task){
-  const o = oauthClientFromTokens(tokens)
-  const tasks = google.tasks({version:'v1', auth:o})
+async function createTask(auth, task){
+  const tasks = google.tasks({version:'v1', auth})
   const res = await tasks.tasks.insert({tasklist:'@default', requestBody:task})
   return res.data
 }
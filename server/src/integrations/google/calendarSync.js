@@ -0,0 +1,213 @@
+const {google} = require('googleapis')
+const db = require('../../db')
+const integrationUtils = require('../../utils/integrations')
+const googleClient = require('./client')
+const { createDateInUserTimezone } = require('../../utils/timezone')
+const { findMeetingUrl } = require('../../utils/ical')
+
+const SYNC_INTERVAL = parseInt(process.env.CALENDAR_SYNC_INTERVAL || '300000') // 5 minutes
+const FULL_SYNC_PAST_DAYS = parseInt(process.env.CALENDAR_FULL_SYNC_PAST_DAYS || '30')
+const CALENDAR_ID = 'primary'
+
+function isGone(e){
+  const status = e && (e.code || (e.response && e.response.status))
+  return Number(status) === 410
+}
+
+function meetingUrl(event){
+  if(event.hangoutLink) return event.hangoutLink
+  const entryPoints = (event.conferenceData && event.conferenceData.entryPoints) || []
+  const video = entryPoints.find(p => p.entryPointType === 'video')
+  if(video && video.uri) return video.uri
+  return findMeetingUrl(`${event.location || ''}\n${event.description || ''}`)
+}
+
+// all-day events carry a date in the calendar's timezone; timed events carry an instant
+function eventTime(time, timezone){
+  if(time.dateTime) return new Date(time.dateTime)
+  return createDateInUserTimezone(time.timeZone || timezone || 'UTC', time.date, '00:00:00')
+}
+
+/**
+ * calendar_events row for a Google event
+ * @param {Object} event - Calendar API event resource
+ * @param {string} timezone - Timezone of the calendar (for all-day events)
+ * @returns {Object} Column values
+ */
+function eventRow(event, timezone){
+  const attendees = (event.attendees || []).map(a => ({
+    email: a.email ? a.email.toLowerCase() : null,
+    name: a.displayName || null,
+    response_status: a.responseStatus || 'needsAction',
+    organizer: !!a.organizer,
+    self: !!a.self,
+    optional: !!a.optional
+  }))
+  const self = attendees.find(a => a.self)
+  const organizerSelf = !!(event.organizer && event.organizer.self)
+  const conference = event.conferenceData
+    ? {
+        solution: event.conferenceData.conferenceSolution ? event.conferenceData.conferenceSolution.name : null,
+        entry_points: (event.conferenceData.entryPoints || []).map(p => ({type: p.entryPointType, uri: p.uri, label: p.label || null}))
+      }
+    : null
+  return {
+    external_event_id: event.id,
+    calendar_id: CALENDAR_ID,
+    organizer: event.organizer ? (event.organizer.email || '').toLowerCase() || null : null,
+    attendees,
+    title: event.summary || '(No title)',
+    description: event.description || null,
+    start_time: eventTime(event.start, timezone),
+    end_time: eventTime(event.end, timezone),
+    all_day: !event.start.dateTime,
+    location: event.location || null,
+    meeting_url: meetingUrl(event),
+    status: event.status || 'confirmed',
+    // events you organize (or that have no guest list) are yours; otherwise it's your RSVP
+    response_status: self ? self.response_status : (organizerSelf || attendees.length === 0 ? 'accepted' : null),
+    metadata: {
+      htmlLink: event.htmlLink || null,
+      ical_uid: event.iCalUID || null,
+      recurring_event_id: event.recurringEventId || null,
+      organizer_self: organizerSelf,
+      organizer_name: event.organizer ? event.organizer.displayName || null : null,
+      conference,
+      etag: event.etag || null
+    }
+  }
+}
+
+async function upsertEvent(userId, row){
+  await db.query(`INSERT INTO calendar_events (user_id, platform, external_event_id, calendar_id, organizer, attendees, title, description, start_time, end_time, all_day, location, meeting_url, status, response_status, metadata, created_at, updated_at)
+    VALUES ($1,'google',$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,now(),now())
+    ON CONFLICT (user_id, platform, external_event_id) DO UPDATE SET calendar_id=EXCLUDED.calendar_id, organizer=EXCLUDED.organizer, attendees=EXCLUDED.attendees, title=EXCLUDED.title, description=EXCLUDED.description, start_time=EXCLUDED.start_time, end_time=EXCLUDED.end_time, all_day=EXCLUDED.all_day, location=EXCLUDED.location, meeting_url=EXCLUDED.meeting_url, status=EXCLUDED.status, response_status=EXCLUDED.response_status, metadata=EXCLUDED.metadata, updated_at=now()`,
+  [userId, row.external_event_id, row.calendar_id, row.organizer, JSON.stringify(row.attendees), row.title, row.description, row.start_time, row.end_time, row.all_day, row.location, row.meeting_url, row.status, row.response_status, JSON.stringify(row.metadata)])
+}
+
+async function deleteEvent(userId, externalId){
+  await db.query(`DELETE FROM calendar_events WHERE user_id=$1 AND platform='google' AND external_event_id=$2`, [userId, externalId])
+}
+
+// apply one page of events; cancelled ones (deleted events, removed instances) are dropped
+async function applyEvents(userId, items, timezone, stats){
+  for(const event of items){
+    if(event.status !== 'cancelled') stats.listed.push(event.id)
+    try{
+      if(event.status === 'cancelled'){
+        await deleteEvent(userId, event.id)
+        stats.deleted++
+      }else{
+        await upsertEvent(userId, eventRow(event, timezone))
+        stats.saved++
+      }
+    }catch(e){ console.error(`calendar event ${event.id} fail`, e.message || e) }
+  }
+}
+
+// page through events.list; returns the sync token for the next run and the ids of live events seen
+async function listAll(calendar, userId, params){
+  const stats = {saved:0, deleted:0, listed:[]}
+  let pageToken = null
+  let syncToken = null
+  do{
+    const r = await calendar.events.list({calendarId: CALENDAR_ID, singleEvents: true, maxResults: 250, ...params, pageToken: pageToken || undefined})
+    await applyEvents(userId, r.data.items || [], r.data.timeZone, stats)
+    pageToken = r.data.nextPageToken
+    if(r.data.nextSyncToken) syncToken = r.data.nextSyncToken
+  }while(pageToken)
+  return {syncToken, stats}
+}
+
+// first sync, and resync when the stored token has expired: once every page is in, drop the rows
+// it didn't list, so a failed page leaves the calendar as it was rather than empty
+async function fullSync(calendar, row){
+  const timeMin = new Date(Date.now() - FULL_SYNC_PAST_DAYS * 24 * 3600 * 1000).toISOString()
+  const {syncToken, stats} = await listAll(calendar, row.user_id, {timeMin})
+  const stale = await db.query(`DELETE FROM calendar_events WHERE user_id=$1 AND platform='google' AND NOT (external_event_id = ANY($2))`, [row.user_id, stats.listed])
+  console.log(`Calendar full sync stored ${stats.saved} events and removed ${stale.rowCount || 0} for user ${row.user_id}`)
+  return syncToken
+}
+
+async function syncIntegration(calendar, row){
+  const storedToken = row.config && row.config.calendar_sync_token
+  if(!storedToken) return fullSync(calendar, row)
+  try{
+    const {syncToken, stats} = await listAll(calendar, row.user_id, {syncToken: storedToken})
+    if(stats.saved || stats.deleted) console.log(`Calendar sync for user ${row.user_id}: ${stats.saved} saved, ${stats.deleted} deleted`)
+    return syncToken
+  }catch(e){
+    // Google invalidates sync tokens now and then; 410 Gone means start over
+    if(!isGone(e)) throw e
+    console.warn(`Calendar sync token expired for user ${row.user_id}, running full resync`)
+    return fullSync(calendar, row)
+  }
+}
+
+/**
+ * Point invitation emails (messages.metadata.invite) at the synced event with the same iCalendar UID
+ * Invites and their events arrive in either order, so this runs after storing an invite and after
+ * every calendar sync. Recurring series link to the occurrence starting at the invite's start time,
+ * else the next one.
+ * @param {string} userId - User ID
+ * @returns {number} Messages linked
+ */
+async function linkInvites(userId){
+  const r = await db.query(`UPDATE messages m SET metadata = jsonb_set(m.metadata, '{invite,calendar_event_id}', to_jsonb(linked.event_id::text))
+    FROM (
+      SELECT DISTINCT ON (msg.id) msg.id AS message_id, ce.id AS event_id
+      FROM messages msg
+      JOIN calendar_events ce ON ce.user_id = msg.user_id AND ce.metadata->>'ical_uid' = msg.metadata->'invite'->>'uid'
+      WHERE msg.user_id = $1 AND msg.metadata ? 'invite' AND NOT (msg.metadata->'invite' ? 'calendar_event_id')
+      ORDER BY msg.id, (ce.start_time = (msg.metadata->'invite'->>'start')::timestamptz) DESC, (ce.end_time < now()), ce.start_time
+    ) linked
+    WHERE m.id = linked.message_id`, [userId])
+  return r.rowCount
+}
+
+async function syncRow(row){
+  const calendar = google.calendar({version:'v3', auth: googleClient.createClient(row)})
+  const syncToken = await syncIntegration(calendar, row)
+  const patch = {calendar_last_sync: new Date().toISOString()}
+  if(syncToken) patch.calendar_sync_token = syncToken
+  await integrationUtils.updateIntegrationConfig(row.id, patch)
+  await linkInvites(row.user_id)
+  return patch
+}
+
+async function sync(){
+  const rows = await integrationUtils.listIntegrationsForCapability('calendar')
+  for(const row of rows){
+    try{
+      // revoked grants wait for the user to reconnect
+      if(!row.tokens || googleClient.needsReauth(row)) continue
+      await syncRow(row)
+    }catch(e){ console.error('calendar sync row fail', e.message || e) }
+  }
+}
+
+/**
+ * Sync one user's calendar now (the pane's refresh button)
+ * @param {string} userId - User ID
+ * @returns {Object} {calendar_last_sync}
+ * @throws {Error} code 'no_integration' or 'google_reauth_required'
+ */
+async function syncUser(userId){
+  const validation = await integrationUtils.resolveIntegration(userId, 'calendar')
+  if(validation.errorCode === 'REAUTH_REQUIRED'){
+    const error = new Error('Google access was revoked; reconnect your account')
+    error.code = 'google_reauth_required'
+    throw error
+  }
+  if(!validation.integration || !validation.integration.tokens){
+    const error = new Error('Connect a Google account to sync your calendar')
+    error.code = 'no_integration'
+    throw error
+  }
+  const row = {...validation.integration, config: validation.integration.configData || {}}
+  const {calendar_last_sync} = await syncRow(row)
+  return {calendar_last_sync}
+}
+
+let timer = null
+module.exports = { sync, syncUser, eventRow, linkInvites, start: ()=>{ if(timer) return; timer = setInterval(sync, SYNC_INTERVAL); sync().catch(e=>console.error(e)) }, stop: ()=>{ if(timer) clearInterval(timer); timer=null } }
@@ -0,0 +1,113 @@
+const {google} = require('googleapis')
+const integrationUtils = require('../../utils/integrations')
+const auditService = require('../../services/auditService')
+const smartNotificationsService = require('../../services/smartNotificationsService')
+
+/**
+ * Google client factory
+ * Every Google API client for a user's integration is built here. Access tokens refreshed by
+ * googleapis are saved back to integrations, and a refresh rejected with invalid_grant (access
+ * revoked, password changed, refresh token expired) flags the integration as needing re-auth,
+ * notifies the user with a link to /api/auth/reauth and stops further attempts until they reconnect.
+ */
+
+const GUARDED_METHODS = ['request', 'getAccessToken', 'getRequestHeaders']
+
+function isInvalidGrant(error){
+  if(!error) return false
+  const data = error.response && error.response.data
+  return error.message === 'invalid_grant' || (data && data.error === 'invalid_grant') || /invalid_grant/.test(error.message || '')
+}
+
+function reauthError(){
+  const error = new Error(`Google access was revoked or has expired; reconnect at ${integrationUtils.REAUTH_URL}`)
+  error.code = 'google_reauth_required'
+  return error
+}
+
+async function saveRefreshedTokens(integration, refreshed){
+  // Refresh responses usually leave out the refresh token; keep the one we have
+  const previous = integration.tokens || {}
+  const tokens = {...previous, ...refreshed, refresh_token: refreshed.refresh_token || previous.refresh_token}
+  integration.tokens = tokens
+  await integrationUtils.updateIntegrationTokens(integration.id, tokens)
+}
+
+async function handleRevokedGrant(integration, error){
+  const flagged = await integrationUtils.markIntegrationNeedsReauth(integration.id, 'invalid_grant')
+  integration.configData = {...(integration.configData || integration.config || {}), needs_reauth: true}
+  if(!flagged) return
+
+  console.warn(`Google grant revoked for user ${integration.user_id}; integration ${integration.id} needs re-auth`)
+  await auditService.recordFailure(integration.user_id, 'google_access_revoked', error, {
+    actor: 'job',
+    targetType: 'integration',
+    targetId: integration.id
+  })
+  try{
+    await smartNotificationsService.createNotification(integration.user_id, {
+      type: 'reauth_required',
+      priority: 5,
+      title: 'Reconnect your Google account',
+      content: `Google no longer accepts this app's access to your account, so mail sync, sending and calendar actions are paused. Reconnect at ${integrationUtils.REAUTH_URL}.`
+    })
+  }catch(e){ console.error('reauth notification fail', e.message) }
+}
+
+/**
+ * OAuth2 client for an integration row (with decrypted `tokens`)
+ * @param {Object} integration - Row from utils/integrations (id, user_id, tokens)
+ * @returns {google.auth.OAuth2} Client that persists refreshes and detects revoked grants
+ */
+function createClient(integration){
+  const client = new google.auth.OAuth2(process.env.GOOGLE_CLIENT_ID, process.env.GOOGLE_CLIENT_SECRET)
+  client.setCredentials(integration.tokens)
+
+  client.on('tokens', refreshed => {
+    saveRefreshedTokens(integration, refreshed)
+      .catch(e => console.error(`could not save refreshed tokens for integration ${integration.id}`, e.message))
+  })
+
+  // googleapis emits nothing when a refresh fails; every API call goes through one of these public
+  // methods, so a revoked grant surfaces as their rejection
+  for(const method of GUARDED_METHODS){
+    const original = client[method].bind(client)
+    client[method] = (...args) => {
+      const result = original(...args)
+      // request() with a callback returns nothing; googleapis always uses the promise form
+      if(!result || typeof result.then !== 'function') return result
+      return result.catch(async e => {
+        if(isInvalidGrant(e)){
+          await handleRevokedGrant(integration, e).catch(err => console.error('reauth flag fail', err.message))
+        }
+        throw e
+      })
+    }
+  }
+
+  return client
+}
+
+function needsReauth(integration){
+  const config = integration.configData || integration.config || {}
+  return config.needs_reauth === true
+}
+
+/**
+ * OAuth2 client for the integration providing a capability
+ * @param {string} userId - User ID
+ * @param {string} capability - 'mail', 'calendar' or 'tasks' (see utils/integrations CAPABILITY_PLATFORMS)
+ * @returns {google.auth.OAuth2|null} Client, or null when Google isn't connected
+ * @throws {Error} code 'google_reauth_required' when the grant was revoked
+ */
+async function getClientForUser(userId, capability = 'mail'){
+  const validation = await integrationUtils.resolveIntegration(userId, capability)
+  if(validation.errorCode === 'REAUTH_REQUIRED') throw reauthError()
+  if(!validation.integration || !validation.integration.tokens){
+    console.warn(`🔐 No Google OAuth tokens available for user ${userId} (${capability})`)
+    return null
+  }
+  return createClient(validation.integration)
+}
+
+module.exports = { createClient, getClientForUser, isInvalidGrant, needsReauth }
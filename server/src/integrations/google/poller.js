@@ -4,96 +4,298 @@ const actions = require('./actions')
 const { convert } = require('html-to-text')
 const striptags = require('striptags')
 const integrationUtils = require('../../utils/integrations')
+const googleClient = require('./client')
+const threadService = require('../../services/threadService')
+const emailAnalyticsService = require('../../services/emailAnalyticsService')
+const emailHeaders = require('../../utils/emailHeaders')
+const attachmentService = require('../../services/attachmentService')
+const calendarSync = require('./calendarSync')
+const ical = require('../../utils/ical')
 
 const POLL_INTERVAL = parseInt(process.env.GOOGLE_POLL_INTERVAL || '300000') // 5 minutes
+const FULL_SYNC_DAYS = parseInt(process.env.GMAIL_FULL_SYNC_DAYS || '7')
+const FULL_SYNC_MAX_MESSAGES = parseInt(process.env.GMAIL_FULL_SYNC_MAX_MESSAGES || '500')
+const HEADER_BACKFILL_BATCH = parseInt(process.env.GMAIL_HEADER_BACKFILL_BATCH || '100')
+
+// history record types we mirror into the messages table
+const HISTORY_TYPES = ['messageAdded', 'messageDeleted', 'labelAdded', 'labelRemoved']
+// messages carrying these labels are not kept locally
+const SKIPPED_LABELS = ['DRAFT', 'SPAM', 'TRASH']
+// headers requested when backfilling rows stored before header capture
+const CAPTURED_HEADERS = ['From', 'To', 'Cc', 'Bcc', 'Reply-To', 'Subject', 'Date', 'Message-ID', 'In-Reply-To', 'References', 'List-Unsubscribe', 'List-Unsubscribe-Post']
 
 async function getIntegrations(){
-  return await integrationUtils.listIntegrationsForPlatform('gmail', true)
+  return await integrationUtils.listIntegrationsForCapability('mail')
+}
+
+async function updateLastPollTime(userId){
+  try{
+    await db.query('UPDATE users SET last_gmail_poll=now() WHERE id=$1', [userId])
+  }catch(e){console.error('update poll time fail', e)}
+}
+
+async function upsertMessage(userId, platform, externalId, meta){
+  // insert or update message, return id
+  // llm_processed is only set on insert so re-syncs never re-trigger triage
+  const q = `INSERT INTO messages (user_id, platform, external_message_id, thread_id, sender, recipient, subject, body, body_plain, attachments, received_at, metadata, is_read, llm_processed, created_at)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,now())
+    ON CONFLICT (platform, external_message_id, user_id) DO UPDATE SET thread_id=EXCLUDED.thread_id, sender=EXCLUDED.sender, recipient=EXCLUDED.recipient, subject=EXCLUDED.subject, body=EXCLUDED.body, body_plain=EXCLUDED.body_plain, attachments=EXCLUDED.attachments, received_at=EXCLUDED.received_at, metadata=COALESCE(messages.metadata,'{}'::jsonb) || EXCLUDED.metadata, is_read=EXCLUDED.is_read RETURNING id, (xmax = 0) AS inserted`;
+  const vals = [userId, platform, externalId, meta.thread_id || null, meta.sender, JSON.stringify(meta.recipient||{}), meta.subject, meta.body, meta.body_plain, JSON.stringify(meta.attachments||[]), meta.received_at, JSON.stringify(meta.metadata||{}), !!meta.is_read, !!meta.skip_triage]
+  const r = await db.query(q, vals)
+  return r.rows[0]
 }
 
-function oauthClientFromTokens(tokens){
-  const o = new google.auth.OAuth2(process.env.GOOGLE_CLIENT_ID, process.env.GOOGLE_CLIENT_SECRET)
-  o.setCredentials(JSON.parse(tokens))
-  return o
+async function deleteMessage(userId, externalId){
+  await db.query('DELETE FROM messages WHERE user_id=$1 AND platform=$2 AND external_message_id=$3', [userId, 'gmail', externalId])
 }
 
+async function applyLabelChange(gmail, userId, externalId, labelIds, added){
+  const labels = labelIds || []
+  if(labels.some(l=>SKIPPED_LABELS.includes(l))){
+    // moved to trash/spam in Gmail - drop our copy as well; restored - fetch it again
+    return added ? deleteMessage(userId, externalId) : storeMessage(gmail, userId, externalId)
+  }
+  const vals = [userId, 'gmail', externalId, JSON.stringify(labels)]
+  // keep metadata.label_ids in step with Gmail
+  const labelExpr = added
+    ? `(SELECT COALESCE(jsonb_agg(DISTINCT l), '[]'::jsonb) FROM jsonb_array_elements(COALESCE(metadata->'label_ids','[]'::jsonb) || $4::jsonb) l)`
+    : `(SELECT COALESCE(jsonb_agg(l), '[]'::jsonb) FROM jsonb_array_elements(COALESCE(metadata->'label_ids','[]'::jsonb)) l WHERE NOT ($4::jsonb @> l))`
+  const sets = [`metadata=jsonb_set(COALESCE(metadata,'{}'::jsonb), '{label_ids}', ${labelExpr})`]
+  if(labels.includes('UNREAD')){ vals.push(!added); sets.push(`is_read=$${vals.length}`) }
+  if(labels.includes('STARRED')){ vals.push(added); sets.push(`is_flagged=$${vals.length}`) }
+  if(labels.includes('IMPORTANT')){ vals.push(added ? 'high' : 'normal'); sets.push(`importance=$${vals.length}`) }
+  await db.query(`UPDATE messages SET ${sets.join(', ')} WHERE user_id=$1 AND platform=$2 AND external_message_id=$3`, vals)
+}
 
+// structured recipients, threading headers and labels for a Gmail message
+function buildHeaderData(message){
+  const headers = (message.payload && message.payload.headers) || []
+  const header = name => emailHeaders.getHeader(headers, name)
+  const recipient = {
+    to: emailHeaders.parseAddressList(header('To')),
+    cc: emailHeaders.parseAddressList(header('Cc')),
+    bcc: emailHeaders.parseAddressList(header('Bcc')),
+    reply_to: emailHeaders.parseAddressList(header('Reply-To'))
+  }
+  const from = emailHeaders.parseAddress(header('From'))
+  const metadata = {
+    gmail_thread_id: message.threadId || null,
+    label_ids: message.labelIds || [],
+    headers: {
+      message_id: emailHeaders.parseMessageIds(header('Message-ID'))[0] || null,
+      in_reply_to: emailHeaders.parseMessageIds(header('In-Reply-To'))[0] || null,
+      references: emailHeaders.parseMessageIds(header('References')),
+      list_unsubscribe: emailHeaders.parseListUnsubscribe(header('List-Unsubscribe'), header('List-Unsubscribe-Post'))
+    }
+  }
+  const participants = [from && from.email, ...recipient.to.map(a=>a.email), ...recipient.cc.map(a=>a.email)]
+  return {from, recipient, metadata, participants}
+}
 
-async function getLastPollTime(userId){
+// sent mail seeds engagement analytics; incoming replies close the loop on it
+async function recordEngagement(userId, messageId, labels, headerData, subject, receivedAt){
   try{
-    const r = await db.query('SELECT last_gmail_poll FROM users WHERE id=$1', [userId])
-    if(r.rowCount===0) return null
-    return r.rows[0].last_gmail_poll
-  }catch(e){return null}
+    const {from, recipient, metadata} = headerData
+    if(labels.includes('SENT')){
+      for(const r of [...recipient.to, ...recipient.cc]){
+        await emailAnalyticsService.createAnalyticsEntry(userId, {messageId, recipientEmail: r.email, senderEmail: from ? from.email : '', subject, sentAt: receivedAt})
+      }
+    }else if(metadata.headers.in_reply_to && from){
+      await emailAnalyticsService.trackReplyByMessageId(userId, metadata.headers.in_reply_to, from.email, receivedAt)
+    }
+  }catch(e){ console.error('engagement tracking fail', e.message || e) }
 }
 
-async function updateLastPollTime(userId){
+// the iCalendar part of a meeting invitation: inline text/calendar, else an attached .ics
+function findCalendarPart(payload){
+  const parts = []
+  const walk = part => { if(!part) return; parts.push(part); (part.parts || []).forEach(walk) }
+  walk(payload)
+  const isCalendar = p => /^(text\/calendar|application\/ics)\b/i.test(p.mimeType || '') || /\.ics$/i.test(p.filename || '')
+  return parts.find(p => isCalendar(p) && !p.filename) || parts.find(isCalendar) || null
+}
+
+// parsed invitation (see utils/ical parseInvite) or null
+async function extractInvite(gmail, gmailId, payload){
+  const part = findCalendarPart(payload)
+  if(!part || !part.body) return null
   try{
-    await db.query('UPDATE users SET last_gmail_poll=now() WHERE id=$1', [userId])
-  }catch(e){console.error('update poll time fail', e)}
+    let data = part.body.data
+    if(!data && part.body.attachmentId){
+      const r = await gmail.users.messages.attachments.get({userId:'me', messageId: gmailId, id: part.body.attachmentId})
+      data = r.data.data
+    }
+    return data ? ical.parseInvite(Buffer.from(data, 'base64').toString('utf8')) : null
+  }catch(e){
+    console.error('invite parse fail', e.message || e)
+    return null
+  }
 }
 
-async function upsertMessage(userId, platform, externalId, meta){
-  // insert or update message, return id
-  const q = `INSERT INTO messages (user_id, platform, external_message_id, sender, recipient, subject, body, body_plain, attachments, received_at, metadata, created_at)
-    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,now())
-    ON CONFLICT (platform, external_message_id, user_id) DO UPDATE SET sender=EXCLUDED.sender, recipient=EXCLUDED.recipient, subject=EXCLUDED.subject, body=EXCLUDED.body, body_plain=EXCLUDED.body_plain, attachments=EXCLUDED.attachments, received_at=EXCLUDED.received_at, metadata=EXCLUDED.metadata RETURNING id`;
-  const vals = [userId, platform, externalId, meta.sender, JSON.stringify(meta.recipient||{}), meta.subject, meta.body, meta.body_plain, JSON.stringify(meta.attachments||{}), meta.received_at, JSON.stringify(meta.metadata||{})]
-  const r = await db.query(q, vals)
-  return r.rows[0].id
+function isNotFound(e){
+  return e && (e.code===404 || (e.response && e.response.status===404))
 }
 
+// fetch a single Gmail message and store it; returns false when it was skipped or is gone
+async function storeMessage(gmail, userId, gmailId){
+  try{
+    const full = await gmail.users.messages.get({userId:'me', id:gmailId, format:'full'})
+    const labels = full.data.labelIds || []
+    if(labels.some(l=>SKIPPED_LABELS.includes(l))) return false
+
+    const body = extractPlainText(full.data)
+    // a Date header that doesn't parse falls back to when Gmail received the message
+    const headerDate = new Date(parseHeader(full.data, 'Date') || NaN)
+    const receivedAt = (isNaN(headerDate) ? new Date(parseInt(full.data.internalDate || Date.now())) : headerDate).toISOString()
+    const sender = parseFrom(full.data)
+    const subject = parseHeader(full.data,'Subject')
+    const headerData = buildHeaderData(full.data)
+    const attachments = attachmentService.collectGmailAttachments(full.data.payload)
+    const invite = await extractInvite(gmail, gmailId, full.data.payload)
+    if(invite) headerData.metadata.invite = invite
 
+    // every Gmail message belongs to a thread, even a conversation of one
+    const threadId = full.data.threadId
+      ? await threadService.upsertThread(userId, 'gmail', full.data.threadId, {subject, participants: headerData.participants, messageAt: receivedAt})
+      : null
+
+    // Save message to DB - LLM processing job will handle the rest
+    const stored = await upsertMessage(userId, 'gmail', gmailId, {
+      thread_id: threadId,
+      sender,
+      recipient: headerData.recipient,
+      subject,
+      body: full.data.snippet,
+      body_plain: body,
+      attachments: attachments.map(a=>({part_id: a.part_id, filename: a.filename, mime_type: a.mime_type, size: a.size, inline: a.is_inline})),
+      received_at: receivedAt,
+      metadata: headerData.metadata,
+      is_read: !labels.includes('UNREAD'),
+      // our own sent mail is kept for context but never triaged
+      skip_triage: labels.includes('SENT') && !labels.includes('INBOX')
+    })
+    await attachmentService.syncMessageAttachments(stored.id, userId, attachments)
+    if(stored.inserted) await recordEngagement(userId, stored.id, labels, headerData, subject, receivedAt)
+    if(invite) await calendarSync.linkInvites(userId).catch(e=>console.error('invite link fail', e.message || e))
+    return true
+  }catch(e){
+    if(isNotFound(e)) return false // deleted before we got to it
+    throw e
+  }
+}
+
+// bounded resync used for first sync and when the stored history id has expired
+async function fullSync(gmail, row){
+  // take the mailbox history id first so changes made during the resync are replayed next poll
+  const profile = await gmail.users.getProfile({userId:'me'})
+  const historyId = profile.data.historyId
+  let pageToken = null
+  let listed = 0, stored = 0
+  do{
+    const r = await gmail.users.messages.list({userId:'me', q:`newer_than:${FULL_SYNC_DAYS}d`, maxResults: Math.min(100, FULL_SYNC_MAX_MESSAGES - listed), pageToken: pageToken || undefined})
+    const messages = r.data.messages || []
+    listed += messages.length
+    for(const m of messages){
+      try{ if(await storeMessage(gmail, row.user_id, m.id)) stored++ }
+      catch(e){ console.error('message fetch fail', e.message || e) }
+    }
+    pageToken = r.data.nextPageToken
+  }while(pageToken && listed < FULL_SYNC_MAX_MESSAGES)
+  console.log(`Full sync stored ${stored}/${listed} messages for user ${row.user_id}`)
+  return historyId
+}
+
+// replay every history page since startHistoryId; returns the new history id to persist
+// a message that can't be fetched (storeMessage already skips 404s) fails the whole replay, so the
+// stored history id stays put and the next poll tries again instead of losing the mail
+async function incrementalSync(gmail, row, startHistoryId){
+  let pageToken = null
+  let latestHistoryId = startHistoryId
+  const stats = {added:0, deleted:0, labels:0}
+  do{
+    const r = await gmail.users.history.list({userId:'me', startHistoryId, historyTypes: HISTORY_TYPES, maxResults: 500, pageToken: pageToken || undefined})
+    // records arrive oldest first, so applying them in order leaves the final state
+    for(const h of r.data.history || []){
+      for(const a of h.messagesAdded || []){
+        if(await storeMessage(gmail, row.user_id, a.message.id)) stats.added++
+      }
+      for(const d of h.messagesDeleted || []){
+        await deleteMessage(row.user_id, d.message.id)
+        stats.deleted++
+      }
+      for(const l of h.labelsAdded || []){
+        await applyLabelChange(gmail, row.user_id, l.message.id, l.labelIds, true)
+        stats.labels++
+      }
+      for(const l of h.labelsRemoved || []){
+        await applyLabelChange(gmail, row.user_id, l.message.id, l.labelIds, false)
+        stats.labels++
+      }
+    }
+    if(r.data.historyId) latestHistoryId = r.data.historyId
+    pageToken = r.data.nextPageToken
+  }while(pageToken)
+  console.log(`History sync for user ${row.user_id}: ${stats.added} added, ${stats.deleted} deleted, ${stats.labels} label changes`)
+  return latestHistoryId
+}
+
+// rows stored before header capture get recipients, headers and labels filled in, a batch per poll
+async function backfillHeaders(gmail, userId){
+  const r = await db.query(`SELECT id, external_message_id, subject, received_at FROM messages
+    WHERE user_id=$1 AND platform='gmail' AND (metadata IS NULL OR NOT (metadata ? 'headers'))
+    ORDER BY received_at DESC LIMIT $2`, [userId, HEADER_BACKFILL_BATCH])
+  let updated = 0
+  for(const row of r.rows){
+    try{
+      const m = await gmail.users.messages.get({userId:'me', id:row.external_message_id, format:'metadata', metadataHeaders: CAPTURED_HEADERS})
+      const headerData = buildHeaderData(m.data)
+      const receivedAt = row.received_at ? new Date(row.received_at).toISOString() : null
+      const threadId = m.data.threadId
+        ? await threadService.upsertThread(userId, 'gmail', m.data.threadId, {subject: row.subject, participants: headerData.participants, messageAt: receivedAt})
+        : null
+      await db.query(`UPDATE messages SET recipient=$2, metadata=COALESCE(metadata,'{}'::jsonb) || $3::jsonb, thread_id=COALESCE($4, thread_id) WHERE id=$1`,
+        [row.id, JSON.stringify(headerData.recipient), JSON.stringify(headerData.metadata), threadId])
+      updated++
+    }catch(e){
+      if(isNotFound(e)){ await deleteMessage(userId, row.external_message_id); continue }
+      console.error('header backfill fail', e.message || e)
+    }
+  }
+  if(updated) console.log(`Backfilled headers for ${updated} messages of user ${userId}`)
+}
+
+async function syncIntegration(gmail, row){
+  const storedHistoryId = row.config && row.config.gmail_history_id
+  if(!storedHistoryId) return fullSync(gmail, row)
+  try{
+    return await incrementalSync(gmail, row, storedHistoryId)
+  }catch(e){
+    // Gmail only keeps history for about a week; an expired start id comes back as 404
+    if(!isNotFound(e)) throw e
+    console.warn(`History id ${storedHistoryId} expired for user ${row.user_id}, running full resync`)
+    return fullSync(gmail, row)
+  }
+}
 
 async function poll(){
   console.log('google poller running')
   const rows = await getIntegrations()
   for(const row of rows){
     try{
-      const o = oauthClientFromTokens(row.oauth_token_encrypted.toString())
+      // revoked grants wait for the user to reconnect
+      if(!row.tokens || googleClient.needsReauth(row)) continue
+      const o = googleClient.createClient(row)
       const gmail = google.gmail({version:'v1', auth:o})
-      
-      // get last poll time for this user
-      const lastPoll = await getLastPollTime(row.user_id)
-      let query = 'is:unread'
-      if(lastPoll){
-        // format date for gmail search: after:2023/11/19
-        const afterDate = new Date(lastPoll).toISOString().split('T')[0].replace(/-/g,'/')
-        query += ` after:${afterDate}`
-      }
-      
-      // list recent messages since last poll
-      const r = await gmail.users.messages.list({userId:'me', maxResults:50, q:query})
-      const messages = r.data.messages || []
-      
-      console.log(`Found ${messages.length} messages for user ${row.user_id}`)
-      
-      // Store messages only - LLM processing happens in separate job
-      for(const m of messages){
-        try{
-          const full = await gmail.users.messages.get({userId:'me', id:m.id, format:'full'})
-          const body = extractPlainText(full.data)
-          const receivedDate = parseHeader(full.data, 'Date')
-          const receivedAt = receivedDate ? new Date(receivedDate).toISOString() : new Date().toISOString()
-          
-          // Save message to DB - LLM processing job will handle the rest
-          await upsertMessage(row.user_id, 'gmail', m.id, {
-            sender: parseFrom(full.data), 
-            recipient: null, 
-            subject: parseHeader(full.data,'Subject'), 
-            body: full.data.snippet, 
-            body_plain: body, 
-            attachments: null, 
-            received_at: receivedAt, 
-            metadata: {}
-          })
 
-        }catch(e){ console.error('message fetch fail', e.message || e) }
+      const historyId = await syncIntegration(gmail, row)
+      if(historyId){
+        await integrationUtils.updateIntegrationConfig(row.id, {gmail_history_id: String(historyId), gmail_last_sync: new Date().toISOString()})
       }
-      
+      await backfillHeaders(gmail, row.user_id)
+
       // update last poll time for this user
       await updateLastPollTime(row.user_id)
-      
+
     }catch(e){ console.error('poll row fail', e.message || e) }
   }
 }
@@ -133,6 +335,8 @@ function extractFromParts(parts, depth = 0){
   let textContent = ''
   
   for(const part of parts){
+    // Attachments are tracked separately and must not leak into the body text
+    if(part.filename) continue
     // Handle nested parts recursively
     if(part.parts && part.parts.length > 0){
       textContent += extractFromParts(part.parts, depth + 1)
@@ -158,6 +362,10 @@ function processContentByMimeType(content, mimeType){
       case 'text/plain':
         return content
         
+      case 'text/calendar':
+        // invitations are parsed separately (extractInvite); the raw iCalendar is not body text
+        return ''
+        
       case 'text/html':
         // Convert HTML to clean text
         return convert(content, {
@@ -277,21 +485,12 @@ function cleanEmailText(text){
 }
 
 function parseHeader(message, name){
-  try{ const h = message.payload.headers.find(h=>h.name===name); return h && h.value }catch(e){return null}
+  try{ return emailHeaders.getHeader(message.payload.headers, name) }catch(e){return null}
 }
 
 function parseFrom(message){
   return parseHeader(message,'From')
 }
 
-function makeRawReply(message, body){
-  // naive raw reply builder - for demo only
-  const from = parseHeader(message,'From') || ''
-  const subject = parseHeader(message,'Subject') || ''
-  const to = from.match(/<(.+)>/i) ? from.match(/<(.+)>/i)[1] : from
-  const raw = `To: ${to}\r\nSubject: Re: ${subject}\r\n\r\n${body}`
-  return Buffer.from(raw).toString('base64')
-}
-
 let timer = null
-module.exports = { start: ()=>{ if(timer) return; timer = setInterval(poll, POLL_INTERVAL); poll().catch(e=>console.error(e)) }, stop: ()=>{ if(timer) clearInterval(timer); timer=null } }
+module.exports = { poll, start: ()=>{ if(timer) return; timer = setInterval(poll, POLL_INTERVAL); poll().catch(e=>console.error(e)) }, stop: ()=>{ if(timer) clearInterval(timer); timer=null } }
@@ -0,0 +1,124 @@
+const embeddingService = require('../services/embeddingService')
+const llmQuotaService = require('../services/llmQuotaService')
+
+const EMBEDDING_INTERVAL = parseInt(process.env.EMBEDDING_INTERVAL || '60000') // 1 minute
+const BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE || '25')
+const MAX_BATCHES_PER_RUN = parseInt(process.env.EMBEDDING_MAX_BATCHES_PER_RUN || '20')
+
+class EmbeddingJob {
+  constructor() {
+    this.isRunning = false
+    this.isBusy = false
+    this.timer = null
+    this.lastRun = null
+  }
+
+  async start() {
+    if (this.isRunning) {
+      console.log('Embedding job is already running')
+      return
+    }
+    if (!embeddingService.isConfigured()) {
+      const { provider } = embeddingService.getEmbeddingConfig()
+      console.log(`Embedding job not started: no embedding model or key for the ${provider} provider`)
+      return
+    }
+
+    console.log('Starting embedding job...')
+    this.isRunning = true
+
+    try {
+      await embeddingService.syncEmbeddingModel()
+    } catch (err) {
+      console.error('Could not check the embedding model:', err.message)
+    }
+
+    // Embed immediately on start
+    await this.embedPendingMessages()
+
+    // Then set up interval
+    this.timer = setInterval(() => {
+      this.embedPendingMessages().catch(err => {
+        console.error('Embedding job error:', err)
+      })
+    }, EMBEDDING_INTERVAL)
+  }
+
+  async stop() {
+    if (!this.isRunning) return
+
+    console.log('Stopping embedding job...')
+    this.isRunning = false
+
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+  }
+
+  // Works through pending messages in batches until none are left or the per-run cap is hit
+  async embedPendingMessages() {
+    if (this.isBusy) return
+    this.isBusy = true
+    const config = embeddingService.getEmbeddingConfig()
+    let embedded = 0
+
+    try {
+      // Budgets are checked once per user per run; users over theirs are skipped until the next run
+      const checkedUsers = new Set()
+      const skippedUsers = new Set()
+      for (let batch = 0; batch < MAX_BATCHES_PER_RUN; batch++) {
+        const messages = await embeddingService.getPendingMessages(BATCH_SIZE, config, [...skippedUsers])
+        if (messages.length === 0) break
+
+        for (const msg of messages) {
+          if (skippedUsers.has(msg.user_id)) continue
+          if (!checkedUsers.has(msg.user_id)) {
+            checkedUsers.add(msg.user_id)
+            if (!(await this.withinBudget(msg.user_id))) {
+              skippedUsers.add(msg.user_id)
+              continue
+            }
+          }
+          if (await this.embedMessage(msg, config)) embedded++
+        }
+        if (messages.length < BATCH_SIZE) break
+      }
+
+      if (embedded > 0) console.log(`Embedded ${embedded} messages with ${config.model}`)
+    } catch (err) {
+      console.error('Error in embedPendingMessages:', err)
+    } finally {
+      this.isBusy = false
+      this.lastRun = new Date()
+    }
+  }
+
+  async withinBudget(userId) {
+    try {
+      const quota = await llmQuotaService.getQuotaStatus(userId)
+      if (quota.triageMode !== 'heuristic') return true
+      console.log(`LLM budget reached for user ${userId}, postponing embeddings`)
+      return false
+    } catch (err) {
+      console.warn(`Could not check LLM quota for user ${userId}:`, err.message)
+      return true
+    }
+  }
+
+  async embedMessage(message, config) {
+    try {
+      await embeddingService.embedMessage(message, config)
+      return true
+    } catch (err) {
+      console.error(`Failed to embed message ${message.id}:`, err.message)
+      await embeddingService.markEmbeddingFailed(message.id, err)
+      return false
+    }
+  }
+}
+
+// Singleton instance
+const embeddingJob = new EmbeddingJob()
+
+module.exports = embeddingJob
@@ -1,9 +1,12 @@
 const db = require('../db')
 const llmProcessor = require('../llm/processor')
+const llmQuotaService = require('../services/llmQuotaService')
+const attachmentService = require('../services/attachmentService')
 
 const PROCESSING_INTERVAL = parseInt(process.env.LLM_PROCESSING_INTERVAL || '60000') // 1 minute
 const MAX_RETRY_ATTEMPTS = parseInt(process.env.LLM_MAX_RETRIES || '3')
 const RETRY_DELAY_HOURS = parseInt(process.env.LLM_RETRY_DELAY_HOURS || '1')
+const ATTACHMENT_CONTEXT_CHARS = parseInt(process.env.LLM_ATTACHMENT_CONTEXT_CHARS || '4000')
 
 class LLMProcessingJob {
   constructor() {
@@ -141,11 +144,33 @@ class LLMProcessingJob {
         from: message.sender,
         subject: message.subject,
         snippet: (message.body_plain || '').substring(0, 200),
-        body: message.body_plain || message.body
+        body: message.body_plain || message.body,
+        invite: (message.metadata && message.metadata.invite) || null
       }
 
-      // Process with LLM using global API key
-      const result = await llmProcessor.processLLMRequest('email_actions', user, { email }, {})
+      // Include text from PDF/DOCX/plain attachments so the analysis sees what was actually sent
+      if (Array.isArray(message.attachments) && message.attachments.length > 0) {
+        const attachmentTexts = await attachmentService.extractMessageAttachmentsText(message.id, message.user_id)
+        if (attachmentTexts.length > 0) {
+          email.attachments = attachmentTexts.map(a => a.filename)
+          email.body = (email.body || '') + '\n\n' + attachmentTexts
+            .map(a => `[Attachment: ${a.filename}]\n${a.text.substring(0, ATTACHMENT_CONTEXT_CHARS)}`)
+            .join('\n\n')
+        }
+      }
+
+      // Budget-aware triage: full LLM, a cheaper model near the budget, rules only once it is spent
+      const quota = await llmQuotaService.getQuotaStatus(message.user_id)
+      let result
+      if (quota.triageMode === 'heuristic') {
+        console.log(`Message ${message.id}: LLM budget reached for user ${message.user_id}, using heuristic triage`)
+        result = llmProcessor.heuristicEmailActions(email, user)
+      } else {
+        const opts = quota.triageMode === 'degraded'
+          ? { background: true, ...llmQuotaService.degradedOptions() }
+          : { background: true }
+        result = await llmProcessor.processLLMRequest('email_actions', user, { email }, opts)
+      }
 
       if (result.type === 'error') {
         throw new Error(result.error)
@@ -160,7 +185,7 @@ class LLMProcessingJob {
         // Mark message as requiring action based on priority level
         const requiresAction = result.priority_level === 'high' || 
                               actions.some(action => action.confidence > 0.7) ||
-                              actions.some(action => ['create_task', 'create_event', 'draft_reply'].includes(action.type))
+                              actions.some(action => ['create_task', 'create_event', 'draft_reply', 'accept_invite'].includes(action.type))
         
         if (requiresAction) {
           await db.query(
@@ -170,13 +195,10 @@ class LLMProcessingJob {
         }
       }
 
-      // Mark as successfully processed
+      // Mark as successfully processed (token usage is logged to llm_calls by llmClient)
       await this.markProcessingResult(message.id, true, null)
 
-      // Log LLM usage for tracking
       const processingTime = Date.now() - startTime
-      await this.logLLMUsage(message.user_id, 'email_actions', processingTime, process.env.OPENAI_MODEL || 'gpt-3.5-turbo')
-
       console.log(`Successfully processed message ${message.id} in ${processingTime}ms`)
 
     } catch (err) {
@@ -184,9 +206,6 @@ class LLMProcessingJob {
       
       // Mark as failed
       await this.markProcessingResult(message.id, false, err.message || 'Processing failed')
-      
-      // Log failed attempt
-      await this.logLLMUsage(message.user_id, 'email_actions', Date.now() - startTime, process.env.OPENAI_MODEL || 'gpt-3.5-turbo', 'failed')
     }
   }
 
@@ -221,7 +240,8 @@ class LLMProcessingJob {
         sentiment: analysisResult.sentiment,
         suggested_actions: analysisResult.suggested_actions || analysisResult.actions || [],
         analysis_timestamp: analysisResult.analysis_timestamp || new Date().toISOString(),
-        email_id: analysisResult.email_id
+        email_id: analysisResult.email_id,
+        analysis_mode: analysisResult.analysis_mode || 'llm'
       }
       
       await db.query(`
@@ -238,18 +258,6 @@ class LLMProcessingJob {
     }
   }
 
-  async logLLMUsage(userId, processorType, processingTime, model, status = 'success') {
-    try {
-      await db.query(`
-        INSERT INTO llm_calls (user_id, processor_type, model, processing_time_ms, status, created_at)
-        VALUES ($1, $2, $3, $4, $5, now())
-      `, [userId, processorType, model, processingTime, status])
-    } catch (err) {
-      // Don't fail processing if logging fails
-      console.error('Error logging LLM usage:', err)
-    }
-  }
-
   // Get processing statistics
   async getStats() {
     try {
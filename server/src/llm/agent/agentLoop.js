@@ -0,0 +1,384 @@
+const llm = require('../llmClient')
+const { callOptions } = require('../llmClient')
+const tools = require('./tools')
+const agentRunService = require('../../services/agentRunService')
+const approvalService = require('../../services/approvalService')
+const retrievalService = require('../../services/retrievalService')
+
+/**
+ * Agent Loop
+ * Function-calling loop for the intelligent chat endpoint: the model picks tools from ./tools,
+ * read-only ones run straight away, and side-effecting ones are proposed to the approval queue
+ * (services/approvalService). Unless the user auto-approves that action type, the run pauses until
+ * the approval is decided (claimRun first, so the action never runs for a run that can't resume)
+ * and resumeRun feeds the outcome back to the model. Each model turn
+ * counts as a step; after AGENT_MAX_STEPS the model has to answer with what it has.
+ *
+ * Every run is stored in agent_runs with the model transcript (to resume) and a trace of its
+ * steps, which is also returned in result.data.steps for the chat UI. search_mail results are
+ * numbered across the run so the final answer can cite them like a retrieval-backed chat reply.
+ */
+
+const MAX_STEPS = parseInt(process.env.AGENT_MAX_STEPS || '6')
+const TOOL_RESULT_CHARS = 8000
+const TRACE_RESULT_CHARS = 1000
+
+// Off with AGENT_ENABLED=false, or when the provider can't take function definitions
+function isEnabled(options = {}) {
+  return process.env.AGENT_ENABLED !== 'false' && llm.supportsTools(options)
+}
+
+function systemPrompt(context) {
+  const user = context.user || {}
+  return `You are an assistant for a productivity app that manages the user's email, calendar and tasks, and you can act through tools.
+
+User: ${user.display_name || user.displayName || 'unknown'} <${user.email || 'unknown'}>
+Current time: ${new Date().toISOString()}
+User timezone: ${user.timezone || 'UTC'}
+
+Rules:
+- Use search_mail to find messages and threads; never guess ids.
+- When you rely on a search_mail result, cite it inline with its ref in square brackets, e.g. [1].
+- When a meeting has no agreed time, use find_meeting_slots and offer or book one of its slots.
+- Break compound requests into one tool call per action.
+- Give date-times in ISO 8601 with the offset for the user's timezone.
+- Actions that change anything go to the user for approval before they run; don't ask for confirmation in text.
+- If a tool result says the user edited an action, the edited arguments are what ran.
+- If a tool result says the user declined, don't try that action again.
+- Only say an action happened when its tool result confirms it.
+- Finish with a short summary of what you did and anything still open.`
+}
+
+function toolMessage(callId, payload) {
+  const content = JSON.stringify(payload)
+  return {
+    role: 'tool',
+    tool_call_id: callId,
+    content: content.length > TOOL_RESULT_CHARS ? content.slice(0, TOOL_RESULT_CHARS) + '…' : content
+  }
+}
+
+function assistantMessage(res) {
+  const message = { role: 'assistant', content: res.content || null }
+  if (res.toolCalls.length > 0) {
+    message.tool_calls = res.toolCalls.map(call => ({
+      id: call.id,
+      type: 'function',
+      function: { name: call.name, arguments: call.arguments }
+    }))
+  }
+  return message
+}
+
+function traceResult(result) {
+  const text = JSON.stringify(result)
+  return text.length > TRACE_RESULT_CHARS ? `${text.slice(0, TRACE_RESULT_CHARS)}…` : result
+}
+
+function addStep(state, step, options) {
+  const entry = { index: state.steps.length + 1, at: new Date().toISOString(), ...step }
+  state.steps.push(entry)
+  if (options.onEvent) options.onEvent('agent_step', entry)
+  return entry
+}
+
+function updateStep(state, toolCallId, changes, options) {
+  const step = state.steps.find(s => s.tool_call_id === toolCallId)
+  if (!step) return
+  Object.assign(step, changes)
+  if (options.onEvent) options.onEvent('agent_step', step)
+}
+
+// Give search results run-wide refs; an item found again keeps the number it already has
+function collectSources(state, sources, options) {
+  const numbered = sources.map(source => {
+    const known = state.sources.find(s => s.type === source.type && s.id === source.id)
+    if (known) return known
+    const entry = { ...source, ref: state.sources.length + 1 }
+    state.sources.push(entry)
+    return entry
+  })
+  if (options.onEvent && numbered.length > 0) options.onEvent('sources', { sources: state.sources })
+  return numbered
+}
+
+async function save(state, status, error = null) {
+  await agentRunService.saveRun(state.runId, {
+    status,
+    messages: state.messages,
+    steps: state.steps,
+    pending: state.pending,
+    sources: state.sources,
+    stepCount: state.stepCount,
+    error
+  })
+}
+
+async function executeCall(state, call, tool, args, context, options) {
+  const startedAt = Date.now()
+  try {
+    const result = await tool.run(args, context)
+    state.messages.push(toolMessage(call.id, result))
+    return { status: 'ok', result: traceResult(result), duration_ms: Date.now() - startedAt }
+  } catch (error) {
+    if (options.signal && options.signal.aborted) throw error
+    console.warn(`Agent tool ${tool.name} failed:`, error.message)
+    state.messages.push(toolMessage(call.id, { error: error.message }))
+    return { status: 'error', error: error.message, duration_ms: Date.now() - startedAt }
+  }
+}
+
+// What the model hears back once a proposed action has been decided
+function approvalOutcome(approval) {
+  if (approval.status === 'rejected') {
+    return { status: 'rejected', message: { error: 'The user declined this action' } }
+  }
+  if (approval.status === 'failed') {
+    return { status: 'error', error: approval.error, message: { error: approval.error } }
+  }
+  const edited = JSON.stringify(approval.payload) !== JSON.stringify(approval.proposed_payload)
+  return {
+    status: 'ok',
+    result: traceResult(approval.result),
+    message: edited ? { ...approval.result, note: 'The user edited this action before approving', arguments: approval.payload } : approval.result
+  }
+}
+
+function recordOutcome(state, call, approval, options) {
+  const { message, ...step } = approvalOutcome(approval)
+  state.messages.push(toolMessage(call.id, message))
+  updateStep(state, call.id, { ...step, decided_by: approval.decided_by, decided_at: approval.decided_at }, options)
+}
+
+/**
+ * Work through the tool calls of the last model turn in order
+ * @returns {Object|null} The approval now waiting for the user, or null when all have run
+ */
+async function runPendingCalls(state, context, options) {
+  while (state.pending.length > 0) {
+    const call = state.pending[0]
+    const tool = tools.getTool(call.name)
+    const parsed = tool ? tools.parseArguments(tool, call.arguments) : { error: `Unknown tool: ${call.name}` }
+
+    let summary = null
+    if (!parsed.error) {
+      try {
+        summary = tool.describe(parsed.args, context)
+      } catch (error) {
+        parsed.error = error.message
+      }
+    }
+
+    if (parsed.error) {
+      state.pending.shift()
+      state.messages.push(toolMessage(call.id, { error: parsed.error }))
+      addStep(state, { type: 'tool', tool: call.name, tool_call_id: call.id, arguments: call.arguments, status: 'error', error: parsed.error }, options)
+      continue
+    }
+
+    const step = { type: 'tool', tool: tool.name, tool_call_id: call.id, arguments: parsed.args, summary }
+    if (tool.confirm) {
+      let approval
+      try {
+        approval = await approvalService.proposeAction(context.user, {
+          actionType: tool.name,
+          payload: parsed.args,
+          source: 'agent',
+          sessionId: state.sessionId,
+          agentRunId: state.runId,
+          toolCallId: call.id
+        })
+      } catch (error) {
+        if (error.code !== 'invalid_action') throw error
+        state.pending.shift()
+        state.messages.push(toolMessage(call.id, { error: error.message }))
+        addStep(state, { ...step, status: 'error', error: error.message }, options)
+        continue
+      }
+
+      if (approval.status === 'pending') {
+        addStep(state, { ...step, status: 'awaiting_confirmation', approval_id: approval.id }, options)
+        return { approvalId: approval.id, toolCallId: call.id, tool: tool.name, summary, preview: approval.preview, arguments: approval.payload }
+      }
+
+      // Auto-approved, already ran
+      state.pending.shift()
+      addStep(state, { ...step, status: 'running', approval_id: approval.id }, options)
+      recordOutcome(state, call, approval, options)
+      continue
+    }
+
+    state.pending.shift()
+    addStep(state, { ...step, status: 'running' }, options)
+    updateStep(state, call.id, await executeCall(state, call, tool, parsed.args, context, options), options)
+  }
+  return null
+}
+
+function pausedResult(state, awaiting) {
+  return {
+    type: 'agent_confirmation',
+    response: `Before I go on, please confirm: ${awaiting.summary}`,
+    content: `Before I go on, please confirm: ${awaiting.summary}`,
+    data: { runId: state.runId, status: 'awaiting_confirmation', awaiting, steps: state.steps },
+    actions: []
+  }
+}
+
+function finishedResult(state, content) {
+  return {
+    type: 'agent_response',
+    response: content,
+    content,
+    data: { runId: state.runId, status: 'completed', steps: state.steps },
+    actions: [],
+    ...retrievalService.attachCitations(content, state.sources)
+  }
+}
+
+// Ask the model for the next turn until it answers without tools, a call needs confirmation or steps run out
+async function advance(state, context, options) {
+  const llmClient = options.llmClient || llm
+  const chatOptions = {
+    ...callOptions(options),
+    tools: tools.toolDefinitions(),
+    onToken: options.onToken,
+    processorType: 'agent',
+    temperature: 0.2
+  }
+  const toolContext = {
+    user: context.user,
+    userId: context.user && context.user.id,
+    timezone: (context.user && context.user.timezone) || 'UTC',
+    cite: sources => collectSources(state, sources, options)
+  }
+
+  try {
+    let awaiting = await runPendingCalls(state, toolContext, options)
+
+    while (!awaiting && state.stepCount < MAX_STEPS) {
+      state.stepCount++
+      const res = await llmClient.chatWithTools(state.messages, chatOptions)
+      state.messages.push(assistantMessage(res))
+
+      if (res.toolCalls.length === 0) {
+        addStep(state, { type: 'answer' }, options)
+        await save(state, 'completed')
+        return finishedResult(state, res.content)
+      }
+
+      state.pending = res.toolCalls
+      awaiting = await runPendingCalls(state, toolContext, options)
+    }
+
+    if (awaiting) {
+      await save(state, 'awaiting_confirmation')
+      return pausedResult(state, awaiting)
+    }
+
+    // Out of steps: one more turn with tools switched off so the user still gets an answer
+    addStep(state, { type: 'step_limit', max_steps: MAX_STEPS }, options)
+    state.messages.push({ role: 'system', content: 'Step limit reached. Do not call more tools; tell the user what was done and what is left.' })
+    const res = await llmClient.chatWithTools(state.messages, { ...chatOptions, toolChoice: 'none' })
+    state.messages.push({ role: 'assistant', content: res.content })
+    addStep(state, { type: 'answer' }, options)
+    await save(state, 'completed')
+    return finishedResult(state, res.content)
+  } catch (error) {
+    const status = options.signal && options.signal.aborted ? 'cancelled' : 'failed'
+    await save(state, status, error.message).catch(saveError => {
+      console.error(`Could not save agent run ${state.runId}:`, saveError.message)
+    })
+    throw error
+  }
+}
+
+/**
+ * Start a run for a chat message
+ * @param {string} input - The user's message
+ * @param {Object} context - {user, sessionId, conversationHistory}
+ * @param {Object} options - Resolved LLM options plus onToken/onEvent/signal
+ * @returns {Object} agent_response, or agent_confirmation when a tool call needs the user's OK
+ */
+async function runAgent(input, context, options = {}) {
+  const messages = [
+    { role: 'system', content: systemPrompt(context) },
+    ...(context.conversationHistory || []).slice(-6),
+    { role: 'user', content: input }
+  ]
+  const run = await agentRunService.createRun({
+    userId: context.user && context.user.id,
+    sessionId: context.sessionId,
+    input,
+    messages
+  })
+
+  const state = { runId: run.id, sessionId: context.sessionId || null, messages, steps: [], pending: [], sources: [], stepCount: 0 }
+  return await advance(state, context, options)
+}
+
+// Hand a claimed run back, still paused, when the decision didn't go through
+async function releaseRun(run) {
+  await agentRunService.saveRun(run.id, {
+    status: 'awaiting_confirmation',
+    messages: run.messages,
+    steps: run.steps,
+    pending: run.pending,
+    sources: run.sources || [],
+    stepCount: run.step_count
+  })
+}
+
+/**
+ * Take a paused run before the approval it waits on is decided, so the action can't run for a
+ * run that isn't paused yet, was already resumed or is waiting on another call
+ * @param {string} runId - Run ID
+ * @param {string} userId - Owner
+ * @param {string} toolCallId - tool_call_id of the approval about to be decided
+ * @returns {Object} The claimed agent_runs row; pass it to resumeRun, or releaseRun if the decision fails
+ */
+async function claimRun(runId, userId, toolCallId) {
+  const run = await agentRunService.claimPausedRun(runId, userId)
+  const call = run.pending[0]
+  if (!call || call.id !== toolCallId) {
+    await releaseRun(run)
+    const error = new Error(`Tool call ${toolCallId} is not the one awaiting confirmation`)
+    error.code = 'tool_call_mismatch'
+    throw error
+  }
+  return run
+}
+
+/**
+ * Continue a claimed run once the user has decided the approval it was waiting on
+ * @param {Object} run - From claimRun
+ * @param {Object} approval - The decided action_approvals row (executed, failed or rejected)
+ * @param {Object} context - {user, sessionId}
+ * @param {Object} options - Resolved LLM options
+ * @returns {Object} Same shapes as runAgent
+ */
+async function resumeRun(run, approval, context, options = {}) {
+  const state = {
+    runId: run.id,
+    sessionId: run.session_id,
+    messages: run.messages,
+    steps: run.steps,
+    pending: run.pending,
+    sources: run.sources || [],
+    stepCount: run.step_count
+  }
+
+  const call = state.pending.shift()
+  recordOutcome(state, call, approval, options)
+
+  return await advance(state, context, options)
+}
+
+module.exports = {
+  MAX_STEPS,
+  isEnabled,
+  runAgent,
+  claimRun,
+  releaseRun,
+  resumeRun
+}
@@ -0,0 +1,477 @@
+const db = require('../../db')
+const retrievalService = require('../../services/retrievalService')
+const threadService = require('../../services/threadService')
+const draftService = require('../../services/draftService')
+const snoozeService = require('../../services/snoozeService')
+const emailSchedulingService = require('../../services/emailSchedulingService')
+const slotFinderService = require('../../services/slotFinderService')
+const workPreferencesService = require('../../services/workPreferencesService')
+const calendarService = require('../../services/calendarService')
+const { textToHtml } = require('../../services/composeService')
+const { createCalendarEvent, createTask } = require('../../integrations/google/actions')
+const googleClient = require('../../integrations/google/client')
+const integrationUtils = require('../../utils/integrations')
+const { formatMeetingForCalendar } = require('../processors/meetingProcessors')
+const { parseDateTimeInput } = require('../../utils/timezone')
+
+/**
+ * Agent Tools
+ * The app's capabilities as typed functions for the agent loop. Each tool has an OpenAI-style
+ * JSON schema and a confirm flag. Side-effecting tools (confirm: true) double as the action types of
+ * the approval queue (services/approvalService): describe() is the one-line summary and preview()
+ * the list of changes [{field, label, from, to}] shown before the user approves, edits or rejects.
+ *
+ * run(args, ctx) gets validated arguments and ctx {user, userId, timezone}; whatever it returns
+ * is sent back to the model as the tool result, so keep results small.
+ * Date-times without an offset, or phrases like "friday 3pm", are read in the user's timezone.
+ */
+
+const THREAD_BODY_CHARS = 2000
+
+function toolError(message) {
+  const error = new Error(message)
+  error.code = 'tool_failed'
+  return error
+}
+
+// "end of day" and "first thing" follow the user's working hours
+function parseDate(value, field, timezone, user) {
+  const date = parseDateTimeInput(value, timezone, workPreferencesService.parserOptions(workPreferencesService.withDefaults(user && user.work_preferences)))
+  if (!date) throw toolError(`${field} must be an ISO 8601 date-time, got "${value}"`)
+  return date
+}
+
+// Preview entry for a value the action adds (nothing there before)
+function added(field, label, value) {
+  return value == null || value === '' ? null : { field, label, from: null, to: value }
+}
+
+function formatWhen(date, timezone) {
+  return date.toLocaleString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: timezone || 'UTC'
+  })
+}
+
+async function loadMessage(userId, messageId) {
+  const result = await db.query('SELECT * FROM messages WHERE id = $1 AND user_id = $2', [messageId, userId])
+  if (result.rowCount === 0) throw toolError(`Message ${messageId} not found`)
+  return result.rows[0]
+}
+
+async function googleAuth(userId, capability) {
+  const validation = await integrationUtils.resolveIntegration(userId, capability)
+  if (!validation.hasIntegration) throw toolError('Google account is not connected (Settings → Integrations)')
+  if (!validation.hasValidTokens) throw toolError('Google authentication expired; reconnect in Settings → Integrations')
+  return googleClient.createClient(validation.integration)
+}
+
+function eventTimes(args, ctx) {
+  const start = parseDate(args.start, 'start', ctx.timezone, ctx.user)
+  const preferredLength = workPreferencesService.withDefaults(ctx.user && ctx.user.work_preferences).meetingLengths[0]
+  const end = args.end
+    ? parseDate(args.end, 'end', ctx.timezone, ctx.user)
+    : new Date(start.getTime() + (args.duration_minutes || preferredLength) * 60000)
+  if (end <= start) throw toolError('end must be after start')
+  return { start, end }
+}
+
+// Invitations are answered with a note; a proposed time goes in the note and the answer becomes "maybe"
+function inviteAnswer(args, ctx) {
+  if (!args.proposed_start) return { response: args.response, comment: args.note || undefined }
+  const proposed = parseDate(args.proposed_start, 'proposed_start', ctx.timezone, ctx.user)
+  const comment = `Could we move this to ${formatWhen(proposed, ctx.timezone)}?${args.note ? ` ${args.note}` : ''}`
+  return { response: 'tentative', comment }
+}
+
+const INVITE_TOOL_ERRORS = {
+  not_an_invite: 'That message is not a meeting invitation',
+  not_on_calendar: 'The invitation is not on the user\'s Google Calendar yet',
+  not_invited: 'The user is not a guest of that meeting',
+  no_integration: 'Google account is not connected (Settings → Integrations)',
+  google_reauth_required: 'Google authentication expired; reconnect in Settings → Integrations'
+}
+
+function snoozeUntil(args, ctx) {
+  const until = args.until
+    ? parseDate(args.until, 'until', ctx.timezone, ctx.user)
+    : snoozeService.getSnoozePreset(args.preset, ctx.timezone, workPreferencesService.withDefaults(ctx.user && ctx.user.work_preferences))
+  if (!until) throw toolError('Give either until or a known preset')
+  if (until <= new Date()) throw toolError('until must be in the future')
+  return until
+}
+
+const TOOLS = [
+  {
+    name: 'search_mail',
+    description: 'Search the user\'s email, threads and calendar events. Returns the best matches with ids to use with other tools and a ref to cite them by.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to look for, e.g. "Sam budget approval"' }
+      },
+      required: ['query']
+    },
+    confirm: false,
+    describe: args => `Search mail for "${args.query}"`,
+    async run(args, ctx) {
+      const found = await retrievalService.retrieveSources(ctx.userId, args.query)
+      // The loop renumbers results across the run so the answer can cite them
+      const sources = ctx.cite ? ctx.cite(found) : found
+      return {
+        results: sources.map(s => ({
+          ref: s.ref,
+          type: s.type,
+          id: s.id,
+          message_id: s.type === 'message' ? s.id : s.message_id,
+          thread_id: s.thread_id || (s.type === 'thread' ? s.id : undefined),
+          title: s.title,
+          sender: s.sender,
+          date: s.date,
+          snippet: s.snippet
+        }))
+      }
+    }
+  },
+  {
+    name: 'read_thread',
+    description: 'Read every message of an email thread in order.',
+    parameters: {
+      type: 'object',
+      properties: {
+        thread_id: { type: 'string', description: 'Thread id from search_mail' }
+      },
+      required: ['thread_id']
+    },
+    confirm: false,
+    describe: args => `Read thread ${args.thread_id}`,
+    async run(args, ctx) {
+      const thread = await threadService.getThreadConversation(args.thread_id, ctx.userId)
+      if (!thread) throw toolError(`Thread ${args.thread_id} not found`)
+      return {
+        thread_id: thread.id,
+        title: thread.title,
+        messages: thread.messages.map(m => ({
+          message_id: m.id,
+          from: m.sender,
+          to: m.recipient,
+          date: m.received_at,
+          subject: m.subject,
+          body: (m.body_plain || '').slice(0, THREAD_BODY_CHARS)
+        }))
+      }
+    }
+  },
+  {
+    name: 'draft_reply',
+    description: 'Save a reply to an email as a Gmail draft in its thread. The draft is not sent.',
+    parameters: {
+      type: 'object',
+      properties: {
+        message_id: { type: 'string', description: 'Id of the message being answered' },
+        body: { type: 'string', description: 'Plain-text reply body' },
+        reply_all: { type: 'boolean', description: 'Reply to everyone on the message' }
+      },
+      required: ['message_id', 'body']
+    },
+    confirm: true,
+    describe: args => `Save a draft reply${args.reply_all ? ' to all' : ''}: "${args.body.slice(0, 120)}"`,
+    async preview(args, ctx) {
+      const msg = await loadMessage(ctx.userId, args.message_id)
+      const open = await db.query(
+        "SELECT draft_body FROM message_actions WHERE message_id = $1 AND user_id = $2 AND draft_status = 'open'",
+        [msg.id, ctx.userId]
+      ).catch(() => ({ rows: [] }))
+      return [
+        added('reply_to', 'Reply to', `${msg.sender || 'unknown sender'} — ${msg.subject || '(no subject)'}`),
+        added('reply_all', 'Reply all', args.reply_all ? 'yes' : null),
+        { field: 'body', label: 'Draft', from: (open.rows[0] && open.rows[0].draft_body) || null, to: args.body }
+      ].filter(Boolean)
+    },
+    async run(args, ctx) {
+      const msg = await loadMessage(ctx.userId, args.message_id)
+      const draft = await draftService.createReplyDraft(msg, ctx.user, { body: args.body, replyAll: !!args.reply_all })
+      return { draft_id: draft.draft_id, message_id: msg.id, to: draft.to, subject: draft.subject, status: 'draft_saved' }
+    }
+  },
+  {
+    name: 'find_meeting_slots',
+    description: 'Find free times for a meeting on the user\'s calendar and their colleagues\' calendars, within working hours. Returns ranked slots; propose them or book the first with create_event.',
+    parameters: {
+      type: 'object',
+      properties: {
+        duration_minutes: { type: 'integer', description: 'Meeting length (default: the user\'s preferred length)' },
+        attendees: { type: 'array', items: { type: 'string' }, description: 'Attendee email addresses' },
+        days: { type: 'integer', description: 'How many days ahead to look (default 5)' },
+        preferred: { type: 'string', description: 'morning, afternoon or evening' }
+      }
+    },
+    confirm: false,
+    describe: args => `Find ${args.duration_minutes ? `${args.duration_minutes}-minute slots` : 'meeting slots'}${args.attendees && args.attendees.length > 0 ? ` with ${args.attendees.join(', ')}` : ''}`,
+    async run(args, ctx) {
+      let found
+      try {
+        found = await slotFinderService.findSlots(ctx.user, {
+          attendees: args.attendees || [],
+          durationMinutes: args.duration_minutes,
+          days: Math.min(Math.max(args.days || 5, 1), 14),
+          preferred: slotFinderService.preferredWindow(args.preferred),
+          timezone: ctx.timezone
+        })
+      } catch (error) {
+        if (error.code === 'no_integration') throw toolError('Google account is not connected (Settings → Integrations)')
+        if (error.code === 'google_reauth_required') throw toolError('Google authentication expired; reconnect in Settings → Integrations')
+        throw error
+      }
+      return {
+        slots: found.slots.map(slot => ({ start: slot.start.toISOString(), end: slot.end.toISOString(), when: slot.label })),
+        checked: found.checked,
+        unchecked: found.unchecked
+      }
+    }
+  },
+  {
+    name: 'create_event',
+    description: 'Create an event on the user\'s Google Calendar.',
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        start: { type: 'string', description: 'ISO 8601 date-time with offset' },
+        end: { type: 'string', description: 'ISO 8601 date-time with offset; defaults to start + duration_minutes' },
+        duration_minutes: { type: 'integer', description: 'Used when end is missing (default: the user\'s preferred meeting length)' },
+        attendees: { type: 'array', items: { type: 'string' }, description: 'Attendee email addresses' },
+        location: { type: 'string' },
+        description: { type: 'string' },
+        recurrence: { type: 'object', description: '{frequency: daily|weekly|monthly, interval, until, count} for repeating events' }
+      },
+      required: ['title', 'start']
+    },
+    confirm: true,
+    describe: (args, ctx) => {
+      const who = args.attendees && args.attendees.length > 0 ? ` with ${args.attendees.join(', ')}` : ''
+      return `Create event "${args.title}" on ${formatWhen(parseDate(args.start, 'start', ctx.timezone, ctx.user), ctx.timezone)}${who}`
+    },
+    async preview(args, ctx) {
+      const { start, end } = eventTimes(args, ctx)
+      return [
+        added('title', 'Event', args.title),
+        added('when', 'When', `${formatWhen(start, ctx.timezone)} – ${formatWhen(end, ctx.timezone)}`),
+        added('recurrence', 'Repeats', args.recurrence && args.recurrence.frequency),
+        added('attendees', 'Guests', args.attendees && args.attendees.join(', ')),
+        added('location', 'Location', args.location),
+        added('description', 'Description', args.description)
+      ].filter(Boolean)
+    },
+    async run(args, ctx) {
+      const { start, end } = eventTimes(args, ctx)
+      const event = formatMeetingForCalendar({
+        title: args.title,
+        description: args.description,
+        location: args.location,
+        start_datetime: start.toISOString(),
+        end_datetime: end.toISOString(),
+        recurrence: args.recurrence && args.recurrence.frequency ? args.recurrence : undefined
+      }, ctx.timezone)
+      if (args.attendees && args.attendees.length > 0) event.attendees = args.attendees.map(email => ({ email }))
+
+      const created = await createCalendarEvent(await googleAuth(ctx.userId, 'calendar'), event)
+      return { event_id: created.id, link: created.htmlLink, title: created.summary, start: start.toISOString(), end: end.toISOString() }
+    }
+  },
+  {
+    name: 'respond_to_invite',
+    description: 'Accept, decline or tentatively accept the meeting invitation in an email. The organizer is notified. Pass proposed_start to suggest another time instead.',
+    parameters: {
+      type: 'object',
+      properties: {
+        message_id: { type: 'string', description: 'Id of the invitation email' },
+        response: { type: 'string', enum: calendarService.RESPONSES },
+        proposed_start: { type: 'string', description: 'ISO 8601 date-time to propose instead (answers "tentative")' },
+        note: { type: 'string', description: 'Short note for the organizer' }
+      },
+      required: ['message_id', 'response']
+    },
+    confirm: true,
+    describe: (args, ctx) => {
+      const { response, comment } = inviteAnswer(args, ctx)
+      return `Answer "${response}" to invitation ${args.message_id}${comment ? `: "${comment.slice(0, 120)}"` : ''}`
+    },
+    async preview(args, ctx) {
+      const msg = await loadMessage(ctx.userId, args.message_id)
+      const invite = (msg.metadata && msg.metadata.invite) || {}
+      const { response, comment } = inviteAnswer(args, ctx)
+      return [
+        added('meeting', 'Meeting', `${invite.title || msg.subject || '(no subject)'}${invite.start ? ` — ${formatWhen(new Date(invite.start), ctx.timezone)}` : ''}`),
+        { field: 'response', label: 'Your answer', from: null, to: response },
+        added('note', 'Note to organizer', comment)
+      ].filter(Boolean)
+    },
+    async run(args, ctx) {
+      const msg = await loadMessage(ctx.userId, args.message_id)
+      const { response, comment } = inviteAnswer(args, ctx)
+      try {
+        return await calendarService.respondToInvite(ctx.user, msg, response, { comment })
+      } catch (error) {
+        if (INVITE_TOOL_ERRORS[error.code]) throw toolError(INVITE_TOOL_ERRORS[error.code])
+        throw error
+      }
+    }
+  },
+  {
+    name: 'create_task',
+    description: 'Add a task to the user\'s Google Tasks list.',
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        notes: { type: 'string' },
+        due: { type: 'string', description: 'ISO 8601 due date' }
+      },
+      required: ['title']
+    },
+    confirm: true,
+    describe: (args, ctx) => `Create task "${args.title}"${args.due ? ` due ${formatWhen(parseDate(args.due, 'due', ctx.timezone, ctx.user), ctx.timezone)}` : ''}`,
+    async preview(args, ctx) {
+      return [
+        added('title', 'Task', args.title),
+        added('due', 'Due', args.due && formatWhen(parseDate(args.due, 'due', ctx.timezone, ctx.user), ctx.timezone)),
+        added('notes', 'Notes', args.notes)
+      ].filter(Boolean)
+    },
+    async run(args, ctx) {
+      const task = { title: args.title, notes: args.notes || undefined }
+      if (args.due) task.due = parseDate(args.due, 'due', ctx.timezone, ctx.user).toISOString()
+      const created = await createTask(await googleAuth(ctx.userId, 'tasks'), task)
+      return { task_id: created.id, title: created.title, due: created.due || null }
+    }
+  },
+  {
+    name: 'snooze',
+    description: 'Hide an email until a later time, when it returns to the inbox.',
+    parameters: {
+      type: 'object',
+      properties: {
+        message_id: { type: 'string' },
+        until: { type: 'string', description: 'ISO 8601 date-time' },
+        preset: { type: 'string', enum: snoozeService.snoozePresets, description: 'Used when until is missing' }
+      },
+      required: ['message_id']
+    },
+    confirm: true,
+    describe: (args, ctx) => `Snooze message ${args.message_id} ${args.until ? `until ${formatWhen(parseDate(args.until, 'until', ctx.timezone, ctx.user), ctx.timezone)}` : `(${args.preset || 'no time given'})`}`,
+    async preview(args, ctx) {
+      const msg = await loadMessage(ctx.userId, args.message_id)
+      const until = snoozeUntil(args, ctx)
+      const current = msg.is_snoozed && msg.snoozed_until ? `Snoozed until ${formatWhen(new Date(msg.snoozed_until), ctx.timezone)}` : 'In inbox'
+      return [
+        { field: 'snoozed_until', label: msg.subject || '(no subject)', from: current, to: `Snoozed until ${formatWhen(until, ctx.timezone)}` }
+      ]
+    },
+    async run(args, ctx) {
+      const until = snoozeUntil(args, ctx)
+      const snoozed = await snoozeService.snoozeEmail(args.message_id, ctx.userId, until)
+      return { message_id: snoozed.id, subject: snoozed.subject, snoozed_until: snoozed.snoozed_until }
+    }
+  },
+  {
+    name: 'schedule_send',
+    description: 'Schedule an email to be sent later. Pass message_id to send it as a reply in that message\'s thread.',
+    parameters: {
+      type: 'object',
+      properties: {
+        to: { type: 'string', description: 'Recipient email address' },
+        subject: { type: 'string' },
+        body: { type: 'string', description: 'Plain-text body' },
+        send_at: { type: 'string', description: 'ISO 8601 date-time' },
+        message_id: { type: 'string', description: 'Message being replied to (optional)' }
+      },
+      required: ['to', 'subject', 'body', 'send_at']
+    },
+    confirm: true,
+    describe: (args, ctx) => `Send "${args.subject}" to ${args.to} on ${formatWhen(parseDate(args.send_at, 'send_at', ctx.timezone, ctx.user), ctx.timezone)}`,
+    async preview(args, ctx) {
+      return [
+        added('to', 'To', args.to),
+        added('subject', 'Subject', args.subject),
+        added('send_at', 'Sends', formatWhen(parseDate(args.send_at, 'send_at', ctx.timezone, ctx.user), ctx.timezone)),
+        added('body', 'Message', args.body)
+      ].filter(Boolean)
+    },
+    async run(args, ctx) {
+      const sendAt = parseDate(args.send_at, 'send_at', ctx.timezone, ctx.user)
+      if (sendAt <= new Date()) throw toolError('send_at must be in the future')
+      if (args.message_id) await loadMessage(ctx.userId, args.message_id)
+
+      // Scheduled bodies are stored as HTML (see emailSchedulingService.buildScheduledRequest)
+      const schedule = await emailSchedulingService.scheduleEmail(ctx.userId, {
+        recipientEmail: args.to,
+        subject: args.subject,
+        body: textToHtml(args.body),
+        scheduledFor: sendAt.toISOString(),
+        timezone: ctx.timezone || 'UTC',
+        messageId: args.message_id || null
+      })
+      return { schedule_id: schedule.id, to: schedule.recipient_email, scheduled_for: schedule.scheduled_for }
+    }
+  }
+]
+
+const byName = new Map(TOOLS.map(tool => [tool.name, tool]))
+
+function getTool(name) {
+  return byName.get(name) || null
+}
+
+// Function definitions in the chat completions "tools" format
+function toolDefinitions() {
+  return TOOLS.map(tool => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+  }))
+}
+
+const JSON_TYPES = {
+  string: v => typeof v === 'string',
+  integer: v => Number.isInteger(v),
+  boolean: v => typeof v === 'boolean',
+  array: v => Array.isArray(v),
+  object: v => typeof v === 'object' && !Array.isArray(v)
+}
+
+/**
+ * Parse and check a tool call's arguments against the tool's schema
+ * @param {Object} tool - Entry from TOOLS
+ * @param {string|Object} rawArguments - JSON string from the model, or an already parsed object (approval edits)
+ * @returns {Object} {args} or {error} describing what the model got wrong
+ */
+function parseArguments(tool, rawArguments) {
+  let args = rawArguments
+  if (typeof rawArguments !== 'object') {
+    try {
+      args = JSON.parse(rawArguments || '{}')
+    } catch (error) {
+      return { error: `Arguments are not valid JSON: ${error.message}` }
+    }
+  }
+  if (!args || typeof args !== 'object' || Array.isArray(args)) return { error: 'Arguments must be a JSON object' }
+
+  const { properties, required = [] } = tool.parameters
+  const missing = required.filter(name => args[name] == null || args[name] === '')
+  if (missing.length > 0) return { error: `Missing required arguments: ${missing.join(', ')}` }
+
+  for (const [name, value] of Object.entries(args)) {
+    const schema = properties[name]
+    if (!schema) return { error: `Unknown argument: ${name}` }
+    if (value == null) continue
+    if (JSON_TYPES[schema.type] && !JSON_TYPES[schema.type](value)) return { error: `${name} must be of type ${schema.type}` }
+    if (schema.enum && !schema.enum.includes(value)) return { error: `${name} must be one of ${schema.enum.join(', ')}` }
+  }
+  return { args }
+}
+
+module.exports = {
+  TOOLS,
+  getTool,
+  toolDefinitions,
+  parseArguments
+}
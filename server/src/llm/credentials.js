@@ -0,0 +1,181 @@
+const db = require('../db')
+const providers = require('./providers')
+const llmQuotaService = require('../services/llmQuotaService')
+const { encryptSecret, decryptSecret, currentKeyVersion, secretHint } = require('../utils/secrets')
+
+/**
+ * LLM Credentials
+ * Per-user API key and model from user_settings, combined with the admin fallback policy
+ * that decides when the deployment key may be used instead
+ */
+
+// when_missing: users without a key use the deployment key
+// on_failure:   as when_missing, and a call that fails on the user's key is retried with the deployment key
+// never:        users must configure their own key
+const FALLBACK_POLICIES = ['when_missing', 'on_failure', 'never']
+const FALLBACK_SETTING_KEY = 'llm_key_fallback'
+const POLICY_CACHE_MS = 60 * 1000
+
+let policyCache = null
+
+function defaultFallbackPolicy() {
+  const configured = (process.env.LLM_KEY_FALLBACK || '').toLowerCase()
+  return FALLBACK_POLICIES.includes(configured) ? configured : 'when_missing'
+}
+
+// Admin-configured policy (system_settings), else LLM_KEY_FALLBACK, else when_missing
+async function getFallbackPolicy() {
+  if (policyCache && Date.now() - policyCache.loadedAt < POLICY_CACHE_MS) return policyCache.policy
+
+  let policy = defaultFallbackPolicy()
+  try {
+    const result = await db.query('SELECT value FROM system_settings WHERE key = $1', [FALLBACK_SETTING_KEY])
+    const stored = result.rows[0] && result.rows[0].value
+    if (FALLBACK_POLICIES.includes(stored)) policy = stored
+  } catch (error) {
+    console.warn('Could not load LLM key fallback policy:', error.message)
+  }
+
+  policyCache = { policy, loadedAt: Date.now() }
+  return policy
+}
+
+async function setFallbackPolicy(policy, adminUserId) {
+  if (!FALLBACK_POLICIES.includes(policy)) throw new Error(`Unknown fallback policy: ${policy}`)
+  await db.query(`
+    INSERT INTO system_settings (key, value, updated_by, updated_at) VALUES ($1, $2, $3, NOW())
+    ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+  `, [FALLBACK_SETTING_KEY, JSON.stringify(policy), adminUserId || null])
+  policyCache = null
+  return policy
+}
+
+/**
+ * Stored LLM settings for a user (key decrypted)
+ * @param {string} userId - User ID
+ * @returns {Object} {apiKey, model, keyHint, keyValidatedAt}
+ */
+async function getUserLLMSettings(userId) {
+  const empty = { apiKey: null, model: null, keyHint: null, keyValidatedAt: null }
+  if (!userId) return empty
+
+  const result = await db.query(
+    'SELECT llm_key_encrypted, llm_model, llm_key_hint, llm_key_validated_at FROM user_settings WHERE user_id = $1',
+    [userId]
+  )
+  const row = result.rows[0]
+  if (!row) return empty
+
+  let apiKey = null
+  try {
+    apiKey = decryptSecret(row.llm_key_encrypted)
+  } catch (error) {
+    // Wrong master key or corrupted value; treat as no key rather than failing every call
+    console.error(`Could not decrypt LLM key for user ${userId}:`, error.message)
+  }
+
+  return {
+    apiKey,
+    model: row.llm_model || null,
+    keyHint: row.llm_key_hint || (apiKey ? secretHint(apiKey) : null),
+    keyValidatedAt: row.llm_key_validated_at || null
+  }
+}
+
+function keyRequiredError() {
+  const error = new Error('An LLM API key is required; add one in Settings')
+  error.code = 'llm_key_required'
+  return error
+}
+
+/**
+ * Fill in provider, API key and model for a user's LLM call
+ * Values already present in opts win, so callers can still override per call.
+ * Interactive calls are checked against the user's quota here; the background job
+ * passes background: true and picks its own triage mode instead
+ * @param {string} userId - User ID (may be empty for system calls)
+ * @param {Object} opts - Caller options ({provider, apiKey, model, background, ...})
+ * @returns {Object} opts with userId, provider, apiKey, model and fallbackPolicy set
+ */
+async function resolveLLMOptions(userId, opts = {}) {
+  if (opts.fallbackPolicy) return opts
+  if (!opts.background) await llmQuotaService.assertWithinQuota(userId)
+
+  const provider = opts.provider || await providers.getUserProviderName(userId) || providers.getDefaultProviderName()
+  const fallbackPolicy = await getFallbackPolicy()
+
+  let settings = { apiKey: null, model: null }
+  try {
+    settings = await getUserLLMSettings(userId)
+  } catch (error) {
+    console.warn(`Could not load LLM settings for user ${userId}:`, error.message)
+  }
+
+  const apiKey = opts.apiKey || settings.apiKey || undefined
+  // Only providers that take user keys (openai) can be gated on one
+  if (!apiKey && fallbackPolicy === 'never' && userId && providers.getProvider(provider).acceptsUserKey) {
+    throw keyRequiredError()
+  }
+
+  return {
+    ...opts,
+    userId: opts.userId || userId || undefined,
+    provider,
+    apiKey,
+    model: opts.model || settings.model || undefined,
+    fallbackPolicy
+  }
+}
+
+/**
+ * Check a key (and optional model) against the provider before it is saved
+ * @returns {Object} {valid: true} or {valid: false, reason}
+ */
+async function validateUserKey(providerName, apiKey, model) {
+  const provider = providers.getProvider(providerName || providers.getDefaultProviderName())
+  try {
+    await provider.validateKey({ apiKey, model })
+    return { valid: true }
+  } catch (error) {
+    const status = error.status || (error.response && error.response.status)
+    if (status === 401) return { valid: false, reason: 'invalid_key' }
+    if (status === 404 && model) return { valid: false, reason: 'invalid_model' }
+    if (status === 403) return { valid: false, reason: model ? 'model_not_allowed' : 'invalid_key' }
+    throw error
+  }
+}
+
+/**
+ * Save (or clear) a user's API key and model
+ * @param {string} userId - User ID
+ * @param {Object} changes - {apiKey, model}; undefined leaves a value unchanged, null clears it
+ */
+async function saveUserLLMSettings(userId, changes = {}) {
+  const sets = []
+  const params = [userId]
+
+  if (changes.apiKey !== undefined) {
+    const key = changes.apiKey || null
+    params.push(key ? encryptSecret(key) : null, key ? secretHint(key) : null, key ? currentKeyVersion() : null)
+    sets.push(`llm_key_encrypted = $${params.length - 2}`, `llm_key_hint = $${params.length - 1}`,
+      `llm_key_version = $${params.length}`, `llm_key_validated_at = ${key ? 'NOW()' : 'NULL'}`)
+  }
+  if (changes.model !== undefined) {
+    params.push(changes.model || null)
+    sets.push(`llm_model = $${params.length}`)
+  }
+  if (sets.length === 0) return
+
+  await db.query('INSERT INTO user_settings (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING', [userId])
+  await db.query(`UPDATE user_settings SET ${sets.join(', ')}, updated_at = NOW() WHERE user_id = $1`, params)
+}
+
+module.exports = {
+  FALLBACK_POLICIES,
+  getFallbackPolicy,
+  setFallbackPolicy,
+  getUserLLMSettings,
+  resolveLLMOptions,
+  validateUserKey,
+  saveUserLLMSettings
+}
@@ -1,39 +1,149 @@
-const { OpenAI } = require('openai')
+const providers = require('./providers')
+const llmUsageService = require('../services/llmUsageService')
 
-const GLOBAL_OPENAI_KEY = process.env.OPENAI_API_KEY
-const GLOBAL_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini'
+if (providers.getDefaultProviderName() === 'openai' && !process.env.OPENAI_API_KEY) {
+  console.warn('OPENAI_API_KEY not set — only users with their own API key can use the LLM.')
+}
 
-if (!GLOBAL_OPENAI_KEY) {
-  console.warn('OPENAI_API_KEY not set — LLM calls will fail.')
+function errorStatus(err) {
+  return err && (err.status || (err.response && err.response.status))
 }
 
-async function chat(messages = [], opts = {}) {
-  const apiKey = GLOBAL_OPENAI_KEY
-  const model =  GLOBAL_MODEL
-  
-  if (!apiKey) throw new Error('Missing OpenAI API key for LLM call')
-  console.log('🤖 LLM call with model:', model)
+function isModelError(err) {
+  return errorStatus(err) === 404 && /model/i.test(err.message || '')
+}
+
+// Errors caused by the user's own key (revoked, out of credit, no access to the model)
+function isUserKeyError(err) {
+  return [401, 403, 429].includes(errorStatus(err)) || isModelError(err)
+}
 
-  const client = new OpenAI({ apiKey })
+// The resolved per-user fields processors forward to chat() (see credentials.resolveLLMOptions)
+function callOptions(opts = {}) {
+  return {
+    provider: opts.provider,
+    apiKey: opts.apiKey,
+    model: opts.model,
+    fallbackPolicy: opts.fallbackPolicy,
+    userId: opts.userId,
+    background: opts.background,
+    signal: opts.signal
+  }
+}
 
-  const payload = {
+// Whether the provider a call would use can take function definitions (see chatWithTools)
+function supportsTools(opts = {}) {
+  return !!providers.getProvider(opts.provider || providers.getDefaultProviderName()).supportsTools
+}
+
+// Shared by chat() and chatWithTools(): user-key fallback, usage recording and error wrapping
+async function complete(messages, opts) {
+  const provider = providers.getProvider(opts.provider || providers.getDefaultProviderName())
+  const model = opts.model || provider.defaultModel
+  console.log(`🤖 LLM call via ${provider.name} with model:`, model)
+
+  const callOpts = {
+    ...opts,
     model,
-    messages,
-    max_tokens: opts.maxTokens ?? 800,
-    temperature: opts.temperature,
-    ...opts.extra
+    maxTokens: opts.maxTokens ?? opts.max_tokens ?? 800
+  }
+
+  const startedAt = Date.now()
+  const call = {
+    userId: opts.userId,
+    provider: provider.name,
+    model,
+    processorType: opts.processorType,
+    keySource: provider.acceptsUserKey && opts.apiKey ? 'user' : 'deployment',
+    background: !!opts.background,
+    messages
   }
 
   try {
-    const res = await client.chat.completions.create(payload)
-    // support typical response shape
-    const content = res && res.choices && res.choices[0] && res.choices[0].message && res.choices[0].message.content
-    return content
+    let res
+    try {
+      res = await provider.chat(messages, callOpts)
+    } catch (err) {
+      if (!(opts.fallbackPolicy === 'on_failure' && opts.apiKey && provider.acceptsUserKey && isUserKeyError(err))) throw err
+      console.warn(`⚠️ User LLM key failed (${err.message}); retrying with the deployment key`)
+      call.model = isModelError(err) ? provider.defaultModel : model
+      call.keySource = 'deployment'
+      res = await provider.chat(messages, { ...callOpts, apiKey: undefined, model: call.model })
+    }
+
+    await llmUsageService.recordLLMCall({
+      ...call,
+      model: res.model || call.model,
+      usage: res.usage,
+      status: 'success',
+      durationMs: Date.now() - startedAt
+    })
+    return res
   } catch (err) {
+    const status = opts.signal && opts.signal.aborted ? 'cancelled' : 'failed'
+    await llmUsageService.recordLLMCall({ ...call, status, durationMs: Date.now() - startedAt })
     // surface useful error text
     const msg = err && err.message ? err.message : String(err)
-    throw new Error(`LLM error: ${msg}`)
+    const error = new Error(`LLM error: ${msg}`)
+    if (status === 'cancelled') error.name = 'AbortError'
+    throw error
+  }
+}
+
+// opts: {provider, apiKey, model, maxTokens|max_tokens, temperature, extra, fallbackPolicy, userId, processorType,
+//        background (job work, not counted against request rates), onToken (stream text deltas), signal (AbortSignal)}
+// Every call is recorded in llm_calls with its token usage and cost
+async function chat(messages = [], opts = {}) {
+  const res = await complete(messages, opts)
+  return res.content
+}
+
+// Like chat(), with opts.tools (OpenAI function definitions) and optional opts.toolChoice offered to the model
+// Returns {content, toolCalls: [{id, name, arguments (JSON string)}]}; toolCalls is empty for a plain answer
+async function chatWithTools(messages = [], opts = {}) {
+  if (!supportsTools(opts)) throw new Error(`${opts.provider || providers.getDefaultProviderName()} provider does not support tools`)
+  const res = await complete(messages, opts)
+  return { content: res.content || '', toolCalls: res.toolCalls || [] }
+}
+
+// opts: {provider, model, dimensions, userId, processorType, background}
+// Returns one vector per text; recorded in llm_calls like chat() (processor_type defaults to 'embedding')
+async function embed(texts = [], opts = {}) {
+  const provider = providers.getProvider(opts.provider || providers.getDefaultProviderName())
+  const model = opts.model || provider.defaultEmbeddingModel
+  const startedAt = Date.now()
+  const call = {
+    userId: opts.userId,
+    provider: provider.name,
+    model,
+    processorType: opts.processorType || 'embedding',
+    keySource: 'deployment',
+    background: !!opts.background,
+    messages: texts.map(content => ({ content }))
+  }
+
+  try {
+    if (!provider.embed) throw new Error(`${provider.name} provider does not support embeddings`)
+    if (!model) throw new Error(`No embedding model configured for the ${provider.name} provider`)
+
+    const res = await provider.embed(texts, { ...opts, model })
+    if (!res.embeddings || res.embeddings.length !== texts.length) {
+      throw new Error(`Expected ${texts.length} embeddings, got ${res.embeddings ? res.embeddings.length : 0}`)
+    }
+
+    await llmUsageService.recordLLMCall({
+      ...call,
+      model: res.model || model,
+      usage: res.usage,
+      status: 'success',
+      durationMs: Date.now() - startedAt
+    })
+    return res.embeddings
+  } catch (err) {
+    await llmUsageService.recordLLMCall({ ...call, status: 'failed', durationMs: Date.now() - startedAt })
+    const msg = err && err.message ? err.message : String(err)
+    throw new Error(`Embedding error: ${msg}`)
   }
 }
 
-module.exports = { chat }
\ No newline at end of file
+module.exports = { chat, chatWithTools, supportsTools, embed, callOptions }
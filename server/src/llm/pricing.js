@@ -0,0 +1,67 @@
+/**
+ * LLM Pricing
+ * USD per 1M tokens, used for llm_calls.cost_estimate
+ * Override or extend with LLM_PRICING_JSON, e.g. {"gpt-4o": {"input": 2.5, "output": 10}}
+ */
+
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1': { input: 2.00, output: 8.00 },
+  'gpt-3.5-turbo': { input: 0.50, output: 1.50 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'text-embedding-ada-002': { input: 0.10, output: 0 }
+}
+
+// Self-hosted and fixture-replay calls cost nothing per token
+const FREE_PROVIDERS = ['local', 'mock']
+
+let prices = null
+
+function getPrices() {
+  if (prices) return prices
+  prices = { ...DEFAULT_PRICES }
+  if (process.env.LLM_PRICING_JSON) {
+    try {
+      Object.assign(prices, JSON.parse(process.env.LLM_PRICING_JSON))
+    } catch (error) {
+      console.warn('Ignoring invalid LLM_PRICING_JSON:', error.message)
+    }
+  }
+  return prices
+}
+
+// Dated snapshots ("gpt-4o-mini-2024-07-18") use their base model's price; longest prefix wins
+function findPrice(model) {
+  if (!model) return null
+  const table = getPrices()
+  if (table[model]) return table[model]
+  const base = Object.keys(table)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0]
+  return base ? table[base] : null
+}
+
+/**
+ * Estimate the cost of a call
+ * @param {string} provider - Provider name
+ * @param {string} model - Model reported by the provider
+ * @param {Object} usage - {prompt_tokens, completion_tokens}
+ * @returns {number|null} Cost in USD, or null when the model has no known price
+ */
+function estimateCost(provider, model, usage) {
+  if (!usage) return null
+  if (FREE_PROVIDERS.includes(provider)) return 0
+  const price = findPrice(model)
+  if (!price) return null
+  const cost = ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) / 1e6
+  return Math.round(cost * 1e6) / 1e6
+}
+
+module.exports = {
+  estimateCost,
+  findPrice
+}
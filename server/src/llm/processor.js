@@ -1,6 +1,8 @@
 // Main LLM Processor - Refactored for modularity
 const llm = require('./llmClient')
+const credentials = require('./credentials')
 const db = require('../db')
+const retrievalService = require('../services/retrievalService')
 
 // Import modular processors (with new names to avoid conflicts)
 const { LLMProcessor } = require('./processors/coreProcessor')
@@ -10,6 +12,8 @@ const generalProcessors = require('./processors/generalProcessors')
 const contextCollectorModules = require('./processors/contextCollectors')
 const dataHelpers = require('./processors/dataHelpers')
 const { extractJson } = require('./utils/jsonUtils')
+const { createDefaultMeetingTimes } = require('../utils/timezone')
+const workPreferencesService = require('../services/workPreferencesService')
 
 /*
  Generic LLM Processor for One App Club
@@ -177,17 +181,16 @@ async function processLLMRequest(processorType, user, params = {}, opts = {}) {
       mainProcessor = new LLMProcessor(llm, db);
     }
 
+    // Provider, key and model: explicit per call, else the user's settings, else the deployment defaults
+    const llmOpts = await credentials.resolveLLMOptions(user && user.id, opts)
+
     // If no processor type specified and we have a message, use the new detection system
     if (!processorType && params.message) {
       console.log('🔄 Using new LLMProcessor for intelligent processing:', params.message.substring(0, 50) + '...');
       
       const context = { user, ...params };
-      const options = {
-        apiKey: opts.apiKey || process.env.OPENAI_API_KEY,
-        model: opts.model || process.env.OPENAI_MODEL || 'gpt-4o-mini'
-      };
-      
-      const result = await mainProcessor.processLLMRequest(params.message, context, options);
+      // llmOpts also carries userId for usage logging and the streaming hooks (onToken, onEvent, signal)
+      const result = await mainProcessor.processLLMRequest(params.message, context, llmOpts);
       console.log('✅ New processor result type:', result.type);
       return result;
     }
@@ -203,12 +206,6 @@ async function processLLMRequest(processorType, user, params = {}, opts = {}) {
       throw new Error(`Unknown processor type: ${processorType}`)
     }
     
-    // Prepare options with global credentials
-    const globalOpts = {
-      apiKey: process.env.OPENAI_API_KEY,
-      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
-      ...opts
-    }
     
     // Check cache for daily briefing
     if (processorType === 'daily_briefing') {
@@ -221,7 +218,7 @@ async function processLLMRequest(processorType, user, params = {}, opts = {}) {
     const context = await contextCollector(user, params)
     
     // Process with LLM
-    const result = await processor(context, globalOpts)
+    const result = await processor(context, llmOpts)
     console.log(result)
     // Cache daily briefing results
     if (processorType === 'daily_briefing' && result) {
@@ -231,8 +228,10 @@ async function processLLMRequest(processorType, user, params = {}, opts = {}) {
     return result
     
   } catch (err) {
+    // Routes turn quota errors into 429 responses
+    if (err.code === 'quota_exceeded') throw err
     console.error(`LLM processing failed for ${processorType}:`, err.message || err)
-    return { type: 'error', error: err.message || 'Processing failed' }
+    return { type: 'error', error: err.message || 'Processing failed', code: err.code }
   }
 }
 
@@ -310,7 +309,7 @@ Email Details:
 - Subject: ${email.subject || 'No subject'}
 - Snippet: ${email.snippet || 'No preview available'}
 - Content: ${email.body ? email.body.slice(0, 3000) : 'No body content'}
-
+${email.invite ? `\nCalendar invitation attached:\n${describeInvite(email.invite, user.timezone)}\n` : ''}
 Consider the following when analyzing:
 1. Is this sender in the user's high_priority_senders list?
 2. Does the content suggest urgency (deadlines, ASAP, urgent keywords)?
@@ -327,11 +326,12 @@ Return strict JSON format only.`
   const raw = await llm.chat([
     {role: 'system', content: sys},
     {role: 'user', content: userMessage}
-  ], {temperature: 0.3, max_tokens: 1000, apiKey: opts.apiKey, model: opts.model})
+  ], {temperature: 0.3, max_tokens: 1000, ...llm.callOptions(opts), processorType: 'email_actions'})
 
   try {
-    const jsonText = extractJson(raw)
-    const parsed = JSON.parse(jsonText)
+    // extractJson already returns the parsed object (null when no JSON was found)
+    const parsed = extractJson(raw)
+    if (!parsed) throw new Error('LLM response was not valid JSON')
     
     // Validate and enhance the response
     const enhancedResponse = {
@@ -383,14 +383,14 @@ Return strict JSON format only.`
       enhancedResponse.suggested_actions = [defaultAction]
     }
     
-    return enhancedResponse
+    return inviteTriage(enhancedResponse, email.invite, user.email)
     
   } catch (err) {
     console.error('Failed to parse email actions JSON:', err.message)
     console.error('Raw LLM response:', raw)
     
     // Return fallback response with basic analysis
-    return {
+    return inviteTriage({
       type: 'email_actions',
       email_id: email.id,
       summary: `Email from ${email.from} regarding "${email.subject}". Content analysis failed, manual review recommended.`,
@@ -410,8 +410,105 @@ Return strict JSON format only.`
       ],
       analysis_timestamp: new Date().toISOString(),
       analysis_error: 'LLM response parsing failed'
+    }, email.invite, user.email)
+  }
+}
+
+// ============= MEETING INVITATIONS =============
+// Emails carrying an iCalendar part (messages.metadata.invite, see utils/ical): invitations get
+// accept / decline / propose-new-time actions (run by /api/messages/:id/action through
+// calendarService.respondToInvite); cancellations and guests' replies only need reading.
+
+function describeInvite(invite, timezone) {
+  const when = date => new Date(date).toLocaleString('en-US', {
+    weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: timezone || 'UTC'
+  })
+  const lines = [`- Method: ${invite.method}${invite.method === 'CANCEL' ? ' (the organizer cancelled it)' : ''}`, `- Title: ${invite.title || '(no title)'}`]
+  if (invite.start) lines.push(`- When: ${invite.all_day ? new Date(invite.start).toDateString() + ' (all day)' : `${when(invite.start)} – ${when(invite.end || invite.start)}`}`)
+  if (invite.recurrence) lines.push(`- Repeats: ${invite.recurrence}`)
+  if (invite.organizer) lines.push(`- Organizer: ${invite.organizer.name || invite.organizer.email}`)
+  if (invite.attendees && invite.attendees.length > 0) lines.push(`- Guests: ${invite.attendees.length}`)
+  if (invite.location) lines.push(`- Location: ${invite.location}`)
+  return lines.join('\n')
+}
+
+function inviteTriage(analysis, invite, userEmail) {
+  if (!invite) return analysis
+  const action = (type, title, reasoning, payload, confidence) => ({
+    type, title, confidence, reasoning, payload, actionable: true, estimated_time: '1 minute'
+  })
+  const ownMeeting = invite.organizer && userEmail && invite.organizer.email === String(userEmail).toLowerCase()
+
+  if (invite.method === 'REQUEST' && !ownMeeting) {
+    const details = { uid: invite.uid, title: invite.title, start: invite.start, end: invite.end }
+    return {
+      ...analysis,
+      category: 'meeting_invite',
+      suggested_actions: [
+        action('accept_invite', `Accept "${invite.title || 'meeting'}"`, 'Meeting invitation waiting for your answer', { ...details, response: 'accepted' }, 0.6),
+        action('decline_invite', 'Decline', 'Meeting invitation waiting for your answer', { ...details, response: 'declined' }, 0.4),
+        action('propose_new_time', 'Propose a new time', 'Accept tentatively and ask the organizer to move it', details, 0.3)
+      ]
+    }
+  }
+  if (invite.method === 'CANCEL') {
+    return {
+      ...analysis,
+      category: 'meeting_cancelled',
+      priority_level: 'low',
+      suggested_actions: [action('mark_as_read', 'Mark as read', `"${invite.title || 'Meeting'}" was cancelled by the organizer`, {}, 0.7)]
+    }
+  }
+  if (invite.method === 'REPLY') {
+    const guest = (invite.attendees || [])[0]
+    return {
+      ...analysis,
+      category: 'meeting_reply',
+      priority_level: 'low',
+      suggested_actions: [action('mark_as_read', 'Mark as read', guest ? `${guest.name || guest.email} answered: ${guest.response_status}` : 'A guest answered your invitation', {}, 0.7)]
     }
   }
+  return analysis
+}
+
+// Rule-based triage used when the user's LLM budget is spent; same shape as processEmailActions
+function heuristicEmailActions(email = {}, user = {}) {
+  const text = `${email.subject || ''}\n${email.snippet || ''}\n${(email.body || '').slice(0, 3000)}`.toLowerCase()
+  const has = words => words.some(w => text.includes(w))
+
+  const urgent = has(['urgent', 'asap', 'immediately', 'deadline', 'by eod', 'by end of day', 'action required'])
+  const meeting = has(['meeting', 'call', 'schedule', 'calendar', 'availability', 'invite'])
+  const bulk = has(['unsubscribe', 'newsletter', 'view in browser', 'no-reply', 'noreply'])
+  const question = /\?/.test(text) || has(['could you', 'can you', 'please let me know', 'please confirm'])
+
+  let category = 'general'
+  if (bulk) category = 'newsletter'
+  else if (meeting) category = 'meeting_request'
+  else if (urgent) category = 'urgent_request'
+
+  const priority = urgent ? 'high' : bulk ? 'low' : 'medium'
+  const action = (type, title, reasoning, payload = {}) => ({
+    type, title, confidence: 0.5, reasoning, payload, actionable: true, estimated_time: '1 minute'
+  })
+
+  const actions = []
+  if (urgent) actions.push(action('mark_as_priority', 'Mark as high priority', 'Urgency keywords found', { priority: 'high' }))
+  if (meeting && !bulk) actions.push(action('create_meeting', 'Schedule a meeting', 'Mentions a meeting or call'))
+  if (question && !bulk) actions.push(action('draft_reply', 'Reply to sender', 'Asks for a response'))
+  if (bulk) actions.push(action('archive', 'Archive', 'Looks like a newsletter or automated email'))
+  if (actions.length === 0) actions.push(action('mark_as_read', 'Mark as read', 'No action needed'))
+
+  return inviteTriage({
+    type: 'email_actions',
+    email_id: email.id,
+    summary: `Email from ${email.from || 'unknown sender'} about "${email.subject || 'no subject'}".`,
+    priority_level: priority,
+    category,
+    sentiment: urgent ? 'urgent' : 'neutral',
+    suggested_actions: actions.slice(0, 3),
+    analysis_timestamp: new Date().toISOString(),
+    analysis_mode: 'heuristic'
+  }, email.invite, user.email)
 }
 
 async function processEmailSummary(context, opts) {
@@ -482,11 +579,11 @@ Provide a comprehensive JSON response with:
   const raw = await llm.chat([
     {role: 'system', content: sys},
     {role: 'user', content: userMessage}
-  ], {temperature: 0.3, max_tokens: 1000})
+  ], {temperature: 0.3, max_tokens: 1000, ...llm.callOptions(opts), processorType: 'email_summary'})
 
   try {
-    const jsonText = extractJson(raw)
-    const parsed = JSON.parse(jsonText)
+    const parsed = extractJson(raw)
+    if (!parsed) throw new Error('LLM response was not valid JSON')
     
     // Ensure key_senders are strings, not objects
     if (parsed.key_senders && Array.isArray(parsed.key_senders)) {
@@ -588,10 +685,10 @@ Provide a JSON response with:
   const raw = await llm.chat([
     {role: 'system', content: sys},
     {role: 'user', content: userMessage}
-  ], {temperature: 0.4, apiKey: opts.apiKey, model: opts.model})
+  ], {temperature: 0.4, ...llm.callOptions(opts), processorType: 'daily_briefing'})
 
-  const jsonText = extractJson(raw)
-  const parsed = JSON.parse(jsonText)
+  const parsed = extractJson(raw)
+  if (!parsed) throw new Error('LLM response was not valid JSON')
   
   return {
     type: 'daily_briefing',
@@ -622,10 +719,10 @@ Provide a JSON response with:
   const raw = await llm.chat([
     {role: 'system', content: sys},
     {role: 'user', content: userMessage}
-  ], {temperature: 0.2, apiKey: opts.apiKey, model: opts.model})
+  ], {temperature: 0.2, ...llm.callOptions(opts), processorType: 'meeting_notes'})
 
-  const jsonText = extractJson(raw)
-  const parsed = JSON.parse(jsonText)
+  const parsed = extractJson(raw)
+  if (!parsed) throw new Error('LLM response was not valid JSON')
   
   return {
     type: 'meeting_notes',
@@ -663,14 +760,20 @@ User context:
 
 Use the conversation history to maintain context and provide relevant, personalized responses.`
 
+  // Relevant emails, threads and events, numbered so the reply can cite them
+  const retrieval = await retrievalService.retrieveForChat(user.id, message)
+
   // Build message array with conversation history
   const messages = [
-    { role: 'system', content: sys }
+    { role: 'system', content: retrieval.prompt ? `${sys}\n\n${retrievalService.CITATION_RULES}` : sys }
   ]
   
   // Add conversation history (already formatted for LLM)
   messages.push(...conversationHistory)
   
+  // Retrieved mail is quoted data, never instructions, so it doesn't go in the system prompt
+  if (retrieval.prompt) messages.push({ role: 'user', content: retrieval.prompt })
+
   // Add current user message
   messages.push({ role: 'user', content: message })
   
@@ -678,13 +781,15 @@ Use the conversation history to maintain context and provide relevant, personali
   
   const raw = await llm.chat(messages, {
     temperature: 0.7, 
-    apiKey: opts.apiKey, 
-    model: opts.model
+    ...llm.callOptions(opts),
+    onToken: opts.onToken,
+    processorType: 'chat_response'
   })
 
   return {
     type: 'chat_response',
     response: raw,
+    ...retrievalService.attachCitations(raw, retrieval.sources),
     timestamp: new Date().toISOString()
   }
 }
@@ -825,7 +930,7 @@ async function cacheBriefing(userId, briefingData) {
 
 // ============= UTILITIES =============
 
-async function detectProcessorType(message, user) {
+async function detectProcessorType(message, user, opts = {}) {
   try {
     const sys = `You are an intelligent router that determines what type of request a user is making.
 
@@ -857,7 +962,7 @@ What type of request is this? Return only the processor type.`
     const response = await llm.chat([
       {role: 'system', content: sys},
       {role: 'user', content: userMessage}
-    ], {temperature: 0.1, max_tokens: 50})
+    ], {temperature: 0.1, max_tokens: 50, ...llm.callOptions(opts), processorType: 'detect_processor'})
     
 
     const detectedType = response.trim().toLowerCase()
@@ -948,11 +1053,13 @@ function fallbackProcessorDetection(message) {
 
 // Followup action processor for prepare requests
 async function followupActionOnEmail(user, email, opts, context = {}) {
-  const { selectedAction, calendarBusy } = context
+  const { selectedAction, calendarBusy, candidateSlots } = context
   
   if (!selectedAction || !selectedAction.type) {
     return { actions: [], followups: [] }
   }
+
+  opts = await credentials.resolveLLMOptions(user && user.id, opts)
   
   const actionType = selectedAction.type
   
@@ -960,7 +1067,7 @@ async function followupActionOnEmail(user, email, opts, context = {}) {
   if (actionType === 'draft_reply') {
     return await generateReplyDraft(user, email, selectedAction, opts)
   } else if (actionType === 'create_meeting' || actionType === 'create_event') {
-    return await generateMeetingProposal(user, email, selectedAction, opts, calendarBusy)
+    return await generateMeetingProposal(user, email, selectedAction, opts, calendarBusy, candidateSlots)
   }
   
   // For other actions, return empty suggestions
@@ -974,7 +1081,7 @@ Analyze the incoming email and generate a suitable reply based on the email cont
 
 Return a JSON object with:
 - actions: array with one reply action containing:
-  - type: "reply" or "draft_reply"
+  - type: "draft_reply"
   - title: Brief description of the reply
   - payload: object with "to", "subject", "body" fields
   - confidence: how confident this is a good reply (0.0-1.0)
@@ -1005,20 +1112,21 @@ Generate an appropriate reply that addresses the sender's needs while maintainin
     const raw = await llm.chat([
       {role: 'system', content: sys},
       {role: 'user', content: userMessage}
-    ], {temperature: 0.4, max_tokens: 800, apiKey: opts.apiKey, model: opts.model})
+    ], {temperature: 0.4, max_tokens: 800, ...llm.callOptions(opts), processorType: 'draft_reply'})
 
-    const jsonText = extractJson(raw)
-    const parsed = JSON.parse(jsonText)
+    const parsed = extractJson(raw)
+    if (!parsed) throw new Error('LLM response was not valid JSON')
     
+    // Suggested replies always land as Gmail drafts for review, whatever type the model picked
     return {
-      actions: parsed.actions || [],
+      actions: (parsed.actions || []).map(a => ({ ...a, type: 'draft_reply' })),
       followups: []
     }
   } catch (err) {
     console.error('Failed to generate reply draft:', err)
     return {
       actions: [{
-        type: 'reply',
+        type: 'draft_reply',
         title: 'Draft reply (manual composition needed)',
         payload: {
           to: email.from,
@@ -1034,7 +1142,9 @@ Generate an appropriate reply that addresses the sender's needs while maintainin
 }
 
 // Generate meeting proposal with time suggestions
-async function generateMeetingProposal(user, email, action, opts, calendarBusy) {
+// candidateSlots come ranked from services/slotFinderService; the model picks among them
+async function generateMeetingProposal(user, email, action, opts, calendarBusy, candidateSlots = []) {
+  const preferences = await workPreferencesService.forUser(user)
   const sys = `You are a calendar assistant that creates meeting proposals based on email content.
 Analyze the email and generate appropriate meeting details.
 
@@ -1060,8 +1170,8 @@ Meeting payload should include:
 - attendees: array of email addresses
 
 Guidelines:
-- Suggest meetings within business hours (9 AM - 6 PM) in user's timezone (${user.timezone || 'UTC'})
-- Default to 30-60 minute duration based on context
+- Follow the user's work preferences, in their timezone (${user.timezone || 'UTC'}): ${workPreferencesService.describe(preferences)}
+- Default to ${preferences.meetingLengths[0]} minutes unless the context calls for another of their preferred lengths
 - Avoid scheduling conflicts if calendar data provided
 - Include relevant context from the original email
 - If user mentions specific times (like "9 AM"), interpret as ${user.timezone || 'UTC'} time`
@@ -1069,6 +1179,9 @@ Guidelines:
   const calendarContext = calendarBusy && calendarBusy.length > 0 
     ? `\nUser's busy times in next 3 days: ${JSON.stringify(calendarBusy)}`
     : '\nNo calendar conflicts data available'
+  const slotContext = candidateSlots.length > 0
+    ? `\nFree slots checked against the calendars, best first (use one of these unless the email asks for another time):\n${candidateSlots.map(slot => `- ${slot.label}: ${slot.start.toISOString()} to ${slot.end.toISOString()}`).join('\n')}`
+    : ''
 
   const userMessage = `Create a meeting proposal for this email:
 
@@ -1081,7 +1194,7 @@ From: ${email.from}
 Subject: ${email.subject}
 Content: ${email.body || email.snippet || 'No content available'}
 
-User requested action: ${JSON.stringify(action)}${calendarContext}
+User requested action: ${JSON.stringify(action)}${calendarContext}${slotContext}
 
 Generate appropriate meeting details including suggested time slots in ${user.timezone || 'UTC'} timezone.`
 
@@ -1089,10 +1202,10 @@ Generate appropriate meeting details including suggested time slots in ${user.ti
     const raw = await llm.chat([
       {role: 'system', content: sys},
       {role: 'user', content: userMessage}
-    ], {temperature: 0.3, max_tokens: 600, apiKey: opts.apiKey, model: opts.model})
+    ], {temperature: 0.3, max_tokens: 600, ...llm.callOptions(opts), processorType: 'meeting_proposal'})
 
-    const jsonText = extractJson(raw)
-    const parsed = JSON.parse(jsonText)
+    const parsed = extractJson(raw)
+    if (!parsed) throw new Error('LLM response was not valid JSON')
     
     return {
       actions: parsed.actions || [],
@@ -1101,13 +1214,10 @@ Generate appropriate meeting details including suggested time slots in ${user.ti
   } catch (err) {
     console.error('Failed to generate meeting proposal:', err)
     
-    // Generate fallback meeting
-    const tomorrow = new Date()
-    tomorrow.setDate(tomorrow.getDate() + 1)
-    tomorrow.setHours(14, 0, 0, 0) // 2 PM tomorrow
-    
-    const endTime = new Date(tomorrow)
-    endTime.setHours(15, 0, 0, 0) // 1 hour duration
+    // Generate fallback meeting in the best free slot, else 2 PM tomorrow
+    const defaults = createDefaultMeetingTimes(user.timezone)
+    const start = candidateSlots.length > 0 ? candidateSlots[0].start.toISOString() : defaults.startTime
+    const end = candidateSlots.length > 0 ? candidateSlots[0].end.toISOString() : defaults.endTime
     
     const senderEmail = (email.from.match(/<(.+)>/) || [null, email.from])[1] || email.from
     
@@ -1118,8 +1228,8 @@ Generate appropriate meeting details including suggested time slots in ${user.ti
         payload: {
           title: `Meeting regarding: ${email.subject || 'Email discussion'}`,
           description: `Meeting to discuss email from ${email.from}.\n\nOriginal email subject: ${email.subject}`,
-          start: tomorrow.toISOString(),
-          end: endTime.toISOString(),
+          start,
+          end,
           attendees: [senderEmail]
         },
         confidence: 0.6,
@@ -1204,7 +1314,8 @@ For example: "Schedule team standup every Tuesday at 9am" or "Book client call t
 
 async function parseMeetingRequirements(user, meetingText, opts = {}) {
   const context = { user, meetingText, type: 'meeting_parsing' }
-  const { emailContext } = opts
+  const { emailContext, ...callOpts } = opts
+  const llmOpts = await credentials.resolveLLMOptions(user && user.id, callOpts)
   
   // Include email context in the system prompt if available
   const emailContextText = emailContext ? 
@@ -1304,7 +1415,7 @@ Parse this meeting request and return ONLY JSON: "${meetingText}"`
       { role: 'user', content: usr }
     ]
     
-    const result = await llm.chat(messages, opts)
+    const result = await llm.chat(messages, { ...llmOpts, processorType: 'parse_meeting' })
     console.log(`🤖 LLM meeting parsing result (length: ${result?.length || 0}):`, JSON.stringify(result))
     
     // Validate and parse the JSON response
@@ -1378,6 +1489,7 @@ module.exports = {
   
   // Processor implementations (original functions for backward compatibility)
   processEmailActions,
+  heuristicEmailActions,
   processEmailSummary,
   processDailyBriefing,
   processMeetingNotes,
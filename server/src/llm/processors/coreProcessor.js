@@ -3,6 +3,7 @@
  */
 
 const { extractJson } = require('../utils/jsonUtils');
+const { callOptions } = require('../llmClient');
 const { 
   processEmailActions, 
   processEmailReply, 
@@ -10,8 +11,7 @@ const {
 } = require('./emailProcessors');
 const { 
   processChatMeetingCreation, 
-  parseMeetingRequirements,
-  formatMeetingForCalendar 
+  parseMeetingRequirements
 } = require('./meetingProcessors');
 const { 
   processGeneralChat, 
@@ -28,8 +28,39 @@ const {
   formatUserContextForPrompt,
   extractErrorDetails
 } = require('./dataHelpers');
-const { createCalendarEvent } = require('../../integrations/google/actions');
-const integrationUtils = require('../../utils/integrations');
+const agentLoop = require('../agent/agentLoop');
+const approvalService = require('../../services/approvalService');
+
+// create_event arguments for a meeting parsed from chat (naive local times, read in the user's timezone)
+function meetingEventArgs(meetingData) {
+  const args = { title: meetingData.title, start: meetingData.start_datetime };
+  if (meetingData.end_datetime) args.end = meetingData.end_datetime;
+  if (meetingData.location) args.location = meetingData.location;
+  if (meetingData.description) args.description = meetingData.description;
+  if (Array.isArray(meetingData.attendees) && meetingData.attendees.length > 0) {
+    args.attendees = meetingData.attendees.map(a => (typeof a === 'string' ? a : a.email)).filter(Boolean);
+  }
+  if (meetingData.recurrence && meetingData.recurrence.frequency) args.recurrence = meetingData.recurrence;
+  return args;
+}
+
+// create_task arguments for a task parsed from chat
+function taskArgs(taskData) {
+  const args = { title: taskData.title };
+  if (taskData.description) args.notes = taskData.description;
+  if (taskData.due_date) args.due = taskData.due_date;
+  return args;
+}
+
+// Chat reply asking the user to approve, edit or reject a queued action
+function approvalRequest(approval, question, data) {
+  return {
+    type: 'approval_request',
+    content: `${question}\n\n${approval.preview.summary}`,
+    data: { ...data, approval },
+    actions: []
+  };
+}
 
 /**
  * Main LLM processor orchestrator
@@ -59,9 +90,20 @@ class LLMProcessor {
         throw new Error('Invalid or empty input');
       }
 
+      // Chat asks for the tool-calling agent, which handles compound requests the classifier can't
+      if (options.agent && !context.emailData && this.hasLLMAccess(options) && agentLoop.isEnabled(options)) {
+        if (options.onEvent) options.onEvent('processor', { type: 'agent' });
+        const result = await agentLoop.runAgent(cleanInput, context, { llmClient: this.llmClient, ...options });
+        result.processingTime = Date.now() - startTime;
+        result.processorType = 'agent';
+        this.processingStats.lastProcessed = new Date().toISOString();
+        return result;
+      }
+
       // Detect processor type
       const processorType = await this.detectProcessorType(cleanInput, context, options);
       console.log('Detected processor type:', processorType);
+      if (options.onEvent) options.onEvent('processor', { type: processorType });
 
       // Route to appropriate processor
       let result;
@@ -111,7 +153,7 @@ class LLMProcessor {
       }
 
       // Always use LLM for intelligent detection
-      if (options.apiKey) {
+      if (this.hasLLMAccess(options)) {
         return await this.detectWithLLM(input, context, options);
       }
 
@@ -124,6 +166,13 @@ class LLMProcessor {
     }
   }
 
+  /**
+   * Whether an LLM call can be made at all (local/mock providers need no caller key)
+   */
+  hasLLMAccess(options = {}) {
+    return !!(options.apiKey || process.env.OPENAI_API_KEY || (options.provider && options.provider !== 'openai'));
+  }
+
   /**
    * Use LLM to intelligently detect processor type
    */
@@ -179,8 +228,8 @@ What processor type should handle this request?`;
       ];
       
       const response = await this.llmClient.chat(messages, {
-        apiKey: options.apiKey,
-        model: options.model || 'gpt-4o-mini',
+        ...callOptions(options),
+        processorType: 'detect_processor',
         temperature: 0.1, // Low temperature for consistent classification
         maxTokens: 10     // We only need one word
       });
@@ -220,71 +269,6 @@ What processor type should handle this request?`;
     }
   }
 
-  /**
-   * Process meeting creation requests
-   */
-  async createMeetingAutomatically(meetingData, context, options) {
-    try {
-      console.log('🔍 Checking user authentication and Google integration...');
-      
-      // Get user ID from context
-      const userId = context.user?.id;
-      if (!userId) {
-        throw new Error('User not authenticated');
-      }
-
-      // Validate Google integration using centralized utility
-      console.log('� Validating Gmail integration for user:', userId);
-      const validation = await integrationUtils.validateUserIntegration(userId, 'gmail', true);
-
-      if (!validation.hasIntegration) {
-        console.warn('❌ No Gmail integration found for user:', userId);
-        throw new Error('Google integration not found');
-      }
-
-      if (!validation.hasValidTokens) {
-        console.warn('🔐 Invalid Gmail tokens for user:', userId);
-        throw new Error(validation.errorCode === 'INVALID_TOKENS' ? 'Google authentication expired' : 'OAuth tokens not available');
-      }
-
-      const tokens = validation.integration.tokens;
-
-      console.log('🗓️ Creating calendar event via Google Calendar API...');
-      
-      // Format meeting data for Google Calendar
-      const calendarEvent = formatMeetingForCalendar(meetingData);
-      console.log('📋 Formatted calendar event:', {
-        summary: calendarEvent.summary,
-        start: calendarEvent.start,
-        end: calendarEvent.end
-      });
-
-      // Create the calendar event
-      const createdEvent = await createCalendarEvent(tokens, calendarEvent);
-      
-      console.log('✅ Calendar event created successfully:', {
-        eventId: createdEvent.id,
-        htmlLink: createdEvent.htmlLink,
-        title: createdEvent.summary
-      });
-
-      return {
-        success: true,
-        eventId: createdEvent.id,
-        link: createdEvent.htmlLink,
-        calendarEvent: createdEvent
-      };
-
-    } catch (error) {
-      console.error('🚨 createMeetingAutomatically error:', {
-        message: error.message,
-        userId: context.user?.id,
-        platform: 'gmail'
-      });
-      throw error;
-    }
-  }
-
   formatDateTimeForUser(datetime, timezone = 'UTC') {
     try {
       const date = new Date(datetime);
@@ -310,6 +294,11 @@ What processor type should handle this request?`;
     }
   }
 
+  /**
+   * Process meeting creation requests: the parsed meeting becomes a create_event proposal in the
+   * approval queue, which only reaches Google Calendar once the user approves it (or has
+   * auto-approve on for events)
+   */
   async processMeetingRequest(input, context, options) {
     try {
       const meetingData = await processChatMeetingCreation(input, context, {
@@ -317,74 +306,51 @@ What processor type should handle this request?`;
         ...options
       });
 
-      // Automatically create the meeting if we have sufficient details
-      console.log('📅 Meeting data ready, attempting to create automatically...');
-      
+      let approval;
       try {
-        const createdMeeting = await this.createMeetingAutomatically(meetingData, context, options);
-        
-        if (createdMeeting.success) {
-          const formattedDateTime = this.formatDateTimeForUser(meetingData.start_datetime, context.user?.timezone);
-          
-          console.log('✅ Meeting created automatically:', {
-            title: meetingData.title,
-            eventId: createdMeeting.eventId,
-            user: context.user?.email
-          });
-          
-          return {
-            type: 'meeting_created',
-            content: `✅ **Meeting Created Successfully!**
+        approval = await approvalService.proposeAction(context.user, {
+          actionType: 'create_event',
+          payload: meetingEventArgs(meetingData),
+          sessionId: context.sessionId
+        });
+      } catch (proposeError) {
+        if (proposeError.code !== 'invalid_action') throw proposeError;
+        return this.meetingFallback(meetingData, context, proposeError.message);
+      }
+
+      if (approval.status === 'pending') {
+        return approvalRequest(approval, 'Create this meeting?', meetingData);
+      }
+      if (approval.status === 'failed') {
+        console.warn('⚠️ Auto-approved meeting creation failed:', approval.error);
+        return this.meetingFallback(meetingData, context, approval.error);
+      }
+
+      const formattedDateTime = this.formatDateTimeForUser(approval.result.start, context.user?.timezone);
+      console.log('✅ Meeting created (auto-approved):', {
+        title: meetingData.title,
+        eventId: approval.result.event_id,
+        user: context.user?.email
+      });
+
+      return {
+        type: 'meeting_created',
+        content: `✅ **Meeting Created Successfully!**
 
 📅 **${meetingData.title}**
 🕐 ${formattedDateTime}
 ${meetingData.location ? `📍 ${meetingData.location}` : ''}
 
-🎉 **Added to your Google Calendar!** ${createdMeeting.link ? `[View Meeting](${createdMeeting.link})` : ''}`,
-            data: {
-              ...meetingData,
-              calendarEventId: createdMeeting.eventId,
-              calendarLink: createdMeeting.link,
-              created: true,
-              autoCreated: true
-            }
-          };
+🎉 **Added to your Google Calendar!** ${approval.result.link ? `[View Meeting](${approval.result.link})` : ''}`,
+        data: {
+          ...meetingData,
+          approvalId: approval.id,
+          calendarEventId: approval.result.event_id,
+          calendarLink: approval.result.link,
+          created: true,
+          autoCreated: true
         }
-      } catch (autoCreateError) {
-        console.warn('⚠️ Auto-creation failed, falling back to manual confirmation:', autoCreateError.message);
-        
-        // Provide helpful error message based on the error type
-        let errorMessage = '⚠️ I couldn\'t create it automatically, so please confirm to add it to your Google Calendar.';
-        
-        if (autoCreateError.message.includes('integration not found')) {
-          errorMessage = '🔗 **Connect Google Account**: Go to Settings → Integrations → Connect Google Account to enable automatic meeting creation.';
-        } else if (autoCreateError.message.includes('authentication expired')) {
-          errorMessage = '🔄 **Reconnect Required**: Your Google account connection expired. Please reconnect in Settings → Integrations.';
-        } else if (autoCreateError.message.includes('not authenticated')) {
-          errorMessage = '🔐 **Login Required**: Please log in to create meetings automatically.';
-        } else if (autoCreateError.message.includes('quota') || autoCreateError.message.includes('rate limit')) {
-          errorMessage = '⏱️ **Temporarily Unavailable**: Google Calendar API is busy. Please try again in a moment.';
-        }
-        
-        // If auto-creation fails, fall back to requiring user confirmation
-        return {
-          type: 'create_meeting',
-          content: `I can help you create a meeting: "${meetingData.title}"
-
-**Meeting Details:**
-📅 **${meetingData.title}**
-🕐 ${this.formatDateTimeForUser(meetingData.start_datetime, context.user?.timezone)}
-📍 ${meetingData.location || 'No location specified'}
-
-${errorMessage}`,
-          data: meetingData,
-          actions: [{
-            type: 'create_meeting',
-            label: 'Create Meeting',
-            data: meetingData
-          }]
-        };
-      }
+      };
     } catch (error) {
       console.error('processMeetingRequest error:', error);
       return {
@@ -394,48 +360,92 @@ ${errorMessage}`,
     }
   }
 
+  // Meeting details plus a manual "Create Meeting" action when it couldn't be queued or run
+  meetingFallback(meetingData, context, reason = '') {
+    let errorMessage = '⚠️ I couldn\'t create it automatically, so please confirm to add it to your Google Calendar.';
+
+    if (reason.includes('not connected')) {
+      errorMessage = '🔗 **Connect Google Account**: Go to Settings → Integrations → Connect Google Account to enable automatic meeting creation.';
+    } else if (reason.includes('authentication expired')) {
+      errorMessage = '🔄 **Reconnect Required**: Your Google account connection expired. Please reconnect in Settings → Integrations.';
+    } else if (reason.includes('quota') || reason.includes('rate limit')) {
+      errorMessage = '⏱️ **Temporarily Unavailable**: Google Calendar API is busy. Please try again in a moment.';
+    }
+
+    return {
+      type: 'create_meeting',
+      content: `I can help you create a meeting: "${meetingData.title}"
+
+**Meeting Details:**
+📅 **${meetingData.title}**
+🕐 ${this.formatDateTimeForUser(meetingData.start_datetime, context.user?.timezone)}
+📍 ${meetingData.location || 'No location specified'}
+
+${errorMessage}`,
+      data: meetingData,
+      actions: [{
+        type: 'create_meeting',
+        label: 'Create Meeting',
+        data: meetingData
+      }]
+    };
+  }
+
   /**
-   * Process task creation requests
+   * Process task creation requests: parse the task and queue a create_task proposal
    */
   async processTaskRequest(input, context, options) {
     try {
       const taskData = await processTaskCreation(input, context, {
         llmClient: this.llmClient,
-        user: context.user,
-        db: this.db,
         ...options
       });
+      delete taskData.created;
+      delete taskData.reason;
 
-      // Generate appropriate response based on whether task was actually created
-      let content, actions = [];
-      
-      if (taskData.created) {
-        content = `✅ Task created successfully in Google Tasks: "${taskData.title}"`;
-        if (taskData.googleTaskId) {
-          content += `\n📝 Task ID: ${taskData.googleTaskId}`;
-        }
-      } else if (taskData.created === false && taskData.reason) {
-        content = `📋 I've parsed your task: "${taskData.title}"\n⚠️ ${taskData.reason}`;
-        actions = [{
-          type: 'setup_integration',
-          label: 'Setup Google Tasks',
-          description: 'Connect Google Tasks to create tasks automatically'
-        }];
-      } else {
-        content = `📋 I can help you create this task: "${taskData.title}"`;
-        actions = [{
+      let approval;
+      try {
+        approval = await approvalService.proposeAction(context.user, {
+          actionType: 'create_task',
+          payload: taskArgs(taskData),
+          sessionId: context.sessionId
+        });
+      } catch (proposeError) {
+        if (proposeError.code !== 'invalid_action') throw proposeError;
+        return {
           type: 'create_task',
-          label: 'Create Task',
-          data: taskData
-        }];
+          content: `📋 I can help you create this task: "${taskData.title}"\n⚠️ ${proposeError.message}`,
+          data: taskData,
+          actions: [{ type: 'create_task', label: 'Create Task', data: taskData }],
+          success: false
+        };
+      }
+
+      if (approval.status === 'pending') {
+        return approvalRequest(approval, 'Create this task?', taskData);
       }
 
+      if (approval.status === 'executed') {
+        return {
+          type: 'create_task',
+          content: `✅ Task created successfully in Google Tasks: "${taskData.title}"\n📝 Task ID: ${approval.result.task_id}`,
+          data: { ...taskData, approvalId: approval.id, googleTaskId: approval.result.task_id, created: true, platform: 'google_tasks' },
+          actions: [],
+          success: true
+        };
+      }
+
+      const notConnected = /not connected|authentication expired/.test(approval.error || '');
       return {
         type: 'create_task',
-        content,
-        data: taskData,
-        actions,
-        success: taskData.created || false
+        content: `📋 I've parsed your task: "${taskData.title}"\n⚠️ ${approval.error}`,
+        data: { ...taskData, approvalId: approval.id, created: false, error: approval.error },
+        actions: notConnected ? [{
+          type: 'setup_integration',
+          label: 'Setup Google Tasks',
+          description: 'Connect Google Tasks to create tasks automatically'
+        }] : [],
+        success: false
       };
     } catch (error) {
       console.error('processTaskRequest error:', error);
@@ -1,4 +1,5 @@
 const { extractJson } = require('../utils/jsonUtils');
+const { callOptions } = require('../llmClient');
 
 /**
  * Email-specific processor functions for handling email analysis and action generation
@@ -41,8 +42,8 @@ Analyze and suggest actions.`;
     ];
     
     const response = await llmClient.chat(messages, {
-      apiKey: options.apiKey,
-      model: options.model
+      ...callOptions(options),
+      processorType: 'email_actions'
     });
 
     const result = extractJson(response);
@@ -85,8 +86,8 @@ Generate an appropriate reply.`;
     ];
     
     const response = await llmClient.chat(messages, {
-      apiKey: options.apiKey,
-      model: options.model
+      ...callOptions(options),
+      processorType: 'email_reply'
     });
 
     return extractJson(response) || { 
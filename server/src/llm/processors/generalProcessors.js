@@ -1,5 +1,8 @@
 const { extractJson } = require('../utils/jsonUtils');
+const { callOptions } = require('../llmClient');
 const integrationUtils = require('../../utils/integrations');
+const googleClient = require('../../integrations/google/client');
+const retrievalService = require('../../services/retrievalService');
 
 /**
  * General-purpose processor functions for various chat and text processing tasks
@@ -22,8 +25,14 @@ Provide helpful, concise responses. If the user is asking about:
 Keep responses conversational and actionable. Use the conversation history to maintain context and provide relevant follow-up responses.`;
 
   try {
+    // Mailbox and calendar items relevant to the question, numbered for citation
+    const retrieval = await retrievalService.retrieveForChat(context.user && context.user.id, input);
+    if (options.onEvent && retrieval.sources.length > 0) options.onEvent('sources', { sources: retrieval.sources });
+
     // Build messages array with conversation history
-    const messages = [{ role: 'system', content: systemPrompt }];
+    const messages = [
+      { role: 'system', content: retrieval.prompt ? `${systemPrompt}\n\n${retrievalService.CITATION_RULES}` : systemPrompt }
+    ];
 
     // Include conversation history for context
     if (context.conversationHistory && context.conversationHistory.length > 0) {
@@ -32,19 +41,24 @@ Keep responses conversational and actionable. Use the conversation history to ma
       messages.push(...recentHistory);
     }
 
+    // Retrieved mail is quoted data, never instructions, so it doesn't go in the system prompt
+    if (retrieval.prompt) messages.push({ role: 'user', content: retrieval.prompt });
+
     // Add current user input
     messages.push({ role: 'user', content: input });
     
     const response = await llmClient.chat(messages, {
-      apiKey: options.apiKey,
-      model: options.model
+      ...callOptions(options),
+      onToken: options.onToken,
+      processorType: 'general_chat'
     });
 
     return {
       type: 'chat_response',
       response: response,
       content: response,
-      actions: []
+      actions: [],
+      ...retrievalService.attachCitations(response, retrieval.sources)
     };
   } catch (error) {
     console.error('processGeneralChat error:', error);
@@ -139,8 +153,8 @@ Rules:
     messages.push({ role: 'user', content: input });
     
     const response = await llmClient.chat(messages, {
-      apiKey: options.apiKey,
-      model: options.model
+      ...callOptions(options),
+      processorType: 'task_creation'
     });
 
     const result = extractJson(response);
@@ -152,21 +166,11 @@ Rules:
     if (user && db) {
       try {
         // Validate Google integration using centralized utility
-        const validation = await integrationUtils.validateUserIntegration(user.id, 'gmail', true);
+        const validation = await integrationUtils.resolveIntegration(user.id, 'tasks');
 
         if (validation.hasIntegration && validation.hasValidTokens) {
-          // Get the parsed OAuth tokens
-          const tokens = validation.integration.tokens;
-          
-          // Create Google Auth with proper client credentials (same as calendar code)
-          const { google } = require('googleapis');
-          const oauth2Client = new google.auth.OAuth2(
-            process.env.GOOGLE_CLIENT_ID,
-            process.env.GOOGLE_CLIENT_SECRET
-          );
-          
-          // Set the user's credentials
-          oauth2Client.setCredentials(tokens);
+          // OAuth client that saves refreshed tokens back to the integration
+          const oauth2Client = googleClient.createClient(validation.integration);
 
           // Create the task in Google Tasks
           const googleTaskResult = await createGoogleTask(result, oauth2Client, options);
@@ -227,8 +231,8 @@ Action types:
     ];
     
     const response = await llmClient.chat(messages, {
-      apiKey: options.apiKey,
-      model: options.model
+      ...callOptions(options),
+      processorType: 'quick_action'
     });
 
     return extractJson(response) || {
@@ -287,8 +291,8 @@ Generate helpful suggestions.`;
     ];
     
     const response = await llmClient.chat(messages, {
-      apiKey: options.apiKey,
-      model: options.model
+      ...callOptions(options),
+      processorType: 'smart_suggestions'
     });
 
     const result = extractJson(response);
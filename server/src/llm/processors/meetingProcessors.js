@@ -1,4 +1,5 @@
 const { extractJson } = require('../utils/jsonUtils');
+const { callOptions } = require('../llmClient');
 
 /**
  * Meeting and calendar-specific processor functions
@@ -81,8 +82,8 @@ Rules:
     });
     
     const response = await llmClient.chat(messages, {
-      apiKey: options.apiKey,
-      model: options.model
+      ...callOptions(options),
+      processorType: 'create_meeting'
     });
 
     console.log('📅 Meeting creation - LLM response:', response);
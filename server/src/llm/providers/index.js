@@ -0,0 +1,77 @@
+const db = require('../../db')
+const { createOpenAIProvider } = require('./openaiProvider')
+const { createLocalProvider } = require('./localProvider')
+const { createMockProvider } = require('./mockProvider')
+
+/**
+ * LLM Provider Registry
+ * Resolves which backend serves a chat() call: per call, per user, then per deployment
+ */
+
+const FACTORIES = {
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  mock: createMockProvider
+}
+
+const instances = {}
+
+/**
+ * Get a provider instance by name
+ * @param {string} name - 'openai', 'local' or 'mock'
+ * @returns {Object} Provider with chat(messages, opts)
+ */
+function getProvider(name) {
+  const key = (name || '').toLowerCase()
+  if (!FACTORIES[key]) throw new Error(`Unknown LLM provider: ${name}`)
+  if (!instances[key]) instances[key] = FACTORIES[key]()
+  return instances[key]
+}
+
+function isKnownProvider(name) {
+  return !!name && Object.prototype.hasOwnProperty.call(FACTORIES, name.toLowerCase())
+}
+
+// Deployment default (LLM_PROVIDER)
+function getDefaultProviderName() {
+  return (process.env.LLM_PROVIDER || 'openai').toLowerCase()
+}
+
+// Providers a user may pick for themselves; mock stays deployment-only unless listed
+function getUserSelectableProviders() {
+  return (process.env.LLM_USER_PROVIDERS || 'openai,local')
+    .split(',')
+    .map(p => p.trim().toLowerCase())
+    .filter(isKnownProvider)
+}
+
+/**
+ * Provider chosen in the user's settings, if it is allowed in this deployment
+ * @param {string} userId - User ID
+ * @returns {string|null} Provider name or null to use the deployment default
+ */
+async function getUserProviderName(userId) {
+  if (!userId) return null
+  try {
+    const result = await db.query('SELECT llm_provider FROM user_settings WHERE user_id = $1', [userId])
+    const name = result.rows[0] && result.rows[0].llm_provider
+    return name && getUserSelectableProviders().includes(name) ? name : null
+  } catch (error) {
+    console.warn(`Could not load LLM provider for user ${userId}:`, error.message)
+    return null
+  }
+}
+
+// Drop cached instances (e.g. after tests change provider env vars)
+function resetProviders() {
+  for (const key of Object.keys(instances)) delete instances[key]
+}
+
+module.exports = {
+  getProvider,
+  isKnownProvider,
+  getDefaultProviderName,
+  getUserSelectableProviders,
+  getUserProviderName,
+  resetProviders
+}
@@ -0,0 +1,24 @@
+const { createOpenAICompatibleProvider } = require('./openaiProvider')
+
+/**
+ * Local Provider
+ * OpenAI-compatible local endpoint such as Ollama (/v1) or llama.cpp server
+ */
+
+function createLocalProvider() {
+  return createOpenAICompatibleProvider({
+    name: 'local',
+    // Local servers usually ignore the key but the SDK requires one
+    apiKey: process.env.LLM_LOCAL_API_KEY || 'local',
+    baseURL: process.env.LLM_LOCAL_BASE_URL || 'http://localhost:11434/v1',
+    defaultModel: process.env.LLM_LOCAL_MODEL || 'llama3.1',
+    // No default: the model must produce vectors of the message_embeddings width
+    defaultEmbeddingModel: process.env.LLM_LOCAL_EMBEDDING_MODEL || undefined,
+    // Never forward a user's OpenAI key to a self-hosted server
+    acceptsUserKey: false,
+    // Function calling depends on the model; LLM_LOCAL_TOOLS=false keeps the agent off for ones without it
+    supportsTools: process.env.LLM_LOCAL_TOOLS !== 'false'
+  })
+}
+
+module.exports = { createLocalProvider }
@@ -0,0 +1,215 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+
+/**
+ * Mock Provider
+ * Replays recorded or hand-written fixtures so processors run offline and deterministically.
+ *
+ * Fixture files (JSON, one object or an array per file) live in LLM_MOCK_FIXTURES_DIR:
+ *   { "name": "...", "hash": "<sha256 of the request>", "response": "..." }   exact replay (recorded)
+ *   { "name": "...", "match": { "system": "...", "user": ["...", "..."] }, "response": "..." }
+ * Match rules are case-insensitive substrings checked against the system prompt, the last user
+ * message or (with "any") every message; "after_tool" names the tool whose result came last.
+ * Exact hashes win over rules; rules are tried in file order.
+ * A fixture may answer with "tool_calls": [{ "name": "...", "arguments": {...} }] (used when the
+ * request offers tools) instead of, or as well as, a text "response".
+ * Set LLM_MOCK_RECORD=true to call LLM_MOCK_RECORD_PROVIDER (default openai) for unmatched requests
+ * and save the answer as a new fixture.
+ *
+ * embed() needs no fixtures: words are hashed into a normalized bag-of-words vector, so texts that
+ * share words come out close together and search can be exercised offline.
+ */
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '../fixtures')
+
+function fixturesDir() {
+  return process.env.LLM_MOCK_FIXTURES_DIR || DEFAULT_FIXTURES_DIR
+}
+
+/**
+ * Stable key for a chat request (roles and contents only)
+ * @param {Object[]} messages - Chat messages
+ * @returns {string} sha256 hex digest
+ */
+function requestHash(messages) {
+  const normalized = messages.map(m => ({ role: m.role, content: m.content }))
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex')
+}
+
+function loadFixtures(dir) {
+  if (!fs.existsSync(dir)) return []
+  return fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .flatMap(file => {
+      const parsed = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))
+      return (Array.isArray(parsed) ? parsed : [parsed]).map(f => ({ ...f, file }))
+    })
+}
+
+function includesAll(text, expected) {
+  const haystack = (text || '').toLowerCase()
+  const needles = Array.isArray(expected) ? expected : [expected]
+  return needles.every(n => haystack.includes(String(n).toLowerCase()))
+}
+
+// Name of the tool behind the most recent tool result, looked up through the assistant turn that called it
+function lastToolName(messages) {
+  const result = [...messages].reverse().find(m => m.role === 'tool')
+  if (!result) return null
+  for (const m of messages) {
+    const call = (m.tool_calls || []).find(c => c.id === result.tool_call_id)
+    if (call) return call.function.name
+  }
+  return null
+}
+
+function matchesRule(rule, messages) {
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n')
+  const users = messages.filter(m => m.role === 'user')
+  const lastUser = users.length > 0 ? users[users.length - 1].content : ''
+  const all = messages.map(m => m.content).join('\n')
+
+  if (rule.system && !includesAll(system, rule.system)) return false
+  if (rule.user && !includesAll(lastUser, rule.user)) return false
+  if (rule.any && !includesAll(all, rule.any)) return false
+  if (rule.after_tool && lastToolName(messages) !== rule.after_tool) return false
+  return true
+}
+
+/**
+ * Find the fixture that answers a request
+ * @param {Object[]} messages - Chat messages
+ * @param {Object[]} fixtures - Loaded fixtures
+ * @param {boolean} exactOnly - Ignore match rules (recording mode)
+ * @returns {Object|null} Fixture or null
+ */
+function findFixture(messages, fixtures, exactOnly = false) {
+  const hash = requestHash(messages)
+  const exact = fixtures.find(f => f.hash === hash)
+  if (exact || exactOnly) return exact || null
+  return fixtures.find(f => f.match && matchesRule(f.match, messages)) || null
+}
+
+// Rough token estimate (~4 chars/token) so usage stays deterministic for fixtures without usage
+function estimateUsage(messages, content) {
+  const prompt = Math.ceil(messages.reduce((n, m) => n + (m.content || '').length, 0) / 4)
+  const completion = Math.ceil((content || '').length / 4)
+  return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion }
+}
+
+function toContent(response) {
+  if (response == null) return ''
+  return typeof response === 'string' ? response : JSON.stringify(response)
+}
+
+// Fixture tool calls in provider form, with ids stable per fixture so replays are deterministic
+function toToolCalls(fixture) {
+  return (fixture.tool_calls || []).map((call, i) => ({
+    id: call.id || `call_${(fixture.name || fixture.file || 'mock').replace(/\W+/g, '_')}_${i}`,
+    name: call.name,
+    arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+  }))
+}
+
+async function recordFixture(messages, opts, dir) {
+  // Lazy require: the registry requires this module
+  const { getProvider } = require('./index')
+  const target = getProvider(process.env.LLM_MOCK_RECORD_PROVIDER || 'openai')
+  const result = await target.chat(messages, { ...opts, model: opts.recordModel || undefined })
+
+  const hash = requestHash(messages)
+  const fixture = {
+    name: `recorded-${hash.substring(0, 12)}`,
+    hash,
+    recorded_at: new Date().toISOString(),
+    provider: target.name,
+    model: result.model,
+    request: { messages },
+    response: result.content,
+    tool_calls: result.toolCalls && result.toolCalls.length > 0
+      ? result.toolCalls.map(call => ({ id: call.id, name: call.name, arguments: call.arguments }))
+      : undefined,
+    usage: result.usage
+  }
+  fs.mkdirSync(dir, { recursive: true })
+  fs.writeFileSync(path.join(dir, `${fixture.name}.json`), JSON.stringify(fixture, null, 2) + '\n')
+  console.log(`📼 Recorded LLM fixture ${fixture.name}`)
+  return result
+}
+
+function abortError() {
+  const error = new Error('Request was aborted')
+  error.name = 'AbortError'
+  return error
+}
+
+// Feature-hashed bag of words, L2-normalized
+function hashEmbedding(text, dimensions) {
+  const vector = new Array(dimensions).fill(0)
+  for (const word of (text || '').toLowerCase().match(/[a-z0-9]+/g) || []) {
+    const digest = crypto.createHash('md5').update(word).digest()
+    vector[digest.readUInt32BE(0) % dimensions] += digest[4] & 1 ? 1 : -1
+  }
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0))
+  return norm > 0 ? vector.map(v => v / norm) : vector
+}
+
+function createMockProvider() {
+  return {
+    name: 'mock',
+    defaultModel: 'mock',
+    defaultEmbeddingModel: 'mock-embedding',
+    acceptsUserKey: false,
+    supportsTools: true,
+
+    async validateKey() {
+      return true
+    },
+
+    async chat(messages, opts = {}) {
+      const dir = fixturesDir()
+      const recording = process.env.LLM_MOCK_RECORD === 'true'
+      const fixture = findFixture(messages, loadFixtures(dir), recording)
+
+      if (!fixture) {
+        if (recording) return await recordFixture(messages, opts, dir)
+        throw new Error(`No mock LLM fixture matches request ${requestHash(messages).substring(0, 12)}`)
+      }
+
+      const content = toContent(fixture.response)
+      if (opts.onToken) {
+        // Word-sized deltas so streaming consumers see more than one chunk
+        for (const piece of (content || '').match(/\S+\s*|\s+/g) || []) {
+          if (opts.signal && opts.signal.aborted) throw abortError()
+          opts.onToken(piece)
+        }
+      }
+      return {
+        content,
+        toolCalls: opts.tools ? toToolCalls(fixture) : [],
+        usage: fixture.usage || estimateUsage(messages, content),
+        model: 'mock',
+        fixture: fixture.name || fixture.file
+      }
+    },
+
+    async embed(texts, opts = {}) {
+      const dimensions = opts.dimensions || 1536
+      const promptTokens = Math.ceil(texts.reduce((n, t) => n + (t || '').length, 0) / 4)
+      return {
+        embeddings: texts.map(text => hashEmbedding(text, dimensions)),
+        usage: { prompt_tokens: promptTokens, completion_tokens: 0, total_tokens: promptTokens },
+        model: opts.model || 'mock-embedding'
+      }
+    }
+  }
+}
+
+module.exports = {
+  createMockProvider,
+  requestHash,
+  findFixture,
+  loadFixtures
+}
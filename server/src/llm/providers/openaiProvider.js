@@ -0,0 +1,144 @@
+const { OpenAI } = require('openai')
+
+/**
+ * OpenAI Provider
+ * Chat completions via the OpenAI SDK; also used for OpenAI-compatible servers through baseURL
+ */
+
+/**
+ * Create a provider for an OpenAI-compatible chat completions API
+ * @param {Object} config - Provider configuration
+ * @param {string} config.name - Provider name used in logs and usage records
+ * @param {string} config.apiKey - Deployment API key
+ * @param {string} config.baseURL - API base URL (optional, defaults to api.openai.com)
+ * @param {string} config.defaultModel - Model used when the caller does not pick one
+ * @param {string} config.defaultEmbeddingModel - Model for embed() when the caller does not pick one (optional)
+ * @param {boolean} config.acceptsUserKey - Whether a per-call opts.apiKey may replace the deployment key
+ * @param {boolean} config.supportsTools - Whether the models accept function definitions (opts.tools)
+ * @returns {Object} Provider with chat(messages, opts) -> {content, toolCalls, usage, model},
+ *   embed(texts, opts) -> {embeddings, usage, model} and validateKey({apiKey, model})
+ *
+ * chat() streams when opts.onToken is given (each text delta is passed to it) and
+ * aborts when opts.signal fires; the resolved value is the same either way.
+ * With opts.tools (OpenAI function definitions) the model may answer with toolCalls
+ * [{id, name, arguments}] instead of text; arguments is the raw JSON string.
+ */
+// Stream a completion, forwarding deltas to opts.onToken; usage arrives in the final chunk
+async function streamCompletion(client, request, opts) {
+  const stream = await client.chat.completions.create(
+    { ...request, stream: true, stream_options: { include_usage: true } },
+    { signal: opts.signal }
+  )
+
+  let content = ''
+  let usage = null
+  let model = request.model
+  const toolCalls = []
+  for await (const chunk of stream) {
+    if (chunk.usage) usage = chunk.usage
+    if (chunk.model) model = chunk.model
+    const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta
+    if (delta && delta.content) {
+      content += delta.content
+      opts.onToken(delta.content)
+    }
+    // Tool calls arrive in pieces keyed by index: id and name first, then argument fragments
+    for (const part of (delta && delta.tool_calls) || []) {
+      const call = toolCalls[part.index] || (toolCalls[part.index] = { id: null, name: '', arguments: '' })
+      if (part.id) call.id = part.id
+      if (part.function && part.function.name) call.name += part.function.name
+      if (part.function && part.function.arguments) call.arguments += part.function.arguments
+    }
+  }
+  return { content, toolCalls: toolCalls.filter(Boolean), usage, model }
+}
+
+function toToolCalls(message) {
+  return ((message && message.tool_calls) || [])
+    .filter(call => call.type === 'function' || call.function)
+    .map(call => ({ id: call.id, name: call.function.name, arguments: call.function.arguments || '{}' }))
+}
+
+function createOpenAICompatibleProvider(config) {
+  const { name, apiKey, baseURL, defaultModel, defaultEmbeddingModel, acceptsUserKey = true, supportsTools = true } = config
+
+  return {
+    name,
+    defaultModel,
+    defaultEmbeddingModel,
+    acceptsUserKey,
+    supportsTools,
+
+    async chat(messages, opts = {}) {
+      const key = (acceptsUserKey && opts.apiKey) || apiKey
+      if (!key) throw new Error(`Missing API key for ${name} LLM provider`)
+
+      const client = new OpenAI({ apiKey: key, baseURL })
+      const model = opts.model || defaultModel
+      const request = {
+        model,
+        messages,
+        max_tokens: opts.maxTokens,
+        temperature: opts.temperature,
+        ...opts.extra
+      }
+      if (opts.tools && opts.tools.length > 0) {
+        request.tools = opts.tools
+        if (opts.toolChoice) request.tool_choice = opts.toolChoice
+      }
+
+      if (opts.onToken) return await streamCompletion(client, request, opts)
+
+      const res = await client.chat.completions.create(request, { signal: opts.signal })
+      const choice = res && res.choices && res.choices[0]
+      return {
+        content: choice && choice.message ? choice.message.content : null,
+        toolCalls: toToolCalls(choice && choice.message),
+        usage: res.usage || null,
+        model: res.model || model
+      }
+    },
+
+    async embed(texts, opts = {}) {
+      const key = (acceptsUserKey && opts.apiKey) || apiKey
+      if (!key) throw new Error(`Missing API key for ${name} LLM provider`)
+
+      const client = new OpenAI({ apiKey: key, baseURL })
+      const model = opts.model || defaultEmbeddingModel
+      const request = { model, input: texts }
+      // Only the text-embedding-3 family can shorten its vectors on request
+      if (opts.dimensions && /^text-embedding-3/.test(model)) request.dimensions = opts.dimensions
+
+      const res = await client.embeddings.create(request, { signal: opts.signal })
+      const data = [...(res.data || [])].sort((a, b) => a.index - b.index)
+      return {
+        embeddings: data.map(d => d.embedding),
+        usage: res.usage || null,
+        model: res.model || model
+      }
+    },
+
+    // Cheap authenticated call; retrieving the model also proves the key can use it
+    async validateKey({ apiKey, model } = {}) {
+      const client = new OpenAI({ apiKey: (acceptsUserKey && apiKey) || config.apiKey, baseURL })
+      if (model) await client.models.retrieve(model)
+      else await client.models.list()
+      return true
+    }
+  }
+}
+
+function createOpenAIProvider() {
+  return createOpenAICompatibleProvider({
+    name: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    baseURL: process.env.OPENAI_BASE_URL || undefined,
+    defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    defaultEmbeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small'
+  })
+}
+
+module.exports = {
+  createOpenAICompatibleProvider,
+  createOpenAIProvider
+}
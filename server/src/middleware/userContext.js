@@ -38,6 +38,7 @@ async function userContextMiddleware(req, res, next) {
           timezone: user.timezone || 'UTC',
           location: user.location || null,
           personal_note: user.personal_note || null,
+          work_preferences: user.work_preferences || {},
           // Add any other user fields that might be needed
         }
         
@@ -79,6 +80,33 @@ function requireUserContext(req, res, next) {
   next()
 }
 
+/**
+ * Whether a user is a deployment admin
+ * Admins are listed by email in ADMIN_EMAILS (comma separated); users.role is
+ * editable from the profile panel, so it is not trusted for this
+ */
+function isAdmin(user) {
+  if (!user || !user.email) return false
+  const admins = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean)
+  return admins.includes(user.email.toLowerCase())
+}
+
+/**
+ * Middleware that only lets deployment admins through
+ */
+function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'authentication_required' })
+  }
+  if (!isAdmin(req.user)) {
+    return res.status(403).json({ error: 'admin_required' })
+  }
+  next()
+}
+
 /**
  * Middleware to invalidate user cache when profile is updated
  * Call this after any user profile updates
@@ -94,5 +122,7 @@ function invalidateUserCache(req, res, next) {
 module.exports = {
   userContextMiddleware,
   requireUserContext,
+  isAdmin,
+  requireAdmin,
   invalidateUserCache
 }
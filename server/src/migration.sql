@@ -22,7 +22,7 @@ CREATE TABLE IF NOT EXISTS integrations (
   user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
   platform TEXT NOT NULL, -- 'gmail','outlook','slack','teams'
   external_account_id TEXT, -- e.g., team id, workspace id
-  oauth_token_encrypted BYTEA, -- store encrypted blob / secret manager pointer
+  oauth_token_encrypted BYTEA, -- OAuth tokens JSON, envelope-encrypted by utils/secrets.js
   config JSONB, -- config options, webhook URLs, scopes
   enabled BOOLEAN DEFAULT true,
   created_at TIMESTAMPTZ DEFAULT now(),
@@ -99,6 +99,14 @@ CREATE UNIQUE INDEX IF NOT EXISTS idx_message_actions_unique_message_user ON mes
 CREATE INDEX IF NOT EXISTS idx_message_actions_user ON message_actions(user_id);
 CREATE INDEX IF NOT EXISTS idx_message_actions_message ON message_actions(message_id);
 CREATE INDEX IF NOT EXISTS idx_message_actions_acted ON message_actions(user_id, acted) WHERE acted = false;
+
+-- Gmail drafts created from draft_reply actions (reviewed before sending)
+ALTER TABLE message_actions ADD COLUMN IF NOT EXISTS gmail_draft_id TEXT;
+ALTER TABLE message_actions ADD COLUMN IF NOT EXISTS draft_status TEXT CHECK (draft_status IN ('open','sent','discarded'));
+ALTER TABLE message_actions ADD COLUMN IF NOT EXISTS draft_payload JSONB;
+ALTER TABLE message_actions ADD COLUMN IF NOT EXISTS draft_updated_at TIMESTAMPTZ;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_message_actions_gmail_draft ON message_actions(user_id, gmail_draft_id) WHERE gmail_draft_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_message_actions_open_drafts ON message_actions(user_id, draft_updated_at DESC) WHERE draft_status = 'open';
 CREATE INDEX IF NOT EXISTS idx_messages_action_required ON messages(user_id) WHERE action_required = true;
 CREATE INDEX IF NOT EXISTS idx_messages_actioned ON messages(user_id, actioned) WHERE action_required = true;
 
@@ -106,6 +114,36 @@ CREATE INDEX IF NOT EXISTS idx_messages_actioned ON messages(user_id, actioned)
 CREATE INDEX IF NOT EXISTS idx_messages_llm_unprocessed ON messages(user_id, llm_processed, received_at DESC) WHERE llm_processed = false;
 CREATE INDEX IF NOT EXISTS idx_messages_llm_retry ON messages(llm_processing_attempts, llm_last_attempt) WHERE llm_processed = false;
 
+-- Keyword search reads a stored, GIN-indexed vector instead of building one per row (see migrations/028)
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', COALESCE(subject, '')), 'A') ||
+  setweight(to_tsvector('simple', COALESCE(sender, '')), 'A') ||
+  setweight(to_tsvector('english', LEFT(COALESCE(body_plain, ''), 20000)), 'B')
+) STORED;
+CREATE INDEX IF NOT EXISTS idx_messages_search_vector ON messages USING GIN (search_vector);
+
+-- Message attachments: metadata from ingestion, bytes fetched lazily into a content-addressed store
+CREATE TABLE IF NOT EXISTS message_attachments (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  part_id TEXT NOT NULL, -- MIME part id within the message
+  filename TEXT,
+  mime_type TEXT,
+  size_bytes INTEGER,
+  external_attachment_id TEXT, -- platform attachment id (Gmail ids can change between fetches)
+  content_id TEXT, -- Content-ID for inline parts
+  is_inline BOOLEAN DEFAULT false,
+  content_hash TEXT, -- sha256 of the bytes in the local store, null until fetched
+  extracted_text TEXT,
+  extraction_status TEXT, -- 'extracted','unsupported','failed'
+  fetched_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_message_attachments_part ON message_attachments(message_id, part_id);
+CREATE INDEX IF NOT EXISTS idx_message_attachments_user ON message_attachments(user_id);
+
 -- Embeddings (for RAG / semantic search) using pgvector
 CREATE TABLE IF NOT EXISTS message_embeddings (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -116,6 +154,17 @@ CREATE TABLE IF NOT EXISTS message_embeddings (
   created_at TIMESTAMPTZ DEFAULT now()
 );
 
+-- Chunked embeddings written by jobs/embeddingJob (see migrations/018)
+ALTER TABLE message_embeddings ADD COLUMN IF NOT EXISTS chunk_index INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE message_embeddings ADD COLUMN IF NOT EXISTS chunk_text TEXT;
+CREATE INDEX IF NOT EXISTS idx_message_embeddings_message ON message_embeddings(message_id);
+CREATE INDEX IF NOT EXISTS idx_message_embeddings_user_model ON message_embeddings(user_id, model);
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS embedded_at TIMESTAMPTZ;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS embedding_attempts INTEGER DEFAULT 0;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS embedding_error TEXT;
+CREATE INDEX IF NOT EXISTS idx_messages_embedding_pending ON messages(embedding_model, embedding_attempts, received_at DESC);
+
 -- Chat sessions table for persistent conversations
 CREATE TABLE IF NOT EXISTS chat_sessions (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -138,6 +187,53 @@ CREATE TABLE IF NOT EXISTS chat_messages (
   created_at TIMESTAMPTZ DEFAULT now()
 );
 
+-- Tool-calling agent runs behind chat replies, with the trace and any call awaiting confirmation (see migrations/019)
+CREATE TABLE IF NOT EXISTS agent_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  session_id UUID REFERENCES chat_sessions(id) ON DELETE SET NULL,
+  chat_message_id UUID REFERENCES chat_messages(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'awaiting_confirmation', 'completed', 'failed', 'cancelled')),
+  input TEXT NOT NULL,
+  messages JSONB NOT NULL DEFAULT '[]',
+  steps JSONB NOT NULL DEFAULT '[]',
+  pending JSONB NOT NULL DEFAULT '[]',
+  step_count INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_runs_user_created ON agent_runs(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_agent_runs_chat_message ON agent_runs(chat_message_id);
+-- search_mail results numbered across the run, for the answer's citations (see migrations/026)
+ALTER TABLE agent_runs ADD COLUMN IF NOT EXISTS sources JSONB NOT NULL DEFAULT '[]';
+
+-- Side-effecting assistant actions waiting for (or recording) the user's approval (see migrations/020)
+CREATE TABLE IF NOT EXISTS action_approvals (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  action_type TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'executing', 'executed', 'rejected', 'failed')),
+  payload JSONB NOT NULL,
+  proposed_payload JSONB NOT NULL,
+  preview JSONB NOT NULL DEFAULT '{}',
+  source TEXT NOT NULL DEFAULT 'chat' CHECK (source IN ('chat', 'agent')),
+  session_id UUID REFERENCES chat_sessions(id) ON DELETE SET NULL,
+  agent_run_id UUID REFERENCES agent_runs(id) ON DELETE SET NULL,
+  tool_call_id TEXT,
+  decided_by TEXT CHECK (decided_by IN ('user', 'auto')),
+  result JSONB,
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  decided_at TIMESTAMPTZ,
+  executed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_action_approvals_user_status ON action_approvals(user_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_action_approvals_agent_run ON action_approvals(agent_run_id);
+
 -- LLM calls / billing telemetry (optional)
 CREATE TABLE IF NOT EXISTS llm_calls (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -154,6 +250,14 @@ CREATE TABLE IF NOT EXISTS llm_calls (
   processing_time_ms INT
 );
 
+-- Provider/key source and time indexes for usage accounting (see migrations/016)
+ALTER TABLE llm_calls ADD COLUMN IF NOT EXISTS provider TEXT;
+ALTER TABLE llm_calls ADD COLUMN IF NOT EXISTS key_source TEXT CHECK (key_source IN ('user', 'deployment'));
+-- Job work (triage, embedding) is left out of the per-user request rate limits (see migrations/027)
+ALTER TABLE llm_calls ADD COLUMN IF NOT EXISTS background BOOLEAN NOT NULL DEFAULT false;
+CREATE INDEX IF NOT EXISTS idx_llm_calls_user_created ON llm_calls(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_llm_calls_created ON llm_calls(created_at DESC);
+
 -- Notifications / quick counts (cache)
 CREATE TABLE IF NOT EXISTS notification_counters (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -191,6 +295,15 @@ CREATE TABLE IF NOT EXISTS audit_logs (
   created_at TIMESTAMPTZ DEFAULT now()
 );
 
+-- Who acted, on what, and whether it worked (see migrations/021)
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS actor TEXT NOT NULL DEFAULT 'user' CHECK (actor IN ('user', 'assistant', 'job'));
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS target_type TEXT;
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS target_id TEXT;
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS outcome TEXT NOT NULL DEFAULT 'success' CHECK (outcome IN ('success', 'failure'));
+ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS error TEXT;
+CREATE INDEX IF NOT EXISTS idx_audit_logs_user_created ON audit_logs(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_logs_user_action ON audit_logs(user_id, action, created_at DESC);
+
 -- User settings (store LLM key pointer / encrypted blob)
 CREATE TABLE IF NOT EXISTS user_settings (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -203,6 +316,61 @@ CREATE TABLE IF NOT EXISTS user_settings (
 
 CREATE UNIQUE INDEX IF NOT EXISTS idx_user_settings_user ON user_settings(user_id);
 
+-- Undo-send window for the outbound queue (email_schedules kind = 'outbox', see migrations/013)
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS undo_send_seconds INTEGER DEFAULT 10 CHECK (undo_send_seconds BETWEEN 0 AND 30);
+
+-- Per-user LLM provider (NULL = deployment default LLM_PROVIDER)
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS llm_provider TEXT;
+
+-- Encrypted per-user LLM key metadata (see migrations/015)
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS llm_key_hint TEXT;
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS llm_key_validated_at TIMESTAMPTZ;
+
+-- Admin overrides of the LLM budgets and rate limits (see migrations/017)
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS llm_limits JSONB;
+
+-- Action types the assistant may run without asking (see migrations/020)
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS auto_approve_actions JSONB DEFAULT '{}';
+
+-- Master key version of encrypted secrets; NULL = plaintext or pre-envelope, encrypted on startup (see migrations/022)
+ALTER TABLE integrations ADD COLUMN IF NOT EXISTS oauth_token_key_version INTEGER;
+ALTER TABLE user_settings ADD COLUMN IF NOT EXISTS llm_key_version INTEGER;
+
+-- Revoked Google grants raise a reauth_required notification (see migrations/023; notifications comes from migrations/009)
+DO $$
+BEGIN
+  IF to_regclass('notifications') IS NOT NULL THEN
+    ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+    ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+      CHECK (type IN ('new_email', 'high_priority', 'keyword_alert', 'scheduled_reminder', 'follow_up', 'reauth_required'));
+  END IF;
+END $$;
+
+-- Working hours, meeting and focus preferences; '{}' = defaults (see migrations/024)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS work_preferences JSONB NOT NULL DEFAULT '{}';
+
+-- Google Calendar sync: RSVP and status per event, upserted by external id (see migrations/025)
+ALTER TABLE calendar_events ADD COLUMN IF NOT EXISTS calendar_id TEXT;
+ALTER TABLE calendar_events ADD COLUMN IF NOT EXISTS status TEXT;
+ALTER TABLE calendar_events ADD COLUMN IF NOT EXISTS all_day BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE calendar_events ADD COLUMN IF NOT EXISTS response_status TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_events_external ON calendar_events(user_id, platform, external_event_id);
+-- Keyword search vector (see migrations/028)
+ALTER TABLE calendar_events ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+  setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+  setweight(to_tsvector('simple', COALESCE(organizer, '') || ' ' || COALESCE(attendees::text, '')), 'A') ||
+  setweight(to_tsvector('english', COALESCE(description, '') || ' ' || COALESCE(location, '')), 'B')
+) STORED;
+CREATE INDEX IF NOT EXISTS idx_calendar_events_search_vector ON calendar_events USING GIN (search_vector);
+
+-- Admin-editable deployment settings (llm_key_fallback, ...)
+CREATE TABLE IF NOT EXISTS system_settings (
+  key TEXT PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
 -- Daily briefing cache table for performance
 CREATE TABLE IF NOT EXISTS daily_briefing_cache (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -241,6 +409,9 @@ ALTER TABLE users ADD COLUMN IF NOT EXISTS last_gmail_poll TIMESTAMPTZ;
 -- Safety: only create indexes if they don't exist
 CREATE INDEX IF NOT EXISTS idx_messages_user_recv ON messages(user_id, received_at DESC);
 CREATE INDEX IF NOT EXISTS idx_messages_thread ON messages(thread_id);
+-- one thread row per platform conversation so ingestion can upsert on it
+CREATE UNIQUE INDEX IF NOT EXISTS idx_threads_user_platform_external ON threads(user_id, platform, external_thread_id);
+CREATE INDEX IF NOT EXISTS idx_messages_thread_received ON messages(thread_id, received_at) WHERE thread_id IS NOT NULL;
 CREATE INDEX IF NOT EXISTS idx_messages_unread ON messages(user_id) WHERE is_read = false;
 -- ensure integrations uniqueness so ON CONFLICT(platform, external_account_id) works per user
 CREATE UNIQUE INDEX IF NOT EXISTS idx_integrations_user_platform_account ON integrations(user_id, platform, external_account_id);
@@ -314,11 +485,16 @@ ALTER TABLE users ADD COLUMN IF NOT EXISTS personal_note TEXT;
 -- Add comments for new columns
 COMMENT ON COLUMN users.location IS 'User location for personalized assistance';
 COMMENT ON COLUMN users.personal_note IS 'Personal note for LLM to understand user context and preferences';
+COMMENT ON COLUMN users.work_preferences IS 'Working hours per weekday, lunch window, meeting buffer and lengths, no-meeting days and focus-time target';
+COMMENT ON COLUMN calendar_events.status IS 'Provider event status: confirmed or tentative (cancelled events are removed)';
+COMMENT ON COLUMN calendar_events.response_status IS 'The user''s RSVP: accepted, declined, tentative or needsAction';
+COMMENT ON COLUMN messages.search_vector IS 'Weighted full-text vector: subject and sender (A), first 20000 characters of body_plain (B)';
+COMMENT ON COLUMN calendar_events.search_vector IS 'Weighted full-text vector: title, organizer and attendees (A), description and location (B)';
 
 -- Notes:
 -- 1) Using IF NOT EXISTS and a transaction makes repeated runs safe on restarts.
 -- 2) This file contains the complete schema consolidated from all migration files.
--- 3) oauth_token_encrypted stored as BYTEA here: replace with an encrypted KMS/secret-manager pointer in production.
+-- 3) oauth_token_encrypted and llm_key_encrypted hold envelope-encrypted values (utils/secrets.js); rotate the master key with `npm run secrets:rotate`.
 -- 4) The unique index on (platform, external_account_id, user_id) will make ON CONFLICT work. If external_account_id can be NULL, ON CONFLICT will not match those rows — consider marking external_account_id NOT NULL if appropriate.
 -- 5) Chat persistence system supports immediate database sync and conversation context for LLM.
 -- 6) LLM processing status tracking allows for retry logic and error handling.
@@ -0,0 +1,112 @@
+const express = require('express')
+const router = express.Router()
+const db = require('../db')
+const { requireAdmin } = require('../middleware/userContext')
+const credentials = require('../llm/credentials')
+const llmQuotaService = require('../services/llmQuotaService')
+const auditService = require('../services/auditService')
+
+// Every admin route requires an ADMIN_EMAILS user
+router.use(requireAdmin)
+
+// GET /api/admin/llm -> { fallbackPolicy, policies }
+router.get('/llm', async (req,res)=>{
+  try{
+    res.json({
+      fallbackPolicy: await credentials.getFallbackPolicy(),
+      policies: credentials.FALLBACK_POLICIES
+    })
+  }catch(e){
+    console.error('Error loading admin LLM settings:', e)
+    res.status(500).json({error:'server_error'})
+  }
+})
+
+// PUT /api/admin/llm {fallbackPolicy} -> { ok, fallbackPolicy }
+// when_missing: users without a key use the deployment key
+// on_failure: also retry with the deployment key when a user's key fails
+// never: users must bring their own key
+router.put('/llm', async (req,res)=>{
+  try{
+    const { fallbackPolicy } = req.body || {}
+    if(!credentials.FALLBACK_POLICIES.includes(fallbackPolicy)){
+      return res.status(400).json({error:'invalid_fallback_policy', policies: credentials.FALLBACK_POLICIES})
+    }
+
+    await credentials.setFallbackPolicy(fallbackPolicy, req.user.id)
+    await auditService.record(req.user.id, 'set_llm_fallback_policy', {targetType:'system_settings', targetId:'llm_key_fallback', payload:{fallbackPolicy}})
+    res.json({ok:true, fallbackPolicy})
+  }catch(e){
+    console.error('Error saving admin LLM settings:', e)
+    res.status(500).json({error:'server_error'})
+  }
+})
+
+// GET /api/admin/llm/limits -> { defaults, keys }
+router.get('/llm/limits', async (req,res)=>{
+  try{
+    res.json({defaults: await llmQuotaService.getDefaultLimits(), keys: llmQuotaService.LIMIT_KEYS})
+  }catch(e){
+    console.error('Error loading LLM limits:', e)
+    res.status(500).json({error:'server_error'})
+  }
+})
+
+// PUT /api/admin/llm/limits {limits} -> { ok, defaults }
+// Only the given keys change; null makes a limit unlimited
+router.put('/llm/limits', async (req,res)=>{
+  try{
+    const { limits } = req.body || {}
+    const invalid = llmQuotaService.validateLimits(limits)
+    if(invalid) return res.status(400).json({error:'invalid_limits', message: invalid})
+
+    const defaults = await llmQuotaService.setDefaultLimits(limits, req.user.id)
+    await auditService.record(req.user.id, 'set_llm_default_limits', {targetType:'system_settings', targetId:'llm_default_limits', payload:{limits}})
+    res.json({ok:true, defaults})
+  }catch(e){
+    console.error('Error saving LLM limits:', e)
+    res.status(500).json({error:'server_error'})
+  }
+})
+
+// GET /api/admin/llm/limits/:userId -> { overrides, limits, usage, exceeded, triageMode }
+router.get('/llm/limits/:userId', async (req,res)=>{
+  try{
+    if(!/^[0-9a-f-]{36}$/i.test(req.params.userId)) return res.status(404).json({error:'user_not_found'})
+    const user = await db.query('SELECT id, email FROM users WHERE id = $1', [req.params.userId])
+    if(user.rowCount === 0) return res.status(404).json({error:'user_not_found'})
+
+    const [overrides, status] = await Promise.all([
+      llmQuotaService.getUserOverrides(req.params.userId),
+      llmQuotaService.getQuotaStatus(req.params.userId)
+    ])
+    res.json({user: user.rows[0], overrides, ...status})
+  }catch(e){
+    console.error('Error loading user LLM limits:', e)
+    res.status(500).json({error:'server_error'})
+  }
+})
+
+// PUT /api/admin/llm/limits/:userId {limits} -> { ok }
+// limits replaces the user's overrides; null removes them so the defaults apply
+router.put('/llm/limits/:userId', async (req,res)=>{
+  try{
+    if(!/^[0-9a-f-]{36}$/i.test(req.params.userId)) return res.status(404).json({error:'user_not_found'})
+    const { limits } = req.body || {}
+    if(limits !== null){
+      const invalid = llmQuotaService.validateLimits(limits)
+      if(invalid) return res.status(400).json({error:'invalid_limits', message: invalid})
+    }
+    const user = await db.query('SELECT id FROM users WHERE id = $1', [req.params.userId])
+    if(user.rowCount === 0) return res.status(404).json({error:'user_not_found'})
+
+    await llmQuotaService.setUserOverrides(req.params.userId, limits)
+    await auditService.record(req.user.id, 'set_llm_user_limits', {targetType:'user', targetId:req.params.userId, payload:{limits}})
+    res.json({ok:true})
+  }catch(e){
+    console.error('Error saving user LLM limits:', e)
+    res.status(500).json({error:'server_error'})
+  }
+})
+
+module.exports = router
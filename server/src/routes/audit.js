@@ -0,0 +1,40 @@
+const express = require('express')
+const router = express.Router()
+const auditService = require('../services/auditService')
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/
+
+// GET /api/audit?action=send_email,delete&actor=assistant&targetType=message&targetId=&outcome=failure&since=&until=&limit=50&offset=0
+// -> { entries, total, limit, offset }
+// The signed-in user's action history, newest first
+router.get('/', async (req,res)=>{
+  if(!req.user) return res.status(401).json({error:'not_logged_in'})
+  const { action, actor, targetType, targetId, outcome, since, until } = req.query
+  if(actor && !auditService.ACTORS.includes(actor)) return res.status(400).json({error:'invalid_actor', actors: auditService.ACTORS})
+  if(outcome && !auditService.OUTCOMES.includes(outcome)) return res.status(400).json({error:'invalid_outcome', outcomes: auditService.OUTCOMES})
+  for(const [name, value] of [['since', since], ['until', until]]){
+    if(value && (!ISO_DATE.test(value) || isNaN(new Date(value).getTime()))) return res.status(400).json({error:'invalid_date', field: name})
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 50, auditService.MAX_PAGE_SIZE)
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0)
+  try{
+    const { entries, total } = await auditService.listEntries(req.user.id, {
+      actions: action ? String(action).split(',').map(a => a.trim()).filter(Boolean) : [],
+      actor,
+      targetType,
+      targetId,
+      outcome,
+      since,
+      until,
+      limit,
+      offset
+    })
+    res.json({ entries, total, limit, offset })
+  }catch(e){
+    console.error('Error loading audit log:', e)
+    res.status(500).json({error:'server_error'})
+  }
+})
+
+module.exports = router
@@ -3,6 +3,9 @@ const router = express.Router()
 const {google} = require('googleapis')
 const usersService = require('../services/users')
 const integrationsService = require('../services/integrations')
+const auditService = require('../services/auditService')
+const integrationUtils = require('../utils/integrations')
+const googleClient = require('../integrations/google/client')
 
 const CLIENT_ID = process.env.GOOGLE_CLIENT_ID
 const CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET
@@ -124,12 +127,10 @@ router.get('/permissions', async (req, res) => {
   try {
     if(!req.session.userId) return res.status(401).json({error:'not_logged_in'})
     
-    const ires = await integrationsService.getIntegrationByUserAndPlatform(req.session.userId, 'gmail')
+    const ires = (await integrationUtils.resolveIntegration(req.session.userId, 'mail', false)).integration
     if(!ires) return res.status(404).json({error:'no_integration'})
     
-    const tokens = JSON.parse(ires.oauth_token_encrypted.toString())
-    const o = oauthClient()
-    o.setCredentials(tokens)
+    if(!ires.tokens) return res.status(400).json({error:'no_tokens'})
     
     // Test each required permission by making a simple API call
     const permissions = {
@@ -140,6 +141,18 @@ router.get('/permissions', async (req, res) => {
       tasks: false
     }
     
+    // A revoked grant fails every check; don't retry it until the user reconnects
+    if(googleClient.needsReauth(ires)){
+      return res.json({
+        permissions,
+        hasAllPermissions: false,
+        missingPermissions: Object.keys(permissions),
+        needsReauth: true,
+        reauthUrl: '/api/auth/reauth'
+      })
+    }
+    
+    const o = googleClient.createClient(ires)
     const gmail = google.gmail({version:'v1', auth:o})
     const calendar = google.calendar({version:'v3', auth:o})
     const tasks = google.tasks({version:'v1', auth:o})
@@ -180,6 +193,7 @@ router.get('/permissions', async (req, res) => {
       permissions,
       hasAllPermissions,
       missingPermissions: Object.keys(permissions).filter(key => !permissions[key]),
+      needsReauth: false,
       reauthUrl: hasAllPermissions ? null : '/api/auth/reauth'
     })
     
@@ -266,10 +280,9 @@ router.get('/oauth2callback', async (req, res)=>{
     }
   }
 
-  // upsert user and integration (user-scoped) with permission info
-  const tokenBlob = Buffer.from(JSON.stringify(tokens))
+  // upsert user and integration (user-scoped) with permission info; tokens are encrypted on write
   const userId = await usersService.upsertUserByEmail(userInfo.email, userInfo.name, Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC')
-  await integrationsService.upsertIntegration(userId, 'gmail', userInfo.id, tokenBlob, {
+  await integrationsService.upsertIntegration(userId, 'gmail', userInfo.id, tokens, {
     scopes: [], 
     permissionVerification,
     lastVerified: new Date().toISOString()
@@ -277,6 +290,11 @@ router.get('/oauth2callback', async (req, res)=>{
 
   // set session
   req.session.userId = userId
+  await auditService.record(userId, state === 'reauth' ? 'reauth' : 'login', {
+    targetType: 'integration',
+    targetId: 'gmail',
+    payload: {email: userInfo.email, flow: state || 'signup', grantedPermissions: permissionVerification.grantedPermissions}
+  })
   
   // Handle different auth flows
   if(state === 'reauth') {
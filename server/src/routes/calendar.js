@@ -0,0 +1,94 @@
+const express = require('express')
+const router = express.Router()
+const calendarService = require('../services/calendarService')
+const calendarSync = require('../integrations/google/calendarSync')
+const auditService = require('../services/auditService')
+const integrationUtils = require('../utils/integrations')
+const { resolveTimezone, parseDateTimeInput, createDateInUserTimezone } = require('../utils/timezone')
+
+const MAX_RANGE_DAYS = 62
+const DAY_MS = 24 * 3600 * 1000
+
+// service error codes -> HTTP status
+const ERROR_STATUS = {
+  invalid_response: 400,
+  not_found: 404,
+  not_invited: 409,
+  no_integration: 400,
+  google_reauth_required: 401
+}
+
+function sendError(res, e, label){
+  if(e.code === 'google_reauth_required'){
+    return res.status(401).json({error:'reauth_required', message: e.message, reauthUrl: integrationUtils.REAUTH_URL})
+  }
+  if(ERROR_STATUS[e.code]) return res.status(ERROR_STATUS[e.code]).json({error: e.code, message: e.message})
+  console.error(label, e)
+  res.status(500).json({error:'server_error'})
+}
+
+function startOfToday(timezone){
+  return createDateInUserTimezone(timezone, new Date().toLocaleDateString('sv-SE', {timeZone: timezone}), '00:00:00')
+}
+
+// GET /api/calendar/events?from=2026-10-19&to=2026-10-26
+// -> { events, from, to, timezone, connected, lastSync }
+// Synced events overlapping the range; dates without a time are midnight in the user's timezone.
+// Defaults to today.
+router.get('/events', async (req,res)=>{
+  if(!req.user) return res.status(401).json({error:'not_logged_in'})
+  const timezone = resolveTimezone(req.user.timezone)
+  const from = req.query.from ? parseDateTimeInput(String(req.query.from), timezone) : startOfToday(timezone)
+  if(!from) return res.status(400).json({error:'invalid_date', field:'from'})
+  const to = req.query.to ? parseDateTimeInput(String(req.query.to), timezone) : new Date(from.getTime() + DAY_MS)
+  if(!to) return res.status(400).json({error:'invalid_date', field:'to'})
+  if(to <= from) return res.status(400).json({error:'invalid_range', message:'to must be after from'})
+  if(to - from > MAX_RANGE_DAYS * DAY_MS) return res.status(400).json({error:'invalid_range', message:`Ranges are limited to ${MAX_RANGE_DAYS} days`})
+
+  try{
+    const events = await calendarService.listEvents(req.user.id, from, to)
+    const resolved = await integrationUtils.resolveIntegration(req.user.id, 'calendar', false)
+    const config = (resolved.integration && resolved.integration.configData) || {}
+    res.json({
+      events,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      timezone,
+      connected: !!resolved.integration,
+      lastSync: config.calendar_last_sync || null
+    })
+  }catch(e){
+    sendError(res, e, 'Error loading calendar events:')
+  }
+})
+
+// POST /api/calendar/sync -> { lastSync }
+// Pull calendar changes now instead of waiting for the background sync
+router.post('/sync', async (req,res)=>{
+  if(!req.user) return res.status(401).json({error:'not_logged_in'})
+  try{
+    const { calendar_last_sync } = await calendarSync.syncUser(req.user.id)
+    res.json({ lastSync: calendar_last_sync })
+  }catch(e){
+    sendError(res, e, 'Error syncing calendar:')
+  }
+})
+
+// POST /api/calendar/events/:id/rsvp { response: accepted|declined|tentative, comment? } -> { event }
+// Answer an invitation; Google emails the organizer
+router.post('/events/:id/rsvp', async (req,res)=>{
+  if(!req.user) return res.status(401).json({error:'not_logged_in'})
+  const { response, comment } = req.body || {}
+  try{
+    const event = await calendarService.respondToEvent(req.user, req.params.id, response, { comment })
+    await auditService.record(req.user.id, 'calendar_rsvp', {targetType:'calendar_event', targetId:req.params.id, payload:{response, title: event.title}})
+    res.json({ event })
+  }catch(e){
+    if(ERROR_STATUS[e.code] === undefined){
+      await auditService.recordFailure(req.user.id, 'calendar_rsvp', e.message, {targetType:'calendar_event', targetId:req.params.id, payload:{response}})
+    }
+    sendError(res, e, 'Error answering invitation:')
+  }
+})
+
+module.exports = router
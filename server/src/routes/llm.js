@@ -3,6 +3,76 @@ const router = express.Router()
 const db = require('../db')
 const llmProcessor = require('../llm/processor')
 const integrationUtils = require('../utils/integrations')
+const googleClient = require('../integrations/google/client')
+const composeService = require('../services/composeService')
+const emailSchedulingService = require('../services/emailSchedulingService')
+const { buildMimeMessage, encodeRaw, normalizeAddresses } = require('../utils/mimeMessage')
+const llmUsageService = require('../services/llmUsageService')
+const { isAdmin } = require('../middleware/userContext')
+const llmQuotaService = require('../services/llmQuotaService')
+const credentials = require('../llm/credentials')
+const embeddingService = require('../services/embeddingService')
+const agentRunService = require('../services/agentRunService')
+const agentLoop = require('../llm/agent/agentLoop')
+const approvalService = require('../services/approvalService')
+const auditService = require('../services/auditService')
+
+// Quota errors from processLLMRequest become 429s listing the limits that were hit
+function sendQuotaExceeded(res, err) {
+  const { status, retryAfter, body } = llmQuotaService.quotaErrorResponse(err)
+  res.set('Retry-After', String(retryAfter))
+  return res.status(status).json(body)
+}
+
+// Last 10 context-relevant messages of a chat session, oldest first, in LLM message format
+async function loadConversationHistory(sessionId, userId) {
+  if (!sessionId) return []
+  try {
+    const historyRes = await db.query(`
+      SELECT 
+        message_role,
+        content,
+        created_at
+      FROM chat_messages
+      WHERE session_id = $1 AND user_id = $2 AND context_relevant = TRUE
+      ORDER BY created_at DESC
+      LIMIT 10
+    `, [sessionId, userId])
+
+    console.log(`Retrieved ${historyRes.rows.length} conversation messages for session ${sessionId}`)
+    return historyRes.rows
+      .reverse()
+      .map(msg => ({
+        role: msg.message_role === 'user' ? 'user' : 'assistant',
+        content: msg.content
+      }))
+  } catch (historyErr) {
+    console.warn('Could not retrieve conversation history:', historyErr.message)
+    // Continue without history rather than failing
+    return []
+  }
+}
+
+// Text of a processor result as stored in chat_messages
+function resultText(result) {
+  if (!result) return ''
+  if (typeof result === 'string') return result
+  return result.response || result.content || result.message || result.summary_text || result.text || result.error || ''
+}
+
+// Store a processor reply in its chat session; agent runs are linked to the message showing them
+async function saveAssistantMessage(sessionId, userId, result) {
+  const text = resultText(result)
+  if (!sessionId || !text) return null
+  const saved = await db.query(`
+    INSERT INTO chat_messages (session_id, user_id, message_role, content, message_type, metadata, context_relevant)
+    VALUES ($1, $2, 'assistant', $3, $4, $5, TRUE)
+    RETURNING id
+  `, [sessionId, userId, text, result.type || 'chat_response', JSON.stringify(result)])
+  const messageId = saved.rows[0].id
+  if (result.data && result.data.runId) await agentRunService.attachMessage(result.data.runId, messageId)
+  return messageId
+}
 
 // POST /api/llm/process
 // Generic LLM processing endpoint
@@ -19,11 +89,12 @@ router.post('/process', async (req, res) => {
     if (userRes.rowCount === 0) return res.status(404).json({ error: 'user_not_found' })
     const user = userRes.rows[0]
 
-    // Process the request (using global API key from environment)
+    // Process the request (user's key/model when configured, per the admin fallback policy)
     const result = await llmProcessor.processLLMRequest(type, user, params, {})
     
     res.json({ success: true, result })
   } catch (err) {
+    if (err.code === 'quota_exceeded') return sendQuotaExceeded(res, err)
     console.error('LLM processing error:', err)
     res.status(500).json({ error: 'processing_failed', message: err.message })
   }
@@ -49,6 +120,7 @@ router.get('/summary/:timeframe', async (req, res) => {
     
     res.json({ success: true, result })
   } catch (err) {
+    if (err.code === 'quota_exceeded') return sendQuotaExceeded(res, err)
     console.error('Email summary error:', err)
     res.status(500).json({ error: 'summary_failed', message: err.message })
   }
@@ -71,6 +143,7 @@ router.get('/briefing', async (req, res) => {
     
     res.json({ success: true, result })
   } catch (err) {
+    if (err.code === 'quota_exceeded') return sendQuotaExceeded(res, err)
     console.error('Daily briefing error:', err)
     res.status(500).json({ error: 'briefing_failed', message: err.message })
   }
@@ -91,24 +164,6 @@ router.post('/chat', async (req, res) => {
     if (userRes.rowCount === 0) return res.status(404).json({ error: 'user_not_found' })
     const user = userRes.rows[0]
 
-    // Get user's LLM API key
-    let userApiKey = null;
-    try {
-      const settingsRes = await db.query('SELECT llm_key_encrypted FROM user_settings WHERE user_id = $1', [userId])
-      if (settingsRes.rows.length > 0 && settingsRes.rows[0].llm_key_encrypted) {
-        // In a real app, you'd decrypt this properly
-        userApiKey = settingsRes.rows[0].llm_key_encrypted.toString();
-      }
-    } catch (settingsErr) {
-      console.warn('Could not get user API key:', settingsErr.message);
-    }
-
-    // Prepare options with user's API key
-    const processingOptions = {
-      apiKey: userApiKey || process.env.OPENAI_API_KEY,
-      model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
-    };
-
     // Enhanced context with user info
     const enhancedContext = {
       ...context,
@@ -119,7 +174,7 @@ router.post('/chat', async (req, res) => {
     const result = await llmProcessor.processLLMRequest(processorType, user, { 
       message, 
       context: enhancedContext 
-    }, processingOptions);
+    }, {}); // user key, model and provider are resolved from user_settings
     
     res.json({ 
       success: true, 
@@ -128,13 +183,15 @@ router.post('/chat', async (req, res) => {
       taskCreated: result.success || false 
     });
   } catch (err) {
+    if (err.code === 'quota_exceeded') return sendQuotaExceeded(res, err)
     console.error('Chat processing error:', err)
     res.status(500).json({ error: 'chat_failed', message: err.message })
   }
 })
 
 // POST /api/llm/intelligent
-// New intelligent endpoint that auto-detects user intent and routes accordingly
+// New intelligent endpoint that auto-detects user intent and routes accordingly; the reply is saved to
+// chat_messages like the streamed one and returned with its messageId
 router.post('/intelligent', async (req, res) => {
   try {
     const userId = req.session && req.session.userId
@@ -148,36 +205,13 @@ router.post('/intelligent', async (req, res) => {
     if (userRes.rowCount === 0) return res.status(404).json({ error: 'user_not_found' })
     const user = userRes.rows[0]
 
-    // Get conversation history if sessionId is provided
-    let conversationHistory = []
     if (sessionId) {
-      try {
-        const historyRes = await db.query(`
-          SELECT 
-            message_role,
-            content,
-            created_at
-          FROM chat_messages
-          WHERE session_id = $1 AND user_id = $2 AND context_relevant = TRUE
-          ORDER BY created_at DESC
-          LIMIT 10
-        `, [sessionId, userId])
-
-        // Format for LLM (reverse to chronological order)
-        conversationHistory = historyRes.rows
-          .reverse()
-          .map(msg => ({
-            role: msg.message_role === 'user' ? 'user' : 'assistant',
-            content: msg.content
-          }))
-
-        console.log(`Retrieved ${conversationHistory.length} conversation messages for session ${sessionId}`)
-      } catch (historyErr) {
-        console.warn('Could not retrieve conversation history:', historyErr.message)
-        // Continue without history rather than failing
-      }
+      const sessionCheck = await db.query('SELECT id FROM chat_sessions WHERE id = $1 AND user_id = $2', [sessionId, userId])
+      if (sessionCheck.rowCount === 0) return res.status(404).json({ error: 'session_not_found' })
     }
 
+    const conversationHistory = await loadConversationHistory(sessionId, userId)
+
     // Enhanced context with conversation history
     const enhancedContext = {
       ...context,
@@ -186,43 +220,248 @@ router.post('/intelligent', async (req, res) => {
       conversationHistory
     }
 
-    // Get user's LLM API key for processing
-    let userApiKey = null;
-    try {
-      const settingsRes = await db.query('SELECT llm_key_encrypted FROM user_settings WHERE user_id = $1', [userId])
-      if (settingsRes.rows.length > 0 && settingsRes.rows[0].llm_key_encrypted) {
-        userApiKey = settingsRes.rows[0].llm_key_encrypted.toString();
-      }
-    } catch (settingsErr) {
-      console.warn('Could not get user API key:', settingsErr.message);
-    }
-
-    // Processing options with API key
-    const processingOptions = {
-      apiKey: userApiKey || process.env.OPENAI_API_KEY,
-      model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
-    };
-
-    // Always use intelligent detection (pass null for processor type)
+    // Always use intelligent detection (pass null for processor type); the agent handles it when available
     const result = await llmProcessor.processLLMRequest(null, user, { 
       message, 
       context: enhancedContext 
-    }, processingOptions)
-    
+    }, { agent: true })
+
+    const messageId = await saveAssistantMessage(sessionId, userId, result)
+
     res.json({ 
       success: true, 
       response: result,
       detectedType: result.type,
       sessionId,
+      messageId,
       conversationContext: conversationHistory.length,
       message: 'Intelligently processed your request with conversation context'
     })
   } catch (err) {
+    if (err.code === 'quota_exceeded') return sendQuotaExceeded(res, err)
     console.error('Intelligent processing error:', err)
     res.status(500).json({ error: 'processing_failed', message: err.message })
   }
 })
 
+// POST /api/llm/intelligent/stream
+// Same as /intelligent, streamed as Server-Sent Events:
+//   start {sessionId} -> processor {type} -> agent_step {...}* / token {text}* -> action {...}* / tool {type, data}
+//   -> done {response, detectedType, messageId}
+// or an error {error, message} event. The finished reply is saved to chat_messages; closing the
+// connection cancels the LLM call and nothing is saved.
+router.post('/intelligent/stream', async (req, res) => {
+  const userId = req.session && req.session.userId
+  if (!userId) return res.status(401).json({ error: 'not_logged_in' })
+
+  const { message, context = {}, sessionId } = req.body
+  if (!message) return res.status(400).json({ error: 'missing_message' })
+
+  const controller = new AbortController()
+  let heartbeat = null
+
+  const send = (event, data) => {
+    if (res.writableEnded) return
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+
+  try {
+    const userRes = await db.query('SELECT * FROM users WHERE id = $1', [userId])
+    if (userRes.rowCount === 0) return res.status(404).json({ error: 'user_not_found' })
+    const user = userRes.rows[0]
+
+    if (sessionId) {
+      const sessionCheck = await db.query('SELECT id FROM chat_sessions WHERE id = $1 AND user_id = $2', [sessionId, userId])
+      if (sessionCheck.rowCount === 0) return res.status(404).json({ error: 'session_not_found' })
+    }
+
+    // Resolve key and quota before the stream opens so those failures keep their status codes
+    const llmOpts = await credentials.resolveLLMOptions(userId, {
+      agent: true,
+      signal: controller.signal,
+      onToken: text => send('token', { text }),
+      onEvent: (event, data) => send(event, data)
+    })
+
+    const conversationHistory = await loadConversationHistory(sessionId, userId)
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    })
+    res.flushHeaders()
+
+    // The request's own 'close' has already fired once express.json() read the body, so watch the
+    // response: it closes early only when the client goes away
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort()
+    })
+    // Comment lines keep proxies from timing out while a processor is gathering context
+    heartbeat = setInterval(() => {
+      if (!res.writableEnded) res.write(': ping\n\n')
+    }, 15000)
+
+    send('start', { sessionId: sessionId || null })
+
+    const result = await llmProcessor.processLLMRequest(null, user, {
+      message,
+      context: { ...context, user, sessionId, conversationHistory }
+    }, llmOpts)
+
+    if (controller.signal.aborted) return
+
+    for (const action of (result && result.actions) || []) send('action', action)
+    if (result && result.data && result.data.created) send('tool', { type: result.type, data: result.data })
+
+    const messageId = await saveAssistantMessage(sessionId, userId, result)
+
+    send('done', { response: result, detectedType: result && result.type, sessionId: sessionId || null, messageId })
+  } catch (err) {
+    if (!res.headersSent) {
+      if (err.code === 'quota_exceeded') return sendQuotaExceeded(res, err)
+      if (err.code === 'llm_key_required') return res.status(403).json({ error: 'llm_key_required', message: err.message })
+      console.error('Intelligent stream error:', err)
+      return res.status(500).json({ error: 'processing_failed', message: err.message })
+    }
+    if (!controller.signal.aborted) {
+      console.error('Intelligent stream error:', err)
+      send('error', { error: err.code === 'quota_exceeded' ? 'quota_exceeded' : 'processing_failed', message: err.message })
+    }
+  } finally {
+    if (heartbeat) clearInterval(heartbeat)
+    if (res.headersSent && !res.writableEnded) res.end()
+  }
+})
+
+// GET /api/llm/approvals?status=pending&limit=&offset=
+// Actions the assistant proposed; status 'all' lists every decision too
+router.get('/approvals', async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ error: 'not_logged_in' })
+    const status = req.query.status || 'pending'
+    const approvals = await approvalService.listApprovals(req.user.id, {
+      status: status === 'all' ? null : status,
+      limit: parseInt(req.query.limit) || 50,
+      offset: parseInt(req.query.offset) || 0
+    })
+    res.json({ approvals })
+  } catch (err) {
+    console.error('Approvals error:', err)
+    res.status(500).json({ error: 'approvals_failed', message: err.message })
+  }
+})
+
+// GET /api/llm/approvals/:id
+router.get('/approvals/:id', async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ error: 'not_logged_in' })
+    res.json({ approval: await approvalService.getApproval(req.params.id, req.user.id) })
+  } catch (err) {
+    if (err.code === 'approval_not_found') return res.status(404).json({ error: 'approval_not_found' })
+    console.error('Approval error:', err)
+    res.status(500).json({ error: 'approval_failed', message: err.message })
+  }
+})
+
+// Approve or reject, then let the agent run that proposed the action (if any) carry on.
+// LLM access is checked and the run claimed first, so an approved action never runs while its run
+// can't resume. Once the action has run the decision stands: a failed resume is reported in
+// resumeError next to the approval rather than as an error.
+async function decideApproval(req, res, decide) {
+  try {
+    if (!req.user) return res.status(401).json({ error: 'not_logged_in' })
+    const pending = await approvalService.getApproval(req.params.id, req.user.id)
+    const llmOpts = pending.agent_run_id ? await credentials.resolveLLMOptions(req.user.id, {}) : null
+    const run = pending.agent_run_id ? await agentLoop.claimRun(pending.agent_run_id, req.user.id, pending.tool_call_id) : null
+
+    let approval
+    try {
+      approval = await decide()
+    } catch (err) {
+      if (run) {
+        await agentLoop.releaseRun(run).catch(releaseError => {
+          console.error(`Could not release agent run ${run.id}:`, releaseError.message)
+        })
+      }
+      throw err
+    }
+    if (!run) return res.json({ success: true, approval })
+
+    let result
+    try {
+      result = await agentLoop.resumeRun(run, approval, { user: req.user, sessionId: run.session_id }, llmOpts)
+    } catch (err) {
+      console.error(`Agent run ${run.id} failed to resume after approval ${approval.id}:`, err)
+      return res.json({
+        success: true,
+        approval,
+        sessionId: run.session_id,
+        resumeError: { error: err.code === 'quota_exceeded' ? 'quota_exceeded' : 'resume_failed', message: err.message }
+      })
+    }
+    // Without a messageId the client saves the reply itself
+    const messageId = await saveAssistantMessage(run.session_id, req.user.id, result).catch(err => {
+      console.error(`Could not save the reply of agent run ${run.id}:`, err.message)
+      return null
+    })
+    res.json({ success: true, approval, response: result, detectedType: result.type, sessionId: run.session_id, messageId })
+  } catch (err) {
+    if (err.code === 'approval_not_found' || err.code === 'run_not_found') return res.status(404).json({ error: err.code })
+    if (['approval_not_pending', 'run_not_awaiting_confirmation', 'tool_call_mismatch'].includes(err.code)) {
+      return res.status(409).json({ error: err.code, message: err.message })
+    }
+    if (err.code === 'invalid_action') return res.status(400).json({ error: 'invalid_action', message: err.message })
+    if (err.code === 'quota_exceeded') return sendQuotaExceeded(res, err)
+    if (err.code === 'llm_key_required') return res.status(403).json({ error: 'llm_key_required', message: err.message })
+    console.error('Approval decision error:', err)
+    res.status(500).json({ error: 'approval_failed', message: err.message })
+  }
+}
+
+// POST /api/llm/approvals/:id/approve {payload?}
+// payload holds edited arguments, merged over the proposal and validated before the action runs
+router.post('/approvals/:id/approve', (req, res) => {
+  const { payload } = req.body || {}
+  if (payload !== undefined && (typeof payload !== 'object' || payload === null || Array.isArray(payload))) {
+    return res.status(400).json({ error: 'invalid_action', message: 'payload must be an object' })
+  }
+  return decideApproval(req, res, () => approvalService.approveAction(req.params.id, req.user, { payload }))
+})
+
+// POST /api/llm/approvals/:id/reject {reason?}
+router.post('/approvals/:id/reject', (req, res) => {
+  const { reason } = req.body || {}
+  return decideApproval(req, res, () => approvalService.rejectAction(req.params.id, req.user, typeof reason === 'string' ? reason : null))
+})
+
+// GET /api/llm/agent/runs/:id
+// Execution trace of an agent run (steps, pending approval, status)
+router.get('/agent/runs/:id', async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ error: 'not_logged_in' })
+    res.json({ run: await agentRunService.getRun(req.params.id, req.user.id) })
+  } catch (err) {
+    if (err.code === 'run_not_found') return res.status(404).json({ error: 'run_not_found' })
+    console.error('Agent run error:', err)
+    res.status(500).json({ error: 'agent_run_failed', message: err.message })
+  }
+})
+
+// GET /api/llm/agent/runs?messageId=
+// Agent runs behind a chat message
+router.get('/agent/runs', async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ error: 'not_logged_in' })
+    if (!req.query.messageId) return res.status(400).json({ error: 'missing_message_id' })
+    res.json({ runs: await agentRunService.getRunsForMessage(req.query.messageId, req.user.id) })
+  } catch (err) {
+    console.error('Agent runs error:', err)
+    res.status(500).json({ error: 'agent_runs_failed', message: err.message })
+  }
+})
+
 // GET /api/llm/stats
 // Get processing stats and available processors
 router.get('/stats', async (req, res) => {
@@ -293,6 +532,43 @@ router.get('/stats', async (req, res) => {
   }
 })
 
+// GET /api/llm/usage?days=30[&scope=all|&userId=...]
+// Token and cost usage by day, processor and user. Users see their own usage;
+// admins may pass scope=all or another userId
+router.get('/usage', async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ error: 'not_logged_in' })
+
+    const { days, scope, userId } = req.query
+    const wantsOthers = scope === 'all' || (userId && userId !== req.user.id)
+    if (wantsOthers && !isAdmin(req.user)) return res.status(403).json({ error: 'admin_required' })
+    if (userId && !/^[0-9a-f-]{36}$/i.test(userId)) return res.status(400).json({ error: 'invalid_user_id' })
+
+    const usage = await llmUsageService.getUsageBreakdown({
+      userId: scope === 'all' ? null : (userId || req.user.id),
+      days,
+      timezone: req.user.timezone
+    })
+    res.json({ success: true, scope: scope === 'all' ? 'all' : 'user', ...usage })
+  } catch (err) {
+    console.error('Usage error:', err)
+    res.status(500).json({ error: 'usage_failed', message: err.message })
+  }
+})
+
+// GET /api/llm/quota
+// The current user's limits, usage in each window and background triage mode
+router.get('/quota', async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ error: 'not_logged_in' })
+    const status = await llmQuotaService.getQuotaStatus(req.user.id)
+    res.json({ success: true, ...status })
+  } catch (err) {
+    console.error('Quota error:', err)
+    res.status(500).json({ error: 'quota_failed', message: err.message })
+  }
+})
+
 // GET /api/llm/processing-status
 // Get processing job statistics
 router.get('/processing-status', async (req, res) => {
@@ -344,6 +620,53 @@ router.post('/retry-failed', async (req, res) => {
   }
 })
 
+// GET /api/llm/embeddings/status
+// Embedding coverage for the current user (admins: ?scope=all)
+router.get('/embeddings/status', async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ error: 'not_logged_in' })
+    const all = req.query.scope === 'all'
+    if (all && !isAdmin(req.user)) return res.status(403).json({ error: 'admin_required' })
+
+    const embeddingJob = require('../jobs/embeddingJob')
+    const progress = await embeddingService.getProgress(all ? null : req.user.id)
+    res.json({
+      success: true,
+      scope: all ? 'all' : 'user',
+      ...progress,
+      job_running: embeddingJob.isRunning,
+      job_busy: embeddingJob.isBusy,
+      last_run: embeddingJob.lastRun
+    })
+  } catch (err) {
+    console.error('Embedding status error:', err)
+    res.status(500).json({ error: 'status_failed', message: err.message })
+  }
+})
+
+// POST /api/llm/embeddings/backfill
+// Queue missing, stale and failed embeddings (force: re-embed everything) and start a run
+router.post('/embeddings/backfill', async (req, res) => {
+  try {
+    if (!req.user) return res.status(401).json({ error: 'not_logged_in' })
+    const all = req.body.scope === 'all'
+    if (all && !isAdmin(req.user)) return res.status(403).json({ error: 'admin_required' })
+    if (!embeddingService.isConfigured()) return res.status(409).json({ error: 'embeddings_not_configured' })
+
+    const embeddingJob = require('../jobs/embeddingJob')
+    const queued = await embeddingService.requestBackfill(all ? null : req.user.id, { force: req.body.force === true })
+    embeddingJob.embedPendingMessages().catch(err => console.error('Embedding backfill error:', err))
+
+    if (all) {
+      await auditService.record(req.user.id, 'embedding_backfill', { payload: { force: req.body.force === true, queued } })
+    }
+    res.json({ success: true, queued, message: 'Embedding backfill started' })
+  } catch (err) {
+    console.error('Embedding backfill error:', err)
+    res.status(500).json({ error: 'backfill_failed', message: err.message })
+  }
+})
+
 // POST /api/llm/debug-chat - Temporary debug endpoint
 router.post('/debug-chat', async (req, res) => {
   try {
@@ -378,6 +701,7 @@ router.post('/debug-chat', async (req, res) => {
       }
     })
   } catch (err) {
+    if (err.code === 'quota_exceeded') return sendQuotaExceeded(res, err)
     console.error('Debug chat error:', err)
     res.status(500).json({ error: 'debug_failed', message: err.message })
   }
@@ -411,7 +735,7 @@ router.post('/execute-action', async (req, res) => {
       
       try {
         // Validate Google integration using centralized utility
-        const validation = await integrationUtils.validateUserIntegration(userId, 'gmail', true)
+        const validation = await integrationUtils.resolveIntegration(userId, 'calendar')
 
         if (!validation.hasIntegration || !validation.hasValidTokens) {
           console.error(`❌ Google integration validation failed for user ${userId}:`, validation.errorCode)
@@ -421,14 +745,8 @@ router.post('/execute-action', async (req, res) => {
           })
         }
 
-        const tokens = validation.integration.tokens
-        
         // Create OAuth2 client and calendar service (same as messages route)
-        const oauth2Client = new google.auth.OAuth2(
-          process.env.GOOGLE_CLIENT_ID, 
-          process.env.GOOGLE_CLIENT_SECRET
-        )
-        oauth2Client.setCredentials(tokens)
+        const oauth2Client = googleClient.createClient(validation.integration)
         const calendar = google.calendar({ version: 'v3', auth: oauth2Client })
 
         // Build the calendar event
@@ -498,6 +816,11 @@ router.post('/execute-action', async (req, res) => {
         })
 
         console.log(`✅ Meeting created successfully: ${result.data.id}`)
+        await auditService.record(userId, 'create_event', {
+          targetType: 'calendar_event',
+          targetId: result.data.id,
+          payload: { title: eventPayload.summary, start: eventPayload.start.dateTime, source: 'chat_action' }
+        })
         
         res.json({
           success: true,
@@ -513,6 +836,7 @@ router.post('/execute-action', async (req, res) => {
 
       } catch (error) {
         console.error('Calendar creation error:', error)
+        await auditService.recordFailure(userId, 'create_event', error, { payload: { title: meetingData.title, source: 'chat_action' } })
         res.status(500).json({ 
           error: 'calendar_creation_failed', 
           message: 'Failed to create calendar event: ' + error.message 
@@ -531,7 +855,7 @@ router.post('/execute-action', async (req, res) => {
       
       try {
         // Validate Google integration using centralized utility
-        const validation = await integrationUtils.validateUserIntegration(userId, 'gmail', true)
+        const validation = await integrationUtils.resolveIntegration(userId, 'tasks')
 
         if (!validation.hasIntegration || !validation.hasValidTokens) {
           console.error(`❌ Google integration validation failed for user ${userId}:`, validation.errorCode)
@@ -541,14 +865,8 @@ router.post('/execute-action', async (req, res) => {
           })
         }
 
-        const tokens = validation.integration.tokens
-        
         // Create OAuth2 client and Tasks service
-        const oauth2Client = new google.auth.OAuth2(
-          process.env.GOOGLE_CLIENT_ID, 
-          process.env.GOOGLE_CLIENT_SECRET
-        )
-        oauth2Client.setCredentials(tokens)
+        const oauth2Client = googleClient.createClient(validation.integration)
         const tasks = google.tasks({ version: 'v1', auth: oauth2Client })
 
         // Build the Google Task
@@ -572,6 +890,11 @@ router.post('/execute-action', async (req, res) => {
         })
 
         console.log(`✅ Task created successfully: ${result.data.id}`)
+        await auditService.record(userId, 'create_task', {
+          targetType: 'task',
+          targetId: result.data.id,
+          payload: { title: googleTask.title, due: googleTask.due, source: 'chat_action' }
+        })
         
         res.json({
           success: true,
@@ -587,12 +910,78 @@ router.post('/execute-action', async (req, res) => {
 
       } catch (error) {
         console.error('Google Tasks creation error:', error)
+        await auditService.recordFailure(userId, 'create_task', error, { payload: { title: taskData.title, source: 'chat_action' } })
         res.status(500).json({ 
           error: 'task_creation_failed', 
           message: 'Failed to create Google Task: ' + error.message 
         })
       }
 
+    } else if (action.type === 'send_email') {
+      // Chat-driven sends are queued in the outbox so they can be undone
+      const emailData = action.payload || action.data
+      if (!emailData || !emailData.body) {
+        return res.status(400).json({ error: 'missing_email_payload' })
+      }
+
+      try {
+        let outbound
+        if (emailData.messageId) {
+          const msgRes = await db.query('SELECT * FROM messages WHERE id = $1 AND user_id = $2', [emailData.messageId, userId])
+          if (msgRes.rowCount === 0) return res.status(404).json({ error: 'message_not_found' })
+
+          const reply = await composeService.composeReply(msgRes.rows[0], user, {
+            body: emailData.body,
+            replyAll: !!emailData.replyAll,
+            cc: emailData.cc,
+            bcc: emailData.bcc
+          })
+          outbound = {
+            messageId: emailData.messageId,
+            to: [...reply.to, ...reply.cc],
+            subject: reply.subject,
+            raw: reply.raw,
+            threadId: reply.threadId
+          }
+        } else {
+          const to = normalizeAddresses(emailData.to)
+          if (to.length === 0) return res.status(400).json({ error: 'missing_recipient' })
+
+          const raw = encodeRaw(buildMimeMessage({
+            from: { name: user.display_name || null, email: user.email },
+            to,
+            cc: emailData.cc,
+            bcc: emailData.bcc,
+            subject: emailData.subject || '',
+            text: emailData.body
+          }))
+          outbound = { to, subject: emailData.subject || '', raw }
+        }
+
+        const queued = await emailSchedulingService.queueOutboundEmail(userId, {
+          ...outbound,
+          body: emailData.body,
+          source: 'llm:send_email'
+        })
+        await auditService.record(userId, 'queue_send', {
+          targetType: 'outbox',
+          targetId: queued.id,
+          payload: { to: outbound.to, subject: outbound.subject, message_id: emailData.messageId || undefined }
+        })
+
+        res.json({
+          success: true,
+          message: `Email queued — sending in ${queued.undo_seconds}s unless you undo it.`,
+          outbox: queued
+        })
+      } catch (error) {
+        console.error('Send email error:', error)
+        res.status(500).json({
+          error: 'send_failed',
+          message: 'Failed to queue email: ' + error.message
+        })
+      }
+
     } else {
       res.status(400).json({ error: 'unsupported_action_type', actionType: action.type })
     }
@@ -3,9 +3,21 @@ const router = express.Router()
 const db = require('../db')
 const {google} = require('googleapis')
 const llmProcessor = require('../llm/processor')
+const credentials = require('../llm/credentials')
+const llmQuotaService = require('../services/llmQuotaService')
 const integrationsService = require('../services/integrations')
 const integrationUtils = require('../utils/integrations')
-const { createDefaultMeetingTimes, parseUserTimeInput, formatTimeForUser } = require('../utils/timezone')
+const googleClient = require('../integrations/google/client')
+const threadService = require('../services/threadService')
+const attachmentService = require('../services/attachmentService')
+const composeService = require('../services/composeService')
+const draftService = require('../services/draftService')
+const emailSchedulingService = require('../services/emailSchedulingService')
+const auditService = require('../services/auditService')
+const slotFinderService = require('../services/slotFinderService')
+const workPreferencesService = require('../services/workPreferencesService')
+const calendarService = require('../services/calendarService')
+const { createDefaultMeetingTimes, parseNaturalDateTime, parseDateTimeInput, formatTimeForUser } = require('../utils/timezone')
 
 // Helper function to handle permission errors
 function handlePermissionError(actionType, error) {
@@ -14,10 +26,16 @@ function handlePermissionError(actionType, error) {
   const permissionRequiredMap = {
     'mark_read': 'gmail.modify',
     'delete': 'gmail.modify', 
+    'archive': 'gmail.modify',
     'reply': 'gmail.send',
-    'draft_reply': 'gmail.send',
+    'reply_all': 'gmail.send',
+    'forward': 'gmail.send',
+    'draft_reply': 'gmail.modify', // drafts.create/update/send are covered by gmail.modify
     'create_event': 'calendar',
     'create_meeting': 'calendar',
+    'accept_invite': 'calendar',
+    'decline_invite': 'calendar',
+    'propose_new_time': 'calendar',
     'create_task': 'tasks'
   }
   
@@ -33,6 +51,20 @@ function handlePermissionError(actionType, error) {
   }
 }
 
+// Google refused the stored grant; the user has to reconnect before any Google action works
+function reauthRequired() {
+  return {
+    error: 'reauth_required',
+    message: 'Google access was revoked or has expired. Please reconnect your Google account.',
+    reauthUrl: integrationUtils.REAUTH_URL
+  }
+}
+
+// "Sam <sam@example.com>" → "sam@example.com"
+function senderAddress(sender){
+  return ((sender || '').match(/<(.+)>/) || [null, sender])[1] || sender
+}
+
 // Helper function to build Google Calendar recurrence rules
 function buildRecurrenceRule(recurringData) {
   if (!recurringData || !recurringData.enabled) return null
@@ -93,7 +125,8 @@ router.get('/unread', async (req, res) => {
     const actionRes = await db.query("SELECT count(*) FROM messages WHERE user_id=$1 AND action_required=true AND (actioned IS NULL OR actioned = false)",[userId])
 
     const itemsQ = `
-      SELECT m.id, m.external_message_id, m.sender, m.subject, m.body_plain, m.received_at, m.action_suggested,
+      SELECT m.id, m.external_message_id, m.thread_id, m.sender, m.subject, m.body_plain, m.received_at, m.action_suggested,
+        m.metadata->'invite' as invite,
         ma.suggested_actions as latest_suggested, ma.created_at as suggested_at
       FROM messages m
       LEFT JOIN LATERAL (
@@ -132,6 +165,7 @@ router.get('/unread', async (req, res) => {
       return {
         id: r.id,
         external_message_id: r.external_message_id,
+        thread_id: r.thread_id,
         sender: r.sender,
         subject: r.subject,
         snippet: (r.body_plain && r.body_plain.substring(0,200)) || '',
@@ -143,7 +177,8 @@ router.get('/unread', async (req, res) => {
         sentiment: analysisData?.sentiment || 'neutral',
         suggested: suggestedActions, // Array of action objects
         suggested_at: r.suggested_at,
-        analysis_timestamp: analysisData?.analysis_timestamp || null
+        analysis_timestamp: analysisData?.analysis_timestamp || null,
+        invite: r.invite || null // parsed calendar invitation, see utils/ical
       }
     })
 
@@ -180,7 +215,8 @@ router.get('/pending', async (req, res) => {
     const actionRes = await db.query("SELECT count(*) FROM messages WHERE user_id=$1 AND action_required=true AND (actioned IS NULL OR actioned = false)",[userId])
 
     const itemsQ = `
-      SELECT m.id, m.external_message_id, m.sender, m.subject, m.body_plain, m.received_at, m.action_suggested,
+      SELECT m.id, m.external_message_id, m.thread_id, m.sender, m.subject, m.body_plain, m.received_at, m.action_suggested,
+        m.metadata->'invite' as invite,
         ma.suggested_actions as latest_suggested, ma.created_at as suggested_at
       FROM messages m
       LEFT JOIN LATERAL (
@@ -219,6 +255,7 @@ router.get('/pending', async (req, res) => {
       return {
         id: r.id,
         external_message_id: r.external_message_id,
+        thread_id: r.thread_id,
         sender: r.sender,
         subject: r.subject,
         snippet: (r.body_plain && r.body_plain.substring(0,200)) || '',
@@ -230,7 +267,8 @@ router.get('/pending', async (req, res) => {
         sentiment: analysisData?.sentiment || 'neutral',
         suggested: suggestedActions, // Array of action objects
         suggested_at: r.suggested_at,
-        analysis_timestamp: analysisData?.analysis_timestamp || null
+        analysis_timestamp: analysisData?.analysis_timestamp || null,
+        invite: r.invite || null
       }
     })
 
@@ -256,6 +294,203 @@ router.get('/pending', async (req, res) => {
   }
 })
 
+// GET /api/messages/threads/:id
+// Returns a conversation thread with its messages ordered oldest first
+router.get('/threads/:id', async (req, res) => {
+  try{
+    if(!req.user) return res.status(401).json({error:'not_logged_in'})
+    if(!/^[0-9a-f-]{36}$/i.test(req.params.id)) return res.status(404).json({error:'thread_not_found'})
+
+    const thread = await threadService.getThreadConversation(req.params.id, req.user.id)
+    if(!thread) return res.status(404).json({error:'thread_not_found'})
+
+    res.json({ thread })
+  }catch(e){
+    console.error('thread fetch error', e)
+    res.status(500).json({error:'server_error'})
+  }
+})
+
+// GET /api/messages/drafts
+// Open Gmail drafts created from suggested replies
+router.get('/drafts', async (req, res) => {
+  try{
+    if(!req.user) return res.status(401).json({error:'not_logged_in'})
+    const drafts = await draftService.listDrafts(req.user.id)
+    res.json({ drafts })
+  }catch(e){
+    console.error('list drafts error', e)
+    res.status(500).json({error:'server_error'})
+  }
+})
+
+// Gmail 404 means the draft was removed outside the app; 401/403 need re-consent
+function handleDraftError(res, e, label){
+  if(draftService.isNotFound(e)) return res.status(410).json({error:'draft_gone'})
+  if(e.code === 403 || e.code === 401 || (e.message && e.message.includes('insufficient'))){
+    return res.status(403).json(handlePermissionError('draft_reply', e))
+  }
+  console.error(`${label} error`, e)
+  res.status(500).json({error:`${label}_failed`, message: e.message})
+}
+
+// PUT /api/messages/drafts/:draftId
+// Edit the body/recipients of an open draft
+router.put('/drafts/:draftId', async (req, res) => {
+  try{
+    if(!req.user) return res.status(401).json({error:'not_logged_in'})
+    const {body, html, replyAll, cc, bcc} = req.body || {}
+    if(body !== undefined && typeof body !== 'string') return res.status(400).json({error:'invalid_body'})
+
+    const draft = await draftService.updateDraft(req.user, req.params.draftId, {body, html, replyAll, cc, bcc})
+    if(!draft) return res.status(404).json({error:'draft_not_found'})
+    res.json({ draft })
+  }catch(e){
+    handleDraftError(res, e, 'draft_update')
+  }
+})
+
+// DELETE /api/messages/drafts/:draftId
+// Discard a draft in Gmail
+router.delete('/drafts/:draftId', async (req, res) => {
+  try{
+    if(!req.user) return res.status(401).json({error:'not_logged_in'})
+    const discarded = await draftService.discardDraft(req.user.id, req.params.draftId)
+    if(!discarded) return res.status(404).json({error:'draft_not_found'})
+
+    await auditService.record(req.user.id, 'discard_draft', {targetType:'draft', targetId:req.params.draftId})
+    res.json({ ok:true })
+  }catch(e){
+    handleDraftError(res, e, 'draft_discard')
+  }
+})
+
+// POST /api/messages/drafts/:draftId/send
+// Queue a reviewed draft for sending (dispatched after the undo window)
+router.post('/drafts/:draftId/send', async (req, res) => {
+  try{
+    if(!req.user) return res.status(401).json({error:'not_logged_in'})
+    const draft = await draftService.getDraft(req.user.id, req.params.draftId)
+    if(!draft || draft.status !== 'open') return res.status(404).json({error:'draft_not_found'})
+
+    const result = await emailSchedulingService.queueOutboundEmail(req.user.id, {
+      messageId: draft.message_id,
+      subject: draft.subject,
+      body: draft.payload.body || '',
+      draftId: draft.draft_id,
+      source: 'draft'
+    })
+
+    await auditService.record(req.user.id, 'send_draft', {targetType:'draft', targetId:req.params.draftId, payload:{outboxId: result.id, subject: draft.subject}})
+    res.json({ ok:true, result })
+  }catch(e){
+    handleDraftError(res, e, 'draft_send')
+  }
+})
+
+// GET /api/messages/outbox
+// Sends still inside their undo window (or being dispatched)
+router.get('/outbox', async (req, res) => {
+  try{
+    if(!req.user) return res.status(401).json({error:'not_logged_in'})
+    const outbox = await emailSchedulingService.getOutbox(req.user.id)
+    res.json({ outbox, undo_seconds: await emailSchedulingService.getUndoSendSeconds(req.user.id) })
+  }catch(e){
+    console.error('outbox fetch error', e)
+    res.status(500).json({error:'server_error'})
+  }
+})
+
+// POST /api/messages/outbox/:id/cancel
+// Undo a send before the dispatcher picks it up
+router.post('/outbox/:id/cancel', async (req, res) => {
+  try{
+    if(!req.user) return res.status(401).json({error:'not_logged_in'})
+    if(!/^[0-9a-f-]{36}$/i.test(req.params.id)) return res.status(404).json({error:'outbox_item_not_found'})
+
+    const cancelled = await emailSchedulingService.cancelScheduledEmail(req.user.id, req.params.id)
+    if(!cancelled){
+      const item = await emailSchedulingService.getScheduledEmail(req.user.id, req.params.id)
+      if(!item) return res.status(404).json({error:'outbox_item_not_found'})
+      return res.status(409).json({error:'too_late', status: item.status})
+    }
+
+    await auditService.record(req.user.id, 'undo_send', {targetType:'outbox', targetId:req.params.id, payload:{source: cancelled.source}})
+    res.json({ ok:true, id: cancelled.id, status: cancelled.status })
+  }catch(e){
+    console.error('outbox cancel error', e)
+    res.status(500).json({error:'server_error'})
+  }
+})
+
+// GET /api/messages/:id/attachments
+// Lists attachment metadata for a message (bytes are fetched on first download)
+router.get('/:id/attachments', async (req, res) => {
+  try{
+    if(!req.user) return res.status(401).json({error:'not_logged_in'})
+    const attachments = await attachmentService.listMessageAttachments(req.params.id, req.user.id)
+    res.json({ attachments })
+  }catch(e){
+    console.error('list attachments error', e)
+    res.status(500).json({error:'server_error'})
+  }
+})
+
+// Types a browser can safely render inline for previews
+const PREVIEWABLE_TYPES = /^(image\/(png|jpeg|gif|webp)|application\/pdf|text\/plain)$/i
+// Browsers won't open their PDF viewer in a sandboxed document, so inline PDFs get a policy that
+// only lets the viewer load the file itself. PDFs can carry JavaScript and these are attacker-supplied
+// files served on the API origin with the session cookie; every other response, images and downloads
+// included, keeps the sandbox
+const PDF_PREVIEW_CSP = "default-src 'none'; object-src 'self'"
+
+async function sendAttachment(req, res, disposition){
+  if(!req.user) return res.status(401).json({error:'not_logged_in'})
+  const attachment = await attachmentService.getAttachment(req.params.attachmentId, req.params.id, req.user.id)
+  if(!attachment) return res.status(404).json({error:'attachment_not_found'})
+
+  if(disposition === 'inline' && !PREVIEWABLE_TYPES.test(attachment.mime_type || '')){
+    // Not renderable by the browser: fall back to the extracted text when we have an extractor
+    const text = await attachmentService.extractAttachmentText(attachment, req.user.id)
+    if(text === null) return res.status(415).json({error:'preview_unavailable', mime_type: attachment.mime_type})
+    return res.json({ id: attachment.id, filename: attachment.filename, mime_type: attachment.mime_type, text })
+  }
+
+  const content = await attachmentService.getAttachmentContent(attachment, req.user.id)
+  const filename = (attachment.filename || 'attachment').replace(/["\r\n]/g, '_')
+  res.set({
+    'Content-Type': attachment.mime_type || 'application/octet-stream',
+    'Content-Length': content.length,
+    'Content-Disposition': `${disposition}; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(attachment.filename || 'attachment')}`,
+    'X-Content-Type-Options': 'nosniff'
+  })
+  const inlinePdf = disposition === 'inline' && /^application\/pdf$/i.test(attachment.mime_type || '')
+  res.set('Content-Security-Policy', inlinePdf ? PDF_PREVIEW_CSP : 'sandbox')
+  res.send(content)
+}
+
+// GET /api/messages/:id/attachments/:attachmentId
+// Downloads an attachment, pulling it into the local store on first access
+router.get('/:id/attachments/:attachmentId', async (req, res) => {
+  try{
+    await sendAttachment(req, res, 'attachment')
+  }catch(e){
+    console.error('download attachment error', e)
+    res.status(500).json({error:'download_failed', message: e.message})
+  }
+})
+
+// GET /api/messages/:id/attachments/:attachmentId/preview
+// Inline preview for images/PDF/plain text, extracted text for DOCX and other supported documents
+router.get('/:id/attachments/:attachmentId/preview', async (req, res) => {
+  try{
+    await sendAttachment(req, res, 'inline')
+  }catch(e){
+    console.error('preview attachment error', e)
+    res.status(500).json({error:'preview_failed', message: e.message})
+  }
+})
+
 // POST /api/messages/:id/prepare
 // Run LLM on the message and return suggested actions (do not execute)
 router.post('/:id/prepare', async (req,res)=>{
@@ -272,28 +507,25 @@ router.post('/:id/prepare', async (req,res)=>{
     // e.g. { type: 'create_event', payload: { duration: 60, preferred_time: 'afternoon' } }
     const selectedAction = req.body && req.body.selectedAction ? req.body.selectedAction : null
 
-    // get user-specific llm key
-    const ures = await db.query('SELECT llm_key_encrypted, llm_model FROM user_settings WHERE user_id=$1', [userId])
-    const opts = (ures.rowCount>0) ? {apiKey: ures.rows[0].llm_key_encrypted.toString(), model: ures.rows[0].llm_model} : {}
+    // user's provider/key/model (decrypted), subject to the admin fallback policy
+    const opts = await credentials.resolveLLMOptions(userId)
 
     const email = {id: msg.external_message_id, from: msg.sender, subject: msg.subject, snippet: (msg.body_plain||'').slice(0,200), body: msg.body_plain || msg.body}
 
-    // If the selected action requires calendar analysis, try to gather calendar free/busy info
+    // If the selected action requires calendar analysis, find free slots for the user and the sender
     let calendarBusy = null
-    if(selectedAction && selectedAction.type === 'create_event'){
+    let candidateSlots = []
+    if(selectedAction && (selectedAction.type === 'create_event' || selectedAction.type === 'create_meeting')){
       try{
-        const integration = await integrationUtils.getUserIntegration(userId, 'gmail', true)
-        if(integration && integration.tokens){
-          const tokens = integration.tokens
-          const o = new google.auth.OAuth2(process.env.GOOGLE_CLIENT_ID, process.env.GOOGLE_CLIENT_SECRET)
-          o.setCredentials(tokens)
-          const calendar = google.calendar({version:'v3', auth:o})
-          const now = new Date()
-          const timeMin = now.toISOString()
-          const timeMax = new Date(now.getTime() + (3*24*60*60*1000)).toISOString() // next 3 days
-          const fbRes = await calendar.freebusy.query({requestBody: {timeMin, timeMax, items: [{id:'primary'}]}})
-          calendarBusy = (fbRes && fbRes.data && fbRes.data.calendars && fbRes.data.calendars.primary && fbRes.data.calendars.primary.busy) ? fbRes.data.calendars.primary.busy : []
-        }
+        const actionPayload = selectedAction.payload || {}
+        const found = await slotFinderService.findSlots(req.user, {
+          attendees: [senderAddress(msg.sender), ...(actionPayload.attendees || [])],
+          durationMinutes: actionPayload.duration || actionPayload.duration_minutes,
+          preferred: slotFinderService.preferredWindow(actionPayload.preferred_time),
+          days: 3
+        })
+        calendarBusy = found.busy
+        candidateSlots = found.slots
       }catch(err){
         console.warn('calendar freebusy failed', err.message || err)
         // proceed without calendar context
@@ -301,14 +533,14 @@ router.post('/:id/prepare', async (req,res)=>{
       }
     }
 
-    // pass selectedAction and calendarBusy as additional context to the LLM processor
+    // pass selectedAction, calendarBusy and candidateSlots as additional context to the LLM processor
     // The processor should inspect these fields and produce follow-up questions or refined payload suggestions
     let result
     if(typeof llmProcessor.followupActionOnEmail === 'function'){
-      result = await llmProcessor.followupActionOnEmail(req.user, email, opts, {selectedAction, calendarBusy})
+      result = await llmProcessor.followupActionOnEmail(req.user, email, opts, {selectedAction, calendarBusy, candidateSlots})
     } else {
       // fallback for older processor implementations: include context in email object
-      email.followupContext = {selectedAction, calendarBusy}
+      email.followupContext = {selectedAction, calendarBusy, candidateSlots}
       if(typeof llmProcessor.processEmail === 'function'){
         result = await llmProcessor.processEmail(req.user, email, opts)
       } else {
@@ -320,10 +552,23 @@ router.post('/:id/prepare', async (req,res)=>{
     res.json({actions: result.actions || [], followups: result.followups || []})
   }catch(e){
     console.error('prepare error', e)
+    if(e.code === 'llm_key_required') return res.status(403).json({error:'llm_key_required', message: e.message})
+    if(e.code === 'quota_exceeded'){
+      const { status, retryAfter, body } = llmQuotaService.quotaErrorResponse(e)
+      res.set('Retry-After', String(retryAfter))
+      return res.status(status).json(body)
+    }
     res.status(500).json({error:'server_error'})
   }
 })
 
+// Sends go through the outbox (undo window) and drafts wait for review; neither is final here
+const OUTBOUND_ACTIONS = ['reply', 'reply_all', 'forward', 'draft_reply']
+// integration capability each action needs; everything else is mail
+const ACTION_CAPABILITIES = {create_event: 'calendar', create_meeting: 'calendar', accept_invite: 'calendar', decline_invite: 'calendar', propose_new_time: 'calendar', create_task: 'tasks'}
+// calendarService.respondToInvite error codes -> HTTP status
+const INVITE_ERRORS = {invalid_response: 400, not_an_invite: 400, not_on_calendar: 404, not_invited: 409}
+
 // POST /api/messages/:id/action
 router.post('/:id/action', async (req, res) => {
   try{
@@ -339,13 +584,12 @@ router.post('/:id/action', async (req, res) => {
     if(mres.rowCount===0) return res.status(404).json({error:'not_found'})
     const msg = mres.rows[0]
 
-    // fetch gmail integration for user using centralized utility
-    const integration = await integrationUtils.getUserIntegration(userId, 'gmail', true)
-    if(!integration || !integration.tokens) return res.status(400).json({error:'no_integration'})
-    const tokens = integration.tokens
+    // resolve the integration for what the action touches using centralized utility
+    const resolved = await integrationUtils.resolveIntegration(userId, ACTION_CAPABILITIES[actionType] || 'mail')
+    if(resolved.errorCode === 'REAUTH_REQUIRED') return res.status(401).json(reauthRequired())
+    if(!resolved.integration || !resolved.integration.tokens) return res.status(400).json({error:'no_integration'})
 
-    const o = new google.auth.OAuth2(process.env.GOOGLE_CLIENT_ID, process.env.GOOGLE_CLIENT_SECRET)
-    o.setCredentials(tokens)
+    const o = googleClient.createClient(resolved.integration)
     const gmail = google.gmail({version:'v1', auth:o})
     const calendar = google.calendar({version:'v3', auth:o})
     const tasks = google.tasks({version:'v1', auth:o})
@@ -361,6 +605,9 @@ router.post('/:id/action', async (req, res) => {
           // move to trash
           result = await gmail.users.messages.trash({userId:'me', id: msg.external_message_id})
           break
+        case 'archive':
+          result = await gmail.users.messages.modify({userId:'me', id: msg.external_message_id, requestBody:{removeLabelIds:['INBOX']}})
+          break
         case 'create_task':
           if(!payload || !payload.title) return res.status(400).json({error:'missing_task'})
           result = await tasks.tasks.insert({tasklist:'@default', requestBody: {title: payload.title, notes: payload.notes || ''}})
@@ -398,33 +645,63 @@ router.post('/:id/action', async (req, res) => {
           console.log(`✅ Calendar event created successfully - Event ID: ${result.data?.id}`)
           break
         case 'reply':
+        case 'reply_all': {
           if(!payload || !payload.body) return res.status(400).json({error:'missing_body'})
-          const fromHeader = (msg.sender || '')
-          const to = (fromHeader.match(/<(.+)>/) || [null, fromHeader])[1] || fromHeader
-          const raw = `To: ${to}\r\nSubject: Re: ${msg.subject || ''}\r\n\r\n${payload.body}`
-          const rawEncoded = Buffer.from(raw).toString('base64')
-          result = await gmail.users.messages.send({userId:'me', requestBody:{raw: rawEncoded}})
+          const reply = await composeService.composeReply(msg, req.user, {
+            body: payload.body,
+            html: payload.html,
+            replyAll: actionType === 'reply_all' || !!payload.replyAll,
+            cc: payload.cc,
+            bcc: payload.bcc
+          })
+          result = await emailSchedulingService.queueOutboundEmail(userId, {
+            messageId: msg.id,
+            to: [...reply.to, ...reply.cc],
+            subject: reply.subject,
+            body: payload.body,
+            raw: reply.raw,
+            threadId: reply.threadId,
+            source: `action:${actionType}`
+          })
           break
-        case 'forward':
+        }
+        case 'forward': {
           if(!payload || !payload.to) return res.status(400).json({error:'missing_to'})
-          const toAddr = payload.to
-          const fraw = `To: ${toAddr}\r\nSubject: Fwd: ${msg.subject || ''}\r\n\r\nForwarded message:\n\n${msg.body_plain || msg.body || ''}`
-          result = await gmail.users.messages.send({userId:'me', requestBody:{raw: Buffer.from(fraw).toString('base64')}})
+          const forward = await composeService.composeForward(msg, req.user, {
+            to: payload.to,
+            cc: payload.cc,
+            bcc: payload.bcc,
+            body: payload.body || '',
+            html: payload.html,
+            includeAttachments: payload.includeAttachments !== false
+          })
+          result = await emailSchedulingService.queueOutboundEmail(userId, {
+            messageId: msg.id,
+            to: [...forward.to, ...forward.cc],
+            subject: forward.subject,
+            body: payload.body || '',
+            raw: forward.raw,
+            source: 'action:forward'
+          })
           break
+        }
         case 'draft_reply':
-          // Same as reply but the LLM should have generated the content
+          // LLM-generated reply: saved as a Gmail draft in the thread for review, never sent here
           if(!payload || !payload.body) return res.status(400).json({error:'missing_body'})
-          const draftFromHeader = (msg.sender || '')
-          const draftTo = (draftFromHeader.match(/<(.+)>/) || [null, draftFromHeader])[1] || draftFromHeader
-          const draftRaw = `To: ${draftTo}\r\nSubject: Re: ${msg.subject || ''}\r\n\r\n${payload.body}`
-          const draftRawEncoded = Buffer.from(draftRaw).toString('base64')
-          result = await gmail.users.messages.send({userId:'me', requestBody:{raw: draftRawEncoded}})
+          result = await draftService.createReplyDraft(msg, req.user, {
+            body: payload.body,
+            html: payload.html,
+            replyAll: !!payload.replyAll,
+            cc: payload.cc,
+            bcc: payload.bcc
+          })
           break
         case 'create_meeting':
           // Handle meeting creation with flexible input
           if(!payload) return res.status(400).json({error:'missing_payload'})
           
           console.log(`📅 Creating meeting for user ${req.user.email} (${req.user.timezone})`)
+          const workPreferences = workPreferencesService.withDefaults(req.user.work_preferences)
           
           // If user provided meeting details as text, try to parse or use defaults
           // Include email details in meeting title and description
@@ -455,96 +732,70 @@ router.post('/:id/action', async (req, res) => {
             try {
               // Use LLM to parse complex meeting requirements
               console.log(`🤖 Using LLM to parse meeting requirements...`)
-              const llmKey = await db.query('SELECT llm_key_encrypted FROM user_settings WHERE user_id = $1', [req.user.id])
+              // Include email context for LLM processing
+              const emailContext = {
+                subject: emailSubject,
+                sender: emailSender,
+                received_at: msg.received_at
+              }
+              
+              llmParsedMeeting = await llmProcessor.parseMeetingRequirements(req.user, userText, { emailContext })
               
-              if (llmKey.rows[0]?.llm_key_encrypted) {
-                const apiKey = llmKey.rows[0].llm_key_encrypted.toString() // Decrypt if needed
+              if (llmParsedMeeting && llmParsedMeeting.success) {
+                console.log(`✅ LLM parsed meeting:`, llmParsedMeeting)
                 
-                // Include email context for LLM processing
-                const emailContext = {
-                  subject: emailSubject,
-                  sender: emailSender,
-                  received_at: msg.received_at
+                // Use LLM-parsed details, but ensure email context is preserved
+                if (llmParsedMeeting.title) {
+                  meetingTitle = llmParsedMeeting.title
                 }
-                
-                llmParsedMeeting = await llmProcessor.parseMeetingRequirements(req.user, userText, { 
-                  apiKey, 
-                  emailContext 
-                })
-                
-                if (llmParsedMeeting && llmParsedMeeting.success) {
-                  console.log(`✅ LLM parsed meeting:`, llmParsedMeeting)
-                  
-                  // Use LLM-parsed details, but ensure email context is preserved
-                  if (llmParsedMeeting.title) {
-                    meetingTitle = llmParsedMeeting.title
-                  }
-                  if (llmParsedMeeting.description) {
-                    // Ensure email context is included in description even if LLM provided one
-                    meetingDescription = llmParsedMeeting.description + 
-                      `\n\n📧 **Email Context:**\n` +
-                      `**From:** ${emailSender}\n` +
-                      `**Subject:** ${emailSubject}\n` +
-                      `**Received:** ${msg.received_at ? new Date(msg.received_at).toLocaleString() : 'Recently'}`
-                  }
-                  if (llmParsedMeeting.start_time) {
-                    payload.start = llmParsedMeeting.start_time
-                    payload.end = llmParsedMeeting.end_time || new Date(new Date(llmParsedMeeting.start_time).getTime() + (llmParsedMeeting.duration_minutes || 60) * 60 * 1000).toISOString()
-                    userProvidedTime = true
-                  }
-                } else {
-                  console.log(`⚠️ LLM parsing failed, falling back to basic parsing`)
+                if (llmParsedMeeting.description) {
+                  // Ensure email context is included in description even if LLM provided one
+                  meetingDescription = llmParsedMeeting.description + 
+                    `\n\n📧 **Email Context:**\n` +
+                    `**From:** ${emailSender}\n` +
+                    `**Subject:** ${emailSubject}\n` +
+                    `**Received:** ${msg.received_at ? new Date(msg.received_at).toLocaleString() : 'Recently'}`
                 }
+                if (llmParsedMeeting.start_time) {
+                  payload.start = llmParsedMeeting.start_time
+                  payload.end = llmParsedMeeting.end_time || new Date(new Date(llmParsedMeeting.start_time).getTime() + (llmParsedMeeting.duration_minutes || workPreferences.meetingLengths[0]) * 60 * 1000).toISOString()
+                  userProvidedTime = true
+                }
+              } else {
+                console.log(`⚠️ LLM parsing failed, falling back to basic parsing`)
               }
             } catch (llmError) {
               console.error('LLM parsing error:', llmError)
             }
             
-            // Fallback to basic time parsing if LLM didn't work
+            // Fallback to the date parser if LLM didn't work
             if (!userProvidedTime) {
               console.log(`🔍 Attempting basic time parsing from: "${userText}"`)
-              const parsedTime = parseUserTimeInput(userText, req.user.timezone)
-              console.log(`🔍 Parse result: ${parsedTime}`)
-              if(parsedTime) {
-                payload.start = parsedTime
-                // Default to 1 hour meeting
-                const startDate = new Date(parsedTime)
-                const endDate = new Date(startDate.getTime() + 60 * 60 * 1000) // Add 1 hour
-                payload.end = endDate.toISOString()
+              const parsed = parseNaturalDateTime(userText, {
+                ...workPreferencesService.parserOptions(workPreferences),
+                timezone: req.user.timezone,
+                defaultTime: '14:00',
+                defaultDurationMinutes: workPreferences.meetingLengths[0]
+              })
+              if(parsed) {
+                payload.start = parsed.start.toISOString()
+                payload.end = parsed.end.toISOString()
                 userProvidedTime = true
-                console.log(`⏰ Parsed time from user input: ${parsedTime}`)
+                console.log(`⏰ Parsed "${parsed.matched}" from user input: ${payload.start} - ${payload.end} (confidence ${parsed.confidence})`)
+                if (parsed.ambiguous || parsed.assumed.includes('time')) {
+                  meetingDescription += `\n\nNote: Read "${parsed.matched}" as ${formatTimeForUser(payload.start, req.user.timezone)}. Please check the time.`
+                }
               } else {
                 console.log(`❌ Failed to parse time from user input: "${userText}"`)
               }
             }
           }
           
-          // Use provided times or defaults
-          let startTime = payload.start
-          let endTime = payload.end
-          
-          if(!startTime || !endTime) {
-            console.log(`⏰ No specific time provided, using default 2 PM - 3 PM tomorrow in ${req.user.timezone}`)
-            // Use timezone utility for consistent handling
-            const defaultTimes = createDefaultMeetingTimes(req.user.timezone)
-            startTime = defaultTimes.startTime
-            endTime = defaultTimes.endTime
-            
-            const formattedTime = formatTimeForUser(startTime, req.user.timezone)
-            console.log(`🕐 Default meeting scheduled: ${formattedTime} (${req.user.timezone})`)
-            console.log(`📅 ISO times - Start: ${startTime}, End: ${endTime}`)
-            meetingDescription += `\n\nNote: Default time scheduled for ${formattedTime}. Please adjust as needed.`
-          } else {
-            const formattedTime = formatTimeForUser(startTime, req.user.timezone)
-            console.log(`🕐 Using ${userProvidedTime ? 'parsed' : 'provided'} times: ${formattedTime} (${req.user.timezone})`)
-            console.log(`📅 ISO times - Start: ${startTime}, End: ${endTime}`)
-          }
-          
           // Prepare attendees list
           let attendees = []
           
           // Add sender email as primary attendee
-          const senderEmail = (msg.sender.match(/<(.+)>/) || [null, msg.sender])[1] || msg.sender
+          const senderEmail = senderAddress(msg.sender)
           attendees.push({ email: senderEmail })
           
           // Add additional attendees from LLM parsing
@@ -558,6 +809,50 @@ router.post('/:id/action', async (req, res) => {
           
           console.log(`👥 Meeting attendees: ${attendees.map(a => a.email).join(', ')}`)
           
+          // Use provided times, else the best free slot, else the default
+          let startTime = payload.start
+          let endTime = payload.end
+          
+          if(!startTime || !endTime) {
+            let slots = []
+            try {
+              const found = await slotFinderService.findSlots(req.user, {
+                attendees: attendees.map(a => a.email),
+                durationMinutes: llmParsedMeeting?.duration_minutes || payload.duration,
+                preferred: slotFinderService.preferredWindow(payload.userInput || payload.meetingDetails)
+              })
+              slots = found.slots
+              if (found.unchecked.length > 0) console.log(`📅 Could not check availability for: ${found.unchecked.join(', ')}`)
+            } catch (slotError) {
+              if (googleClient.isInvalidGrant(slotError)) throw slotError
+              console.warn('slot finder failed', slotError.message)
+            }
+            
+            if (slots.length > 0) {
+              startTime = slots[0].start.toISOString()
+              endTime = slots[0].end.toISOString()
+              console.log(`⏰ No specific time provided, booking first free slot: ${slots[0].label}`)
+              const alternatives = slots.slice(1, 4).map(slot => slot.label)
+              meetingDescription += `\n\nNote: Booked the first free slot, ${slots[0].label}.` +
+                (alternatives.length > 0 ? ` Other free times: ${alternatives.join('; ')}.` : '')
+            } else {
+              console.log(`⏰ No specific time provided and no free slot found, using default 2 PM - 3 PM tomorrow in ${req.user.timezone}`)
+              // Use timezone utility for consistent handling
+              const defaultTimes = createDefaultMeetingTimes(req.user.timezone)
+              startTime = defaultTimes.startTime
+              endTime = defaultTimes.endTime
+              
+              const formattedTime = formatTimeForUser(startTime, req.user.timezone)
+              console.log(`🕐 Default meeting scheduled: ${formattedTime} (${req.user.timezone})`)
+              console.log(`📅 ISO times - Start: ${startTime}, End: ${endTime}`)
+              meetingDescription += `\n\nNote: Default time scheduled for ${formattedTime}. Please adjust as needed.`
+            }
+          } else {
+            const formattedTime = formatTimeForUser(startTime, req.user.timezone)
+            console.log(`🕐 Using ${userProvidedTime ? 'parsed' : 'provided'} times: ${formattedTime} (${req.user.timezone})`)
+            console.log(`📅 ISO times - Start: ${startTime}, End: ${endTime}`)
+          }
+          
           // Build event payload with enhanced features
           const eventPayload = {
             summary: meetingTitle,
@@ -621,14 +916,57 @@ router.post('/:id/action', async (req, res) => {
           console.log(`✅ Meeting created successfully - Event ID: ${result.data?.id}`)
           console.log(`🔗 Meeting link: ${result.data?.htmlLink}`)
           break
+        case 'accept_invite':
+        case 'decline_invite':
+          result = await calendarService.respondToInvite(req.user, msg, actionType === 'accept_invite' ? 'accepted' : 'declined', {comment: payload && payload.note})
+          break
+        case 'propose_new_time': {
+          // Google has no API for counter-proposals: answer "maybe" with the proposal as the RSVP
+          // note, and reply to the invitation email so the organizer sees it either way
+          if(!payload || !payload.start) return res.status(400).json({error:'missing_proposed_time'})
+          const invite = msg.metadata && msg.metadata.invite
+          const workPreferences = workPreferencesService.withDefaults(req.user.work_preferences)
+          const parserOptions = workPreferencesService.parserOptions(workPreferences)
+          const proposedStart = parseDateTimeInput(payload.start, req.user.timezone, parserOptions)
+          if(!proposedStart) return res.status(400).json({error:'invalid_proposed_time', field:'start'})
+          const length = invite && invite.start && invite.end ? new Date(invite.end) - new Date(invite.start) : workPreferences.meetingLengths[0] * 60000
+          const proposedEnd = payload.end ? parseDateTimeInput(payload.end, req.user.timezone, parserOptions) : new Date(proposedStart.getTime() + length)
+          if(!proposedEnd || proposedEnd <= proposedStart) return res.status(400).json({error:'invalid_proposed_time', field:'end'})
+
+          const note = `Could we move this to ${formatTimeForUser(proposedStart.toISOString(), req.user.timezone)}?${payload.note ? ` ${payload.note}` : ''}`
+          const answered = await calendarService.respondToInvite(req.user, msg, 'tentative', {comment: note})
+          const reply = await composeService.composeReply(msg, req.user, {body: note})
+          const queued = await emailSchedulingService.queueOutboundEmail(userId, {
+            messageId: msg.id,
+            to: [...reply.to, ...reply.cc],
+            subject: reply.subject,
+            body: note,
+            raw: reply.raw,
+            threadId: reply.threadId,
+            source: 'action:propose_new_time'
+          })
+          result = {...answered, proposed_start: proposedStart.toISOString(), proposed_end: proposedEnd.toISOString(), outbox: queued}
+          break
+        }
         default:
           return res.status(400).json({error:'unknown_action'})
       }
     } catch(apiError) {
+      await auditService.recordFailure(userId, actionType, apiError, {targetType:'message', targetId:msgId, payload:{payload}})
+      if (INVITE_ERRORS[apiError.code]) {
+        return res.status(INVITE_ERRORS[apiError.code]).json({error: apiError.code, message: apiError.message})
+      }
+      if (apiError.code === 'google_reauth_required') {
+        return res.status(401).json(reauthRequired())
+      }
       // Handle Google API permission errors
       if (apiError.code === 403 || apiError.status === 403) {
         return res.status(403).json(handlePermissionError(actionType, apiError))
       }
+      // Revoked grant: the integration is flagged and the user notified by the client factory
+      if (googleClient.isInvalidGrant(apiError)) {
+        return res.status(401).json(reauthRequired())
+      }
       // Handle token expiration or other auth errors
       if (apiError.code === 401 || apiError.status === 401) {
         return res.status(401).json({
@@ -641,10 +979,9 @@ router.post('/:id/action', async (req, res) => {
       throw apiError
     }
 
-    // mark message as actioned
-    await db.query('UPDATE messages SET actioned=true WHERE id=$1', [msgId])
-    // insert audit log (user-scoped schema)
-    await db.query('INSERT INTO audit_logs (user_id, action, payload, created_at) VALUES ($1,$2,$3,now())', [userId, actionType, JSON.stringify({payload, result: result && result.data ? result.data : result})])
+    // mark message as actioned (queued sends and drafts are marked by the dispatcher once actually sent)
+    if(!OUTBOUND_ACTIONS.includes(actionType)) await db.query('UPDATE messages SET actioned=true WHERE id=$1', [msgId])
+    await auditService.record(userId, actionType, {targetType:'message', targetId:msgId, payload:{payload, result: result && result.data ? result.data : result}})
 
     res.json({ok:true, result: result && result.data ? result.data : result})
   }catch(e){
@@ -2,7 +2,15 @@ const express = require('express')
 const router = express.Router()
 const emailTemplatesService = require('../services/emailTemplates')
 const snoozeService = require('../services/snoozeService')
+const auditService = require('../services/auditService')
 const searchService = require('../services/searchService')
+const workPreferencesService = require('../services/workPreferencesService')
+const { parseDateTimeInput } = require('../utils/timezone')
+
+// Working hours etc. from the user context; defaults when none are set
+function workPreferences(req) {
+  return workPreferencesService.withDefaults(req.user?.work_preferences)
+}
 
 // =============================================
 // EMAIL TEMPLATES ROUTES
@@ -119,13 +127,14 @@ router.post('/messages/:id/snooze', async (req, res) => {
     
     let snoozeDateTime
     if (preset) {
-      snoozeDateTime = snoozeService.getSnoozePreset(preset)
+      snoozeDateTime = snoozeService.getSnoozePreset(preset, req.user?.timezone, workPreferences(req))
       if (!snoozeDateTime) {
         return res.status(400).json({ error: 'invalid_preset' })
       }
     } else if (snooze_until) {
-      snoozeDateTime = new Date(snooze_until)
-      if (isNaN(snoozeDateTime.getTime())) {
+      // ISO or a phrase like "monday 9am", read in the user's timezone
+      snoozeDateTime = parseDateTimeInput(snooze_until, req.user?.timezone, workPreferencesService.parserOptions(workPreferences(req)))
+      if (!snoozeDateTime) {
         return res.status(400).json({ error: 'invalid_date' })
       }
     } else {
@@ -133,6 +142,7 @@ router.post('/messages/:id/snooze', async (req, res) => {
     }
 
     const result = await snoozeService.snoozeEmail(messageId, userId, snoozeDateTime)
+    await auditService.record(userId, 'snooze', { targetType: 'message', targetId: messageId, payload: { snoozed_until: snoozeDateTime, preset: preset || undefined } })
     
     res.json({ 
       message: 'Email snoozed successfully',
@@ -141,6 +151,7 @@ router.post('/messages/:id/snooze', async (req, res) => {
     })
   } catch (error) {
     console.error('Snooze email error:', error)
+    if (req.session?.userId) await auditService.recordFailure(req.session.userId, 'snooze', error, { targetType: 'message', targetId: req.params.id })
     res.status(500).json({ error: 'server_error' })
   }
 })
@@ -154,6 +165,7 @@ router.post('/messages/:id/unsnooze', async (req, res) => {
     const { id: messageId } = req.params
     
     const result = await snoozeService.unsnoozeEmail(messageId, userId)
+    await auditService.record(userId, 'unsnooze', { targetType: 'message', targetId: messageId })
     
     res.json({ 
       message: 'Email unsnoozed successfully',
@@ -193,8 +205,8 @@ router.post('/messages/:id/follow-up', async (req, res) => {
       return res.status(400).json({ error: 'missing_reminder_time' })
     }
 
-    const reminderDateTime = new Date(reminder_time)
-    if (isNaN(reminderDateTime.getTime())) {
+    const reminderDateTime = parseDateTimeInput(reminder_time, req.user?.timezone, workPreferencesService.parserOptions(workPreferences(req)))
+    if (!reminderDateTime) {
       return res.status(400).json({ error: 'invalid_date' })
     }
 
@@ -232,7 +244,7 @@ router.get('/snooze/presets', async (req, res) => {
     const presets = snoozeService.snoozePresets.map(preset => ({
       key: preset,
       label: preset.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase()),
-      datetime: snoozeService.getSnoozePreset(preset)
+      datetime: snoozeService.getSnoozePreset(preset, req.user?.timezone, workPreferences(req))
     }))
     
     res.json({ presets })
@@ -4,6 +4,9 @@ const router = express.Router()
 const emailSchedulingService = require('../services/emailSchedulingService')
 const smartNotificationsService = require('../services/smartNotificationsService')
 const emailAnalyticsService = require('../services/emailAnalyticsService')
+const auditService = require('../services/auditService')
+const workPreferencesService = require('../services/workPreferencesService')
+const { parseDateTimeInput } = require('../utils/timezone')
 
 // Middleware to ensure user is authenticated
 const requireAuth = (req, res, next) => {
@@ -27,14 +30,26 @@ router.post('/schedule', requireAuth, async (req, res) => {
       })
     }
 
+    // ISO or a phrase like "tomorrow 8am", read in the sender's timezone
+    const userTimezone = timezone || req.user?.timezone || 'UTC'
+    const sendAt = parseDateTimeInput(scheduledFor, userTimezone, workPreferencesService.parserOptions(workPreferencesService.withDefaults(req.user?.work_preferences)))
+    if (!sendAt) {
+      return res.status(400).json({ error: `Could not read scheduledFor: "${scheduledFor}"` })
+    }
+
     const scheduledEmail = await emailSchedulingService.scheduleEmail(userId, {
       recipientEmail,
       subject,
       body,
-      scheduledFor,
-      timezone,
+      scheduledFor: sendAt,
+      timezone: userTimezone,
       messageId
     })
+    await auditService.record(userId, 'schedule_email', {
+      targetType: 'email_schedule',
+      targetId: scheduledEmail.id,
+      payload: { to: recipientEmail, subject, scheduled_for: sendAt }
+    })
 
     res.json({ 
       success: true, 
@@ -76,6 +91,7 @@ router.delete('/schedule/:scheduleId', requireAuth, async (req, res) => {
     if (!cancelled) {
       return res.status(404).json({ error: 'Scheduled email not found or already processed' })
     }
+    await auditService.record(userId, 'cancel_scheduled_email', { targetType: 'email_schedule', targetId: scheduleId })
 
     res.json({ 
       success: true, 
@@ -1,33 +1,117 @@
 const express = require('express')
 const router = express.Router()
 const db = require('../db')
-const { invalidateUserCache } = require('../middleware/userContext')
+const { invalidateUserCache, isAdmin } = require('../middleware/userContext')
+const emailSchedulingService = require('../services/emailSchedulingService')
+const providers = require('../llm/providers')
+const credentials = require('../llm/credentials')
+const approvalService = require('../services/approvalService')
+const auditService = require('../services/auditService')
+const workPreferencesService = require('../services/workPreferencesService')
 
-// GET /api/settings/llm -> { hasKey: boolean }
-// Now returns true always since we use global API keys
+// GET /api/settings/llm -> { hasKey, keyHint, keyValidatedAt, model, provider, defaultProvider, providers, fallbackPolicy, isAdmin }
+// The key itself is never returned, only its last characters
 router.get('/llm', async (req,res)=>{
   if(!req.user) return res.status(401).json({error:'not_logged_in'})
-  res.json({hasKey: true})
+  try{
+    const settings = await credentials.getUserLLMSettings(req.user.id)
+    res.json({
+      hasKey: !!settings.apiKey,
+      keyHint: settings.keyHint,
+      keyValidatedAt: settings.keyValidatedAt,
+      model: settings.model,
+      provider: await providers.getUserProviderName(req.user.id),
+      defaultProvider: providers.getDefaultProviderName(),
+      providers: providers.getUserSelectableProviders(),
+      fallbackPolicy: await credentials.getFallbackPolicy(),
+      isAdmin: isAdmin(req.user)
+    })
+  }catch(e){
+    console.error('Error loading LLM settings:', e)
+    res.status(500).json({error:'server_error'})
+  }
 })
 
-// POST /api/settings/llm -> {ok:true}
-// Deprecated: No longer needed since we use global API keys
+// POST /api/settings/llm {provider?, key?, model?} -> {ok:true}
+// null resets a field (provider -> deployment default, key -> removed, model -> provider default)
+// A new key or model is checked against the provider before it is stored
 router.post('/llm', async (req,res)=>{
   if(!req.user) return res.status(401).json({error:'not_logged_in'})
-  res.json({ok:true})
+  try{
+    const { provider, key, model } = req.body || {}
+    if(provider !== undefined && provider !== null && !providers.getUserSelectableProviders().includes(provider)){
+      return res.status(400).json({error:'invalid_provider', providers: providers.getUserSelectableProviders()})
+    }
+    if(key !== undefined && key !== null && (typeof key !== 'string' || !key.trim())){
+      return res.status(400).json({error:'invalid_key'})
+    }
+    if(model !== undefined && model !== null && (typeof model !== 'string' || !model.trim())){
+      return res.status(400).json({error:'invalid_model'})
+    }
+
+    const apiKey = typeof key === 'string' ? key.trim() : key
+    const modelName = typeof model === 'string' ? model.trim() : model
+
+    if(apiKey || modelName){
+      const current = await credentials.getUserLLMSettings(req.user.id)
+      const providerName = provider !== undefined
+        ? (provider || providers.getDefaultProviderName())
+        : (await providers.getUserProviderName(req.user.id) || providers.getDefaultProviderName())
+      let check
+      try{
+        check = await credentials.validateUserKey(
+          providerName,
+          apiKey !== undefined ? apiKey : current.apiKey,
+          modelName !== undefined ? modelName : current.model
+        )
+      }catch(e){
+        console.error('LLM key validation error:', e)
+        return res.status(502).json({error:'llm_validation_failed', message: e.message})
+      }
+      if(!check.valid) return res.status(400).json({error:'llm_key_rejected', reason: check.reason})
+    }
+
+    if(provider !== undefined){
+      await db.query(
+        `INSERT INTO user_settings (user_id, llm_provider, updated_at) VALUES ($1, $2, NOW())
+         ON CONFLICT (user_id) DO UPDATE SET llm_provider = EXCLUDED.llm_provider, updated_at = NOW()`,
+        [req.user.id, provider]
+      )
+    }
+    await credentials.saveUserLLMSettings(req.user.id, {apiKey, model: modelName})
+
+    if(apiKey !== undefined){
+      await auditService.record(req.user.id, apiKey ? 'set_llm_key' : 'remove_llm_key', {targetType:'settings', targetId:'llm', payload:{model: modelName}})
+    } else if(provider !== undefined || modelName !== undefined){
+      await auditService.record(req.user.id, 'update_llm_settings', {targetType:'settings', targetId:'llm', payload:{provider, model: modelName}})
+    }
+    res.json({ok:true})
+  }catch(e){
+    console.error('Error saving LLM settings:', e)
+    res.status(500).json({error:'server_error'})
+  }
 })
 
 // GET /api/settings/profile -> get user profile settings
 router.get('/profile', async (req, res) => {
   if(!req.user) return res.status(401).json({error:'not_logged_in'})
   
-  // Return profile data directly from middleware (already cached)
-  res.json({
-    timezone: req.user.timezone || 'UTC',
-    location: req.user.location || '',
-    role: req.user.role || '',
-    personalNote: req.user.personal_note || ''
-  })
+  try {
+    const undoSendSeconds = await emailSchedulingService.getUndoSendSeconds(req.user.id)
+
+    // Return profile data directly from middleware (already cached)
+    res.json({
+      timezone: req.user.timezone || 'UTC',
+      location: req.user.location || '',
+      role: req.user.role || '',
+      personalNote: req.user.personal_note || '',
+      undoSendSeconds,
+      workPreferences: workPreferencesService.withDefaults(req.user.work_preferences)
+    })
+  } catch(error) {
+    console.error('Error loading user profile:', error)
+    res.status(500).json({error: 'server_error'})
+  }
 })
 
 // POST /api/settings/profile -> update user profile settings
@@ -35,7 +119,7 @@ router.post('/profile', async (req, res) => {
   if(!req.user) return res.status(401).json({error:'not_logged_in'})
   
   try {
-    const { timezone, location, role, personalNote } = req.body
+    const { timezone, location, role, personalNote, undoSendSeconds, workPreferences } = req.body
     
     // Validate timezone if provided
     if(timezone) {
@@ -45,6 +129,20 @@ router.post('/profile', async (req, res) => {
         return res.status(400).json({error: 'invalid_timezone'})
       }
     }
+
+    if(undoSendSeconds !== undefined && (!Number.isInteger(undoSendSeconds) || undoSendSeconds < 0 || undoSendSeconds > 30)) {
+      return res.status(400).json({error: 'invalid_undo_send_seconds'})
+    }
+
+    let preferences
+    if(workPreferences !== undefined) {
+      try {
+        preferences = workPreferencesService.normalizePreferences(workPreferences)
+      } catch(e) {
+        if(e.code === 'invalid_preferences') return res.status(400).json({error: e.code, message: e.message})
+        throw e
+      }
+    }
     
     await db.query(
       `UPDATE users 
@@ -59,7 +157,21 @@ router.post('/profile', async (req, res) => {
       ]
     )
     
+    if(undoSendSeconds !== undefined) {
+      await db.query(
+        `INSERT INTO user_settings (user_id, undo_send_seconds, updated_at) VALUES ($1, $2, NOW())
+         ON CONFLICT (user_id) DO UPDATE SET undo_send_seconds = EXCLUDED.undo_send_seconds, updated_at = NOW()`,
+        [req.user.id, undoSendSeconds]
+      )
+    }
+
+    if(preferences) {
+      await workPreferencesService.saveWorkPreferences(req.user.id, preferences)
+    }
+    
     console.log(`📝 Profile updated for user ${req.user.id}`)
+    // The personal note stays out of the log; it can hold anything
+    await auditService.record(req.user.id, 'update_profile', {targetType:'settings', targetId:'profile', payload:{timezone: timezone || 'UTC', location, role, undoSendSeconds, workPreferences: preferences}})
     
     // Invalidate user cache so next request gets fresh data
     if (req.session && req.session.userCache) {
@@ -73,4 +185,34 @@ router.post('/profile', async (req, res) => {
   }
 })
 
+// GET /api/settings/approvals -> { autoApprove: {create_task: false, ...} }
+// Action types the assistant may run without asking first
+router.get('/approvals', async (req,res)=>{
+  if(!req.user) return res.status(401).json({error:'not_logged_in'})
+  try{
+    res.json({ autoApprove: await approvalService.getAutoApprove(req.user.id) })
+  }catch(e){
+    console.error('Error loading approval settings:', e)
+    res.status(500).json({error:'server_error'})
+  }
+})
+
+// POST /api/settings/approvals {autoApprove: {action_type: boolean}} -> { autoApprove }
+router.post('/approvals', async (req,res)=>{
+  if(!req.user) return res.status(401).json({error:'not_logged_in'})
+  const { autoApprove } = req.body || {}
+  if(!autoApprove || typeof autoApprove !== 'object' || Array.isArray(autoApprove)){
+    return res.status(400).json({error:'invalid_setting'})
+  }
+  try{
+    const settings = await approvalService.setAutoApprove(req.user.id, autoApprove)
+    await auditService.record(req.user.id, 'update_auto_approve', {targetType:'settings', targetId:'approvals', payload:autoApprove})
+    res.json({ autoApprove: settings })
+  }catch(e){
+    if(e.code === 'unknown_action_type' || e.code === 'invalid_setting') return res.status(400).json({error:e.code, message:e.message})
+    console.error('Error saving approval settings:', e)
+    res.status(500).json({error:'server_error'})
+  }
+})
+
 module.exports = router
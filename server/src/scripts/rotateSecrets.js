@@ -0,0 +1,34 @@
+/**
+ * Re-encrypt stored OAuth tokens and LLM keys with the current master key
+ *
+ * Usage: npm run secrets:rotate [-- --dry-run]
+ *
+ * To rotate, make the new key current (SECRETS_ENCRYPTION_KEY + a higher
+ * SECRETS_ENCRYPTION_KEY_VERSION, or "current" in SECRETS_KEY_FILE), keep the old key in
+ * SECRETS_PREVIOUS_KEYS / the key file, run this, then retire the old key once every row
+ * reports rotated with no failures.
+ */
+
+require('dotenv').config()
+const db = require('../db')
+const secrets = require('../utils/secrets')
+const { rotateSecrets } = require('../services/secretRotationService')
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run')
+  console.log(`Rotating secrets to key version ${secrets.currentKeyVersion()}${dryRun ? ' (dry run)' : ''}`)
+
+  const report = await rotateSecrets({ dryRun })
+  for (const { table, column, checked, rotated, failed } of report) {
+    console.log(`${table}.${column}: ${checked} checked, ${rotated} rotated, ${failed} failed`)
+  }
+  return report.some(stats => stats.failed > 0) ? 1 : 0
+}
+
+main()
+  .then(code => { process.exitCode = code })
+  .catch(error => {
+    console.error('Secret rotation failed:', error.message)
+    process.exitCode = 1
+  })
+  .finally(() => db.pool.end())
@@ -0,0 +1,111 @@
+const db = require('../db')
+
+/**
+ * Agent Run Service
+ * Persists tool-calling agent runs (llm/agent/agentLoop) in agent_runs: the model transcript
+ * needed to resume a run, the execution trace shown to the user, the tool calls still
+ * waiting for confirmation and the numbered search results the answer may cite.
+ */
+
+const RUN_COLUMNS = `
+  id, user_id, session_id, chat_message_id, status, input, steps, pending, sources, step_count, error,
+  created_at, updated_at, completed_at`
+
+function notFound(runId) {
+  const error = new Error(`Agent run ${runId} not found`)
+  error.code = 'run_not_found'
+  return error
+}
+
+/**
+ * Start a run
+ * @param {Object} run - {userId, sessionId, input, messages}
+ * @returns {Object} agent_runs row (without the transcript)
+ */
+async function createRun({ userId, sessionId = null, input, messages }) {
+  const result = await db.query(`
+    INSERT INTO agent_runs (user_id, session_id, status, input, messages, steps, pending, sources, step_count)
+    VALUES ($1, $2, 'running', $3, $4, '[]', '[]', '[]', 0)
+    RETURNING ${RUN_COLUMNS}
+  `, [userId, sessionId, input, JSON.stringify(messages)])
+  return result.rows[0]
+}
+
+/**
+ * Save a run's state after a step
+ * @param {string} runId - Run ID
+ * @param {Object} state - {status, messages, steps, pending, sources, stepCount, error}
+ */
+async function saveRun(runId, { status, messages, steps, pending = [], sources = [], stepCount, error = null }) {
+  await db.query(`
+    UPDATE agent_runs
+    SET status = $2, messages = $3, steps = $4, pending = $5, step_count = $6, error = $7, sources = $8, updated_at = now(),
+        completed_at = CASE WHEN $2 IN ('completed', 'failed', 'cancelled') THEN now() ELSE NULL END
+    WHERE id = $1
+  `, [runId, status, JSON.stringify(messages), JSON.stringify(steps), JSON.stringify(pending), stepCount, error, JSON.stringify(sources)])
+}
+
+/**
+ * A user's run with its trace
+ * @param {string} runId - Run ID
+ * @param {string} userId - Owner
+ * @param {Object} options - {withMessages: include the model transcript}
+ * @returns {Object} agent_runs row
+ */
+async function getRun(runId, userId, { withMessages = false } = {}) {
+  const result = await db.query(`
+    SELECT ${RUN_COLUMNS}${withMessages ? ', messages' : ''}
+    FROM agent_runs WHERE id = $1 AND user_id = $2
+  `, [runId, userId])
+  if (result.rowCount === 0) throw notFound(runId)
+  return result.rows[0]
+}
+
+/**
+ * Runs behind a chat message (normally one)
+ * @param {string} messageId - chat_messages id
+ * @param {string} userId - Owner
+ * @returns {Object[]} agent_runs rows, newest first
+ */
+async function getRunsForMessage(messageId, userId) {
+  const result = await db.query(`
+    SELECT ${RUN_COLUMNS} FROM agent_runs
+    WHERE chat_message_id = $1 AND user_id = $2
+    ORDER BY created_at DESC
+  `, [messageId, userId])
+  return result.rows
+}
+
+/**
+ * Take a paused run for confirmation; only one caller can win, so a double click can't run a tool twice
+ * @param {string} runId - Run ID
+ * @param {string} userId - Owner
+ * @returns {Object} agent_runs row including the transcript, now 'running'
+ */
+async function claimPausedRun(runId, userId) {
+  const result = await db.query(`
+    UPDATE agent_runs SET status = 'running', updated_at = now()
+    WHERE id = $1 AND user_id = $2 AND status = 'awaiting_confirmation'
+    RETURNING ${RUN_COLUMNS}, messages
+  `, [runId, userId])
+  if (result.rowCount > 0) return result.rows[0]
+
+  const run = await getRun(runId, userId)
+  const error = new Error(`Agent run ${runId} is ${run.status}, not awaiting confirmation`)
+  error.code = 'run_not_awaiting_confirmation'
+  throw error
+}
+
+// Link a run to the chat message that shows its latest reply
+async function attachMessage(runId, messageId) {
+  await db.query('UPDATE agent_runs SET chat_message_id = $2, updated_at = now() WHERE id = $1', [runId, messageId])
+}
+
+module.exports = {
+  createRun,
+  saveRun,
+  getRun,
+  getRunsForMessage,
+  claimPausedRun,
+  attachMessage
+}
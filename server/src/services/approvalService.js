@@ -0,0 +1,260 @@
+const db = require('../db')
+const tools = require('../llm/agent/tools')
+const auditService = require('./auditService')
+
+/**
+ * Approval Service
+ * Side-effecting actions proposed by the assistant (calendar events, tasks, drafts, snoozes,
+ * scheduled sends) are stored in action_approvals with a preview of what they will change, and
+ * only run once the user approves them (optionally after editing the arguments). Action types
+ * the user has switched to auto-approve in settings run right away.
+ *
+ * The action types are the agent tools with confirm: true, so chat processors and the agent
+ * loop share the same validation, preview and execution code. Every decision is written to
+ * audit_logs (actor: the user, or the assistant for auto-approvals), and so is every action that
+ * runs, as done by the assistant on the user's behalf.
+ */
+
+const ACTION_TYPES = tools.TOOLS.filter(tool => tool.confirm).map(tool => tool.name)
+
+const APPROVAL_COLUMNS = `
+  id, user_id, action_type, status, payload, proposed_payload, preview, source, session_id,
+  agent_run_id, tool_call_id, decided_by, result, error, created_at, decided_at, executed_at`
+
+function approvalError(code, message) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+function toolContext(user) {
+  return { user, userId: user.id, timezone: user.timezone || 'UTC' }
+}
+
+function auditDecision(userId, action, approval, { actor = 'user', ...extra } = {}) {
+  return auditService.record(userId, action, {
+    actor,
+    targetType: 'approval',
+    targetId: approval.id,
+    payload: { action_type: approval.action_type, source: approval.source, ...extra }
+  })
+}
+
+// The action itself, logged under its own name (create_event, snooze, ...)
+function auditExecution(userId, approval) {
+  return auditService.record(userId, approval.action_type, {
+    actor: 'assistant',
+    targetType: 'approval',
+    targetId: approval.id,
+    payload: { arguments: approval.payload, result: approval.result || undefined, decided_by: approval.decided_by },
+    outcome: approval.status === 'executed' ? 'success' : 'failure',
+    error: approval.error
+  })
+}
+
+/**
+ * Validate arguments for an action type and build what the user sees before deciding
+ * @returns {Object} {args, preview: {summary, changes}}
+ */
+async function prepare(actionType, payload, ctx) {
+  const tool = tools.getTool(actionType)
+  if (!tool || !tool.confirm) throw approvalError('unknown_action_type', `Unknown action type: ${actionType}`)
+
+  const parsed = tools.parseArguments(tool, payload)
+  if (parsed.error) throw approvalError('invalid_action', parsed.error)
+
+  try {
+    return {
+      tool,
+      args: parsed.args,
+      preview: { summary: tool.describe(parsed.args, ctx), changes: await tool.preview(parsed.args, ctx) }
+    }
+  } catch (error) {
+    if (error.code !== 'tool_failed') throw error
+    throw approvalError('invalid_action', error.message)
+  }
+}
+
+// Which action types run without asking, e.g. {create_task: true}
+async function getAutoApprove(userId) {
+  const result = await db.query('SELECT auto_approve_actions FROM user_settings WHERE user_id = $1', [userId])
+  const saved = (result.rows[0] && result.rows[0].auto_approve_actions) || {}
+  return Object.fromEntries(ACTION_TYPES.map(type => [type, saved[type] === true]))
+}
+
+/**
+ * Update the auto-approve flags; types left out keep their current value
+ * @param {string} userId - User ID
+ * @param {Object} changes - {action_type: boolean}
+ * @returns {Object} All flags after the update
+ */
+async function setAutoApprove(userId, changes) {
+  for (const [type, value] of Object.entries(changes || {})) {
+    if (!ACTION_TYPES.includes(type)) throw approvalError('unknown_action_type', `Unknown action type: ${type}`)
+    if (typeof value !== 'boolean') throw approvalError('invalid_setting', `${type} must be true or false`)
+  }
+  const settings = { ...(await getAutoApprove(userId)), ...changes }
+  await db.query(
+    `INSERT INTO user_settings (user_id, auto_approve_actions, updated_at) VALUES ($1, $2, NOW())
+     ON CONFLICT (user_id) DO UPDATE SET auto_approve_actions = EXCLUDED.auto_approve_actions, updated_at = NOW()`,
+    [userId, JSON.stringify(settings)]
+  )
+  return settings
+}
+
+// Run a claimed ('executing') approval and record the outcome
+async function execute(approval, tool, args, user) {
+  try {
+    const result = await tool.run(args, toolContext(user))
+    const updated = await db.query(`
+      UPDATE action_approvals SET status = 'executed', result = $2, executed_at = now()
+      WHERE id = $1 RETURNING ${APPROVAL_COLUMNS}
+    `, [approval.id, JSON.stringify(result)])
+    return updated.rows[0]
+  } catch (error) {
+    console.warn(`Approved action ${approval.action_type} failed:`, error.message)
+    const updated = await db.query(`
+      UPDATE action_approvals SET status = 'failed', error = $2, executed_at = now()
+      WHERE id = $1 RETURNING ${APPROVAL_COLUMNS}
+    `, [approval.id, error.message])
+    return updated.rows[0]
+  }
+}
+
+/**
+ * Queue an action the assistant wants to take
+ * @param {Object} user - req.user of the owner
+ * @param {Object} proposal - {actionType, payload, source ('chat'|'agent'), sessionId, agentRunId, toolCallId}
+ * @returns {Object} action_approvals row: 'pending', or already 'executed'/'failed' when auto-approved
+ */
+async function proposeAction(user, { actionType, payload, source = 'chat', sessionId = null, agentRunId = null, toolCallId = null }) {
+  const { tool, args, preview } = await prepare(actionType, payload, toolContext(user))
+
+  const inserted = await db.query(`
+    INSERT INTO action_approvals (user_id, action_type, status, payload, proposed_payload, preview, source, session_id, agent_run_id, tool_call_id)
+    VALUES ($1, $2, 'pending', $3, $3, $4, $5, $6, $7, $8)
+    RETURNING ${APPROVAL_COLUMNS}
+  `, [user.id, actionType, JSON.stringify(args), JSON.stringify(preview), source, sessionId, agentRunId, toolCallId])
+  const approval = inserted.rows[0]
+
+  const autoApprove = await getAutoApprove(user.id)
+  if (!autoApprove[actionType]) return approval
+
+  await db.query(
+    "UPDATE action_approvals SET status = 'executing', decided_by = 'auto', decided_at = now() WHERE id = $1",
+    [approval.id]
+  )
+  const done = await execute(approval, tool, args, user)
+  await auditDecision(user.id, 'approval_auto_approved', done, { actor: 'assistant' })
+  await auditExecution(user.id, done)
+  return done
+}
+
+/**
+ * Approve a pending action, optionally with edited arguments, and run it
+ * @param {string} approvalId - Approval ID
+ * @param {Object} user - req.user of the owner
+ * @param {Object} options - {payload: argument changes merged over the proposal}
+ * @returns {Object} action_approvals row, 'executed' or 'failed'
+ */
+async function approveAction(approvalId, user, { payload } = {}) {
+  const claimed = await db.query(`
+    UPDATE action_approvals SET status = 'executing', decided_by = 'user', decided_at = now()
+    WHERE id = $1 AND user_id = $2 AND status = 'pending'
+    RETURNING ${APPROVAL_COLUMNS}
+  `, [approvalId, user.id])
+  if (claimed.rowCount === 0) await notPending(approvalId, user.id)
+  const approval = claimed.rows[0]
+
+  const edited = !!payload && Object.keys(payload).length > 0
+  let prepared
+  try {
+    prepared = await prepare(approval.action_type, edited ? { ...approval.payload, ...payload } : approval.payload, toolContext(user))
+  } catch (error) {
+    // Bad edits leave the proposal pending so the user can fix them
+    await db.query(
+      "UPDATE action_approvals SET status = 'pending', decided_by = NULL, decided_at = NULL WHERE id = $1",
+      [approval.id]
+    )
+    throw error
+  }
+
+  if (edited) {
+    await db.query(
+      'UPDATE action_approvals SET payload = $2, preview = $3 WHERE id = $1',
+      [approval.id, JSON.stringify(prepared.args), JSON.stringify(prepared.preview)]
+    )
+  }
+
+  const done = await execute(approval, prepared.tool, prepared.args, user)
+  await auditDecision(user.id, 'approval_approved', done, { edited, changed_fields: edited ? Object.keys(payload) : undefined })
+  await auditExecution(user.id, done)
+  return done
+}
+
+/**
+ * Reject a pending action
+ * @param {string} approvalId - Approval ID
+ * @param {Object} user - req.user of the owner
+ * @param {string} reason - Optional note from the user
+ * @returns {Object} action_approvals row, 'rejected'
+ */
+async function rejectAction(approvalId, user, reason = null) {
+  const result = await db.query(`
+    UPDATE action_approvals SET status = 'rejected', decided_by = 'user', decided_at = now(), error = $3
+    WHERE id = $1 AND user_id = $2 AND status = 'pending'
+    RETURNING ${APPROVAL_COLUMNS}
+  `, [approvalId, user.id, reason])
+  if (result.rowCount === 0) await notPending(approvalId, user.id)
+
+  const approval = result.rows[0]
+  await auditDecision(user.id, 'approval_rejected', approval, { reason: reason || undefined })
+  return approval
+}
+
+async function notPending(approvalId, userId) {
+  const approval = await getApproval(approvalId, userId)
+  throw approvalError('approval_not_pending', `Action ${approvalId} is ${approval.status}, not pending`)
+}
+
+/**
+ * A user's approval
+ * @param {string} approvalId - Approval ID
+ * @param {string} userId - Owner
+ * @returns {Object} action_approvals row
+ */
+async function getApproval(approvalId, userId) {
+  const result = await db.query(
+    `SELECT ${APPROVAL_COLUMNS} FROM action_approvals WHERE id = $1 AND user_id = $2`,
+    [approvalId, userId]
+  )
+  if (result.rowCount === 0) throw approvalError('approval_not_found', `Action ${approvalId} not found`)
+  return result.rows[0]
+}
+
+/**
+ * A user's approvals, newest first
+ * @param {string} userId - Owner
+ * @param {Object} filters - {status, limit, offset}
+ * @returns {Object[]} action_approvals rows
+ */
+async function listApprovals(userId, { status = null, limit = 50, offset = 0 } = {}) {
+  const result = await db.query(`
+    SELECT ${APPROVAL_COLUMNS} FROM action_approvals
+    WHERE user_id = $1 AND ($2::text IS NULL OR status = $2)
+    ORDER BY created_at DESC
+    LIMIT $3 OFFSET $4
+  `, [userId, status, Math.min(limit, 200), offset])
+  return result.rows
+}
+
+module.exports = {
+  ACTION_TYPES,
+  getAutoApprove,
+  setAutoApprove,
+  proposeAction,
+  approveAction,
+  rejectAction,
+  getApproval,
+  listApprovals
+}
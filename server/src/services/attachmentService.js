@@ -0,0 +1,258 @@
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { google } = require('googleapis')
+const db = require('../db')
+const googleClient = require('../integrations/google/client')
+const { isExtractable, extractText } = require('../utils/textExtraction')
+
+/**
+ * Attachment Service
+ * Attachment metadata, a lazily filled content-addressed byte store and text extraction
+ */
+
+const STORE_DIR = process.env.ATTACHMENT_STORE_DIR || path.join(__dirname, '../../data/attachments')
+// attachments larger than this are never pulled in automatically for the LLM/search
+const MAX_AUTO_EXTRACT_BYTES = parseInt(process.env.ATTACHMENT_MAX_AUTO_EXTRACT_BYTES || String(10 * 1024 * 1024))
+
+// Content-addressed path: <store>/ab/abcdef... (sha256 of the bytes)
+function storePath(hash) {
+  return path.join(STORE_DIR, hash.substring(0, 2), hash)
+}
+
+// Write bytes into the store once; identical attachments across messages share a file
+async function writeToStore(buffer) {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex')
+  const target = storePath(hash)
+  try {
+    await fs.promises.access(target)
+  } catch {
+    await fs.promises.mkdir(path.dirname(target), { recursive: true })
+    const tmp = `${target}.${process.pid}.${Date.now()}.tmp`
+    await fs.promises.writeFile(tmp, buffer)
+    await fs.promises.rename(tmp, target)
+  }
+  return hash
+}
+
+async function readFromStore(hash) {
+  try {
+    return await fs.promises.readFile(storePath(hash))
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
+
+// Walk a Gmail payload and collect every part that carries a filename
+function collectGmailAttachments(payload, results = []) {
+  if (!payload) return results
+  if (payload.filename && payload.body && (payload.body.attachmentId || payload.body.data)) {
+    const headers = payload.headers || []
+    const contentId = (headers.find(h => h.name.toLowerCase() === 'content-id') || {}).value || null
+    const disposition = (headers.find(h => h.name.toLowerCase() === 'content-disposition') || {}).value || ''
+    results.push({
+      part_id: payload.partId || String(results.length),
+      filename: payload.filename,
+      mime_type: payload.mimeType || 'application/octet-stream',
+      size: payload.body.size || 0,
+      attachment_id: payload.body.attachmentId || null,
+      content_id: contentId ? contentId.replace(/^<|>$/g, '') : null,
+      is_inline: /^inline/i.test(disposition)
+    })
+  }
+  for (const part of payload.parts || []) {
+    collectGmailAttachments(part, results)
+  }
+  return results
+}
+
+// Record attachment metadata for a message; bytes are only fetched on demand
+async function syncMessageAttachments(messageId, userId, attachments) {
+  try {
+    for (const a of attachments) {
+      await db.query(`
+        INSERT INTO message_attachments (
+          message_id, user_id, part_id, filename, mime_type, size_bytes,
+          external_attachment_id, content_id, is_inline, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
+        ON CONFLICT (message_id, part_id) DO UPDATE SET
+          filename = EXCLUDED.filename,
+          mime_type = EXCLUDED.mime_type,
+          size_bytes = EXCLUDED.size_bytes,
+          external_attachment_id = EXCLUDED.external_attachment_id,
+          content_id = EXCLUDED.content_id,
+          is_inline = EXCLUDED.is_inline,
+          updated_at = NOW()
+      `, [messageId, userId, a.part_id, a.filename, a.mime_type, a.size, a.attachment_id, a.content_id, a.is_inline])
+    }
+
+    // Parts that disappeared from the message (e.g. edited draft) are dropped
+    await db.query(
+      'DELETE FROM message_attachments WHERE message_id = $1 AND NOT (part_id = ANY($2::text[]))',
+      [messageId, attachments.map(a => a.part_id)]
+    )
+  } catch (error) {
+    console.error('Error syncing message attachments:', error)
+    throw error
+  }
+}
+
+// List attachments for a message the user owns
+async function listMessageAttachments(messageId, userId) {
+  try {
+    const result = await db.query(`
+      SELECT a.id, a.part_id, a.filename, a.mime_type, a.size_bytes, a.is_inline, a.content_id,
+             a.content_hash IS NOT NULL AS cached, a.extraction_status, a.fetched_at
+      FROM message_attachments a
+      WHERE a.message_id = $1 AND a.user_id = $2
+      ORDER BY a.part_id
+    `, [messageId, userId])
+    return result.rows
+  } catch (error) {
+    console.error('Error listing message attachments:', error)
+    throw error
+  }
+}
+
+async function getAttachment(attachmentId, messageId, userId) {
+  const result = await db.query(`
+    SELECT a.*, m.external_message_id, m.platform
+    FROM message_attachments a
+    JOIN messages m ON m.id = a.message_id
+    WHERE a.id = $1 AND a.message_id = $2 AND a.user_id = $3
+  `, [attachmentId, messageId, userId])
+  return result.rows[0] || null
+}
+
+function decodeBase64Url(data) {
+  return Buffer.from(data.replace(/-/g, '+').replace(/_/g, '/'), 'base64')
+}
+
+// Download attachment bytes from Gmail
+async function fetchFromGmail(attachment, userId) {
+  const auth = await googleClient.getClientForUser(userId)
+  if (!auth) throw new Error('Gmail integration not available')
+  const gmail = google.gmail({ version: 'v1', auth })
+
+  if (attachment.external_attachment_id) {
+    try {
+      const res = await gmail.users.messages.attachments.get({
+        userId: 'me',
+        messageId: attachment.external_message_id,
+        id: attachment.external_attachment_id
+      })
+      return decodeBase64Url(res.data.data)
+    } catch (error) {
+      // Gmail attachment ids are not stable across fetches; fall back to locating the part again
+      console.warn(`Attachment id lookup failed for ${attachment.id}, re-reading message parts:`, error.message)
+    }
+  }
+
+  const full = await gmail.users.messages.get({ userId: 'me', id: attachment.external_message_id, format: 'full' })
+  const part = collectGmailAttachments(full.data.payload).find(p => p.part_id === attachment.part_id)
+  if (!part) throw new Error('Attachment no longer present on message')
+
+  if (part.attachment_id) {
+    const res = await gmail.users.messages.attachments.get({
+      userId: 'me',
+      messageId: attachment.external_message_id,
+      id: part.attachment_id
+    })
+    await db.query('UPDATE message_attachments SET external_attachment_id = $2 WHERE id = $1', [attachment.id, part.attachment_id])
+    return decodeBase64Url(res.data.data)
+  }
+
+  const inline = findPartData(full.data.payload, attachment.part_id)
+  if (!inline) throw new Error('Attachment content not available')
+  return decodeBase64Url(inline)
+}
+
+function findPartData(payload, partId) {
+  if (!payload) return null
+  if (payload.partId === partId && payload.body && payload.body.data) return payload.body.data
+  for (const part of payload.parts || []) {
+    const data = findPartData(part, partId)
+    if (data) return data
+  }
+  return null
+}
+
+// Return attachment bytes, filling the local store on first access
+async function getAttachmentContent(attachment, userId) {
+  if (attachment.content_hash) {
+    const cached = await readFromStore(attachment.content_hash)
+    if (cached) return cached
+  }
+
+  if (attachment.platform !== 'gmail') {
+    throw new Error(`Attachment download not supported for ${attachment.platform}`)
+  }
+
+  const buffer = await fetchFromGmail(attachment, userId)
+  const hash = await writeToStore(buffer)
+  await db.query(
+    'UPDATE message_attachments SET content_hash = $2, fetched_at = NOW(), updated_at = NOW() WHERE id = $1',
+    [attachment.id, hash]
+  )
+  attachment.content_hash = hash
+  return buffer
+}
+
+// Extract and persist text for one attachment (no-op when already done)
+async function extractAttachmentText(attachment, userId) {
+  if (attachment.extraction_status === 'extracted') return attachment.extracted_text
+  if (!isExtractable(attachment.mime_type, attachment.filename)) {
+    await db.query("UPDATE message_attachments SET extraction_status = 'unsupported' WHERE id = $1", [attachment.id])
+    return null
+  }
+
+  try {
+    const buffer = await getAttachmentContent(attachment, userId)
+    const text = await extractText(buffer, attachment.mime_type, attachment.filename)
+    await db.query(
+      "UPDATE message_attachments SET extracted_text = $2, extraction_status = 'extracted', updated_at = NOW() WHERE id = $1",
+      [attachment.id, text]
+    )
+    return text
+  } catch (error) {
+    console.error(`Text extraction failed for attachment ${attachment.id}:`, error.message)
+    await db.query("UPDATE message_attachments SET extraction_status = 'failed', updated_at = NOW() WHERE id = $1", [attachment.id])
+    return null
+  }
+}
+
+// Extract text from every supported, reasonably sized attachment on a message
+async function extractMessageAttachmentsText(messageId, userId) {
+  try {
+    const result = await db.query(`
+      SELECT a.*, m.external_message_id, m.platform
+      FROM message_attachments a
+      JOIN messages m ON m.id = a.message_id
+      WHERE a.message_id = $1 AND a.user_id = $2 AND a.is_inline = false
+        AND (a.extraction_status IS NULL OR a.extraction_status = 'extracted')
+        AND COALESCE(a.size_bytes, 0) <= $3
+      ORDER BY a.part_id
+    `, [messageId, userId, MAX_AUTO_EXTRACT_BYTES])
+
+    const texts = []
+    for (const attachment of result.rows) {
+      const text = await extractAttachmentText(attachment, userId)
+      if (text) texts.push({ filename: attachment.filename, text })
+    }
+    return texts
+  } catch (error) {
+    console.error('Error extracting message attachment text:', error)
+    return []
+  }
+}
+
+module.exports = {
+  collectGmailAttachments,
+  syncMessageAttachments,
+  listMessageAttachments,
+  getAttachment,
+  getAttachmentContent,
+  extractAttachmentText,
+  extractMessageAttachmentsText
+}
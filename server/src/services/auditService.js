@@ -0,0 +1,90 @@
+const db = require('../db')
+
+/**
+ * Audit Service
+ * One audit_logs row per user-visible action: who did it (the user, the assistant on their
+ * behalf, or a background job), what it acted on, the details and whether it worked. The
+ * history panel and GET /api/audit read them back.
+ *
+ * Recording never throws: a failed audit write is logged and the action itself goes on.
+ */
+
+const ACTORS = ['user', 'assistant', 'job']
+const OUTCOMES = ['success', 'failure']
+const MAX_PAGE_SIZE = 200
+
+const ENTRY_COLUMNS = 'id, action, actor, target_type, target_id, payload, outcome, error, created_at'
+
+/**
+ * Record an action
+ * @param {string} userId - User the action was taken for
+ * @param {string} action - What happened, e.g. 'delete', 'create_event', 'login'
+ * @param {Object} details - {actor, targetType, targetId, payload, outcome, error}
+ */
+async function record(userId, action, { actor = 'user', targetType = null, targetId = null, payload = null, outcome = 'success', error = null } = {}) {
+  try {
+    await db.query(`
+      INSERT INTO audit_logs (user_id, action, actor, target_type, target_id, payload, outcome, error, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, now())
+    `, [
+      userId,
+      action,
+      actor,
+      targetType,
+      targetId == null ? null : String(targetId),
+      payload == null ? null : JSON.stringify(payload),
+      outcome,
+      error ? String(error.message || error) : null
+    ])
+  } catch (err) {
+    console.error(`Could not write audit log ${action}:`, err.message)
+  }
+}
+
+// Shorthand for a failed action
+function recordFailure(userId, action, error, details = {}) {
+  return record(userId, action, { ...details, outcome: 'failure', error })
+}
+
+/**
+ * A user's audit trail, newest first
+ * @param {string} userId - User ID
+ * @param {Object} filters - {actions[], actor, targetType, targetId, outcome, since, until, limit, offset}
+ * @returns {Object} {entries, total}
+ */
+async function listEntries(userId, { actions = [], actor, targetType, targetId, outcome, since, until, limit = 50, offset = 0 } = {}) {
+  const where = ['user_id = $1']
+  const params = [userId]
+  const add = (clause, value) => {
+    params.push(value)
+    where.push(clause.replace('?', `$${params.length}`))
+  }
+
+  if (actions.length > 0) add('action = ANY(?)', actions)
+  if (actor) add('actor = ?', actor)
+  if (targetType) add('target_type = ?', targetType)
+  if (targetId) add('target_id = ?', String(targetId))
+  if (outcome) add('outcome = ?', outcome)
+  if (since) add('created_at >= ?', since)
+  if (until) add('created_at < ?', until)
+
+  const filter = where.join(' AND ')
+  const count = await db.query(`SELECT COUNT(*)::int AS total FROM audit_logs WHERE ${filter}`, params)
+  const entries = await db.query(`
+    SELECT ${ENTRY_COLUMNS} FROM audit_logs
+    WHERE ${filter}
+    ORDER BY created_at DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, Math.min(Math.max(limit, 1), MAX_PAGE_SIZE), Math.max(offset, 0)])
+
+  return { entries: entries.rows, total: count.rows[0].total }
+}
+
+module.exports = {
+  ACTORS,
+  OUTCOMES,
+  MAX_PAGE_SIZE,
+  record,
+  recordFailure,
+  listEntries
+}
@@ -0,0 +1,163 @@
+const {google} = require('googleapis')
+const db = require('../db')
+const googleClient = require('../integrations/google/client')
+const calendarSync = require('../integrations/google/calendarSync')
+
+/**
+ * Calendar Service
+ * Reads the events integrations/google/calendarSync.js mirrors into calendar_events, and answers
+ * invitations, either from the calendar pane (respondToEvent) or from the invitation email
+ * (respondToInvite). RSVPs go to Google first (which emails the organizer) and are then written to
+ * the local rows, so the pane shows the new answer without waiting for the next sync.
+ */
+
+const RESPONSES = ['accepted', 'declined', 'tentative']
+
+function calendarError(code, message) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+// Shape sent to the client
+function toEvent(row) {
+  const metadata = row.metadata || {}
+  return {
+    id: row.id,
+    externalId: row.external_event_id,
+    title: row.title,
+    description: row.description,
+    start: row.start_time,
+    end: row.end_time,
+    allDay: !!row.all_day,
+    location: row.location,
+    meetingUrl: row.meeting_url,
+    organizer: row.organizer,
+    organizerName: metadata.organizer_name || null,
+    isOrganizer: !!metadata.organizer_self,
+    attendees: row.attendees || [],
+    status: row.status,
+    responseStatus: row.response_status,
+    htmlLink: metadata.htmlLink || null
+  }
+}
+
+/**
+ * Events overlapping [from, to), earliest first
+ * @param {string} userId - User ID
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Promise<Object[]>}
+ */
+async function listEvents(userId, from, to) {
+  const result = await db.query(`
+    SELECT * FROM calendar_events
+    WHERE user_id = $1 AND start_time < $3 AND end_time > $2
+    ORDER BY all_day DESC, start_time ASC
+  `, [userId, from, to])
+  return result.rows.map(toEvent)
+}
+
+async function getEvent(userId, eventId) {
+  const result = await db.query('SELECT * FROM calendar_events WHERE id = $1 AND user_id = $2', [eventId, userId])
+  return result.rows[0] || null
+}
+
+async function calendarFor(userId) {
+  const auth = await googleClient.getClientForUser(userId, 'calendar')
+  if (!auth) throw calendarError('no_integration', 'Google Calendar is not connected')
+  return google.calendar({ version: 'v3', auth })
+}
+
+// Set the user's own attendee status on a Google event; sendUpdates tells the organizer
+async function answer(calendar, calendarId, event, response, comment) {
+  const attendees = event.attendees || []
+  if (!attendees.some(a => a.self)) throw calendarError('not_invited', 'You are not a guest of this event')
+  const updated = await calendar.events.patch({
+    calendarId,
+    eventId: event.id,
+    sendUpdates: 'all',
+    requestBody: {
+      attendees: attendees.map(a => (a.self ? { ...a, responseStatus: response, ...(comment ? { comment } : {}) } : a))
+    }
+  })
+  return updated.data
+}
+
+/**
+ * Accept, decline or tentatively accept an invitation; Google notifies the organizer
+ * @param {Object} user - {id}
+ * @param {string} eventId - calendar_events.id
+ * @param {string} response - 'accepted', 'declined' or 'tentative'
+ * @param {Object} options - {comment} note for the organizer
+ * @returns {Promise<Object>} The updated event
+ * @throws {Error} code 'invalid_response', 'not_found', 'not_invited' (you organize it),
+ *   'no_integration' or 'google_reauth_required'
+ */
+async function respondToEvent(user, eventId, response, { comment } = {}) {
+  if (!RESPONSES.includes(response)) throw calendarError('invalid_response', `response must be one of ${RESPONSES.join(', ')}`)
+  const row = await getEvent(user.id, eventId)
+  if (!row) throw calendarError('not_found', 'Event not found')
+
+  const calendar = await calendarFor(user.id)
+  const current = await calendar.events.get({ calendarId: row.calendar_id || 'primary', eventId: row.external_event_id })
+  const updated = await answer(calendar, row.calendar_id || 'primary', current.data, response, comment)
+
+  const synced = calendarSync.eventRow(updated)
+  const saved = await db.query(`
+    UPDATE calendar_events SET attendees = $3, response_status = $4, metadata = COALESCE(metadata, '{}'::jsonb) || $5::jsonb, updated_at = NOW()
+    WHERE id = $1 AND user_id = $2
+    RETURNING *
+  `, [row.id, user.id, JSON.stringify(synced.attendees), synced.response_status, JSON.stringify({ etag: synced.metadata.etag })])
+  return toEvent(saved.rows[0])
+}
+
+// The Google event an invitation is about: the occurrence it overrides, else the series or single event
+function pickInvitedEvent(items, invite) {
+  if (invite.recurrence_id) {
+    const occurrence = items.find(e => e.originalStartTime && new Date(e.originalStartTime.dateTime || e.originalStartTime.date).toISOString() === invite.recurrence_id)
+    if (occurrence) return occurrence
+  }
+  return items.find(e => !e.recurringEventId) || items[0] || null
+}
+
+/**
+ * Answer the meeting invitation in an email (messages.metadata.invite, see utils/ical)
+ * The event is looked up on Google by its iCalendar UID, so this works before the calendar sync
+ * has picked it up. Recurring invitations are answered for the whole series.
+ * @param {Object} user - {id}
+ * @param {Object} message - messages row
+ * @param {string} response - 'accepted', 'declined' or 'tentative'
+ * @param {Object} options - {comment} note for the organizer
+ * @returns {Promise<Object>} {event_id, title, response, html_link}
+ * @throws {Error} code 'invalid_response', 'not_an_invite', 'not_on_calendar', 'not_invited',
+ *   'no_integration' or 'google_reauth_required'
+ */
+async function respondToInvite(user, message, response, { comment } = {}) {
+  if (!RESPONSES.includes(response)) throw calendarError('invalid_response', `response must be one of ${RESPONSES.join(', ')}`)
+  const invite = message.metadata && message.metadata.invite
+  if (!invite || invite.method !== 'REQUEST') throw calendarError('not_an_invite', 'This email is not a meeting invitation')
+
+  const calendar = await calendarFor(user.id)
+  const found = await calendar.events.list({ calendarId: 'primary', iCalUID: invite.uid })
+  const event = pickInvitedEvent(found.data.items || [], invite)
+  if (!event) throw calendarError('not_on_calendar', 'This invitation is not on your Google Calendar')
+
+  const updated = await answer(calendar, 'primary', event, response, comment)
+
+  // synced copies of the event (every occurrence of a series) show the answer right away
+  await db.query(`
+    UPDATE calendar_events SET response_status = $3, updated_at = NOW()
+    WHERE user_id = $1 AND platform = 'google' AND (external_event_id = $2 OR metadata->>'recurring_event_id' = $2)
+  `, [user.id, updated.id, response])
+
+  return { event_id: updated.id, title: updated.summary || invite.title, response, html_link: updated.htmlLink || null }
+}
+
+module.exports = {
+  RESPONSES,
+  listEvents,
+  getEvent,
+  respondToEvent,
+  respondToInvite
+}
@@ -0,0 +1,208 @@
+const db = require('../db')
+const { parseAddress } = require('../utils/emailHeaders')
+const { buildMimeMessage, encodeRaw, normalizeAddresses } = require('../utils/mimeMessage')
+const attachmentService = require('./attachmentService')
+
+/**
+ * Compose Service
+ * Turns stored messages into threaded replies and forwards ready for the Gmail API
+ */
+
+function withPrefix(subject, prefix, pattern) {
+  const base = (subject || '').trim()
+  return pattern.test(base) ? base : `${prefix} ${base}`.trim()
+}
+
+function escapeHtml(text) {
+  return (text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function textToHtml(text) {
+  return escapeHtml(text).replace(/\r?\n/g, '<br>')
+}
+
+function originalHeaders(msg) {
+  const metadata = msg.metadata || {}
+  return metadata.headers || {}
+}
+
+function originalRecipients(msg) {
+  const recipient = msg.recipient || {}
+  return {
+    to: normalizeAddresses(recipient.to || []),
+    cc: normalizeAddresses(recipient.cc || []),
+    replyTo: normalizeAddresses(recipient.reply_to || [])
+  }
+}
+
+function dedupeAddresses(addresses, exclude = []) {
+  const seen = new Set(exclude.map(e => e.toLowerCase()))
+  return addresses.filter(a => {
+    const email = a.email.toLowerCase()
+    if (seen.has(email)) return false
+    seen.add(email)
+    return true
+  })
+}
+
+// Gmail needs the platform thread id to keep the reply in the conversation
+async function getGmailThreadId(msg) {
+  const metadata = msg.metadata || {}
+  if (metadata.gmail_thread_id) return metadata.gmail_thread_id
+  if (!msg.thread_id) return null
+  const result = await db.query('SELECT external_thread_id FROM threads WHERE id = $1', [msg.thread_id])
+  return result.rows[0] ? result.rows[0].external_thread_id : null
+}
+
+function senderAddress(user) {
+  return user && user.email ? { name: user.display_name || null, email: user.email } : null
+}
+
+/**
+ * Work out reply recipients the way mail clients do
+ * @param {Object} msg - Stored message row
+ * @param {Object} user - Current user (their own address is never re-added)
+ * @param {boolean} replyAll - Include the other To/Cc recipients
+ * @returns {Object} {to, cc} arrays of {name, email}
+ */
+function getReplyRecipients(msg, user, replyAll = false) {
+  const selfEmail = (user && user.email || '').toLowerCase()
+  const from = parseAddress(msg.sender)
+  const { to, cc, replyTo } = originalRecipients(msg)
+  const sentBySelf = from && from.email === selfEmail
+
+  // Replying to our own sent message continues the conversation with its recipients
+  let primary = sentBySelf ? to : (replyTo.length > 0 ? replyTo : (from ? [from] : []))
+  primary = dedupeAddresses(primary, sentBySelf ? [] : [selfEmail])
+  if (primary.length === 0 && from) primary = [from]
+
+  let copies = []
+  if (replyAll) {
+    const others = sentBySelf ? cc : [...to, ...cc]
+    copies = dedupeAddresses(others, [selfEmail, ...primary.map(a => a.email)])
+  }
+
+  return { to: primary, cc: copies }
+}
+
+function quoteOriginal(msg) {
+  const date = msg.received_at ? new Date(msg.received_at).toUTCString() : 'an earlier date'
+  const intro = `On ${date}, ${msg.sender || 'the sender'} wrote:`
+  const original = (msg.body_plain || msg.body || '').trim()
+  return {
+    text: `${intro}\n${original.split('\n').map(line => `> ${line}`).join('\n')}`,
+    html: `<div class="gmail_quote"><div>${escapeHtml(intro)}</div><blockquote style="margin:0 0 0 .8ex;border-left:1px solid #ccc;padding-left:1ex">${textToHtml(original)}</blockquote></div>`
+  }
+}
+
+/**
+ * Build a threaded reply to a stored message
+ * @param {Object} msg - Stored message row (sender, recipient, subject, metadata.headers, ...)
+ * @param {Object} user - Current user ({email, display_name})
+ * @param {Object} options - {body, html, replyAll, cc, bcc, quote (default true), attachments}
+ * @returns {Object} {raw, threadId, message, to, cc, subject} ready for users.messages.send / drafts.create
+ */
+async function composeReply(msg, user, options = {}) {
+  const { body = '', html = null, replyAll = false, quote = true, attachments = [] } = options
+  const headers = originalHeaders(msg)
+  const recipients = getReplyRecipients(msg, user, replyAll)
+  const cc = dedupeAddresses([...recipients.cc, ...normalizeAddresses(options.cc)], recipients.to.map(a => a.email))
+  const subject = withPrefix(msg.subject, 'Re:', /^re:/i)
+
+  const references = [...(headers.references || [])]
+  if (headers.message_id) references.push(headers.message_id)
+
+  const quoted = quote ? quoteOriginal(msg) : null
+  const text = quoted ? `${body}\n\n${quoted.text}` : body
+  const htmlBody = html || quoted
+    ? `<div>${html || textToHtml(body)}</div>${quoted ? `<br>${quoted.html}` : ''}`
+    : null
+
+  const message = buildMimeMessage({
+    from: senderAddress(user),
+    to: recipients.to,
+    cc,
+    bcc: options.bcc,
+    subject,
+    text,
+    html: htmlBody,
+    inReplyTo: headers.message_id || null,
+    references,
+    attachments
+  })
+
+  return {
+    raw: encodeRaw(message),
+    threadId: await getGmailThreadId(msg),
+    message,
+    to: recipients.to,
+    cc,
+    subject
+  }
+}
+
+/**
+ * Build a forward of a stored message, re-attaching its files
+ * @param {Object} msg - Stored message row
+ * @param {Object} user - Current user ({id, email, display_name})
+ * @param {Object} options - {to, cc, bcc, body, html, includeAttachments (default true)}
+ * @returns {Object} {raw, threadId, message, to, cc, subject}
+ */
+async function composeForward(msg, user, options = {}) {
+  const { body = '', html = null, includeAttachments = true } = options
+  const to = normalizeAddresses(options.to)
+  const subject = withPrefix(msg.subject, 'Fwd:', /^(fwd?|fw):/i)
+  const { to: originalTo, cc: originalCc } = originalRecipients(msg)
+  const formatList = list => list.map(a => (a.name ? `${a.name} <${a.email}>` : a.email)).join(', ')
+
+  const forwardedHeader = [
+    '---------- Forwarded message ---------',
+    `From: ${msg.sender || ''}`,
+    `Date: ${msg.received_at ? new Date(msg.received_at).toUTCString() : ''}`,
+    `Subject: ${msg.subject || ''}`,
+    `To: ${formatList(originalTo)}`,
+    originalCc.length > 0 ? `Cc: ${formatList(originalCc)}` : null
+  ].filter(line => line !== null).join('\n')
+  const original = msg.body_plain || msg.body || ''
+
+  const attachments = []
+  if (includeAttachments) {
+    const stored = await attachmentService.listMessageAttachments(msg.id, user.id)
+    for (const item of stored.filter(a => !a.is_inline)) {
+      const attachment = await attachmentService.getAttachment(item.id, msg.id, user.id)
+      const content = await attachmentService.getAttachmentContent(attachment, user.id)
+      attachments.push({ filename: attachment.filename, mimeType: attachment.mime_type, content })
+    }
+  }
+
+  const message = buildMimeMessage({
+    from: senderAddress(user),
+    to,
+    cc: options.cc,
+    bcc: options.bcc,
+    subject,
+    text: `${body}\n\n${forwardedHeader}\n\n${original}`,
+    html: `<div>${html || textToHtml(body)}</div><br><div class="gmail_quote">${textToHtml(forwardedHeader)}<br><br>${textToHtml(original)}</div>`,
+    attachments
+  })
+
+  return {
+    raw: encodeRaw(message),
+    threadId: null,
+    message,
+    to,
+    cc: normalizeAddresses(options.cc),
+    subject
+  }
+}
+
+module.exports = {
+  textToHtml,
+  getReplyRecipients,
+  composeReply,
+  composeForward
+}
@@ -0,0 +1,234 @@
+const { google } = require('googleapis')
+const db = require('../db')
+const googleClient = require('../integrations/google/client')
+const composeService = require('./composeService')
+
+/**
+ * Draft Service
+ * Gmail drafts created from suggested replies, tracked on message_actions until sent or discarded
+ */
+
+async function getGmailClient(userId) {
+  const auth = await googleClient.getClientForUser(userId)
+  if (!auth) throw new Error('Gmail integration not available')
+  return google.gmail({ version: 'v1', auth })
+}
+
+// Only the editable fields are kept; the quoted original is rebuilt on every save
+function pickDraftPayload(options = {}) {
+  return {
+    body: options.body || '',
+    html: options.html || null,
+    replyAll: !!options.replyAll,
+    cc: options.cc || null,
+    bcc: options.bcc || null
+  }
+}
+
+function isNotFound(error) {
+  return error && (error.code === 404 || (error.response && error.response.status === 404))
+}
+
+function formatDraft(row) {
+  return {
+    draft_id: row.gmail_draft_id,
+    message_id: row.message_id,
+    thread_id: row.thread_id,
+    status: row.draft_status,
+    subject: row.subject,
+    sender: row.sender,
+    payload: row.draft_payload || {},
+    updated_at: row.draft_updated_at
+  }
+}
+
+async function saveDraftRecord(messageId, userId, draftId, payload) {
+  await db.query(`
+    INSERT INTO message_actions (message_id, user_id, gmail_draft_id, draft_status, draft_payload, draft_updated_at, created_at)
+    VALUES ($1, $2, $3, 'open', $4, NOW(), NOW())
+    ON CONFLICT (message_id, user_id) DO UPDATE SET
+      gmail_draft_id = EXCLUDED.gmail_draft_id,
+      draft_status = 'open',
+      draft_payload = EXCLUDED.draft_payload,
+      draft_updated_at = NOW()
+  `, [messageId, userId, draftId, JSON.stringify(payload)])
+}
+
+async function setDraftStatus(userId, draftId, status) {
+  await db.query(`
+    UPDATE message_actions
+    SET draft_status = $3, draft_updated_at = NOW(), acted = (acted OR $3 = 'sent')
+    WHERE user_id = $1 AND gmail_draft_id = $2
+  `, [userId, draftId, status])
+}
+
+// Draft row joined with the message it replies to
+async function getDraftRecord(userId, draftId) {
+  const result = await db.query(`
+    SELECT m.*, m.id AS message_id, ma.gmail_draft_id, ma.draft_status, ma.draft_payload, ma.draft_updated_at
+    FROM message_actions ma
+    JOIN messages m ON m.id = ma.message_id
+    WHERE ma.user_id = $1 AND ma.gmail_draft_id = $2
+  `, [userId, draftId])
+  return result.rows[0] || null
+}
+
+/**
+ * Create (or refresh) a Gmail draft replying to a stored message
+ * @param {Object} msg - Stored message row
+ * @param {Object} user - Current user ({id, email, display_name})
+ * @param {Object} options - {body, html, replyAll, cc, bcc}
+ * @returns {Object} Draft summary with draft_id, to, cc and subject
+ */
+async function createReplyDraft(msg, user, options = {}) {
+  try {
+    const gmail = await getGmailClient(user.id)
+    const payload = pickDraftPayload(options)
+    const reply = await composeService.composeReply(msg, user, payload)
+    const requestBody = { message: { raw: reply.raw, threadId: reply.threadId || undefined } }
+
+    // Re-drafting the same message replaces its open draft instead of piling up copies in Gmail
+    const existing = await db.query(
+      "SELECT gmail_draft_id FROM message_actions WHERE message_id = $1 AND user_id = $2 AND draft_status = 'open'",
+      [msg.id, user.id]
+    )
+    const existingId = existing.rows[0] && existing.rows[0].gmail_draft_id
+
+    let draft = null
+    if (existingId) {
+      try {
+        draft = await gmail.users.drafts.update({ userId: 'me', id: existingId, requestBody: { id: existingId, ...requestBody } })
+      } catch (error) {
+        if (!isNotFound(error)) throw error
+      }
+    }
+    if (!draft) draft = await gmail.users.drafts.create({ userId: 'me', requestBody })
+
+    await saveDraftRecord(msg.id, user.id, draft.data.id, payload)
+    console.log(`📝 Gmail draft ${draft.data.id} saved for message ${msg.id}`)
+
+    return {
+      draft_id: draft.data.id,
+      message_id: msg.id,
+      gmail_message_id: draft.data.message && draft.data.message.id,
+      thread_id: msg.thread_id,
+      to: reply.to,
+      cc: reply.cc,
+      subject: reply.subject,
+      payload
+    }
+  } catch (error) {
+    console.error('Error creating reply draft:', error)
+    throw error
+  }
+}
+
+// Single draft (any status) for the user
+async function getDraft(userId, draftId) {
+  const record = await getDraftRecord(userId, draftId)
+  return record ? formatDraft(record) : null
+}
+
+// Open drafts, most recently edited first
+async function listDrafts(userId) {
+  try {
+    const result = await db.query(`
+      SELECT ma.gmail_draft_id, ma.draft_status, ma.draft_payload, ma.draft_updated_at,
+             m.id AS message_id, m.thread_id, m.subject, m.sender
+      FROM message_actions ma
+      JOIN messages m ON m.id = ma.message_id
+      WHERE ma.user_id = $1 AND ma.draft_status = 'open'
+      ORDER BY ma.draft_updated_at DESC
+    `, [userId])
+    return result.rows.map(formatDraft)
+  } catch (error) {
+    console.error('Error listing drafts:', error)
+    throw error
+  }
+}
+
+/**
+ * Replace the content of an open draft
+ * @param {Object} user - Current user
+ * @param {string} draftId - Gmail draft id
+ * @param {Object} changes - {body, html, replyAll, cc, bcc}; omitted fields keep their value
+ * @returns {Object|null} Updated draft, or null when the draft is unknown or no longer open
+ */
+async function updateDraft(user, draftId, changes = {}) {
+  const record = await getDraftRecord(user.id, draftId)
+  if (!record || record.draft_status !== 'open') return null
+
+  const current = record.draft_payload || {}
+  const payload = pickDraftPayload({
+    ...current,
+    ...Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined))
+  })
+  const reply = await composeService.composeReply(record, user, payload)
+
+  const gmail = await getGmailClient(user.id)
+  try {
+    await gmail.users.drafts.update({
+      userId: 'me',
+      id: draftId,
+      requestBody: { id: draftId, message: { raw: reply.raw, threadId: reply.threadId || undefined } }
+    })
+  } catch (error) {
+    // Deleted from Gmail directly; stop tracking it
+    if (isNotFound(error)) await setDraftStatus(user.id, draftId, 'discarded')
+    throw error
+  }
+
+  await saveDraftRecord(record.message_id, user.id, draftId, payload)
+  return formatDraft({ ...record, draft_payload: payload, draft_updated_at: new Date() })
+}
+
+// Delete a draft from Gmail; a draft already gone from Gmail is treated as discarded
+async function discardDraft(userId, draftId) {
+  const record = await getDraftRecord(userId, draftId)
+  if (!record || record.draft_status !== 'open') return false
+
+  const gmail = await getGmailClient(userId)
+  try {
+    await gmail.users.drafts.delete({ userId: 'me', id: draftId })
+  } catch (error) {
+    if (!isNotFound(error)) throw error
+  }
+
+  await setDraftStatus(userId, draftId, 'discarded')
+  return true
+}
+
+/**
+ * Send an open draft and mark the original message as actioned
+ * @param {string} userId - User ID
+ * @param {string} draftId - Gmail draft id
+ * @returns {Object|null} Gmail send result ({id, threadId}) or null when the draft is not open
+ */
+async function sendDraft(userId, draftId) {
+  const record = await getDraftRecord(userId, draftId)
+  if (!record || record.draft_status !== 'open') return null
+
+  const gmail = await getGmailClient(userId)
+  let result
+  try {
+    result = await gmail.users.drafts.send({ userId: 'me', requestBody: { id: draftId } })
+  } catch (error) {
+    if (isNotFound(error)) await setDraftStatus(userId, draftId, 'discarded')
+    throw error
+  }
+
+  await setDraftStatus(userId, draftId, 'sent')
+  await db.query('UPDATE messages SET actioned = true WHERE id = $1', [record.message_id])
+  console.log(`📤 Gmail draft ${draftId} sent for message ${record.message_id}`)
+  return result.data
+}
+
+module.exports = {
+  createReplyDraft,
+  getDraft,
+  listDrafts,
+  updateDraft,
+  discardDraft,
+  sendDraft,
+  isNotFound
+}
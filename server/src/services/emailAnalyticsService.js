@@ -64,6 +64,25 @@ class EmailAnalyticsService {
     return result.rows[0]
   }
 
+  // Match an incoming reply to the sent email it answers (via its In-Reply-To header)
+  async trackReplyByMessageId(userId, inReplyTo, replierEmail, repliedAt = new Date()) {
+    const query = `
+      SELECT ea.id
+      FROM email_analytics ea
+      JOIN messages m ON m.id = ea.message_id
+      WHERE ea.user_id = $1 
+        AND m.metadata->'headers'->>'message_id' = $2
+        AND LOWER(ea.recipient_email) = LOWER($3)
+        AND ea.replied_at IS NULL
+    `
+    
+    const result = await db.query(query, [userId, inReplyTo, replierEmail])
+    for (const row of result.rows) {
+      await this.trackEmailReply(row.id, repliedAt)
+    }
+    return result.rowCount
+  }
+
   // Update analytics when link is clicked
   async trackEmailClick(analyticsId, clickedAt = new Date()) {
     const query = `
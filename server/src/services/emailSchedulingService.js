@@ -1,12 +1,23 @@
 // Email Scheduling Service - Phase 2
 // Handles scheduled email sending with optimal timing
 const db = require('../db')
-const { OAuth2Client } = require('google-auth-library')
-const { gmail } = require('googleapis')
+const { google } = require('googleapis')
+const googleClient = require('../integrations/google/client')
+const { formatAddress } = require('../utils/emailHeaders')
+const { buildMimeMessage, encodeRaw } = require('../utils/mimeMessage')
+const draftService = require('./draftService')
+const auditService = require('./auditService')
+
+const DEFAULT_UNDO_SEND_SECONDS = 10
+const MAX_UNDO_SEND_SECONDS = 30
+// A row stuck in 'sending' this long was interrupted mid-send (e.g. a restart)
+const STALE_SENDING_MINUTES = 5
 
 class EmailSchedulingService {
   constructor() {
-    this.scheduleCheckInterval = 60000 // Check every minute for due emails
+    // Outbox sends are due seconds after queueing, so the dispatcher polls well inside the undo window
+    this.scheduleCheckInterval = parseInt(process.env.OUTBOX_DISPATCH_INTERVAL_MS || '5000')
+    this.processing = false
     this.startScheduleProcessor()
   }
 
@@ -74,6 +85,77 @@ class EmailSchedulingService {
     return result.rows[0]
   }
 
+  // Per-user undo delay, clamped to the allowed window
+  async getUndoSendSeconds(userId) {
+    const result = await db.query('SELECT undo_send_seconds FROM user_settings WHERE user_id = $1', [userId])
+    const value = result.rows[0] ? result.rows[0].undo_send_seconds : null
+    return this.clampUndoSeconds(value == null ? DEFAULT_UNDO_SEND_SECONDS : value)
+  }
+
+  clampUndoSeconds(seconds) {
+    const value = parseInt(seconds)
+    if (isNaN(value)) return DEFAULT_UNDO_SEND_SECONDS
+    return Math.min(MAX_UNDO_SEND_SECONDS, Math.max(0, value))
+  }
+
+  // Queue an outbound send behind the user's undo window; the dispatcher does the actual send
+  async queueOutboundEmail(userId, outbound) {
+    const {
+      messageId = null,
+      to = [],
+      subject = '',
+      body = '',
+      raw = null,
+      threadId = null,
+      draftId = null,
+      source = null,
+      delaySeconds = null
+    } = outbound
+
+    if (!raw && !draftId) throw new Error('Outbound email needs a raw message or a draft id')
+
+    const delay = delaySeconds != null ? this.clampUndoSeconds(delaySeconds) : await this.getUndoSendSeconds(userId)
+    const recipients = (Array.isArray(to) ? to : [to]).filter(Boolean).map(formatAddress).join(', ')
+    const payload = draftId ? { gmail_draft_id: draftId } : { raw, threadId }
+
+    const query = `
+      INSERT INTO email_schedules (
+        user_id, message_id, recipient_email, subject, body,
+        scheduled_for, status, kind, payload, source
+      ) VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(secs => $6), 'scheduled', 'outbox', $7, $8)
+      RETURNING id, message_id, recipient_email, subject, scheduled_for, status, source, created_at
+    `
+
+    const result = await db.query(query, [
+      userId, messageId, recipients, subject || '', body || '',
+      delay, JSON.stringify(payload), source
+    ])
+
+    console.log(`📤 Queued outbound email ${result.rows[0].id} for user ${userId} (undo window ${delay}s)`)
+    return { ...result.rows[0], undo_seconds: delay }
+  }
+
+  // Outbox sends that can still be undone or are being sent right now
+  async getOutbox(userId) {
+    const query = `
+      SELECT id, message_id, recipient_email, subject, scheduled_for, status, source, created_at
+      FROM email_schedules
+      WHERE user_id = $1 AND kind = 'outbox' AND status IN ('scheduled', 'sending')
+      ORDER BY scheduled_for ASC
+    `
+
+    const result = await db.query(query, [userId])
+    return result.rows
+  }
+
+  async getScheduledEmail(userId, scheduleId) {
+    const result = await db.query(
+      'SELECT id, kind, status, scheduled_for, gmail_message_id, error_message FROM email_schedules WHERE id = $1 AND user_id = $2',
+      [scheduleId, userId]
+    )
+    return result.rows[0] || null
+  }
+
   // Get optimal send times based on user's email patterns
   async getOptimalSendTimes(userId) {
     const query = `
@@ -122,7 +204,7 @@ class EmailSchedulingService {
         AVG(response_time_hours) as avg_response_time
       FROM messages 
       WHERE user_id = $1 
-        AND (sender ILIKE $2 OR recipient ILIKE $2)
+        AND (sender ILIKE $2 OR recipient::text ILIKE $2)
         AND response_time_hours IS NOT NULL
         AND response_time_hours < 72
       GROUP BY EXTRACT(hour FROM received_at), EXTRACT(dow FROM received_at)
@@ -165,84 +247,131 @@ class EmailSchedulingService {
     }
   }
 
-  // Process scheduled emails that are due
+  // Process scheduled emails and outbox sends that are due
   async processScheduledEmails() {
+    // Never retry an interrupted send automatically: it may already have reached Gmail
+    const interrupted = await db.query(`
+      UPDATE email_schedules
+      SET status = 'failed', error_message = 'Send interrupted; check Sent mail before retrying', updated_at = NOW()
+      WHERE status = 'sending' AND last_attempt_at < NOW() - make_interval(mins => $1)
+      RETURNING *
+    `, [STALE_SENDING_MINUTES])
+    for (const email of interrupted.rows) {
+      await this.auditSend(email, new Error(email.error_message))
+    }
+
+    // Claim due rows by flipping them to 'sending'; cancel only succeeds while a row is still 'scheduled'
     const query = `
-      SELECT * FROM email_schedules
-      WHERE status = 'scheduled' 
-        AND scheduled_for <= NOW()
-      ORDER BY scheduled_for ASC
-      LIMIT 50
+      UPDATE email_schedules
+      SET status = 'sending',
+          send_attempts = send_attempts + 1,
+          last_attempt_at = NOW(),
+          updated_at = NOW()
+      WHERE id IN (
+        SELECT id FROM email_schedules
+        WHERE status = 'scheduled'
+          AND scheduled_for <= NOW()
+        ORDER BY scheduled_for ASC
+        LIMIT 50
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
     `
     
     const result = await db.query(query)
-    const dueEmails = result.rows
+    const dueEmails = result.rows.sort((a, b) => new Date(a.scheduled_for) - new Date(b.scheduled_for))
 
     for (const email of dueEmails) {
       try {
-        await this.sendScheduledEmail(email)
+        const sent = await this.sendScheduledEmail(email)
+        await this.auditSend(email, null, sent)
       } catch (error) {
         console.error(`Failed to send scheduled email ${email.id}:`, error)
         await this.markEmailFailed(email.id, error.message)
+        await this.auditSend(email, error)
       }
     }
 
     return dueEmails.length
   }
 
-  // Send a scheduled email via Gmail API
+  // The dispatcher sends on the user's behalf, so deliveries are logged with the job as actor
+  async auditSend(email, error, sent = null) {
+    const details = {
+      actor: 'job',
+      targetType: email.kind === 'outbox' ? 'outbox' : 'email_schedule',
+      targetId: email.id,
+      payload: {
+        to: email.recipient_email,
+        subject: email.subject,
+        message_id: email.message_id || undefined,
+        source: email.source || undefined,
+        gmail_message_id: sent ? sent.id : undefined
+      }
+    }
+    if (error) await auditService.recordFailure(email.user_id, 'send_email', error, details)
+    else await auditService.record(email.user_id, 'send_email', details)
+  }
+
+  // Send a due email_schedules row via Gmail API (scheduled emails and outbox sends)
   async sendScheduledEmail(scheduleData) {
-    const { user_id, id, recipient_email, subject, body } = scheduleData
+    const { user_id, id, message_id, payload } = scheduleData
+
+    let sent
+    if (payload && payload.gmail_draft_id) {
+      sent = await draftService.sendDraft(user_id, payload.gmail_draft_id)
+      if (!sent) throw new Error('Draft is no longer open')
+    } else {
+      const auth = await googleClient.getClientForUser(user_id)
+      if (!auth) throw new Error('No Gmail integration found for user')
+      const gmailApi = google.gmail({ version: 'v1', auth })
+
+      const requestBody = payload && payload.raw
+        ? { raw: payload.raw, threadId: payload.threadId || undefined }
+        : await this.buildScheduledRequest(scheduleData)
+      const sendResult = await gmailApi.users.messages.send({ userId: 'me', requestBody })
+      sent = sendResult.data
+    }
 
-    // Get user's OAuth tokens
-    const userQuery = `
-      SELECT oauth_token_encrypted FROM integrations 
-      WHERE user_id = $1 AND platform = 'google'
-    `
-    const userResult = await db.query(userQuery, [user_id])
-    
-    if (userResult.rows.length === 0) {
-      throw new Error('No Google integration found for user')
+    // Mark as sent
+    await this.markEmailSent(id, sent.id)
+
+    if (scheduleData.kind === 'outbox') {
+      // Outbox sends act on the original message; analytics come from ingesting the sent copy
+      if (message_id) await db.query('UPDATE messages SET actioned = true WHERE id = $1', [message_id])
+    } else {
+      await this.createAnalyticsEntry(user_id, scheduleData, sent.id)
     }
 
-    const tokens = JSON.parse(userResult.rows[0].oauth_token_encrypted.toString())
-    const oauth2Client = new OAuth2Client(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET
-    )
-    oauth2Client.setCredentials(tokens)
-
-    const gmailApi = gmail({ version: 'v1', auth: oauth2Client })
-
-    // Create email message
-    const emailMessage = [
-      `To: ${recipient_email}`,
-      `Subject: ${subject}`,
-      'Content-Type: text/html; charset=UTF-8',
-      '',
-      body
-    ].join('\n')
-
-    const encodedMessage = Buffer.from(emailMessage).toString('base64')
-      .replace(/\+/g, '-')
-      .replace(/\//g, '_')
-      .replace(/=+$/, '')
-
-    // Send via Gmail API
-    const sendResult = await gmailApi.users.messages.send({
-      userId: 'me',
-      requestBody: {
-        raw: encodedMessage
+    return sent
+  }
+
+  // Build the Gmail request for a scheduled row that only has recipient/subject/body
+  async buildScheduledRequest(scheduleData) {
+    const { recipient_email, subject, body, message_id } = scheduleData
+
+    // Scheduled replies stay in the original conversation
+    let threading = {}
+    let threadId
+    if (message_id) {
+      const originalResult = await db.query('SELECT metadata FROM messages WHERE id = $1', [message_id])
+      const metadata = (originalResult.rows[0] && originalResult.rows[0].metadata) || {}
+      const headers = metadata.headers || {}
+      if (headers.message_id) {
+        threading = { inReplyTo: headers.message_id, references: [...(headers.references || []), headers.message_id] }
       }
-    })
+      threadId = metadata.gmail_thread_id || undefined
+    }
 
-    // Mark as sent
-    await this.markEmailSent(id, sendResult.data.id)
-    
-    // Create analytics entry
-    await this.createAnalyticsEntry(user_id, scheduleData, sendResult.data.id)
+    // Scheduled bodies are HTML; the builder adds the plain-text alternative
+    const encodedMessage = encodeRaw(buildMimeMessage({
+      to: recipient_email,
+      subject,
+      html: body,
+      ...threading
+    }))
 
-    return sendResult.data
+    return { raw: encodedMessage, threadId }
   }
 
   // Mark email as sent
@@ -250,13 +379,15 @@ class EmailSchedulingService {
     const query = `
       UPDATE email_schedules 
       SET status = 'sent', 
+          gmail_message_id = $2,
+          error_message = NULL,
           updated_at = NOW(),
           last_attempt_at = NOW()
       WHERE id = $1
       RETURNING *
     `
     
-    const result = await db.query(query, [scheduleId])
+    const result = await db.query(query, [scheduleId, gmailMessageId])
     return result.rows[0]
   }
 
@@ -265,7 +396,6 @@ class EmailSchedulingService {
     const query = `
       UPDATE email_schedules 
       SET status = 'failed', 
-          send_attempts = send_attempts + 1,
           error_message = $2,
           last_attempt_at = NOW(),
           updated_at = NOW()
@@ -298,6 +428,9 @@ class EmailSchedulingService {
   // Start background processor for scheduled emails
   startScheduleProcessor() {
     setInterval(async () => {
+      // A slow batch must not overlap the next tick and claim rows twice
+      if (this.processing) return
+      this.processing = true
       try {
         const processedCount = await this.processScheduledEmails()
         if (processedCount > 0) {
@@ -305,6 +438,8 @@ class EmailSchedulingService {
         }
       } catch (error) {
         console.error('Error processing scheduled emails:', error)
+      } finally {
+        this.processing = false
       }
     }, this.scheduleCheckInterval)
 
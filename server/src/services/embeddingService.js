@@ -0,0 +1,308 @@
+const db = require('../db')
+const llm = require('../llm/llmClient')
+const providers = require('../llm/providers')
+
+/**
+ * Embedding Service
+ * Chunks message text, embeds it through the provider layer and stores the vectors in
+ * message_embeddings (one row per chunk, tagged with the model that produced it).
+ *
+ * messages.embedding_model records which model a message was last embedded with, so a
+ * message is pending whenever it differs from the configured model; changing
+ * EMBEDDING_MODEL therefore re-embeds everything in the background.
+ */
+
+// Width of message_embeddings.embedding; models must produce (or be shortened to) this size
+const EMBEDDING_DIMENSIONS = 1536
+const MODEL_SETTING_KEY = 'embedding_model'
+const CHUNK_CHARS = parseInt(process.env.EMBEDDING_CHUNK_CHARS || '2000')
+const CHUNK_OVERLAP = parseInt(process.env.EMBEDDING_CHUNK_OVERLAP || '200')
+const MAX_CHUNKS = parseInt(process.env.EMBEDDING_MAX_CHUNKS || '8')
+const MAX_ATTEMPTS = parseInt(process.env.EMBEDDING_MAX_RETRIES || '3')
+
+/**
+ * Provider and model used for embeddings (deployment-wide, so every user's vectors are comparable)
+ * @returns {Object} {provider, model}
+ */
+function getEmbeddingConfig() {
+  const provider = (process.env.EMBEDDING_PROVIDER || providers.getDefaultProviderName()).toLowerCase()
+  const model = process.env.EMBEDDING_MODEL || providers.getProvider(provider).defaultEmbeddingModel || null
+  return { provider, model }
+}
+
+// False when the job would only fail (no model, or openai without a deployment key)
+function isConfigured() {
+  const { provider, model } = getEmbeddingConfig()
+  if (!model) return false
+  return provider !== 'openai' || !!process.env.OPENAI_API_KEY
+}
+
+/**
+ * Split text into overlapping chunks, breaking at paragraphs, sentences or words where possible
+ * @param {string} text - Text to split
+ * @param {Object} options - {size, overlap, maxChunks}
+ * @returns {string[]} Chunks (empty for blank text)
+ */
+function chunkText(text, { size = CHUNK_CHARS, overlap = CHUNK_OVERLAP, maxChunks = MAX_CHUNKS } = {}) {
+  const clean = (text || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+  if (!clean) return []
+
+  const chunks = []
+  let start = 0
+  while (start < clean.length && chunks.length < maxChunks) {
+    let end = Math.min(start + size, clean.length)
+    if (end < clean.length) {
+      const window = clean.slice(start, end)
+      const breakAt = [window.lastIndexOf('\n\n'), window.lastIndexOf('. '), window.lastIndexOf(' ')]
+        .find(i => i >= size / 2)
+      if (breakAt !== undefined) end = start + breakAt + 1
+    }
+
+    const chunk = clean.slice(start, end).trim()
+    if (chunk) chunks.push(chunk)
+    if (end >= clean.length) break
+
+    // Step back for the overlap, then forward to the next word boundary
+    start = Math.max(end - overlap, start + 1)
+    const space = clean.indexOf(' ', start)
+    if (space !== -1 && space < end) start = space + 1
+  }
+  return chunks
+}
+
+function stripHtml(html) {
+  return (html || '')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>|<\/p>|<\/div>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+}
+
+/**
+ * Chunks for a message; each carries the subject and sender so it can be matched on its own
+ * @param {Object} message - messages row (subject, sender, body_plain, body)
+ * @returns {string[]} Texts to embed
+ */
+function messageChunks(message) {
+  const header = [
+    message.subject ? `Subject: ${message.subject}` : null,
+    message.sender ? `From: ${message.sender}` : null
+  ].filter(Boolean).join('\n')
+  const body = message.body_plain || stripHtml(message.body)
+  const chunks = chunkText(body)
+  if (chunks.length === 0) return header ? [header] : []
+  return chunks.map(chunk => (header ? `${header}\n\n${chunk}` : chunk))
+}
+
+function checkDimensions(vectors, model) {
+  const wrong = vectors.find(v => !Array.isArray(v) || v.length !== EMBEDDING_DIMENSIONS)
+  if (wrong) {
+    throw new Error(`Model ${model} returned ${Array.isArray(wrong) ? wrong.length : 0}-dimension vectors; message_embeddings stores ${EMBEDDING_DIMENSIONS}`)
+  }
+}
+
+/**
+ * Embed one message and replace its stored chunks
+ * @param {Object} message - messages row (id, user_id, subject, sender, body_plain, body)
+ * @param {Object} config - {provider, model} from getEmbeddingConfig
+ * @returns {number} Number of chunks stored
+ */
+async function embedMessage(message, config = getEmbeddingConfig()) {
+  const chunks = messageChunks(message)
+  const vectors = chunks.length > 0
+    ? await llm.embed(chunks, {
+      provider: config.provider,
+      model: config.model,
+      dimensions: EMBEDDING_DIMENSIONS,
+      userId: message.user_id,
+      processorType: 'embedding',
+      background: true
+    })
+    : []
+  checkDimensions(vectors, config.model)
+
+  // Old chunks (possibly from another model) go in the same transaction as the new ones
+  const client = await db.pool.connect()
+  try {
+    await client.query('BEGIN')
+    await client.query('DELETE FROM message_embeddings WHERE message_id = $1', [message.id])
+    for (let i = 0; i < chunks.length; i++) {
+      await client.query(`
+        INSERT INTO message_embeddings (message_id, user_id, model, chunk_index, chunk_text, embedding)
+        VALUES ($1, $2, $3, $4, $5, $6::vector)
+      `, [message.id, message.user_id, config.model, i, chunks[i], JSON.stringify(vectors[i])])
+    }
+    await client.query(`
+      UPDATE messages
+      SET embedding_model = $2, embedded_at = now(), embedding_attempts = 0, embedding_error = NULL
+      WHERE id = $1
+    `, [message.id, config.model])
+    await client.query('COMMIT')
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {})
+    throw error
+  } finally {
+    client.release()
+  }
+  return chunks.length
+}
+
+async function markEmbeddingFailed(messageId, error) {
+  await db.query(`
+    UPDATE messages SET embedding_attempts = embedding_attempts + 1, embedding_error = $2 WHERE id = $1
+  `, [messageId, (error && error.message) || 'Embedding failed'])
+}
+
+/**
+ * Messages whose embedding is missing or from another model, newest first
+ * @param {number} limit - Batch size
+ * @param {Object} config - {provider, model} from getEmbeddingConfig
+ * @param {string[]} excludeUserIds - Users to leave out (e.g. over budget)
+ * @returns {Object[]} messages rows
+ */
+async function getPendingMessages(limit, config = getEmbeddingConfig(), excludeUserIds = []) {
+  const result = await db.query(`
+    SELECT id, user_id, subject, sender, body_plain, body
+    FROM messages
+    WHERE embedding_model IS DISTINCT FROM $1 AND embedding_attempts < $2 AND NOT (user_id = ANY($4::uuid[]))
+    ORDER BY received_at DESC NULLS LAST
+    LIMIT $3
+  `, [config.model, MAX_ATTEMPTS, limit, excludeUserIds])
+  return result.rows
+}
+
+/**
+ * Compare the configured model with the one recorded in system_settings; on a change, clear
+ * attempt counters so every message is re-embedded with the new model
+ * @returns {boolean} True when the model changed
+ */
+async function syncEmbeddingModel(config = getEmbeddingConfig()) {
+  const result = await db.query('SELECT value FROM system_settings WHERE key = $1', [MODEL_SETTING_KEY])
+  const previous = result.rows[0] && result.rows[0].value
+  if (previous === config.model) return false
+
+  await db.query(`
+    UPDATE messages SET embedding_attempts = 0, embedding_error = NULL
+    WHERE embedding_model IS DISTINCT FROM $1
+  `, [config.model])
+  await db.query(`
+    INSERT INTO system_settings (key, value, updated_at) VALUES ($1, $2, NOW())
+    ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()
+  `, [MODEL_SETTING_KEY, JSON.stringify(config.model)])
+
+  if (previous) console.log(`Embedding model changed from ${previous} to ${config.model}; re-embedding messages`)
+  return true
+}
+
+/**
+ * Queue messages for (re-)embedding
+ * @param {string|null} userId - Limit to one user (null for all users)
+ * @param {Object} options - {force: re-embed messages that are already up to date}
+ * @returns {number} Messages queued
+ */
+async function requestBackfill(userId, { force = false } = {}) {
+  const conditions = []
+  const params = []
+  if (!force) {
+    params.push(getEmbeddingConfig().model)
+    conditions.push(`embedding_model IS DISTINCT FROM $${params.length}`)
+  }
+  if (userId) {
+    params.push(userId)
+    conditions.push(`user_id = $${params.length}`)
+  }
+
+  const result = await db.query(`
+    UPDATE messages
+    SET embedding_attempts = 0, embedding_error = NULL${force ? ', embedding_model = NULL' : ''}
+    WHERE ${conditions.length > 0 ? conditions.join(' AND ') : 'TRUE'}
+  `, params)
+  return result.rowCount
+}
+
+/**
+ * Embedding coverage for a user (or all users)
+ * @param {string|null} userId - User ID, or null for the whole deployment
+ * @returns {Object} {provider, model, total, embedded, pending, failed, stale, chunks, last_embedded_at}
+ */
+async function getProgress(userId) {
+  const { provider, model } = getEmbeddingConfig()
+  const params = [model, MAX_ATTEMPTS]
+  let where = 'TRUE'
+  if (userId) {
+    params.push(userId)
+    where = `user_id = $${params.length}`
+  }
+
+  const [counts, chunks] = await Promise.all([
+    db.query(`
+      SELECT
+        COUNT(*) AS total,
+        COUNT(*) FILTER (WHERE embedding_model = $1) AS embedded,
+        COUNT(*) FILTER (WHERE embedding_model IS DISTINCT FROM $1 AND embedding_attempts < $2) AS pending,
+        COUNT(*) FILTER (WHERE embedding_model IS DISTINCT FROM $1 AND embedding_attempts >= $2) AS failed,
+        COUNT(*) FILTER (WHERE embedding_model IS NOT NULL AND embedding_model <> $1) AS stale,
+        MAX(embedded_at) AS last_embedded_at
+      FROM messages WHERE ${where}
+    `, params),
+    db.query(`
+      SELECT COUNT(*) AS chunks FROM message_embeddings WHERE model = $1${userId ? ' AND user_id = $2' : ''}
+    `, userId ? [model, userId] : [model])
+  ])
+
+  const row = counts.rows[0] || {}
+  const total = parseInt(row.total, 10) || 0
+  const embedded = parseInt(row.embedded, 10) || 0
+  return {
+    provider,
+    model,
+    configured: isConfigured(),
+    total,
+    embedded,
+    pending: parseInt(row.pending, 10) || 0,
+    failed: parseInt(row.failed, 10) || 0,
+    stale: parseInt(row.stale, 10) || 0,
+    chunks: parseInt(chunks.rows[0].chunks, 10) || 0,
+    percent: total > 0 ? Math.round((embedded / total) * 1000) / 10 : 100,
+    last_embedded_at: row.last_embedded_at || null
+  }
+}
+
+/**
+ * Embed a search query with the model the stored vectors use
+ * @param {string} userId - User ID (for usage accounting)
+ * @param {string} text - Query text
+ * @returns {Object|null} {embedding, model}, or null when embeddings are unavailable
+ */
+async function embedQuery(userId, text) {
+  if (!text || !text.trim() || !isConfigured()) return null
+  const config = getEmbeddingConfig()
+  const [embedding] = await llm.embed([text.trim()], {
+    provider: config.provider,
+    model: config.model,
+    dimensions: EMBEDDING_DIMENSIONS,
+    userId,
+    processorType: 'search_embedding'
+  })
+  checkDimensions([embedding], config.model)
+  return { embedding, model: config.model }
+}
+
+module.exports = {
+  EMBEDDING_DIMENSIONS,
+  getEmbeddingConfig,
+  isConfigured,
+  chunkText,
+  messageChunks,
+  embedMessage,
+  markEmbeddingFailed,
+  getPendingMessages,
+  syncEmbeddingModel,
+  requestBackfill,
+  getProgress,
+  embedQuery
+}
@@ -15,7 +15,7 @@ async function listIntegrationsForPlatform(platform) {
 async function upsertIntegration(userId, platform, externalAccountId, tokenBlob, config) {
   // Convert tokenBlob to tokens object if needed
   const tokens = tokenBlob instanceof Buffer 
-    ? JSON.parse(tokenBlob.toString())
+    ? integrationUtils.decryptTokens(tokenBlob)
     : (typeof tokenBlob === 'string' ? JSON.parse(tokenBlob) : tokenBlob)
   
   return await integrationUtils.upsertIntegration(userId, platform, externalAccountId, tokens, config || {})
@@ -25,7 +25,7 @@ async function upsertIntegration(userId, platform, externalAccountId, tokenBlob,
 async function getIntegrationByUserAndPlatform(userId, platform) {
   const integration = await integrationUtils.getUserIntegration(userId, platform, true)
   
-  // Return in legacy format (without parsed tokens/config for backward compatibility)
+  // Return in legacy format (raw columns plus the decrypted tokens)
   if (integration) {
     return {
       id: integration.id,
@@ -33,6 +33,7 @@ async function getIntegrationByUserAndPlatform(userId, platform) {
       platform: integration.platform,
       external_account_id: integration.external_account_id,
       oauth_token_encrypted: integration.oauth_token_encrypted,
+      tokens: integration.tokens,
       config: integration.config,
       enabled: integration.enabled,
       created_at: integration.created_at,
@@ -0,0 +1,232 @@
+const db = require('../db')
+
+/**
+ * LLM Quota Service
+ * Per-user token/cost budgets and request-rate limits, measured from llm_calls
+ *
+ * Limits resolve per key: user override (user_settings.llm_limits) -> admin defaults
+ * (system_settings.llm_limits) -> env. A null limit means unlimited. Token and cost budgets
+ * cover every call; request rates only count the user's own (not background triage or embedding).
+ */
+
+const LIMIT_KEYS = ['daily_tokens', 'monthly_tokens', 'daily_cost', 'monthly_cost', 'requests_per_minute', 'requests_per_hour']
+const BUDGET_KEYS = ['daily_tokens', 'monthly_tokens', 'daily_cost', 'monthly_cost']
+const LIMITS_SETTING_KEY = 'llm_limits'
+const DEFAULTS_CACHE_MS = 60 * 1000
+
+let defaultsCache = null
+
+function envNumber(name, fallback = null) {
+  const value = process.env[name]
+  if (value === undefined || value === '') return fallback
+  const parsed = Number(value)
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback
+}
+
+function envLimits() {
+  return {
+    daily_tokens: envNumber('LLM_DAILY_TOKEN_LIMIT'),
+    monthly_tokens: envNumber('LLM_MONTHLY_TOKEN_LIMIT'),
+    daily_cost: envNumber('LLM_DAILY_COST_LIMIT'),
+    monthly_cost: envNumber('LLM_MONTHLY_COST_LIMIT'),
+    requests_per_minute: envNumber('LLM_REQUESTS_PER_MINUTE', 20),
+    requests_per_hour: envNumber('LLM_REQUESTS_PER_HOUR', 300)
+  }
+}
+
+/**
+ * Check an admin-supplied limits object
+ * @param {Object} limits - Subset of LIMIT_KEYS with non-negative numbers or null
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateLimits(limits) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) return 'limits must be an object'
+  for (const [key, value] of Object.entries(limits)) {
+    if (!LIMIT_KEYS.includes(key)) return `unknown limit: ${key}`
+    if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      return `${key} must be a non-negative number or null`
+    }
+  }
+  return null
+}
+
+function pickLimits(value) {
+  if (!value || typeof value !== 'object') return {}
+  return Object.fromEntries(Object.entries(value).filter(([key]) => LIMIT_KEYS.includes(key)))
+}
+
+// Deployment-wide limits (env overlaid with the admin defaults)
+async function getDefaultLimits() {
+  if (defaultsCache && Date.now() - defaultsCache.loadedAt < DEFAULTS_CACHE_MS) return defaultsCache.limits
+
+  let stored = {}
+  try {
+    const result = await db.query('SELECT value FROM system_settings WHERE key = $1', [LIMITS_SETTING_KEY])
+    stored = pickLimits(result.rows[0] && result.rows[0].value)
+  } catch (error) {
+    console.warn('Could not load LLM limit defaults:', error.message)
+  }
+
+  const limits = { ...envLimits(), ...stored }
+  defaultsCache = { limits, loadedAt: Date.now() }
+  return limits
+}
+
+async function setDefaultLimits(limits, adminUserId) {
+  const current = await getDefaultLimits()
+  const merged = { ...current, ...pickLimits(limits) }
+  await db.query(`
+    INSERT INTO system_settings (key, value, updated_by, updated_at) VALUES ($1, $2, $3, NOW())
+    ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+  `, [LIMITS_SETTING_KEY, JSON.stringify(merged), adminUserId || null])
+  defaultsCache = null
+  return merged
+}
+
+async function getUserOverrides(userId) {
+  const result = await db.query('SELECT llm_limits FROM user_settings WHERE user_id = $1', [userId])
+  return pickLimits(result.rows[0] && result.rows[0].llm_limits)
+}
+
+/**
+ * Replace a user's overrides; null clears them so the defaults apply
+ * @param {string} userId - User ID
+ * @param {Object|null} limits - Overrides (a key set to null means unlimited for this user)
+ */
+async function setUserOverrides(userId, limits) {
+  await db.query(`
+    INSERT INTO user_settings (user_id, llm_limits, updated_at) VALUES ($1, $2, NOW())
+    ON CONFLICT (user_id) DO UPDATE SET llm_limits = EXCLUDED.llm_limits, updated_at = NOW()
+  `, [userId, limits ? JSON.stringify(pickLimits(limits)) : null])
+}
+
+async function getEffectiveLimits(userId) {
+  const [defaults, overrides] = await Promise.all([getDefaultLimits(), getUserOverrides(userId)])
+  return { ...defaults, ...overrides }
+}
+
+// Day and month windows follow the user's timezone
+async function getUsageWindows(userId) {
+  const result = await db.query(`
+    WITH w AS (
+      SELECT
+        date_trunc('day', now() AT TIME ZONE tz) AT TIME ZONE tz AS day_start,
+        date_trunc('month', now() AT TIME ZONE tz) AT TIME ZONE tz AS month_start,
+        (date_trunc('day', now() AT TIME ZONE tz) + interval '1 day') AT TIME ZONE tz AS day_end,
+        (date_trunc('month', now() AT TIME ZONE tz) + interval '1 month') AT TIME ZONE tz AS month_end
+      FROM (SELECT COALESCE((SELECT timezone FROM users WHERE id = $1), 'UTC') AS tz) u
+    )
+    SELECT
+      w.day_end, w.month_end,
+      COALESCE(SUM(c.total_tokens) FILTER (WHERE c.created_at >= w.day_start), 0) AS daily_tokens,
+      COALESCE(SUM(c.total_tokens) FILTER (WHERE c.created_at >= w.month_start), 0) AS monthly_tokens,
+      COALESCE(SUM(c.cost_estimate) FILTER (WHERE c.created_at >= w.day_start), 0) AS daily_cost,
+      COALESCE(SUM(c.cost_estimate) FILTER (WHERE c.created_at >= w.month_start), 0) AS monthly_cost,
+      COUNT(c.id) FILTER (WHERE NOT c.background AND c.created_at >= now() - interval '1 minute') AS requests_per_minute,
+      COUNT(c.id) FILTER (WHERE NOT c.background AND c.created_at >= now() - interval '1 hour') AS requests_per_hour
+    FROM w
+    LEFT JOIN llm_calls c ON c.user_id = $1 AND c.created_at >= LEAST(w.month_start, now() - interval '1 hour')
+    GROUP BY w.day_end, w.month_end
+  `, [userId])
+
+  const row = result.rows[0] || {}
+  const resets = {
+    daily_tokens: row.day_end,
+    daily_cost: row.day_end,
+    monthly_tokens: row.month_end,
+    monthly_cost: row.month_end,
+    requests_per_minute: new Date(Date.now() + 60 * 1000),
+    requests_per_hour: new Date(Date.now() + 60 * 60 * 1000)
+  }
+  const usage = {}
+  for (const key of LIMIT_KEYS) usage[key] = parseFloat(row[key]) || 0
+  return { usage, resets }
+}
+
+function degradeThreshold() {
+  const value = envNumber('LLM_DEGRADE_AT', 0.8)
+  return value > 0 && value <= 1 ? value : 0.8
+}
+
+/**
+ * Current usage against the user's limits
+ * @param {string} userId - User ID
+ * @returns {Object} {limits, usage, exceeded: [{limit, used, max, resets_at}], triageMode: 'full'|'degraded'|'heuristic'}
+ */
+async function getQuotaStatus(userId) {
+  const [limits, { usage, resets }] = await Promise.all([getEffectiveLimits(userId), getUsageWindows(userId)])
+
+  const exceeded = LIMIT_KEYS
+    .filter(key => limits[key] != null && usage[key] >= limits[key])
+    .map(key => ({ limit: key, used: usage[key], max: limits[key], resets_at: resets[key] }))
+
+  // Background triage: cheaper model near a budget, no LLM at all once a budget is spent
+  const threshold = degradeThreshold()
+  let triageMode = 'full'
+  if (exceeded.some(e => BUDGET_KEYS.includes(e.limit))) triageMode = 'heuristic'
+  else if (BUDGET_KEYS.some(key => limits[key] != null && usage[key] >= limits[key] * threshold)) triageMode = 'degraded'
+
+  return { limits, usage, exceeded, triageMode }
+}
+
+function quotaExceededError(exceeded) {
+  const first = exceeded[0]
+  const error = new Error(`LLM ${first.limit.replace(/_/g, ' ')} limit reached`)
+  error.code = 'quota_exceeded'
+  error.quota = exceeded
+  return error
+}
+
+/**
+ * Throw a quota_exceeded error when any limit is reached (interactive requests)
+ * @param {string} userId - User ID
+ */
+async function assertWithinQuota(userId) {
+  if (!userId) return
+  let status
+  try {
+    status = await getQuotaStatus(userId)
+  } catch (error) {
+    // Accounting problems shouldn't take the assistant down
+    console.warn(`Could not check LLM quota for user ${userId}:`, error.message)
+    return
+  }
+  if (status.exceeded.length > 0) throw quotaExceededError(status.exceeded)
+}
+
+// Options that move background triage onto the cheaper model
+function degradedOptions() {
+  const opts = { model: process.env.LLM_DEGRADED_MODEL || 'gpt-4o-mini' }
+  if (process.env.LLM_DEGRADED_PROVIDER) opts.provider = process.env.LLM_DEGRADED_PROVIDER
+  return opts
+}
+
+/**
+ * Response body and Retry-After seconds for a quota_exceeded error
+ * @param {Error} error - Error from assertWithinQuota
+ * @returns {Object} {status: 429, retryAfter, body}
+ */
+function quotaErrorResponse(error) {
+  const quota = error.quota || []
+  const resetsAt = quota.map(q => new Date(q.resets_at).getTime()).filter(Number.isFinite)
+  const retryAfter = resetsAt.length > 0 ? Math.max(1, Math.ceil((Math.max(...resetsAt) - Date.now()) / 1000)) : 60
+  return {
+    status: 429,
+    retryAfter,
+    body: { error: 'quota_exceeded', message: error.message, limits: quota }
+  }
+}
+
+module.exports = {
+  LIMIT_KEYS,
+  validateLimits,
+  getDefaultLimits,
+  setDefaultLimits,
+  getUserOverrides,
+  setUserOverrides,
+  getEffectiveLimits,
+  getQuotaStatus,
+  assertWithinQuota,
+  degradedOptions,
+  quotaErrorResponse
+}
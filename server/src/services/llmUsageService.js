@@ -0,0 +1,121 @@
+const db = require('../db')
+const { estimateCost } = require('../llm/pricing')
+
+/**
+ * LLM Usage Service
+ * One llm_calls row per llmClient.chat call, plus the usage breakdowns built on it
+ */
+
+// Rough prompt size for calls whose provider reports no usage
+function inputSize(messages) {
+  return (messages || []).reduce((sum, m) => sum + (typeof m.content === 'string' ? m.content.length : 0), 0)
+}
+
+/**
+ * Record a chat call; never throws so logging can't break the caller
+ * @param {Object} call - {userId, provider, model, processorType, usage, status, durationMs, messages, keySource, background}
+ */
+async function recordLLMCall(call) {
+  const usage = call.usage || {}
+  const promptTokens = usage.prompt_tokens ?? null
+  const completionTokens = usage.completion_tokens ?? null
+  const totalTokens = usage.total_tokens ?? (promptTokens != null || completionTokens != null
+    ? (promptTokens || 0) + (completionTokens || 0)
+    : null)
+
+  try {
+    await db.query(`
+      INSERT INTO llm_calls (
+        user_id, provider, model, processor_type, prompt_tokens, completion_tokens, total_tokens,
+        cost_estimate, status, input_size, processing_time_ms, key_source, background, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, now())
+    `, [
+      call.userId || null,
+      call.provider || null,
+      call.model || null,
+      call.processorType || null,
+      promptTokens,
+      completionTokens,
+      totalTokens,
+      call.usage ? estimateCost(call.provider, call.model, call.usage) : null,
+      call.status || 'success',
+      inputSize(call.messages),
+      call.durationMs != null ? Math.round(call.durationMs) : null,
+      call.keySource || null,
+      !!call.background
+    ])
+  } catch (error) {
+    console.error('Error logging LLM call:', error.message)
+  }
+}
+
+function toTotals(row) {
+  return {
+    calls: parseInt(row.calls, 10) || 0,
+    failed_calls: parseInt(row.failed_calls, 10) || 0,
+    prompt_tokens: parseInt(row.prompt_tokens, 10) || 0,
+    completion_tokens: parseInt(row.completion_tokens, 10) || 0,
+    total_tokens: parseInt(row.total_tokens, 10) || 0,
+    cost: parseFloat(row.cost) || 0
+  }
+}
+
+const TOTALS_SQL = `
+  COUNT(*) AS calls,
+  COUNT(*) FILTER (WHERE c.status = 'failed') AS failed_calls,
+  COALESCE(SUM(c.prompt_tokens), 0) AS prompt_tokens,
+  COALESCE(SUM(c.completion_tokens), 0) AS completion_tokens,
+  COALESCE(SUM(c.total_tokens), 0) AS total_tokens,
+  COALESCE(SUM(c.cost_estimate), 0) AS cost`
+
+/**
+ * Usage broken down by day, processor and user
+ * @param {Object} filter - {userId (omit for all users), days (default 30), timezone (for day buckets)}
+ * @returns {Object} {from, days, totals, by_day, by_processor, by_user}
+ */
+async function getUsageBreakdown(filter = {}) {
+  const days = Math.min(Math.max(parseInt(filter.days, 10) || 30, 1), 365)
+  const timezone = filter.timezone || 'UTC'
+  const params = [days]
+  let where = "c.created_at >= NOW() - make_interval(days => $1)"
+  if (filter.userId) {
+    params.push(filter.userId)
+    where += ` AND c.user_id = $${params.length}`
+  }
+
+  const dayParams = [...params, timezone]
+
+  const [totals, byDay, byProcessor, byUser] = await Promise.all([
+    db.query(`SELECT ${TOTALS_SQL} FROM llm_calls c WHERE ${where}`, params),
+    db.query(`
+      SELECT to_char(c.created_at AT TIME ZONE $${dayParams.length}, 'YYYY-MM-DD') AS day, ${TOTALS_SQL}
+      FROM llm_calls c WHERE ${where}
+      GROUP BY 1 ORDER BY 1
+    `, dayParams),
+    db.query(`
+      SELECT COALESCE(c.processor_type, 'unknown') AS processor_type, ${TOTALS_SQL}
+      FROM llm_calls c WHERE ${where}
+      GROUP BY 1 ORDER BY total_tokens DESC
+    `, params),
+    db.query(`
+      SELECT c.user_id, u.email, ${TOTALS_SQL}
+      FROM llm_calls c LEFT JOIN users u ON u.id = c.user_id
+      WHERE ${where}
+      GROUP BY c.user_id, u.email ORDER BY total_tokens DESC
+    `, params)
+  ])
+
+  return {
+    from: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString(),
+    days,
+    totals: toTotals(totals.rows[0] || {}),
+    by_day: byDay.rows.map(row => ({ day: row.day, ...toTotals(row) })),
+    by_processor: byProcessor.rows.map(row => ({ processor_type: row.processor_type, ...toTotals(row) })),
+    by_user: byUser.rows.map(row => ({ user_id: row.user_id, email: row.email, ...toTotals(row) }))
+  }
+}
+
+module.exports = {
+  recordLLMCall,
+  getUsageBreakdown
+}
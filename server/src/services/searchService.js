@@ -1,32 +1,52 @@
 const db = require('../db')
-const llm = require('../llm/llmClient')
+const embeddingService = require('./embeddingService')
 
 /**
  * Enhanced Search Service
  * Provides semantic search, keyword search, and saved searches
  */
 
+// Nearest chunks fetched per result wanted; messages have several chunks, so dedupe needs the margin
+const CHUNKS_PER_RESULT = 5
+
 // Perform semantic search using embeddings
 async function performSemanticSearch(userId, query, limit = 20) {
   try {
     // Generate embedding for search query
-    const queryEmbedding = await generateSearchEmbedding(query)
+    const queryEmbedding = await generateSearchEmbedding(userId, query)
     
     if (!queryEmbedding) {
       // Fallback to keyword search if embedding fails
       return await performKeywordSearch(userId, query, limit)
     }
     
+    // Best-matching chunk per message, only among vectors from the query's model. The inner
+    // ORDER BY distance + LIMIT is what lets the ivfflat index serve the scan; dedupe comes after
     const result = await db.query(`
       SELECT 
         m.id, m.sender, m.subject, m.body_plain, m.received_at,
-        me.embedding <-> $1::vector as similarity_score
-      FROM messages m
-      JOIN message_embeddings me ON m.id = me.message_id
-      WHERE m.user_id = $2 AND m.is_snoozed = false
+        best.distance as similarity_score
+      FROM (
+        SELECT DISTINCT ON (nearest.message_id) nearest.message_id, nearest.distance
+        FROM (
+          SELECT me.message_id, me.embedding <-> $1::vector AS distance
+          FROM message_embeddings me
+          WHERE me.user_id = $2 AND me.model = $4
+          ORDER BY me.embedding <-> $1::vector
+          LIMIT $5
+        ) nearest
+        ORDER BY nearest.message_id, nearest.distance
+      ) best
+      JOIN messages m ON m.id = best.message_id
+      WHERE m.is_snoozed = false
       ORDER BY similarity_score ASC
       LIMIT $3
-    `, [JSON.stringify(queryEmbedding), userId, limit])
+    `, [JSON.stringify(queryEmbedding.embedding), userId, limit, queryEmbedding.model, limit * CHUNKS_PER_RESULT])
+    
+    // Nothing embedded yet for this user
+    if (result.rowCount === 0) {
+      return await performKeywordSearch(userId, query, limit)
+    }
     
     // Log search for analytics
     await logSearch(userId, query, 'semantic', result.rowCount)
@@ -43,6 +63,11 @@ async function performSemanticSearch(userId, query, limit = 20) {
   }
 }
 
+// Match text extracted from a message's attachments against a LIKE parameter
+function attachmentTextMatch(paramIndex) {
+  return `EXISTS (SELECT 1 FROM message_attachments a WHERE a.message_id = messages.id AND LOWER(a.extracted_text) LIKE $${paramIndex})`
+}
+
 // Perform keyword-based search
 async function performKeywordSearch(userId, query, limit = 20) {
   try {
@@ -54,7 +79,7 @@ async function performKeywordSearch(userId, query, limit = 20) {
     
     // Build search condition for multiple terms
     const searchConditions = searchTerms.map((_, index) => 
-      `(LOWER(subject) LIKE $${index + 3} OR LOWER(body_plain) LIKE $${index + 3} OR LOWER(sender) LIKE $${index + 3})`
+      `(LOWER(subject) LIKE $${index + 3} OR LOWER(body_plain) LIKE $${index + 3} OR LOWER(sender) LIKE $${index + 3} OR ${attachmentTextMatch(index + 3)})`
     ).join(' AND ')
     
     const searchParams = searchTerms.map(term => `%${term}%`)
@@ -105,7 +130,7 @@ async function performAdvancedSearch(userId, searchParams) {
     
     // Add text search if query provided
     if (query && query.trim()) {
-      whereConditions.push(`(LOWER(subject) LIKE $${paramIndex} OR LOWER(body_plain) LIKE $${paramIndex})`)
+      whereConditions.push(`(LOWER(subject) LIKE $${paramIndex} OR LOWER(body_plain) LIKE $${paramIndex} OR ${attachmentTextMatch(paramIndex)})`)
       params.push(`%${query.toLowerCase()}%`)
       paramIndex++
     }
@@ -144,11 +169,8 @@ async function performAdvancedSearch(userId, searchParams) {
     }
     
     if (typeof hasAttachments === 'boolean') {
-      if (hasAttachments) {
-        whereConditions.push(`attachments IS NOT NULL AND attachments != '{}'`)
-      } else {
-        whereConditions.push(`(attachments IS NULL OR attachments = '{}')`)
-      }
+      const hasFileAttachment = `EXISTS (SELECT 1 FROM message_attachments a WHERE a.message_id = messages.id AND a.is_inline = false)`
+      whereConditions.push(hasAttachments ? hasFileAttachment : `NOT ${hasFileAttachment}`)
     }
     
     const whereClause = whereConditions.join(' AND ')
@@ -277,12 +299,10 @@ async function getSearchSuggestions(userId, partialQuery) {
   }
 }
 
-// Generate embedding for search query
-async function generateSearchEmbedding(query) {
+// Generate embedding for search query ({embedding, model}, or null when embeddings are unavailable)
+async function generateSearchEmbedding(userId, query) {
   try {
-    // This would integrate with your embedding service
-    // For now, return null to fallback to keyword search
-    return null
+    return await embeddingService.embedQuery(userId, query)
   } catch (error) {
     console.error('Error generating search embedding:', error)
     return null
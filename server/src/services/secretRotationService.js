@@ -0,0 +1,64 @@
+const db = require('../db')
+const secrets = require('../utils/secrets')
+
+/**
+ * Secret Rotation Service
+ * Rewrites stored secrets so they are encrypted with the current master key: plaintext and
+ * pre-envelope values are encrypted, envelopes under an older key version get their data key
+ * re-wrapped. Runs at startup for unencrypted rows and via `npm run secrets:rotate` after a
+ * master key change.
+ */
+
+// Every encrypted column, with the column recording its key version
+const SECRET_COLUMNS = [
+  { table: 'integrations', id: 'id', column: 'oauth_token_encrypted', versionColumn: 'oauth_token_key_version' },
+  { table: 'user_settings', id: 'user_id', column: 'llm_key_encrypted', versionColumn: 'llm_key_version' }
+]
+
+/**
+ * Re-encrypt secrets not yet under the current master key
+ * @param {Object} options - {unencryptedOnly: skip rows already wrapped with some key version, dryRun}
+ * @returns {Object[]} Per column: {table, column, checked, rotated, failed}
+ */
+async function rotateSecrets({ unencryptedOnly = false, dryRun = false } = {}) {
+  const current = secrets.currentKeyVersion()
+  const report = []
+
+  for (const { table, id, column, versionColumn } of SECRET_COLUMNS) {
+    const rows = await db.query(`
+      SELECT ${id} AS id, ${column} AS value FROM ${table}
+      WHERE ${column} IS NOT NULL AND ${unencryptedOnly ? `${versionColumn} IS NULL` : `${versionColumn} IS DISTINCT FROM $1`}
+    `, unencryptedOnly ? [] : [current])
+
+    const stats = { table, column, checked: rows.rowCount, rotated: 0, failed: 0 }
+    for (const row of rows.rows) {
+      try {
+        if (!secrets.needsRotation(row.value)) {
+          // Already current, only the version column was missing
+          if (!dryRun) await db.query(`UPDATE ${table} SET ${versionColumn} = $2 WHERE ${id} = $1`, [row.id, current])
+          continue
+        }
+        const rotated = secrets.rotateSecret(row.value)
+        if (!dryRun) {
+          // Skip rows rewritten since we read them (e.g. a token refresh)
+          await db.query(
+            `UPDATE ${table} SET ${column} = $2, ${versionColumn} = $3 WHERE ${id} = $1 AND ${column} = $4`,
+            [row.id, rotated, current, row.value]
+          )
+        }
+        stats.rotated++
+      } catch (error) {
+        console.error(`Could not rotate ${table}.${column} for ${row.id}:`, error.message)
+        stats.failed++
+      }
+    }
+    report.push(stats)
+  }
+
+  return report
+}
+
+module.exports = {
+  SECRET_COLUMNS,
+  rotateSecrets
+}
@@ -0,0 +1,254 @@
+const {google} = require('googleapis')
+const googleClient = require('../integrations/google/client')
+const workPreferencesService = require('./workPreferencesService')
+const { resolveTimezone, wallClock, zonedTimeToUtc, formatTimeForUser } = require('../utils/timezone')
+
+/**
+ * Slot Finder Service
+ * Finds free meeting slots for a user and their internal attendees. Busy times come from Google
+ * Calendar freebusy: the organizer's calendar, plus attendees the organizer's account can see
+ * (same Workspace domain). Everyone else can't be checked and is reported in `unchecked`; other
+ * app users' own integrations are never used, since they didn't agree to share their calendar.
+ *
+ * Candidates are laid out on a grid inside working hours in the user's timezone, must clear
+ * every busy block by the buffer, and are ranked by how soon they are, how well they fit a
+ * preferred time, and how much room they leave around them. findSlots takes working hours,
+ * lunch, buffer, default length, no-meeting days and focus blocks from the user's work
+ * preferences (services/workPreferencesService).
+ */
+
+const DEFAULT_WORKING_HOURS = { start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] }
+const DEFAULT_OPTIONS = {
+  durationMinutes: 30,
+  days: 5,
+  bufferMinutes: 10,
+  stepMinutes: 30,
+  minNoticeMinutes: 60,
+  limit: 5,
+  perDay: 2
+}
+const LUNCH = { start: '12:00', end: '13:00' }
+// Personal mail domains: sharing one doesn't make an attendee internal
+const PUBLIC_DOMAINS = ['gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'live.com', 'yahoo.com', 'icloud.com', 'me.com', 'aol.com', 'proton.me', 'protonmail.com']
+
+function emailDomain(email) {
+  return String(email || '').split('@')[1]?.toLowerCase() || null
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number)
+  return h * 60 + (m || 0)
+}
+
+// {start, end, days} (same hours on each day) or hours keyed by weekday -> hours keyed by weekday
+function hoursByWeekday(workingHours) {
+  if (workingHours && !('start' in workingHours) && !('days' in workingHours)) return workingHours
+  const hours = { ...DEFAULT_WORKING_HOURS, ...(workingHours || {}) }
+  return Object.fromEntries([0, 1, 2, 3, 4, 5, 6].map(day => [day, hours.days.includes(day) ? { start: hours.start, end: hours.end } : null]))
+}
+
+/**
+ * Rank free slots between busy blocks; no I/O
+ * @param {Array<{start: string|Date, end: string|Date}>} busy - Busy blocks from every calendar checked
+ * @param {Object} options
+ * @param {string} options.timezone - User's timezone; working hours are read in it
+ * @param {Date|string} [options.now] - Reference time (default now)
+ * @param {Object} [options.workingHours] - {start, end, days} in HH:MM with weekdays (0 = Sunday), or
+ *   {0: {start, end}|null, ..., 6: ...} for hours that differ by weekday
+ * @param {{start: string, end: string}|null} [options.lunch] - Ranked down; null for none (default 12:00-13:00)
+ * @param {number[]} [options.noMeetingDays] - Weekdays to skip
+ * @param {number} [options.focusBlockMinutes] - Rank down slots that split the last free stretch of this length (0 = off)
+ * @param {number} [options.durationMinutes]
+ * @param {number} [options.days] - Calendar days to search, starting today
+ * @param {number} [options.bufferMinutes] - Gap to keep from busy blocks
+ * @param {number} [options.stepMinutes] - Candidate start grid
+ * @param {number} [options.minNoticeMinutes] - Earliest start from now
+ * @param {{start: number, end: number}} [options.preferred] - Preferred minutes after midnight, e.g. afternoon
+ * @param {number} [options.limit] - Slots to return
+ * @param {number} [options.perDay] - Most slots from one day, so options spread across days
+ * @returns {Array<{start: Date, end: Date, score: number, reasons: string[]}>} Best first
+ */
+function rankSlots(busy, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options }
+  const timezone = resolveTimezone(opts.timezone)
+  const hours = hoursByWeekday(opts.workingHours)
+  const lunch = opts.lunch === undefined ? LUNCH : opts.lunch
+  const noMeetingDays = opts.noMeetingDays || []
+  const now = opts.now ? new Date(opts.now) : new Date()
+  const earliest = now.getTime() + opts.minNoticeMinutes * 60000
+  const bufferMs = opts.bufferMinutes * 60000
+  const durationMs = opts.durationMinutes * 60000
+  const focusMs = (opts.focusBlockMinutes || 0) * 60000
+
+  const blocks = busy
+    .map(b => ({ start: new Date(b.start).getTime(), end: new Date(b.end).getTime() }))
+    .filter(b => !isNaN(b.start) && !isNaN(b.end))
+    .sort((a, b) => a.start - b.start)
+
+  const today = wallClock(now, timezone)
+  const candidates = []
+  for (let offset = 0; offset < opts.days; offset++) {
+    const dayDate = new Date(Date.UTC(today.y, today.m - 1, today.d + offset))
+    const dayHours = hours[dayDate.getUTCDay()]
+    if (!dayHours || noMeetingDays.includes(dayDate.getUTCDay())) continue
+    const day = { y: dayDate.getUTCFullYear(), m: dayDate.getUTCMonth() + 1, d: dayDate.getUTCDate() }
+    const dayStart = toMinutes(dayHours.start)
+    const dayEnd = toMinutes(dayHours.end)
+    const workStart = zonedTimeToUtc(timezone, day, Math.floor(dayStart / 60), dayStart % 60).date.getTime()
+    const workEnd = zonedTimeToUtc(timezone, day, Math.floor(dayEnd / 60), dayEnd % 60).date.getTime()
+
+    for (let minute = dayStart; minute + opts.durationMinutes <= dayEnd; minute += opts.stepMinutes) {
+      const { date, dst } = zonedTimeToUtc(timezone, day, Math.floor(minute / 60), minute % 60)
+      if (dst === 'gap') continue
+      const start = date.getTime()
+      const end = start + durationMs
+      if (start < earliest) continue
+      if (blocks.some(b => start < b.end + bufferMs && end > b.start - bufferMs)) continue
+
+      const reasons = []
+      // Sooner is better, fading over the search window
+      let score = 1 - (offset / opts.days) * 0.4
+      if (opts.preferred) {
+        if (minute >= opts.preferred.start && minute + opts.durationMinutes <= opts.preferred.end) {
+          score += 0.5
+          reasons.push('preferred_time')
+        } else {
+          score -= 0.2
+        }
+      }
+      if (lunch && minute < toMinutes(lunch.end) && minute + opts.durationMinutes > toMinutes(lunch.start)) {
+        score -= 0.15
+        reasons.push('over_lunch')
+      }
+      // Room either side, so the day isn't packed back to back
+      const before = blocks.filter(b => b.end <= start).pop()
+      const after = blocks.find(b => b.start >= end)
+      const roomy = (!before || start - before.end >= 30 * 60000) && (!after || after.start - end >= 30 * 60000)
+      if (roomy) {
+        score += 0.1
+        reasons.push('clear_around')
+      }
+      // A free stretch long enough for focus work that this slot would cut into pieces too short for it
+      if (focusMs > 0) {
+        const freeFrom = Math.max(workStart, before ? before.end : workStart)
+        const freeTo = Math.min(workEnd, after ? after.start : workEnd)
+        if (freeTo - freeFrom >= focusMs && start - freeFrom < focusMs && freeTo - end < focusMs) {
+          score -= 0.3
+          reasons.push('breaks_focus_block')
+        }
+      }
+      if (minute === dayStart || minute + opts.durationMinutes === dayEnd) {
+        score -= 0.05
+        reasons.push('edge_of_day')
+      }
+      candidates.push({ start: new Date(start), end: new Date(end), score: Math.round(score * 100) / 100, reasons, day: offset })
+    }
+  }
+
+  const picked = []
+  const perDay = {}
+  for (const slot of candidates.sort((a, b) => b.score - a.score || a.start - b.start)) {
+    if ((perDay[slot.day] || 0) >= opts.perDay) continue
+    perDay[slot.day] = (perDay[slot.day] || 0) + 1
+    const { day, ...rest } = slot
+    picked.push(rest)
+    if (picked.length >= opts.limit) break
+  }
+  return picked
+}
+
+async function queryFreeBusy(auth, calendarIds, timeMin, timeMax) {
+  const calendar = google.calendar({version: 'v3', auth})
+  const res = await calendar.freebusy.query({
+    requestBody: { timeMin: timeMin.toISOString(), timeMax: timeMax.toISOString(), items: calendarIds.map(id => ({ id })) }
+  })
+  return (res.data && res.data.calendars) || {}
+}
+
+/**
+ * Busy blocks for the user and their internal attendees
+ * @param {Object} user - {id, email}
+ * @param {string[]} attendees - Attendee emails
+ * @param {Date} timeMin
+ * @param {Date} timeMax
+ * @returns {Promise<{busy: Array, checked: string[], unchecked: string[]}>}
+ */
+async function collectBusy(user, attendees, timeMin, timeMax) {
+  const auth = await googleClient.getClientForUser(user.id, 'calendar')
+  if (!auth) {
+    const error = new Error('Google Calendar is not connected')
+    error.code = 'no_integration'
+    throw error
+  }
+
+  const organizerDomain = emailDomain(user.email)
+  const others = [...new Set(attendees.map(a => String(a).trim().toLowerCase()).filter(a => a && a !== String(user.email).toLowerCase()))]
+  const sameDomain = others.filter(email =>
+    organizerDomain && !PUBLIC_DOMAINS.includes(organizerDomain) && emailDomain(email) === organizerDomain)
+
+  const calendars = await queryFreeBusy(auth, ['primary', ...sameDomain], timeMin, timeMax)
+  const busy = [...((calendars.primary && calendars.primary.busy) || [])]
+  const checked = []
+  const unchecked = []
+  for (const email of others) {
+    const entry = calendars[email]
+    if (entry && !entry.errors) {
+      busy.push(...(entry.busy || []))
+      checked.push(email)
+    } else {
+      unchecked.push(email)
+    }
+  }
+
+  return { busy, checked, unchecked }
+}
+
+/**
+ * Ranked free slots for a meeting
+ * @param {Object} user - {id, email, timezone}
+ * @param {Object} [options] - attendees (emails) plus anything rankSlots takes; the user's work
+ *   preferences fill in the rest
+ * @returns {Promise<{slots: Array<{start, end, score, reasons, label}>, busy: Array, checked: string[], unchecked: string[], timezone: string}>}
+ * @throws {Error} code 'no_integration' without a calendar integration; 'google_reauth_required' after a revoked grant
+ */
+async function findSlots(user, options = {}) {
+  const { attendees = [], ...overrides } = options
+  const preferences = await workPreferencesService.forUser(user)
+  // Options left undefined (e.g. no duration asked for) fall back to the preferences
+  const rankOptions = { ...workPreferencesService.slotOptions(preferences) }
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) rankOptions[key] = value
+  }
+  const timezone = resolveTimezone(rankOptions.timezone || user.timezone)
+  const now = rankOptions.now ? new Date(rankOptions.now) : new Date()
+  const days = rankOptions.days || DEFAULT_OPTIONS.days
+  // One extra day covers the last local day in timezones ahead of UTC
+  const timeMax = new Date(now.getTime() + (days + 1) * 24 * 60 * 60 * 1000)
+
+  const { busy, checked, unchecked } = await collectBusy(user, attendees, now, timeMax)
+  const slots = rankSlots(busy, { ...rankOptions, timezone, now }).map(slot => ({
+    ...slot,
+    label: formatTimeForUser(slot.start.toISOString(), timezone)
+  }))
+  return { slots, busy, checked, unchecked, timezone }
+}
+
+/**
+ * Preferred window for a phrase like "afternoon" or "morning", or around a parsed time
+ * @param {string} text - Free text
+ * @returns {{start: number, end: number}|null} Minutes after midnight
+ */
+function preferredWindow(text) {
+  const lower = String(text || '').toLowerCase()
+  if (/\bmorning\b/.test(lower)) return { start: 9 * 60, end: 12 * 60 }
+  if (/\bafternoon\b/.test(lower)) return { start: 13 * 60, end: 17 * 60 }
+  if (/\b(evening|end of (the )?day|eod)\b/.test(lower)) return { start: 16 * 60, end: 19 * 60 }
+  return null
+}
+
+module.exports = {
+  DEFAULT_WORKING_HOURS,
+  rankSlots,
+  findSlots,
+  preferredWindow
+}
@@ -1,6 +1,8 @@
 // Smart Notifications Service - Phase 2
 // Manages priority-based notifications and user preferences
 const db = require('../db')
+const workPreferencesService = require('./workPreferencesService')
+const { resolveTimezone, wallClock } = require('../utils/timezone')
 
 class SmartNotificationsService {
   constructor() {
@@ -251,9 +253,13 @@ class SmartNotificationsService {
       return false
     }
 
-    // Check quiet hours
+    // Quiet hours and working hours are read in the user's timezone
+    const userResult = await db.query('SELECT timezone, work_preferences FROM users WHERE id = $1', [userId])
+    const user = userResult.rows[0] || {}
+    const timezone = preferences.quiet_hours_timezone || user.timezone || 'UTC'
+    const workPreferences = workPreferencesService.withDefaults(user.work_preferences)
     const now = new Date()
-    const currentHour = now.getHours()
+    const currentHour = wallClock(now, resolveTimezone(timezone)).h
     const quietStart = parseInt(preferences.quiet_hours_start.split(':')[0])
     const quietEnd = parseInt(preferences.quiet_hours_end.split(':')[0])
     
@@ -265,9 +271,10 @@ class SmartNotificationsService {
       return false // Only high priority during quiet hours
     }
 
-    // Check weekend preferences
-    const isWeekend = now.getDay() === 0 || now.getDay() === 6
-    if (isWeekend && !preferences.weekend_notifications && priority < 4) {
+    // Days off count as the weekend; outside working hours only important mail gets through
+    if (!workPreferencesService.isWorkingDay(workPreferences, now, timezone)) {
+      if (!preferences.weekend_notifications && priority < 4) return false
+    } else if (!workPreferencesService.isWorkingTime(workPreferences, now, timezone) && priority < 4) {
       return false
     }
 
@@ -1,4 +1,6 @@
 const db = require('../db')
+const { parseNaturalDateTime } = require('../utils/timezone')
+const workPreferencesService = require('./workPreferencesService')
 
 /**
  * Email Snooze Service
@@ -177,49 +179,36 @@ async function clearFollowUpReminder(messageId, userId) {
   }
 }
 
-// Snooze presets for common durations
+// Snooze presets for common durations, as phrases for the shared date parser; "end of day" and
+// "first thing" follow the user's working hours when they are passed in
 const snoozePresets = {
-  'later_today': () => {
-    const date = new Date()
-    date.setHours(17, 0, 0, 0) // 5 PM today
-    return date
-  },
-  'tomorrow_morning': () => {
-    const date = new Date()
-    date.setDate(date.getDate() + 1)
-    date.setHours(9, 0, 0, 0) // 9 AM tomorrow
-    return date
-  },
-  'this_weekend': () => {
-    const date = new Date()
-    const daysUntilSaturday = 6 - date.getDay()
-    date.setDate(date.getDate() + daysUntilSaturday)
-    date.setHours(10, 0, 0, 0) // 10 AM Saturday
-    return date
-  },
-  'next_week': () => {
-    const date = new Date()
-    const daysUntilMonday = (8 - date.getDay()) % 7
-    date.setDate(date.getDate() + daysUntilMonday)
-    date.setHours(9, 0, 0, 0) // 9 AM next Monday
-    return date
-  },
-  'in_1_hour': () => {
-    const date = new Date()
-    date.setHours(date.getHours() + 1)
-    return date
-  },
-  'in_3_hours': () => {
-    const date = new Date()
-    date.setHours(date.getHours() + 3)
-    return date
-  }
+  'later_today': 'today end of day',
+  'tomorrow_morning': 'tomorrow first thing',
+  'this_weekend': 'this weekend 10am',
+  'next_week': 'monday next week first thing',
+  'in_1_hour': 'in 1 hour',
+  'in_3_hours': 'in 3 hours'
+}
+
+// "next week" is the first working day of it
+function firstWorkingDay(preferences) {
+  const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+  return days.find(day => preferences.workingHours[day.slice(0, 3)]) || 'monday'
 }
 
-// Get snooze preset datetime
-function getSnoozePreset(presetName) {
-  const presetFn = snoozePresets[presetName]
-  return presetFn ? presetFn() : null
+/**
+ * Snooze preset datetime in the user's timezone
+ * @param {string} presetName - One of snoozePresets
+ * @param {string} [timezone]
+ * @param {Object} [preferences] - Work preferences (workPreferencesService.withDefaults)
+ * @returns {Date|null}
+ */
+function getSnoozePreset(presetName, timezone = 'UTC', preferences = null) {
+  let phrase = snoozePresets[presetName]
+  if (phrase && preferences && presetName === 'next_week') phrase = `${firstWorkingDay(preferences)} next week first thing`
+  const options = preferences ? workPreferencesService.parserOptions(preferences) : {}
+  const parsed = phrase && parseNaturalDateTime(phrase, { ...options, timezone })
+  return parsed ? parsed.start : null
 }
 
 module.exports = {
@@ -0,0 +1,84 @@
+const db = require('../db')
+
+/**
+ * Thread Service
+ * Maintains conversation threads and links ingested messages to them
+ */
+
+// Strip reply/forward prefixes so every message in a thread maps to the same title
+function normalizeThreadTitle(subject) {
+  if (!subject) return null
+  const title = subject.replace(/^\s*((re|fw|fwd|aw|sv)\s*(\[\d+\])?\s*:\s*)+/i, '').trim()
+  return title || subject.trim()
+}
+
+// Upsert a thread by its platform id and merge in participants from the latest message
+async function upsertThread(userId, platform, externalThreadId, { subject, participants = [], messageAt = null } = {}) {
+  try {
+    const metadata = {
+      participants: [...new Set(participants.filter(Boolean))],
+      last_message_at: messageAt
+    }
+
+    const result = await db.query(`
+      INSERT INTO threads (user_id, platform, external_thread_id, title, channel, metadata, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, 'inbox', $5::jsonb, NOW(), NOW())
+      ON CONFLICT (user_id, platform, external_thread_id) DO UPDATE SET
+        title = COALESCE(threads.title, EXCLUDED.title),
+        metadata = COALESCE(threads.metadata, '{}'::jsonb) || jsonb_build_object(
+          'participants', (
+            SELECT COALESCE(jsonb_agg(DISTINCT p), '[]'::jsonb)
+            FROM jsonb_array_elements(
+              COALESCE(threads.metadata->'participants', '[]'::jsonb) || (EXCLUDED.metadata->'participants')
+            ) AS p
+          ),
+          'last_message_at', GREATEST(threads.metadata->>'last_message_at', EXCLUDED.metadata->>'last_message_at')
+        ),
+        updated_at = NOW()
+      RETURNING id
+    `, [userId, platform, externalThreadId, normalizeThreadTitle(subject), JSON.stringify(metadata)])
+
+    return result.rows[0].id
+  } catch (error) {
+    console.error('Error upserting thread:', error)
+    throw error
+  }
+}
+
+// Get a thread with its messages in conversation order
+async function getThreadConversation(threadId, userId) {
+  try {
+    const threadResult = await db.query(`
+      SELECT id, platform, external_thread_id, title, channel, metadata, created_at, updated_at
+      FROM threads
+      WHERE id = $1 AND user_id = $2
+    `, [threadId, userId])
+
+    if (threadResult.rowCount === 0) {
+      return null
+    }
+
+    const messagesResult = await db.query(`
+      SELECT id, external_message_id, sender, recipient, subject, body, body_plain,
+             attachments, is_read, received_at, metadata
+      FROM messages
+      WHERE thread_id = $1 AND user_id = $2
+      ORDER BY received_at ASC NULLS FIRST, created_at ASC
+    `, [threadId, userId])
+
+    return {
+      ...threadResult.rows[0],
+      message_count: messagesResult.rowCount,
+      messages: messagesResult.rows
+    }
+  } catch (error) {
+    console.error('Error getting thread conversation:', error)
+    throw error
+  }
+}
+
+module.exports = {
+  normalizeThreadTitle,
+  upsertThread,
+  getThreadConversation
+}
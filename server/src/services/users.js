@@ -10,7 +10,7 @@ async function upsertUserByEmail(email, displayName, timezone){
 
 async function getUserById(id){
   const r = await db.query(
-    'SELECT id,email,display_name,timezone,role,location,personal_note FROM users WHERE id=$1', 
+    'SELECT id,email,display_name,timezone,role,location,personal_note,work_preferences FROM users WHERE id=$1', 
     [id]
   )
   return r.rows[0]
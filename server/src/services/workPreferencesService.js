@@ -0,0 +1,212 @@
+const db = require('../db')
+const { resolveTimezone } = require('../utils/timezone')
+
+/**
+ * Work Preferences Service
+ * Structured working hours and meeting habits on the user profile (users.work_preferences):
+ * hours per weekday, a lunch window, the buffer to keep between meetings, preferred meeting
+ * lengths, days without meetings and a weekly focus-time target. Stored values only hold what
+ * the user set; withDefaults() fills in the rest, so older rows and '{}' read as Mon-Fri 9-5.
+ *
+ * Time-based services take the shapes they need from here: slotOptions() for the slot finder,
+ * parserOptions() for the date parser (snooze presets, "end of day"), isWorkingTime() and
+ * isWorkingDay() for notifications and describe() for LLM prompts.
+ */
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+const DEFAULT_PREFERENCES = {
+  workingHours: {
+    sun: null,
+    mon: { start: '09:00', end: '17:00' },
+    tue: { start: '09:00', end: '17:00' },
+    wed: { start: '09:00', end: '17:00' },
+    thu: { start: '09:00', end: '17:00' },
+    fri: { start: '09:00', end: '17:00' },
+    sat: null
+  },
+  lunch: { start: '12:00', end: '13:00' },
+  bufferMinutes: 10,
+  meetingLengths: [30, 60],
+  noMeetingDays: [],
+  focus: { hoursPerWeek: 0, blockMinutes: 120 }
+}
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/
+
+function preferencesError(message) {
+  const error = new Error(message)
+  error.code = 'invalid_preferences'
+  return error
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Stored (possibly partial) preferences with defaults for everything missing; never throws
+ * @param {Object} [stored] - users.work_preferences
+ * @returns {Object} Full preferences
+ */
+function withDefaults(stored) {
+  const prefs = isPlainObject(stored) ? stored : {}
+  const hours = isPlainObject(prefs.workingHours) ? prefs.workingHours : {}
+  return {
+    workingHours: Object.fromEntries(WEEKDAYS.map(day => [day, day in hours ? hours[day] : DEFAULT_PREFERENCES.workingHours[day]])),
+    lunch: 'lunch' in prefs ? prefs.lunch : DEFAULT_PREFERENCES.lunch,
+    bufferMinutes: prefs.bufferMinutes ?? DEFAULT_PREFERENCES.bufferMinutes,
+    meetingLengths: Array.isArray(prefs.meetingLengths) && prefs.meetingLengths.length > 0 ? prefs.meetingLengths : DEFAULT_PREFERENCES.meetingLengths,
+    noMeetingDays: Array.isArray(prefs.noMeetingDays) ? prefs.noMeetingDays : DEFAULT_PREFERENCES.noMeetingDays,
+    focus: { ...DEFAULT_PREFERENCES.focus, ...(isPlainObject(prefs.focus) ? prefs.focus : {}) }
+  }
+}
+
+function checkRange(value, field) {
+  if (value === null) return null
+  if (!isPlainObject(value) || !HHMM.test(value.start) || !HHMM.test(value.end)) {
+    throw preferencesError(`${field} must be {start, end} in HH:MM, or null`)
+  }
+  if (value.end <= value.start) throw preferencesError(`${field} must end after it starts`)
+  return { start: value.start, end: value.end }
+}
+
+function checkInteger(value, field, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw preferencesError(`${field} must be a whole number from ${min} to ${max}`)
+  }
+  return value
+}
+
+/**
+ * Validate preferences sent by the client; missing keys get defaults
+ * @param {Object} input
+ * @returns {Object} Full preferences
+ * @throws {Error} code 'invalid_preferences'
+ */
+function normalizePreferences(input) {
+  if (!isPlainObject(input)) throw preferencesError('workPreferences must be an object')
+  if (input.workingHours !== undefined && !isPlainObject(input.workingHours)) {
+    throw preferencesError('workingHours must map weekdays (mon, tue, ...) to hours')
+  }
+  const unknownDay = Object.keys(input.workingHours || {}).find(day => !WEEKDAYS.includes(day))
+  if (unknownDay) throw preferencesError(`Unknown weekday in workingHours: ${unknownDay}`)
+
+  const prefs = withDefaults(input)
+  const workingHours = Object.fromEntries(WEEKDAYS.map(day => [day, checkRange(prefs.workingHours[day], `workingHours.${day}`)]))
+  if (WEEKDAYS.every(day => !workingHours[day])) throw preferencesError('Set working hours for at least one day')
+
+  if (!Array.isArray(prefs.meetingLengths) || prefs.meetingLengths.length > 6) {
+    throw preferencesError('meetingLengths must be a list of up to 6 lengths in minutes')
+  }
+  if (!Array.isArray(prefs.noMeetingDays) || prefs.noMeetingDays.some(day => !WEEKDAYS.includes(day))) {
+    throw preferencesError('noMeetingDays must be a list of weekdays (mon, tue, ...)')
+  }
+
+  return {
+    workingHours,
+    lunch: checkRange(prefs.lunch, 'lunch'),
+    bufferMinutes: checkInteger(prefs.bufferMinutes, 'bufferMinutes', 0, 120),
+    meetingLengths: [...new Set(prefs.meetingLengths.map(length => checkInteger(length, 'meetingLengths', 5, 480)))],
+    noMeetingDays: [...new Set(prefs.noMeetingDays)],
+    focus: {
+      hoursPerWeek: checkInteger(prefs.focus.hoursPerWeek, 'focus.hoursPerWeek', 0, 60),
+      blockMinutes: checkInteger(prefs.focus.blockMinutes, 'focus.blockMinutes', 30, 480)
+    }
+  }
+}
+
+async function getWorkPreferences(userId) {
+  const result = await db.query('SELECT work_preferences FROM users WHERE id = $1', [userId])
+  return withDefaults(result.rows[0] && result.rows[0].work_preferences)
+}
+
+/**
+ * Preferences for a user object, read from it when the user context loaded them
+ * @param {Object} user - {id, work_preferences?}
+ * @returns {Promise<Object>} Full preferences
+ */
+async function forUser(user) {
+  if (user && user.work_preferences !== undefined) return withDefaults(user.work_preferences)
+  return getWorkPreferences(user.id)
+}
+
+/**
+ * Validate and store preferences
+ * @returns {Promise<Object>} The stored preferences
+ * @throws {Error} code 'invalid_preferences'
+ */
+async function saveWorkPreferences(userId, input) {
+  const prefs = normalizePreferences(input)
+  await db.query('UPDATE users SET work_preferences = $2, updated_at = NOW() WHERE id = $1', [userId, JSON.stringify(prefs)])
+  return prefs
+}
+
+// Hours keyed by JS weekday (0 = Sunday), as the date parser and slot finder take them
+function hoursByWeekday(prefs) {
+  return Object.fromEntries(WEEKDAYS.map((day, index) => [index, prefs.workingHours[day] || null]))
+}
+
+// Options for slotFinderService.rankSlots
+function slotOptions(prefs) {
+  return {
+    workingHours: hoursByWeekday(prefs),
+    lunch: prefs.lunch,
+    bufferMinutes: prefs.bufferMinutes,
+    durationMinutes: prefs.meetingLengths[0],
+    noMeetingDays: prefs.noMeetingDays.map(day => WEEKDAYS.indexOf(day)),
+    focusBlockMinutes: prefs.focus.hoursPerWeek > 0 ? prefs.focus.blockMinutes : 0
+  }
+}
+
+// Options for parseNaturalDateTime / parseDateTimeInput
+function parserOptions(prefs) {
+  return { workingHours: hoursByWeekday(prefs), lunch: prefs.lunch || undefined }
+}
+
+// Weekday key and HH:MM of an instant in a timezone
+function localClock(date, timezone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: resolveTimezone(timezone), weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]))
+  return { day: parts.weekday.toLowerCase(), clock: `${parts.hour}:${parts.minute}` }
+}
+
+// Whether the user works at all on the day an instant falls on, in their timezone
+function isWorkingDay(prefs, date, timezone) {
+  return Boolean(prefs.workingHours[localClock(date, timezone).day])
+}
+
+// Whether an instant falls inside the user's working hours, in their timezone
+function isWorkingTime(prefs, date, timezone) {
+  const { day, clock } = localClock(date, timezone)
+  const hours = prefs.workingHours[day]
+  return Boolean(hours) && clock >= hours.start && clock < hours.end
+}
+
+// One paragraph for LLM prompts
+function describe(prefs) {
+  const days = WEEKDAYS.slice(1).concat(WEEKDAYS[0])
+    .filter(day => prefs.workingHours[day])
+    .map(day => `${day[0].toUpperCase()}${day.slice(1)} ${prefs.workingHours[day].start}-${prefs.workingHours[day].end}`)
+  const lines = [`Working hours: ${days.join(', ')}.`]
+  if (prefs.lunch) lines.push(`Lunch: ${prefs.lunch.start}-${prefs.lunch.end}, avoid meetings then.`)
+  lines.push(`Keep at least ${prefs.bufferMinutes} minutes between meetings; preferred meeting lengths: ${prefs.meetingLengths.join(', ')} minutes.`)
+  if (prefs.noMeetingDays.length > 0) lines.push(`No meetings on: ${prefs.noMeetingDays.join(', ')}.`)
+  if (prefs.focus.hoursPerWeek > 0) {
+    lines.push(`Protect ${prefs.focus.hoursPerWeek} hours of focus time a week in blocks of at least ${prefs.focus.blockMinutes} minutes.`)
+  }
+  return lines.join(' ')
+}
+
+module.exports = {
+  DEFAULT_PREFERENCES,
+  withDefaults,
+  normalizePreferences,
+  getWorkPreferences,
+  forUser,
+  saveWorkPreferences,
+  slotOptions,
+  parserOptions,
+  isWorkingDay,
+  isWorkingTime,
+  describe
+}
@@ -0,0 +1,139 @@
+/**
+ * Email Header Utilities
+ * Parsing helpers for RFC 5322 headers as returned by the Gmail API
+ */
+
+/**
+ * Find a header value by name (case-insensitive)
+ * @param {Object[]} headers - Array of {name, value} header objects
+ * @param {string} name - Header name (e.g., 'Message-ID')
+ * @returns {string|null} Header value or null when absent
+ */
+function getHeader(headers, name) {
+  if (!Array.isArray(headers)) return null
+  const lower = name.toLowerCase()
+  const header = headers.find(h => h.name && h.name.toLowerCase() === lower)
+  return header ? header.value : null
+}
+
+/**
+ * Split a header on commas that are not inside quotes, comments or angle brackets
+ * @param {string} value - Raw header value
+ * @returns {string[]} Individual address strings
+ */
+function splitAddresses(value) {
+  const parts = []
+  let current = ''
+  let inQuotes = false
+  let angleDepth = 0
+  let commentDepth = 0
+
+  for (let i = 0; i < value.length; i++) {
+    const ch = value[i]
+    if (ch === '\\' && inQuotes) {
+      current += ch + (value[i + 1] || '')
+      i++
+      continue
+    }
+    if (ch === '"' && commentDepth === 0) inQuotes = !inQuotes
+    else if (!inQuotes) {
+      if (ch === '<') angleDepth++
+      else if (ch === '>') angleDepth = Math.max(0, angleDepth - 1)
+      else if (ch === '(') commentDepth++
+      else if (ch === ')') commentDepth = Math.max(0, commentDepth - 1)
+      else if ((ch === ',' || ch === ';') && angleDepth === 0 && commentDepth === 0) {
+        parts.push(current)
+        current = ''
+        continue
+      }
+    }
+    current += ch
+  }
+  parts.push(current)
+
+  return parts.map(p => p.trim()).filter(Boolean)
+}
+
+/**
+ * Parse a single address like `"Doe, Jane" <jane@example.com>`
+ * @param {string} value - Address string
+ * @returns {Object|null} {name, email} with a lower-cased email, or null if no address found
+ */
+function parseAddress(value) {
+  if (!value) return null
+
+  // Drop group labels such as "undisclosed-recipients:"
+  let text = value.replace(/^[^"<]*:\s*/, match => (match.includes('@') ? match : ''))
+
+  const angle = text.match(/<([^>]*)>/)
+  let email = angle ? angle[1] : text.replace(/\(.*?\)/g, '')
+  email = email.trim().replace(/^mailto:/i, '').toLowerCase()
+  if (!email || !email.includes('@')) return null
+
+  let name = angle ? text.slice(0, angle.index) : (text.match(/\((.*?)\)/) || [])[1] || ''
+  name = name.trim().replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1').trim()
+
+  return { name: name || null, email }
+}
+
+/**
+ * Parse an address-list header (To, Cc, Bcc, Reply-To, From)
+ * @param {string} value - Raw header value
+ * @returns {Object[]} Array of {name, email}
+ */
+function parseAddressList(value) {
+  if (!value) return []
+  return splitAddresses(value).map(parseAddress).filter(Boolean)
+}
+
+/**
+ * Parse a msg-id list header (Message-ID, In-Reply-To, References)
+ * @param {string} value - Raw header value
+ * @returns {string[]} Message ids including their angle brackets
+ */
+function parseMessageIds(value) {
+  if (!value) return []
+  const ids = value.match(/<[^<>\s]+>/g)
+  if (ids) return ids
+  // Some senders omit the brackets; treat whitespace-separated tokens as ids
+  return value.split(/\s+/).filter(Boolean).map(id => `<${id.replace(/^<|>$/g, '')}>`)
+}
+
+/**
+ * Parse List-Unsubscribe (RFC 2369) and List-Unsubscribe-Post (RFC 8058)
+ * @param {string} value - List-Unsubscribe header value
+ * @param {string} postValue - List-Unsubscribe-Post header value (optional)
+ * @returns {Object|null} {mailto: string[], http: string[], one_click: boolean} or null
+ */
+function parseListUnsubscribe(value, postValue = null) {
+  if (!value) return null
+  const targets = (value.match(/<([^>]+)>/g) || []).map(t => t.slice(1, -1).trim())
+  return {
+    mailto: targets.filter(t => /^mailto:/i.test(t)),
+    http: targets.filter(t => /^https?:/i.test(t)),
+    one_click: !!(postValue && /List-Unsubscribe=One-Click/i.test(postValue))
+  }
+}
+
+/**
+ * Format an address object for a header, quoting the display name when needed
+ * @param {Object|string} address - {name, email} or a bare email
+ * @returns {string} Header-ready address
+ */
+function formatAddress(address) {
+  if (!address) return ''
+  if (typeof address === 'string') return address
+  if (!address.name) return address.email
+  const needsQuotes = /[()<>\[\]:;@\\,."]/.test(address.name)
+  const name = needsQuotes ? `"${address.name.replace(/(["\\])/g, '\\$1')}"` : address.name
+  return `${name} <${address.email}>`
+}
+
+module.exports = {
+  getHeader,
+  parseAddress,
+  parseAddressList,
+  parseMessageIds,
+  parseListUnsubscribe,
+  formatAddress
+}
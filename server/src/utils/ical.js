@@ -0,0 +1,300 @@
+const { createDateInUserTimezone, resolveTimezone } = require('./timezone')
+
+/**
+ * iCalendar Utilities
+ * Parsing for the text/calendar parts of meeting invitations (RFC 5545 content, RFC 5546 methods:
+ * REQUEST for invitations and updates, CANCEL, REPLY for a guest's answer, COUNTER).
+ * Only what the app uses is read: VEVENTs with their times, organizer, attendees and RRULE.
+ */
+
+// Outlook writes Windows zone names in TZID
+const WINDOWS_TIMEZONES = {
+  'Eastern Standard Time': 'America/New_York',
+  'Central Standard Time': 'America/Chicago',
+  'Mountain Standard Time': 'America/Denver',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Alaskan Standard Time': 'America/Anchorage',
+  'Hawaiian Standard Time': 'Pacific/Honolulu',
+  'Atlantic Standard Time': 'America/Halifax',
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'E. Europe Standard Time': 'Europe/Chisinau',
+  'FLE Standard Time': 'Europe/Kiev',
+  'Russian Standard Time': 'Europe/Moscow',
+  'India Standard Time': 'Asia/Kolkata',
+  'China Standard Time': 'Asia/Shanghai',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'New Zealand Standard Time': 'Pacific/Auckland',
+  'UTC': 'UTC'
+}
+
+// iCalendar PARTSTAT -> Google Calendar responseStatus
+const PARTSTATS = {
+  'NEEDS-ACTION': 'needsAction',
+  ACCEPTED: 'accepted',
+  DECLINED: 'declined',
+  TENTATIVE: 'tentative',
+  DELEGATED: 'needsAction'
+}
+
+const WEEKDAY_NAMES = { MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat', SU: 'Sun' }
+
+// Video links people paste into locations and descriptions instead of using conferencing
+const MEETING_URL = /https:\/\/(?:[\w-]+\.)*(?:zoom\.us|meet\.google\.com|teams\.microsoft\.com|teams\.live\.com|webex\.com|whereby\.com)\/[^\s"'<>)\\]+/i
+
+/**
+ * First video-meeting link in some text
+ * @param {string} text
+ * @returns {string|null}
+ */
+function findMeetingUrl(text) {
+  const match = String(text || '').match(MEETING_URL)
+  return match ? match[0] : null
+}
+
+// Continuation lines start with a space or tab
+function unfold(text) {
+  return String(text).replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n').filter(line => line.trim())
+}
+
+// Split on a separator that is not inside double quotes
+function splitUnquoted(value, separator) {
+  const parts = []
+  let current = ''
+  let inQuotes = false
+  for (const ch of value) {
+    if (ch === '"') inQuotes = !inQuotes
+    if (ch === separator && !inQuotes) {
+      parts.push(current)
+      current = ''
+    } else {
+      current += ch
+    }
+  }
+  parts.push(current)
+  return parts
+}
+
+/**
+ * One content line: `ATTENDEE;CN="Doe, Jane";PARTSTAT=ACCEPTED:mailto:jane@example.com`
+ * @returns {{name: string, params: Object, value: string}|null}
+ */
+function parseLine(line) {
+  let inQuotes = false
+  let colon = -1
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes
+    else if (line[i] === ':' && !inQuotes) { colon = i; break }
+  }
+  if (colon < 0) return null
+  const [name, ...rawParams] = splitUnquoted(line.slice(0, colon), ';')
+  const params = {}
+  for (const param of rawParams) {
+    const eq = param.indexOf('=')
+    if (eq > 0) params[param.slice(0, eq).toUpperCase()] = param.slice(eq + 1).replace(/^"|"$/g, '')
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) }
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, ch) => (ch === 'n' || ch === 'N' ? '\n' : ch))
+}
+
+function ianaTimezone(tzid) {
+  if (!tzid) return null
+  const name = tzid.replace(/^\//, '').trim()
+  if (WINDOWS_TIMEZONES[name]) return WINDOWS_TIMEZONES[name]
+  return resolveTimezone(name) === name ? name : null
+}
+
+/**
+ * DTSTART/DTEND value as an instant
+ * Dates without a time are all-day; local times use TZID, floating times the fallback timezone.
+ * @returns {{date: Date, allDay: boolean}|null}
+ */
+function parseTime(value, params, fallbackTimezone) {
+  const match = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/)
+  if (!match) return null
+  const [, y, m, d, h, min, s, utc] = match
+  const day = `${y}-${m}-${d}`
+  if (!h || params.VALUE === 'DATE') {
+    return { date: createDateInUserTimezone(resolveTimezone(fallbackTimezone), day, '00:00:00'), allDay: true }
+  }
+  if (utc) return { date: new Date(`${day}T${h}:${min}:${s}Z`), allDay: false }
+  const timezone = ianaTimezone(params.TZID) || resolveTimezone(fallbackTimezone)
+  return { date: createDateInUserTimezone(timezone, day, `${h}:${min}:${s}`), allDay: false }
+}
+
+// P1DT2H30M / PT45M / P1W -> milliseconds
+function parseDuration(value) {
+  const match = String(value).match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/)
+  if (!match) return null
+  const [, sign, w, d, h, m, s] = match.map(v => v || 0)
+  const ms = ((((+w * 7 + +d) * 24 + +h) * 60 + +m) * 60 + +s) * 1000
+  return sign === '-' ? -ms : ms
+}
+
+function parseAddress(value, params) {
+  const email = String(value).replace(/^mailto:/i, '').trim().toLowerCase()
+  return { email: email || null, name: params.CN || null }
+}
+
+/**
+ * RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20261231T000000Z
+ * @returns {{freq, interval, count, until, byDay: string[], raw}}
+ */
+function parseRrule(value) {
+  const parts = Object.fromEntries(value.split(';').map(p => p.split('=')).map(([k, v]) => [k.toUpperCase(), v]))
+  const until = parts.UNTIL ? parseTime(parts.UNTIL, {}, 'UTC') : null
+  return {
+    freq: parts.FREQ || null,
+    interval: parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1,
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until: until ? until.date.toISOString() : null,
+    byDay: parts.BYDAY ? parts.BYDAY.split(',') : [],
+    raw: value
+  }
+}
+
+/**
+ * "every 2 weeks on Mon, Wed until Dec 31, 2026"
+ * @param {Object} rule - parseRrule() result
+ * @returns {string}
+ */
+function describeRrule(rule) {
+  if (!rule || !rule.freq) return ''
+  const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }
+  const unit = units[rule.freq] || rule.freq.toLowerCase()
+  let text = rule.interval > 1 ? `every ${rule.interval} ${unit}s` : `every ${unit}`
+  const days = rule.byDay.map(d => WEEKDAY_NAMES[d.slice(-2)]).filter(Boolean)
+  if (days.length > 0) text += ` on ${days.join(', ')}`
+  if (rule.count) text += `, ${rule.count} times`
+  if (rule.until) text += ` until ${new Date(rule.until).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })}`
+  return text
+}
+
+/**
+ * Parse an iCalendar object
+ * @param {string} text - text/calendar content
+ * @param {Object} options - {timezone} for floating times and all-day dates (default UTC)
+ * @returns {{method: string|null, events: Object[]}}
+ */
+function parseCalendar(text, { timezone = 'UTC' } = {}) {
+  const calendar = { method: null, events: [] }
+  const stack = []
+  let event = null
+
+  for (const line of unfold(text)) {
+    const prop = parseLine(line)
+    if (!prop) continue
+    if (prop.name === 'BEGIN') {
+      stack.push(prop.value.toUpperCase())
+      if (prop.value.toUpperCase() === 'VEVENT') event = { attendees: [], raw: {} }
+      continue
+    }
+    if (prop.name === 'END') {
+      if (stack.pop() === 'VEVENT' && event) {
+        calendar.events.push(finishEvent(event, timezone))
+        event = null
+      }
+      continue
+    }
+    const current = stack[stack.length - 1]
+    if (current === 'VCALENDAR' && prop.name === 'METHOD') calendar.method = prop.value.trim().toUpperCase()
+    // VALARMs nest inside VEVENTs; only the event's own properties count
+    if (current !== 'VEVENT' || !event) continue
+
+    switch (prop.name) {
+      case 'ATTENDEE': {
+        const attendee = parseAddress(prop.value, prop.params)
+        event.attendees.push({
+          ...attendee,
+          role: prop.params.ROLE || 'REQ-PARTICIPANT',
+          response_status: PARTSTATS[(prop.params.PARTSTAT || 'NEEDS-ACTION').toUpperCase()] || 'needsAction',
+          rsvp: String(prop.params.RSVP).toUpperCase() === 'TRUE'
+        })
+        break
+      }
+      case 'ORGANIZER':
+        event.organizer = parseAddress(prop.value, prop.params)
+        break
+      case 'DTSTART':
+      case 'DTEND':
+      case 'RECURRENCE-ID':
+        event.raw[prop.name] = { value: prop.value.trim(), params: prop.params }
+        break
+      default:
+        event.raw[prop.name] = event.raw[prop.name] || { value: prop.value, params: prop.params }
+    }
+  }
+  return calendar
+}
+
+function finishEvent(event, timezone) {
+  const text = name => (event.raw[name] ? unescapeText(event.raw[name].value).trim() : null)
+  const time = name => (event.raw[name] ? parseTime(event.raw[name].value, event.raw[name].params, timezone) : null)
+  const start = time('DTSTART')
+  let end = time('DTEND')
+  if (!end && start) {
+    // DURATION, or one day for all-day events and zero length otherwise (RFC 5545 3.6.1)
+    const duration = event.raw.DURATION ? parseDuration(event.raw.DURATION.value) : null
+    const ms = duration != null ? duration : (start.allDay ? 24 * 3600 * 1000 : 0)
+    end = { date: new Date(start.date.getTime() + ms), allDay: start.allDay }
+  }
+  const recurrenceId = time('RECURRENCE-ID')
+  const rrule = event.raw.RRULE ? parseRrule(event.raw.RRULE.value.trim()) : null
+  const location = text('LOCATION')
+  const description = text('DESCRIPTION')
+  const conferenceUrl = text('X-GOOGLE-CONFERENCE') || text('X-MICROSOFT-SKYPETEAMSMEETINGURL')
+
+  return {
+    uid: text('UID'),
+    sequence: event.raw.SEQUENCE ? parseInt(event.raw.SEQUENCE.value, 10) || 0 : 0,
+    recurrence_id: recurrenceId ? recurrenceId.date.toISOString() : null,
+    title: text('SUMMARY'),
+    description,
+    location,
+    start: start ? start.date.toISOString() : null,
+    end: end ? end.date.toISOString() : null,
+    all_day: !!(start && start.allDay),
+    status: event.raw.STATUS ? event.raw.STATUS.value.trim().toUpperCase() : null,
+    organizer: event.organizer || null,
+    attendees: event.attendees,
+    rrule,
+    recurrence: describeRrule(rrule) || null,
+    meeting_url: conferenceUrl || findMeetingUrl(`${location || ''}\n${description || ''}`)
+  }
+}
+
+/**
+ * The invitation in a text/calendar part, in the shape stored on messages.metadata.invite
+ * The series (no RECURRENCE-ID) wins over single-occurrence overrides sent with it.
+ * @param {string} text - text/calendar content
+ * @param {Object} options - {timezone} see parseCalendar
+ * @returns {Object|null} {method, uid, sequence, title, start, end, organizer, attendees, rrule, ...}
+ */
+function parseInvite(text, options = {}) {
+  const calendar = parseCalendar(text, options)
+  const event = calendar.events.find(e => !e.recurrence_id) || calendar.events[0]
+  if (!event || !event.uid) return null
+  return {
+    method: calendar.method || 'PUBLISH',
+    ...event,
+    description: event.description ? event.description.slice(0, 2000) : null
+  }
+}
+
+module.exports = {
+  findMeetingUrl,
+  parseCalendar,
+  parseInvite,
+  parseRrule,
+  describeRrule
+}
@@ -4,7 +4,43 @@
  */
 
 const db = require('../db')
-const { google } = require('googleapis')
+const { encryptSecret, decryptSecret, currentKeyVersion } = require('./secrets')
+
+// Where users reconnect an integration whose grant was revoked
+const REAUTH_URL = '/api/auth/reauth'
+
+// Capability → integration platforms that provide it, in order of preference.
+// One Google sign-in covers mail, calendar and tasks; its row is stored as platform 'gmail'.
+const CAPABILITY_PLATFORMS = {
+  mail: ['gmail'],
+  calendar: ['gmail'],
+  tasks: ['gmail']
+}
+
+function platformsFor(capability) {
+  const platforms = CAPABILITY_PLATFORMS[capability]
+  if (!platforms) throw new Error(`Unknown integration capability: ${capability}`)
+  return platforms
+}
+
+/**
+ * Encrypt OAuth tokens for integrations.oauth_token_encrypted
+ * @param {Object} tokens - OAuth tokens object
+ * @returns {Buffer} Encrypted blob
+ */
+function encryptTokens(tokens) {
+  return encryptSecret(JSON.stringify(tokens))
+}
+
+/**
+ * Decrypt and parse integrations.oauth_token_encrypted (plaintext rows from before encryption also work)
+ * @param {Buffer|null} blob - Column value
+ * @returns {Object|null} OAuth tokens object
+ */
+function decryptTokens(blob) {
+  const json = decryptSecret(blob)
+  return json ? JSON.parse(json) : null
+}
 
 /**
  * Get user's integration by platform with token parsing
@@ -44,9 +80,9 @@ async function getUserIntegration(userId, platform, requireEnabled = true) {
     // Parse OAuth tokens if available
     if (integration.oauth_token_encrypted) {
       try {
-        integration.tokens = JSON.parse(integration.oauth_token_encrypted.toString())
+        integration.tokens = decryptTokens(integration.oauth_token_encrypted)
       } catch (parseError) {
-        console.error(`❌ Failed to parse OAuth tokens for ${platform} integration:`, parseError)
+        console.error(`❌ Failed to decrypt OAuth tokens for ${platform} integration:`, parseError.message)
         integration.tokens = null
       }
     }
@@ -115,9 +151,9 @@ async function getUserIntegrations(userId, platforms = null, requireEnabled = tr
       // Parse OAuth tokens if available
       if (integration.oauth_token_encrypted) {
         try {
-          integration.tokens = JSON.parse(integration.oauth_token_encrypted.toString())
+          integration.tokens = decryptTokens(integration.oauth_token_encrypted)
         } catch (parseError) {
-          console.error(`❌ Failed to parse OAuth tokens for ${integration.platform}:`, parseError)
+          console.error(`❌ Failed to decrypt OAuth tokens for ${integration.platform}:`, parseError.message)
           integration.tokens = null
         }
       }
@@ -145,47 +181,6 @@ async function getUserIntegrations(userId, platforms = null, requireEnabled = tr
   }
 }
 
-/**
- * Create Google OAuth2 client from tokens
- * @param {Object} tokens - OAuth token object
- * @returns {google.auth.OAuth2} Configured OAuth2 client
- */
-function createGoogleOAuthClient(tokens) {
-  try {
-    const oauth2Client = new google.auth.OAuth2(
-      process.env.GOOGLE_CLIENT_ID,
-      process.env.GOOGLE_CLIENT_SECRET
-    )
-    
-    oauth2Client.setCredentials(tokens)
-    return oauth2Client
-  } catch (error) {
-    console.error('🚨 Failed to create Google OAuth client:', error)
-    throw new Error('Failed to create Google OAuth client: ' + error.message)
-  }
-}
-
-/**
- * Get Google OAuth client for user
- * @param {string} userId - User ID
- * @returns {google.auth.OAuth2|null} OAuth2 client or null if not available
- */
-async function getUserGoogleOAuthClient(userId) {
-  try {
-    const integration = await getUserIntegration(userId, 'gmail')
-    
-    if (!integration || !integration.tokens) {
-      console.warn(`🔐 No Google OAuth tokens available for user ${userId}`)
-      return null
-    }
-    
-    return createGoogleOAuthClient(integration.tokens)
-  } catch (error) {
-    console.error(`🚨 Error getting Google OAuth client for user ${userId}:`, error)
-    throw error
-  }
-}
-
 /**
  * Validate that user has required integration
  * @param {string} userId - User ID
@@ -218,6 +213,12 @@ async function validateUserIntegration(userId, platform, requireTokens = true) {
       return validation
     }
     
+    if (requireTokens && integration.configData && integration.configData.needs_reauth) {
+      validation.errorCode = 'REAUTH_REQUIRED'
+      validation.errorMessage = `${platform} access was revoked or has expired. Please reconnect your account (${REAUTH_URL}).`
+      return validation
+    }
+    
     if (requireTokens && integration.tokens) {
       // Basic token validation (check for required fields)
       if (platform === 'gmail') {
@@ -251,6 +252,36 @@ async function validateUserIntegration(userId, platform, requireTokens = true) {
   }
 }
 
+/**
+ * Resolve the integration that provides a capability for a user
+ * Services should use this (or the Google client factory built on it) instead of naming platforms
+ * @param {string} userId - User ID
+ * @param {string} capability - 'mail', 'calendar' or 'tasks'
+ * @param {boolean} requireTokens - Whether to require valid tokens (default: true)
+ * @returns {Object} Validation result (see validateUserIntegration) with the platform that was used
+ */
+async function resolveIntegration(userId, capability, requireTokens = true) {
+  let validation = null
+  for (const platform of platformsFor(capability)) {
+    validation = { ...(await validateUserIntegration(userId, platform, requireTokens)), platform }
+    if (validation.hasIntegration) break
+  }
+  return validation
+}
+
+/**
+ * All enabled integrations providing a capability (background jobs)
+ * @param {string} capability - 'mail', 'calendar' or 'tasks'
+ * @returns {Object[]} Integration rows with decrypted tokens
+ */
+async function listIntegrationsForCapability(capability) {
+  const rows = []
+  for (const platform of platformsFor(capability)) {
+    rows.push(...(await listIntegrationsForPlatform(platform, true)))
+  }
+  return rows
+}
+
 /**
  * Get user-friendly error messages for integration issues
  * @param {string} platform - Platform name
@@ -267,6 +298,9 @@ function getIntegrationErrorMessage(platform, errorCode) {
     case 'TOKENS_NOT_AVAILABLE':
       return `🔐 **${platformDisplay} Not Connected**: Your ${platformDisplay} account connection is missing. Please connect in Settings → Integrations.`
     
+    case 'REAUTH_REQUIRED':
+      return `🔐 **Reconnect ${platformDisplay}**: Access to your ${platformDisplay} account was revoked or has expired. Please reconnect in Settings → Integrations.`
+    
     case 'INVALID_TOKENS':
       return `🔄 **Reconnect Required**: Your ${platformDisplay} account connection expired. Please reconnect in Settings → Integrations.`
     
@@ -282,7 +316,7 @@ function getIntegrationErrorMessage(platform, errorCode) {
  * List all integrations for a platform (admin/system use)
  * @param {string} platform - Platform name
  * @param {boolean} requireEnabled - Only return enabled integrations (default: true)
- * @returns {Object[]} Array of all integrations for the platform
+ * @returns {Object[]} Array of all integrations for the platform, with decrypted tokens
  */
 async function listIntegrationsForPlatform(platform, requireEnabled = true) {
   try {
@@ -294,7 +328,15 @@ async function listIntegrationsForPlatform(platform, requireEnabled = true) {
     `
     
     const result = await db.query(query, [platform])
-    return result.rows
+    return result.rows.map(integration => {
+      try {
+        integration.tokens = decryptTokens(integration.oauth_token_encrypted)
+      } catch (error) {
+        console.error(`❌ Failed to decrypt OAuth tokens for integration ${integration.id}:`, error.message)
+        integration.tokens = null
+      }
+      return integration
+    })
   } catch (error) {
     console.error(`🚨 Error listing ${platform} integrations:`, error)
     throw error
@@ -312,7 +354,7 @@ async function listIntegrationsForPlatform(platform, requireEnabled = true) {
  */
 async function upsertIntegration(userId, platform, externalAccountId, tokens, config = {}) {
   try {
-    const tokenBlob = Buffer.from(JSON.stringify(tokens))
+    const tokenBlob = encryptTokens(tokens)
     const configJson = JSON.stringify(config)
     
     const query = `
@@ -321,20 +363,22 @@ async function upsertIntegration(userId, platform, externalAccountId, tokens, co
         platform, 
         external_account_id, 
         oauth_token_encrypted, 
+        oauth_token_key_version, 
         config, 
         enabled, 
         created_at, 
         updated_at
       )
-      VALUES ($1, $2, $3, $4, $5, true, now(), now()) 
+      VALUES ($1, $2, $3, $4, $6, $5, true, now(), now()) 
       ON CONFLICT (user_id, external_account_id, platform) 
       DO UPDATE SET 
         oauth_token_encrypted = EXCLUDED.oauth_token_encrypted,
+        oauth_token_key_version = EXCLUDED.oauth_token_key_version,
         config = EXCLUDED.config,
         updated_at = now()
     `
     
-    await db.query(query, [userId, platform, externalAccountId, tokenBlob, configJson])
+    await db.query(query, [userId, platform, externalAccountId, tokenBlob, configJson, currentKeyVersion()])
     console.log(`✅ Upserted ${platform} integration for user ${userId}`)
   } catch (error) {
     console.error(`🚨 Error upserting ${platform} integration for user ${userId}:`, error)
@@ -342,20 +386,91 @@ async function upsertIntegration(userId, platform, externalAccountId, tokens, co
   }
 }
 
+/**
+ * Save tokens after a refresh, keeping the stored refresh token when Google doesn't send a new one
+ * @param {string} integrationId - Integration ID
+ * @param {Object} tokens - Complete OAuth tokens object
+ * @returns {void}
+ */
+async function updateIntegrationTokens(integrationId, tokens) {
+  try {
+    await db.query(
+      `UPDATE integrations
+       SET oauth_token_encrypted = $2, oauth_token_key_version = $3, updated_at = now()
+       WHERE id = $1`,
+      [integrationId, encryptTokens(tokens), currentKeyVersion()]
+    )
+  } catch (error) {
+    console.error(`🚨 Error saving refreshed tokens for integration ${integrationId}:`, error)
+    throw error
+  }
+}
+
+/**
+ * Flag an integration whose grant was revoked; cleared when the user reconnects (upsertIntegration)
+ * @param {string} integrationId - Integration ID
+ * @param {string} reason - Why re-auth is needed (e.g. invalid_grant)
+ * @returns {boolean} True when the integration was not already flagged
+ */
+async function markIntegrationNeedsReauth(integrationId, reason) {
+  try {
+    const result = await db.query(
+      `UPDATE integrations
+       SET config = COALESCE(config, '{}'::jsonb) || $2::jsonb, updated_at = now()
+       WHERE id = $1 AND COALESCE((config->>'needs_reauth')::boolean, false) = false`,
+      [integrationId, JSON.stringify({ needs_reauth: true, reauth_reason: reason, needs_reauth_since: new Date().toISOString() })]
+    )
+    return result.rowCount > 0
+  } catch (error) {
+    console.error(`🚨 Error flagging integration ${integrationId} for re-auth:`, error)
+    throw error
+  }
+}
+
+/**
+ * Merge keys into an integration's config without touching its tokens
+ * @param {string} integrationId - Integration ID
+ * @param {Object} patch - Config keys to set (shallow merge)
+ * @returns {void}
+ */
+async function updateIntegrationConfig(integrationId, patch) {
+  try {
+    await db.query(
+      `UPDATE integrations
+       SET config = COALESCE(config, '{}'::jsonb) || $2::jsonb, updated_at = now()
+       WHERE id = $1`,
+      [integrationId, JSON.stringify(patch)]
+    )
+  } catch (error) {
+    console.error(`🚨 Error updating config for integration ${integrationId}:`, error)
+    throw error
+  }
+}
+
 module.exports = {
   // Core functions
   getUserIntegration,
   getUserIntegrations,
   validateUserIntegration,
   
-  // Google-specific functions
-  createGoogleOAuthClient,
-  getUserGoogleOAuthClient,
+  // Capability lookup
+  CAPABILITY_PLATFORMS,
+  resolveIntegration,
+  listIntegrationsForCapability,
   
   // Error handling
   getIntegrationErrorMessage,
   
+  // Token storage
+  encryptTokens,
+  decryptTokens,
+  
   // Admin/System functions
   listIntegrationsForPlatform,
-  upsertIntegration
+  upsertIntegration,
+  updateIntegrationTokens,
+  markIntegrationNeedsReauth,
+  updateIntegrationConfig,
+  
+  REAUTH_URL
 }
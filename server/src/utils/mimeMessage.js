@@ -0,0 +1,192 @@
+/**
+ * MIME Message Builder
+ * Builds RFC 5322 / MIME messages for every outbound send (replies, forwards, scheduled mail)
+ */
+
+const crypto = require('crypto')
+const { convert } = require('html-to-text')
+const { parseAddressList } = require('./emailHeaders')
+
+const CRLF = '\r\n'
+
+/**
+ * Encode a header value as RFC 2047 encoded-words when it contains non-ASCII text
+ * @param {string} value - Header text (e.g., a subject or display name)
+ * @returns {string} ASCII-safe header text
+ */
+function encodeHeaderValue(value) {
+  if (!value) return ''
+  if (!/[^\x20-\x7e]/.test(value)) return value
+
+  // Keep each encoded-word under 75 chars without splitting a multi-byte character
+  const words = []
+  let chunk = ''
+  for (const char of value) {
+    if (Buffer.byteLength(chunk + char, 'utf8') > 45) {
+      words.push(chunk)
+      chunk = ''
+    }
+    chunk += char
+  }
+  if (chunk) words.push(chunk)
+
+  return words
+    .map(word => `=?UTF-8?B?${Buffer.from(word, 'utf8').toString('base64')}?=`)
+    .join(`${CRLF} `)
+}
+
+/**
+ * Normalize recipients given as a string, {name, email} object or array of either
+ * @param {string|Object|Array} value - Recipients
+ * @returns {Object[]} Array of {name, email}
+ */
+function normalizeAddresses(value) {
+  if (!value) return []
+  const list = Array.isArray(value) ? value : [value]
+  const result = []
+  for (const item of list) {
+    if (!item) continue
+    if (typeof item === 'string') result.push(...parseAddressList(item))
+    else if (item.email) result.push({ name: item.name || null, email: item.email })
+  }
+  return result
+}
+
+// "Display Name" <email> with the name quoted or encoded as needed
+function formatHeaderAddress(address) {
+  if (!address.name) return address.email
+  if (/[^\x20-\x7e]/.test(address.name)) return `${encodeHeaderValue(address.name)} <${address.email}>`
+  const needsQuotes = /[()<>\[\]:;@\\,."]/.test(address.name)
+  const name = needsQuotes ? `"${address.name.replace(/(["\\])/g, '\\$1')}"` : address.name
+  return `${name} <${address.email}>`
+}
+
+function addressHeader(name, value) {
+  const addresses = normalizeAddresses(value)
+  if (addresses.length === 0) return null
+  return `${name}: ${addresses.map(formatHeaderAddress).join(`,${CRLF} `)}`
+}
+
+function wrapBase64(buffer) {
+  return buffer.toString('base64').replace(/.{1,76}/g, line => line + CRLF).trimEnd()
+}
+
+function makeBoundary(label) {
+  return `----=_${label}_${crypto.randomBytes(12).toString('hex')}`
+}
+
+function encodeFilename(filename) {
+  const name = filename || 'attachment'
+  if (/[^\x20-\x7e]/.test(name) || /["\\]/.test(name)) {
+    return `filename="${encodeHeaderValue(name).replace(/\r\n /g, ' ')}"; filename*=UTF-8''${encodeURIComponent(name)}`
+  }
+  return `filename="${name}"`
+}
+
+function textPart(content, mimeType) {
+  return [
+    `Content-Type: ${mimeType}; charset=UTF-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    wrapBase64(Buffer.from(content, 'utf8'))
+  ].join(CRLF)
+}
+
+function attachmentPart(attachment) {
+  const content = Buffer.isBuffer(attachment.content)
+    ? attachment.content
+    : Buffer.from(attachment.content || '', attachment.encoding || 'utf8')
+  const mimeType = attachment.mimeType || 'application/octet-stream'
+  const lines = [
+    `Content-Type: ${mimeType}; name="${encodeHeaderValue(attachment.filename || 'attachment').replace(/\r\n /g, ' ')}"`,
+    'Content-Transfer-Encoding: base64',
+    `Content-Disposition: ${attachment.contentId ? 'inline' : 'attachment'}; ${encodeFilename(attachment.filename)}`
+  ]
+  if (attachment.contentId) lines.push(`Content-ID: <${attachment.contentId.replace(/^<|>$/g, '')}>`)
+  return [...lines, '', wrapBase64(content)].join(CRLF)
+}
+
+function multipart(subtype, parts) {
+  const boundary = makeBoundary(subtype)
+  return [
+    `Content-Type: multipart/${subtype}; boundary="${boundary}"`,
+    '',
+    ...parts.map(part => `--${boundary}${CRLF}${part}`),
+    `--${boundary}--`
+  ].join(CRLF)
+}
+
+/**
+ * Build a complete RFC 5322 message
+ * @param {Object} options - Message options
+ * @param {string|Object|Array} options.from - Sender
+ * @param {string|Object|Array} options.to - Primary recipients
+ * @param {string|Object|Array} options.cc - Carbon-copy recipients (optional)
+ * @param {string|Object|Array} options.bcc - Blind-copy recipients (optional, Gmail strips the header on send)
+ * @param {string|Object|Array} options.replyTo - Reply-To addresses (optional)
+ * @param {string} options.subject - Subject, may contain non-ASCII characters
+ * @param {string} options.text - Plain text body (derived from html when omitted)
+ * @param {string} options.html - HTML body (optional; sent as multipart/alternative with text)
+ * @param {string} options.inReplyTo - Message-ID being replied to (optional)
+ * @param {string[]} options.references - Message-IDs of the conversation (optional)
+ * @param {Object[]} options.attachments - [{filename, mimeType, content: Buffer|string, contentId?}] (optional)
+ * @param {Object} options.headers - Extra headers (optional)
+ * @returns {string} Message with CRLF line endings
+ */
+function buildMimeMessage(options = {}) {
+  const {
+    from, to, cc, bcc, replyTo, subject = '', html = null,
+    inReplyTo = null, references = [], attachments = [], headers = {}
+  } = options
+  const text = options.text != null ? options.text : (html ? convert(html, { wordwrap: 78 }) : '')
+
+  const fromAddress = normalizeAddresses(from)[0]
+  const domain = fromAddress ? fromAddress.email.split('@')[1] : 'localhost'
+
+  const headerLines = [
+    addressHeader('From', from),
+    addressHeader('To', to),
+    addressHeader('Cc', cc),
+    addressHeader('Bcc', bcc),
+    addressHeader('Reply-To', replyTo),
+    `Subject: ${encodeHeaderValue(subject)}`,
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`
+  ]
+  if (inReplyTo) headerLines.push(`In-Reply-To: ${inReplyTo}`)
+  const refs = [...new Set((references || []).filter(Boolean))]
+  if (refs.length > 0) headerLines.push(`References: ${refs.join(`${CRLF} `)}`)
+  for (const [name, value] of Object.entries(headers)) {
+    if (value != null) headerLines.push(`${name}: ${value}`)
+  }
+  headerLines.push('MIME-Version: 1.0')
+
+  let body = html
+    ? multipart('alternative', [textPart(text, 'text/plain'), textPart(html, 'text/html')])
+    : textPart(text, 'text/plain')
+
+  if (attachments && attachments.length > 0) {
+    body = multipart('mixed', [body, ...attachments.map(attachmentPart)])
+  }
+
+  return [...headerLines.filter(Boolean), body].join(CRLF) + CRLF
+}
+
+/**
+ * Encode a message for the Gmail API `raw` field
+ * @param {string} message - RFC 5322 message
+ * @returns {string} base64url-encoded message
+ */
+function encodeRaw(message) {
+  return Buffer.from(message, 'utf8').toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
+
+module.exports = {
+  encodeHeaderValue,
+  normalizeAddresses,
+  buildMimeMessage,
+  encodeRaw
+}
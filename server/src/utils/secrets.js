@@ -0,0 +1,234 @@
+/**
+ * Secret Encryption
+ * Envelope encryption for secrets stored in BYTEA columns (integrations.oauth_token_encrypted,
+ * user_settings.llm_key_encrypted). Each value is encrypted with its own random data key
+ * (AES-256-GCM), and the data key is wrapped with a versioned master key. Rotating the master key
+ * only re-wraps data keys; see rotateSecret() and `npm run secrets:rotate`.
+ *
+ * Master keys (32 bytes, hex or base64) come from, in order:
+ * - SECRETS_KEY_FILE: JSON {"current": 2, "keys": {"1": "...", "2": "..."}}
+ * - SECRETS_ENCRYPTION_KEY (version SECRETS_ENCRYPTION_KEY_VERSION, default 1), plus retired
+ *   keys still needed for decryption in SECRETS_PREVIOUS_KEYS ("1:<key>,2:<key>")
+ * - a key derived from SESSION_SECRET (version 0), used when nothing else is configured and
+ *   always available for decrypting values written with it
+ */
+
+const crypto = require('crypto')
+const fs = require('fs')
+
+// v2 layout: PREFIX | key version (uint16) | wrapped data key (iv | tag | 32 bytes) | iv | tag | ciphertext
+// v1 (before envelopes): PREFIX_V1 | iv | tag | ciphertext, encrypted directly with the master key
+const PREFIX = Buffer.from('enc:v2:')
+const PREFIX_V1 = Buffer.from('enc:v1:')
+const IV_BYTES = 12
+const TAG_BYTES = 16
+const KEY_BYTES = 32
+const VERSION_BYTES = 2
+const WRAPPED_KEY_BYTES = IV_BYTES + TAG_BYTES + KEY_BYTES
+const DERIVED_KEY_VERSION = 0
+
+let cachedKeyRing = null
+
+function parseKey(value, name) {
+  const text = String(value).trim()
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64')
+  if (key.length !== KEY_BYTES) throw new Error(`${name} must be 32 bytes (hex or base64)`)
+  return key
+}
+
+function parseVersion(value, name) {
+  const version = Number(value)
+  if (!Number.isInteger(version) || version < 1 || version > 0xffff) throw new Error(`${name} must be a key version between 1 and 65535`)
+  return version
+}
+
+function keysFromFile(path) {
+  const config = JSON.parse(fs.readFileSync(path, 'utf8'))
+  const keys = new Map()
+  for (const [version, key] of Object.entries(config.keys || {})) {
+    keys.set(parseVersion(version, 'SECRETS_KEY_FILE key'), parseKey(key, `SECRETS_KEY_FILE key ${version}`))
+  }
+  const current = parseVersion(config.current, 'SECRETS_KEY_FILE current')
+  if (!keys.has(current)) throw new Error(`SECRETS_KEY_FILE has no key for current version ${current}`)
+  return { current, keys }
+}
+
+function keysFromEnv() {
+  const keys = new Map()
+  for (const entry of (process.env.SECRETS_PREVIOUS_KEYS || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [version, key] = entry.split(':')
+    if (!key) throw new Error('SECRETS_PREVIOUS_KEYS entries must look like <version>:<key>')
+    keys.set(parseVersion(version, 'SECRETS_PREVIOUS_KEYS version'), parseKey(key, `SECRETS_PREVIOUS_KEYS key ${version}`))
+  }
+  const configured = process.env.SECRETS_ENCRYPTION_KEY
+  if (!configured) return { current: null, keys }
+
+  const current = parseVersion(process.env.SECRETS_ENCRYPTION_KEY_VERSION || '1', 'SECRETS_ENCRYPTION_KEY_VERSION')
+  keys.set(current, parseKey(configured, 'SECRETS_ENCRYPTION_KEY'))
+  return { current, keys }
+}
+
+/**
+ * Master keys by version and the version new values are written with
+ * @returns {Object} {current, keys: Map<version, Buffer>}
+ */
+function getKeyRing() {
+  if (cachedKeyRing) return cachedKeyRing
+
+  const ring = process.env.SECRETS_KEY_FILE ? keysFromFile(process.env.SECRETS_KEY_FILE) : keysFromEnv()
+  if (process.env.SESSION_SECRET) {
+    ring.keys.set(DERIVED_KEY_VERSION, crypto.scryptSync(process.env.SESSION_SECRET, 'one-app-club:secrets', KEY_BYTES))
+  }
+  if (ring.current == null) {
+    if (!ring.keys.has(DERIVED_KEY_VERSION)) throw new Error('SECRETS_ENCRYPTION_KEY is not set')
+    console.warn('SECRETS_ENCRYPTION_KEY not set — deriving the secret encryption key from SESSION_SECRET')
+    ring.current = DERIVED_KEY_VERSION
+  }
+
+  cachedKeyRing = ring
+  return cachedKeyRing
+}
+
+// Forget loaded keys so the next call re-reads the environment / key file
+function resetKeyRing() {
+  cachedKeyRing = null
+}
+
+function currentKeyVersion() {
+  return getKeyRing().current
+}
+
+function masterKey(version) {
+  const key = getKeyRing().keys.get(version)
+  if (!key) throw new Error(`No secret encryption key configured for version ${version}`)
+  return key
+}
+
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(IV_BYTES)
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv)
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()])
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext])
+}
+
+function open(key, sealed) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, IV_BYTES))
+  decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES))
+  return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()])
+}
+
+function hasPrefix(value, prefix) {
+  return Buffer.isBuffer(value) && value.length > prefix.length && value.subarray(0, prefix.length).equals(prefix)
+}
+
+function isEncrypted(value) {
+  return hasPrefix(value, PREFIX) || hasPrefix(value, PREFIX_V1)
+}
+
+function toBuffer(stored) {
+  return Buffer.isBuffer(stored) ? stored : Buffer.from(String(stored), 'utf8')
+}
+
+/**
+ * Master key version a stored value is wrapped with
+ * @param {Buffer|string|null} stored - Column value
+ * @returns {number|null} Version, or null for plaintext and pre-envelope (v1) values
+ */
+function keyVersion(stored) {
+  if (stored == null) return null
+  const value = toBuffer(stored)
+  return hasPrefix(value, PREFIX) ? value.readUInt16BE(PREFIX.length) : null
+}
+
+function unwrapDataKey(value) {
+  const version = value.readUInt16BE(PREFIX.length)
+  const start = PREFIX.length + VERSION_BYTES
+  return open(masterKey(version), value.subarray(start, start + WRAPPED_KEY_BYTES))
+}
+
+function envelope(version, dataKey, sealedSecret) {
+  const header = Buffer.alloc(PREFIX.length + VERSION_BYTES)
+  PREFIX.copy(header)
+  header.writeUInt16BE(version, PREFIX.length)
+  return Buffer.concat([header, seal(masterKey(version), dataKey), sealedSecret])
+}
+
+// v1 values don't say which key wrote them; try the current key first, then the others
+function decryptV1(value) {
+  const { current, keys } = getKeyRing()
+  const sealed = value.subarray(PREFIX_V1.length)
+  const versions = [current, ...[...keys.keys()].filter(v => v !== current)]
+  for (const version of versions) {
+    try {
+      return open(keys.get(version), sealed).toString('utf8')
+    } catch (error) {
+      // wrong key: GCM authentication fails, try the next one
+    }
+  }
+  throw new Error('No configured secret encryption key can decrypt this value')
+}
+
+/**
+ * Encrypt a secret for storage with the current master key
+ * @param {string} plaintext - Secret value
+ * @returns {Buffer} Encrypted value for a BYTEA column
+ */
+function encryptSecret(plaintext) {
+  const dataKey = crypto.randomBytes(KEY_BYTES)
+  return envelope(currentKeyVersion(), dataKey, seal(dataKey, Buffer.from(String(plaintext), 'utf8')))
+}
+
+/**
+ * Decrypt a stored secret
+ * Values written before encryption was introduced are plaintext and returned as-is
+ * @param {Buffer|string|null} stored - Column value
+ * @returns {string|null} Plaintext secret, or null when nothing is stored
+ */
+function decryptSecret(stored) {
+  if (stored == null) return null
+  const value = toBuffer(stored)
+  if (value.length === 0) return null
+  if (hasPrefix(value, PREFIX_V1)) return decryptV1(value)
+  if (!hasPrefix(value, PREFIX)) return value.toString('utf8')
+
+  const sealedSecret = value.subarray(PREFIX.length + VERSION_BYTES + WRAPPED_KEY_BYTES)
+  return open(unwrapDataKey(value), sealedSecret).toString('utf8')
+}
+
+// Plaintext, v1 and values wrapped with an older master key all need rewriting
+function needsRotation(stored) {
+  if (stored == null || toBuffer(stored).length === 0) return false
+  return keyVersion(stored) !== currentKeyVersion()
+}
+
+/**
+ * Bring a stored value up to the current master key
+ * Envelopes only get their data key re-wrapped; plaintext and v1 values are encrypted afresh
+ * @param {Buffer|string} stored - Column value
+ * @returns {Buffer} Value to store
+ */
+function rotateSecret(stored) {
+  const value = toBuffer(stored)
+  if (!hasPrefix(value, PREFIX)) return encryptSecret(decryptSecret(value))
+
+  const sealedSecret = value.subarray(PREFIX.length + VERSION_BYTES + WRAPPED_KEY_BYTES)
+  return envelope(currentKeyVersion(), unwrapDataKey(value), sealedSecret)
+}
+
+// Last few characters for display ("sk-…abcd"); never return more than that
+function secretHint(plaintext) {
+  if (!plaintext) return null
+  return plaintext.length > 8 ? `…${plaintext.slice(-4)}` : '…'
+}
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+  isEncrypted,
+  keyVersion,
+  currentKeyVersion,
+  needsRotation,
+  rotateSecret,
+  resetKeyRing,
+  secretHint
+}
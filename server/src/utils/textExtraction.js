@@ -0,0 +1,88 @@
+/**
+ * Text Extraction Utilities
+ * Pull searchable plain text out of attachment bytes (PDF, DOCX, plain text)
+ */
+
+const { convert } = require('html-to-text')
+
+const MAX_EXTRACTED_CHARS = parseInt(process.env.ATTACHMENT_MAX_EXTRACTED_CHARS || '100000')
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+
+/**
+ * Work out which extractor applies to an attachment
+ * @param {string} mimeType - Attachment MIME type
+ * @param {string} filename - Attachment filename (used when the MIME type is generic)
+ * @returns {string|null} 'pdf', 'docx', 'html', 'text' or null when unsupported
+ */
+function getExtractorType(mimeType, filename) {
+  const mime = (mimeType || '').toLowerCase()
+  const ext = ((filename || '').match(/\.([a-z0-9]+)$/i) || [])[1]
+  const extension = ext ? ext.toLowerCase() : ''
+
+  if (mime === 'application/pdf' || extension === 'pdf') return 'pdf'
+  if (mime === DOCX_MIME || extension === 'docx') return 'docx'
+  if (mime === 'text/html' || extension === 'html' || extension === 'htm') return 'html'
+  if (mime.startsWith('text/') || ['txt', 'csv', 'md', 'log', 'json'].includes(extension)) return 'text'
+  return null
+}
+
+/**
+ * Check whether text can be extracted from an attachment
+ * @param {string} mimeType - Attachment MIME type
+ * @param {string} filename - Attachment filename
+ * @returns {boolean} True when a supported extractor exists
+ */
+function isExtractable(mimeType, filename) {
+  return getExtractorType(mimeType, filename) !== null
+}
+
+/**
+ * Extract plain text from attachment bytes
+ * @param {Buffer} buffer - Attachment content
+ * @param {string} mimeType - Attachment MIME type
+ * @param {string} filename - Attachment filename
+ * @returns {string|null} Normalized text (truncated), or null when the type is unsupported
+ */
+async function extractText(buffer, mimeType, filename) {
+  const type = getExtractorType(mimeType, filename)
+  if (!type) return null
+
+  let text = ''
+  switch (type) {
+    case 'pdf': {
+      // Require the library entry directly; the package index runs a debug harness when loaded
+      const pdfParse = require('pdf-parse/lib/pdf-parse.js')
+      const result = await pdfParse(buffer)
+      text = result.text || ''
+      break
+    }
+    case 'docx': {
+      const mammoth = require('mammoth')
+      const result = await mammoth.extractRawText({ buffer })
+      text = result.value || ''
+      break
+    }
+    case 'html':
+      text = convert(buffer.toString('utf8'), { wordwrap: false })
+      break
+    default:
+      text = buffer.toString('utf8')
+  }
+
+  const normalized = text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t\u00A0]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+
+  return normalized.length > MAX_EXTRACTED_CHARS
+    ? normalized.substring(0, MAX_EXTRACTED_CHARS)
+    : normalized
+}
+
+module.exports = {
+  getExtractorType,
+  isExtractable,
+  extractText
+}
@@ -3,31 +3,21 @@
 
 /**
  * Creates a Date object for a specific time in a user's timezone
+ * Uses the offset in effect on that date, so times on the far side of a DST change stay correct
  * @param {string} userTimezone - User's timezone (e.g., 'America/New_York')
  * @param {string} dateStr - Date string in YYYY-MM-DD format
  * @param {string} timeStr - Time string in HH:MM:SS format
  * @returns {Date} Date object adjusted for the user's timezone
  */
 function createDateInUserTimezone(userTimezone, dateStr, timeStr) {
-  const timezone = userTimezone || 'UTC'
+  const timezone = resolveTimezone(userTimezone)
   
   try {
-    // Create the date/time string
-    const dateTimeStr = `${dateStr}T${timeStr}`
-    
-    // Create a Date object
-    const localDate = new Date(dateTimeStr)
-    
-    // Get the current time in both UTC and user's timezone to calculate offset
-    const now = new Date()
-    const utcTime = now.getTime()
-    const userTime = new Date(now.toLocaleString('en-US', { timeZone: timezone })).getTime()
-    const offsetMs = utcTime - userTime
-    
-    // Apply the offset to convert to proper UTC for storage
-    const adjustedDate = new Date(localDate.getTime() + offsetMs)
-    
-    return adjustedDate
+    const [y, m, d] = dateStr.split('-').map(Number)
+    const [h, min, sec] = timeStr.split(':').map(Number)
+    const { date } = zonedTimeToUtc(timezone, { y, m, d }, h, min)
+    if (isNaN(date.getTime())) throw new Error(`Invalid date/time: ${dateStr}T${timeStr}`)
+    return sec ? new Date(date.getTime() + sec * 1000) : date
   } catch (error) {
     console.error('Error creating date in user timezone:', error)
     return new Date(`${dateStr}T${timeStr}Z`) // Fallback to UTC
@@ -71,100 +61,515 @@ function createDefaultMeetingTimes(userTimezone) {
   return { startTime, endTime }
 }
 
+// ---------------------------------------------------------------------------
+// Wall-clock helpers
+// ---------------------------------------------------------------------------
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const wallFormatters = new Map()
+
+// Falls back to UTC for missing or unknown zone names instead of throwing
+function resolveTimezone(timezone) {
+  if (!timezone) return 'UTC'
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+    return timezone
+  } catch (error) {
+    console.warn(`Unknown timezone "${timezone}", using UTC`)
+    return 'UTC'
+  }
+}
+
 /**
- * Parses user input time and converts to ISO string in their timezone
- * Examples: "9 AM", "2:30 PM", "14:00"
- * @param {string} userInput - Time input from user
- * @param {string} userTimezone - User's timezone
- * @param {string} baseDate - Base date in YYYY-MM-DD format (defaults to tomorrow)
- * @returns {string|null} ISO string or null if parsing failed
+ * Calendar date and clock time of an instant in a timezone
+ * @returns {{y: number, m: number, d: number, h: number, min: number, s: number}} m is 1-12
  */
-function parseUserTimeInput(userInput, userTimezone, baseDate = null) {
-  if (!userInput) return null
-  
-  const timezone = userTimezone || 'UTC'
-  
-  try {
-    // Clean up input
-    const cleanInput = userInput.trim().toLowerCase()
-    console.log(`🔍 Parsing user time input: "${cleanInput}"`)
-    
-    // Determine date - check for "tomorrow", "today", or use provided baseDate
-    let targetDateStr = baseDate
-    if (!targetDateStr) {
-      if (cleanInput.includes('tomorrow')) {
-        targetDateStr = getTomorrowInUserTimezone(timezone)
-        console.log(`📅 Detected "tomorrow", using date: ${targetDateStr}`)
-      } else if (cleanInput.includes('today')) {
-        const today = new Date()
-        targetDateStr = today.toLocaleDateString('sv-SE', { timeZone: timezone })
-        console.log(`📅 Detected "today", using date: ${targetDateStr}`)
-      } else {
-        // Default to tomorrow if no date specified
-        targetDateStr = getTomorrowInUserTimezone(timezone)
-        console.log(`📅 No date specified, defaulting to tomorrow: ${targetDateStr}`)
-      }
+function wallClock(date, timezone) {
+  let formatter = wallFormatters.get(timezone)
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone, hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+    })
+    wallFormatters.set(timezone, formatter)
+  }
+  const parts = {}
+  for (const { type, value } of formatter.formatToParts(date)) parts[type] = Number(value)
+  return { y: parts.year, m: parts.month, d: parts.day, h: parts.hour, min: parts.minute, s: parts.second }
+}
+
+function offsetAt(instantMs, timezone) {
+  const w = wallClock(new Date(instantMs), timezone)
+  return Date.UTC(w.y, w.m - 1, w.d, w.h, w.min, w.s) - Math.floor(instantMs / 1000) * 1000
+}
+
+/**
+ * Instant named by a wall-clock time in a timezone
+ * Times skipped by a DST change ('gap') move forward by the change; times that happen twice
+ * ('overlap') resolve to the first occurrence.
+ * @param {string} timezone - IANA timezone
+ * @param {{y: number, m: number, d: number}} day - Calendar date (m is 1-12)
+ * @returns {{date: Date, dst: null|'gap'|'overlap'}}
+ */
+function zonedTimeToUtc(timezone, day, hour = 0, minute = 0) {
+  const wall = Date.UTC(day.y, day.m - 1, day.d, hour, minute)
+  const offsets = [...new Set([offsetAt(wall - DAY_MS / 2, timezone), offsetAt(wall + DAY_MS / 2, timezone)])]
+  const valid = offsets.map(offset => wall - offset).filter(t => t + offsetAt(t, timezone) === wall)
+  if (valid.length === 0) return { date: new Date(wall - offsets[0]), dst: 'gap' }
+  return { date: new Date(Math.min(...valid)), dst: valid.length > 1 ? 'overlap' : null }
+}
+
+function addDays(day, days) {
+  const date = new Date(Date.UTC(day.y, day.m - 1, day.d + days))
+  return { y: date.getUTCFullYear(), m: date.getUTCMonth() + 1, d: date.getUTCDate() }
+}
+
+function weekdayOf(day) {
+  return new Date(Date.UTC(day.y, day.m - 1, day.d)).getUTCDay()
+}
+
+function daysInMonth(y, m) {
+  return new Date(Date.UTC(y, m, 0)).getUTCDate()
+}
+
+function compareDays(a, b) {
+  return Date.UTC(a.y, a.m - 1, a.d) - Date.UTC(b.y, b.m - 1, b.d)
+}
+
+// ---------------------------------------------------------------------------
+// Natural-language date/time parsing
+// ---------------------------------------------------------------------------
+
+const WEEKDAYS = {
+  sunday: 0, sun: 0, monday: 1, mon: 1, tuesday: 2, tues: 2, tue: 2, wednesday: 3, weds: 3, wed: 3,
+  thursday: 4, thurs: 4, thur: 4, thu: 4, friday: 5, fri: 5, saturday: 6, sat: 6
+}
+const WEEKDAY = '(sunday|monday|tuesday|wednesday|thursday|friday|saturday|sun|mon|tues|tue|weds|wed|thurs|thur|thu|fri|sat)'
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)'
+const MONTH_PREFIXES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, 'forty-five': 45, forty: 40, ninety: 90,
+  'a couple of': 2, 'a couple': 2, 'a few': 3
+}
+const QUANTITY = `(\\d+(?:\\.\\d+)?|a couple of|a couple|a few|${Object.keys(NUMBER_WORDS).filter(w => !w.startsWith('a ')).join('|')})`
+const UNIT = '(minutes|minute|mins|min|m|hours|hour|hrs|hr|h|days|day|d|weeks|week|wks|wk|w)'
+const UNIT_MINUTES = { m: 1, h: 60, d: 1440, w: 10080 }
+
+// Clock times for words; "after lunch" means after options.lunch ends
+const NAMED_TIMES = {
+  noon: [12, 0], midday: [12, 0], midnight: [0, 0], 'first thing': [9, 0], morning: [9, 0],
+  lunchtime: [12, 0], lunch: [12, 0], afternoon: [14, 0], evening: [18, 0], night: [20, 0],
+  'end of the day': [17, 0], 'end of day': [17, 0], eod: [17, 0], 'close of business': [17, 0], cob: [17, 0]
+}
+const DEFAULT_LUNCH = { start: '12:00', end: '13:00' }
+// Words that follow the user's working hours on the day, when options.workingHours is given
+const DAY_EDGES = {
+  'first thing': 'start', 'end of the day': 'end', 'end of day': 'end', eod: 'end', 'close of business': 'end', cob: 'end'
+}
+const DAY_PERIODS = { morning: 'am', afternoon: 'pm', evening: 'pm', night: 'pm' }
+
+// Confidence lost per ambiguity or assumption; see parseNaturalDateTime
+const PENALTIES = {
+  meridiem: 0.2, next_weekday: 0.15, date_order: 0.25, vague_quantity: 0.15, conflicting_dates: 0.3,
+  dst_gap: 0.1, dst_overlap: 0.1, past: 0.3, time: 0.25, date: 0.1
+}
+
+// 'HH:MM' -> [h, min]
+function clockOf(hhmm) {
+  const [h, min] = String(hhmm).split(':').map(Number)
+  return [h, min || 0]
+}
+
+function quantityValue(text) {
+  return text in NUMBER_WORDS ? NUMBER_WORDS[text] : parseFloat(text)
+}
+
+function unitMinutes(unit) {
+  return UNIT_MINUTES[unit.startsWith('min') ? 'm' : unit[0]]
+}
+
+// A bare "3" is 3 PM and a bare "9" is 9 AM: assume working hours (8 AM - 7 PM)
+function guessMeridiem(hour) {
+  return hour >= 1 && hour <= 7 ? hour + 12 : hour
+}
+
+function to24Hour(hour, meridiem) {
+  if (!meridiem) return hour
+  if (hour === 12) return meridiem === 'am' ? 0 : 12
+  return meridiem === 'pm' ? hour + 12 : hour
+}
+
+function normalizeInput(input) {
+  return ` ${String(input).toLowerCase()
+    .replace(/[–—]/g, '-')
+    .replace(/\b([ap])\.m\.?/g, '$1m')
+    .replace(/\b(\d{1,2})\.(\d{2}) ?([ap]m)\b/g, '$1:$2$3')
+    .replace(/\b(tmrw|tmw|tmr|tomorow|tommorow|tommorrow)\b/g, 'tomorrow')
+    .replace(/\bo'?clock\b/g, '')
+    .replace(/\bhalf an hour\b/g, '30 minutes')
+    .replace(/\ban hour and a half\b/g, '90 minutes')
+    .replace(/\b(?:a )?quarter (?:of an )?hour\b/g, '15 minutes')
+    .replace(/[,!?;()]/g, ' ')
+    .replace(/\.(\s|$)/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()} `
+}
+
+/**
+ * Parses a date/time phrase into a start/end range in the user's timezone
+ * Understands dates ("today", "tomorrow", "next Tuesday", "the 14th", "Oct 14", "10/14", ISO dates,
+ * "next week", "this weekend", "end of month"), times ("3pm", "14:00", "at 3", "noon", "end of day",
+ * "morning"), ranges ("3-4pm", "from 10 to 11:30am", "between 2 and 3pm"), relative offsets
+ * ("in 2 hours", "in 3 days", "30 min after lunch") and durations ("for 45 minutes").
+ * Wall-clock arithmetic happens in the user's timezone, so "in 2 days at 9am" is 9 AM local even
+ * across a DST change.
+ *
+ * Missing parts are filled in and listed in `assumed`: a time with no date is today if still ahead,
+ * else tomorrow; a date with no time uses options.defaultTime; no end uses
+ * options.defaultDurationMinutes. Readings that could go either way are listed in `ambiguities`:
+ * meridiem (bare "at 3"), next_weekday ("next Tuesday" said early in the week), date_order (10/11),
+ * vague_quantity ("a few"), conflicting_dates, dst_gap, dst_overlap, past.
+ * @param {string} input - Free text, e.g. "next Tuesday at 3" or "Can we do 3-4pm tomorrow?"
+ * @param {Object} [options]
+ * @param {string} [options.timezone] - User's IANA timezone (default UTC)
+ * @param {Date|string} [options.now] - Reference time (default now)
+ * @param {string} [options.defaultTime] - HH:MM used when only a date is given (default 09:00)
+ * @param {number} [options.defaultDurationMinutes] - Length when no end or duration is given (default 60)
+ * @param {string} [options.dateOrder] - 'mdy' (default) or 'dmy' for numeric dates like 10/11
+ * @param {Object<number, {start: string, end: string}|null>} [options.workingHours] - HH:MM per weekday
+ *   (0 = Sunday); "first thing", "end of day", "end of week" and "end of month" use them on that day
+ * @param {{start: string, end: string}} [options.lunch] - Lunch window for "lunch" and "after lunch" (default 12:00-13:00)
+ * @returns {{start: Date, end: Date, confidence: number, ambiguous: boolean, ambiguities: string[], assumed: string[], matched: string}|null}
+ *   null when the text names no date or time
+ */
+function parseNaturalDateTime(input, options = {}) {
+  if (!input || typeof input !== 'string') return null
+
+  const timezone = resolveTimezone(options.timezone)
+  const now = options.now ? new Date(options.now) : new Date()
+  const nowWall = wallClock(now, timezone)
+  const today = { y: nowWall.y, m: nowWall.m, d: nowWall.d }
+  const [defaultHour, defaultMinute] = clockOf(options.defaultTime || '09:00')
+
+  let rest = normalizeInput(input)
+  const matched = []
+  const ambiguities = new Set()
+  const assumed = []
+
+  let date = null           // {y, m, d}
+  let time = null           // {h, min, guessed}
+  let endTime = null        // {h, min}
+  let durationMinutes = null
+  let relativeMinutes = null
+  let anchor = null         // {minutes, direction}
+  let tonight = false
+
+  // Runs a pattern once; the handler returns false to leave the text for later patterns
+  const take = (pattern, handler) => {
+    const match = rest.match(pattern)
+    if (!match || handler(...match) === false) return
+    matched.push(match[0].trim())
+    rest = rest.slice(0, match.index) + ' ' + rest.slice(match.index + match[0].length)
+  }
+  const setDate = day => {
+    if (date && compareDays(date, day) !== 0) ambiguities.add('conflicting_dates')
+    if (!date) date = day
+  }
+  const setTime = (h, min, guessed = false, edge = null) => {
+    if (h > 23 || min > 59) return false
+    if (!time) time = { h, min, guessed, edge }
+  }
+  const quantity = text => {
+    if (text === 'a few') ambiguities.add('vague_quantity')
+    return quantityValue(text)
+  }
+  const upcomingWeekday = (weekday, includeToday) => {
+    const delta = (weekday - weekdayOf(today) + 7) % 7
+    return addDays(today, delta === 0 && !includeToday ? 7 : delta)
+  }
+  // Monday of the week after this one
+  const nextWeekStart = () => addDays(today, (8 - weekdayOf(today)) % 7 || 7)
+
+  // ISO dates, optionally with a time
+  take(/\b(\d{4})-(\d{2})-(\d{2})(?:[t ](\d{2}):(\d{2}))?\b/, (_, y, m, d, h, min) => {
+    if (+m < 1 || +m > 12 || +d < 1 || +d > daysInMonth(+y, +m)) return false
+    setDate({ y: +y, m: +m, d: +d })
+    if (h) setTime(+h, +min)
+  })
+
+  // Durations
+  take(new RegExp(`\\bfor ${QUANTITY} ?${UNIT}\\b`), (_, qty, unit) => {
+    durationMinutes = Math.round(quantity(qty) * unitMinutes(unit))
+  })
+  take(new RegExp(`\\b${QUANTITY}[ -]?(minutes?|mins?|hours?|hrs?) (meeting|call|chat|slot|sync|session)\\b`), (_, qty, unit) => {
+    durationMinutes = Math.round(quantity(qty) * unitMinutes(unit))
+  })
+
+  // Offsets from another time: "30 min after lunch", "an hour before 5pm"
+  take(new RegExp(`\\b${QUANTITY} ?${UNIT} (after|before) `), (_, qty, unit, direction) => {
+    anchor = { minutes: Math.round(quantity(qty) * unitMinutes(unit)) * (direction === 'before' ? -1 : 1), direction }
+  })
+
+  // Offsets from now: "in 2 hours", "in 3 days", "2 weeks from now"
+  const relative = (qty, unit) => {
+    const minutes = Math.round(quantity(qty) * unitMinutes(unit))
+    // Whole days keep the clock time; minutes and hours are exact
+    if (unitMinutes(unit) >= UNIT_MINUTES.d && minutes % UNIT_MINUTES.d === 0) {
+      setDate(addDays(today, minutes / UNIT_MINUTES.d))
+      relativeMinutes = 0
+    } else {
+      relativeMinutes = minutes
     }
-    
-    // Parse common time formats
-    let hour = 0, minute = 0, timeFound = false
-    
-    // Handle AM/PM format (e.g., "8am", "8 AM", "2:30 PM", "tomorrow 8am")
-    const ampmMatch = cleanInput.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)/i)
-    if (ampmMatch) {
-      hour = parseInt(ampmMatch[1])
-      minute = parseInt(ampmMatch[2] || '0')
-      
-      if (ampmMatch[3].toLowerCase() === 'pm' && hour !== 12) {
-        hour += 12
-      } else if (ampmMatch[3].toLowerCase() === 'am' && hour === 12) {
-        hour = 0
+  }
+  take(new RegExp(`\\bin ${QUANTITY} ?${UNIT}\\b`), (_, qty, unit) => relative(qty, unit))
+  take(new RegExp(`\\b${QUANTITY} ?${UNIT} from now\\b`), (_, qty, unit) => relative(qty, unit))
+
+  // Week and month phrases
+  take(/\bend of (?:the )?week\b|\beow\b/, () => {
+    const dow = weekdayOf(today)
+    setDate(dow === 6 || dow === 0 ? upcomingWeekday(5, false) : addDays(today, 5 - dow))
+    setTime(17, 0, false, 'end')
+  })
+  take(/\bend of (?:the )?month\b|\beom\b/, () => {
+    setDate({ ...today, d: daysInMonth(today.y, today.m) })
+    setTime(17, 0, false, 'end')
+  })
+  take(new RegExp(`\\b${WEEKDAY} next week\\b|\\bnext week(?: on)? ${WEEKDAY}\\b`), (_, before, after) => {
+    const weekday = WEEKDAYS[before || after]
+    setDate(addDays(nextWeekStart(), (weekday + 6) % 7))
+  })
+  take(/\bnext week\b/, () => setDate(nextWeekStart()))
+  take(/\bnext month\b/, () => setDate(addDays({ ...today, d: daysInMonth(today.y, today.m) }, 1)))
+  take(/\b(?:this |the )?weekend\b/, () => setDate(weekdayOf(today) === 0 ? today : upcomingWeekday(6, true)))
+
+  // Day words
+  take(/\b(?:the )?day after tomorrow\b/, () => setDate(addDays(today, 2)))
+  take(/\btomorrow\b/, () => setDate(addDays(today, 1)))
+  take(/\btoday\b/, () => setDate(today))
+  take(/\btonight\b/, () => {
+    setDate(today)
+    tonight = true
+  })
+  take(/\byesterday\b/, () => setDate(addDays(today, -1)))
+
+  // Weekdays; abbreviations only after a preposition, so "sat down" stays prose
+  take(new RegExp(`\\b(?:(next|this|coming|on|by|until|till) )?${WEEKDAY}\\b`), (_, prefix, name) => {
+    if (!prefix && name.length <= 4 && name !== 'tues' && name !== 'weds') return false
+    const weekday = WEEKDAYS[name]
+    if (prefix === 'next') {
+      const upcoming = upcomingWeekday(weekday, false)
+      // Early in the week "next Tuesday" usually means the one after this week's
+      if (compareDays(upcoming, nextWeekStart()) < 0) {
+        ambiguities.add('next_weekday')
+        return setDate(addDays(upcoming, 7))
       }
-      timeFound = true
-      console.log(`⏰ Parsed AM/PM format: ${hour}:${minute.toString().padStart(2, '0')}`)
-    } else {
-      // Handle 24-hour format (e.g., "14:00", "09:30")
-      const timeMatch = cleanInput.match(/(\d{1,2}):(\d{2})/)
-      if (timeMatch) {
-        hour = parseInt(timeMatch[1])
-        minute = parseInt(timeMatch[2])
-        timeFound = true
-        console.log(`⏰ Parsed 24-hour format: ${hour}:${minute.toString().padStart(2, '0')}`)
-      } else {
-        // Try to match just hour without colon (e.g., "8" in "tomorrow 8am")
-        const hourOnlyMatch = cleanInput.match(/(\d{1,2})(?=\s*(am|pm))/i)
-        if (hourOnlyMatch) {
-          hour = parseInt(hourOnlyMatch[1])
-          minute = 0
-          // AM/PM already handled above
-          timeFound = true
-          console.log(`⏰ Parsed hour-only format: ${hour}:00`)
-        }
+      return setDate(upcoming)
+    }
+    setDate(upcomingWeekday(weekday, prefix === 'this'))
+  })
+
+  // Calendar dates: "Oct 14", "14 October 2027", "10/14", "the 14th"
+  const monthDate = (month, day, year) => {
+    const m = MONTH_PREFIXES.indexOf(month.slice(0, 3)) + 1
+    const d = Number(day)
+    let y = year ? Number(year) : today.y
+    if (!year && compareDays({ y, m, d }, today) < 0) y += 1
+    if (d < 1 || d > daysInMonth(y, m)) return false
+    setDate({ y, m, d })
+  }
+  take(new RegExp(`\\b${MONTH} (\\d{1,2})(?:st|nd|rd|th)?(?: (\\d{4}))?\\b`), (_, month, day, year) => monthDate(month, day, year))
+  take(new RegExp(`\\b(?:the )?(\\d{1,2})(?:st|nd|rd|th)? (?:of )?${MONTH}(?: (\\d{4}))?\\b`), (_, day, month, year) => monthDate(month, day, year))
+  take(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{4}|\d{2}))?\b/, (_, a, b, year) => {
+    let [m, d] = options.dateOrder === 'dmy' ? [+b, +a] : [+a, +b]
+    if (m > 12 && d <= 12) [m, d] = [d, m]
+    else if (+a <= 12 && +b <= 12 && a !== b) ambiguities.add('date_order')
+    if (m < 1 || m > 12) return false
+    const y = year ? (year.length === 2 ? 2000 + +year : +year) : null
+    return monthDate(MONTH_PREFIXES[m - 1], d, y)
+  })
+  take(/\b(?:on )?(?:the )?(\d{1,2})(?:st|nd|rd|th)\b/, (_, day) => {
+    const d = Number(day)
+    if (d < 1 || d > 31) return false
+    // This month if still ahead, else the next month that has the day
+    let { y, m } = today
+    if (d < today.d) m += 1
+    while (d > daysInMonth(y + Math.floor((m - 1) / 12), ((m - 1) % 12) + 1)) m += 1
+    setDate({ y: y + Math.floor((m - 1) / 12), m: ((m - 1) % 12) + 1, d })
+  })
+
+  // Time ranges: "3-4pm", "from 10 to 11:30am", "between 2 and 3pm"
+  take(/\b(?:(from|between|at) )?(\d{1,2})(?::(\d{2}))? ?([ap]m)? ?(-|to|until|till|and) ?(\d{1,2})(?::(\d{2}))? ?([ap]m)?\b/,
+    (_, prefix, h1, m1, ap1, separator, h2, m2, ap2) => {
+      if (separator === 'and' && prefix !== 'between') return false
+      if (!prefix && !ap1 && !ap2 && !m1 && !m2) return false
+      let start = Number(h1)
+      let end = Number(h2)
+      if ((ap1 && (start < 1 || start > 12)) || (ap2 && (end < 1 || end > 12))) return false
+      const startMin = Number(m1 || 0)
+      const endMin = Number(m2 || 0)
+      let guessed = false
+      if (ap1 || ap2) {
+        const endHour = to24Hour(end, ap2 || ap1)
+        let startHour = to24Hour(start, ap1 || ap2)
+        // "11-1pm" starts in the morning
+        if (!ap1 && startHour * 60 + startMin > endHour * 60 + endMin) startHour = to24Hour(start, ap2 === 'pm' ? 'am' : 'pm')
+        start = startHour
+        end = ap2 ? endHour : (endHour * 60 + endMin <= startHour * 60 + startMin ? endHour + 12 : endHour)
+      } else if (start < 13 && end < 13 && !(h1.length === 2 && h1.startsWith('0'))) {
+        guessed = true
+        start = guessMeridiem(start)
+        end = guessMeridiem(end)
+        if (end * 60 + endMin <= start * 60 + startMin && end < 12) end += 12
       }
+      if (setTime(start, startMin, guessed) === false || end > 23 || endMin > 59) return false
+      endTime = { h: end, min: endMin }
+    })
+
+  // Single times
+  take(/\b(?:at |@ ?)?(\d{1,2})(?::(\d{2}))? ?([ap]m)\b/, (_, h, min, meridiem) => {
+    if (+h < 1 || +h > 12) return false
+    return setTime(to24Hour(+h, meridiem), Number(min || 0))
+  })
+  take(/\b(?:at |@ ?)?(\d{1,2}):(\d{2})\b/, (_, h, min) => {
+    const hour = Number(h)
+    const twentyFourHour = hour === 0 || hour > 12 || h.startsWith('0')
+    return setTime(twentyFourHour ? hour : guessMeridiem(hour), Number(min), !twentyFourHour)
+  })
+  take(/\b(?:at|@|around|by) ?(\d{1,2})\b(?![:\/])/, (_, h) => {
+    const hour = Number(h)
+    if (hour > 23) return false
+    return setTime(hour > 12 || hour === 0 ? hour : guessMeridiem(hour), 0, hour <= 12 && hour !== 0)
+  })
+  take(/\b(?:at |by |in the |this |around )?(noon|midday|midnight|first thing|lunchtime|lunch|morning|afternoon|evening|night|end of the day|end of day|eod|close of business|cob)\b/, (_, name) => {
+    const period = DAY_PERIODS[name]
+    if (time && time.guessed && period) {
+      // "tomorrow afternoon at 3": the period settles the meridiem
+      if (period === 'pm' && time.h < 12) time = { ...time, h: time.h + 12 }
+      if (period === 'am' && time.h >= 12) time = { ...time, h: time.h - 12 }
+      time.guessed = false
+      return
+    }
+    if (time) return
+    let [h, min] = NAMED_TIMES[name]
+    const lunch = options.lunch || DEFAULT_LUNCH
+    if (name.startsWith('lunch')) [h, min] = clockOf(anchor && anchor.direction === 'after' ? lunch.end : lunch.start)
+    setTime(h, min, false, DAY_EDGES[name] || null)
+  })
+
+  if (tonight) {
+    if (time && time.guessed && time.h < 12) time = { ...time, h: time.h + 12, guessed: false }
+    setTime(20, 0)
+  }
+
+  const found = date || time || relativeMinutes !== null
+  if (!found) return null
+  if (time && time.guessed) ambiguities.add('meridiem')
+
+  let start
+  let startDst = null
+  if (relativeMinutes && !date && !time) {
+    start = new Date(now.getTime() + relativeMinutes * 60000)
+  } else {
+    let clock = time || (relativeMinutes === 0 ? { h: nowWall.h, min: nowWall.min } : null)
+    if (!clock) {
+      clock = { h: defaultHour, min: defaultMinute }
+      assumed.push('time')
     }
-    
-    if (!timeFound) {
-      console.log(`❌ Could not parse time from: "${cleanInput}"`)
-      return null
+    // "first thing" and "end of day" follow the user's hours on the day it lands on
+    const onDay = day => {
+      const hours = clock.edge && options.workingHours && options.workingHours[weekdayOf(day)]
+      if (!hours) return clock
+      const [h, min] = clockOf(hours[clock.edge])
+      return { h, min }
     }
-    
-    // Validate time
-    if (hour < 0 || hour > 23 || minute < 0 || minute > 59) {
-      console.log(`❌ Invalid time values: ${hour}:${minute}`)
-      return null
+    const withAnchor = (at, day) => {
+      if (!anchor) return { at, day }
+      const total = at.h * 60 + at.min + anchor.minutes
+      const carry = Math.floor(total / 1440)
+      return { at: { h: Math.floor((total - carry * 1440) / 60), min: (total - carry * 1440) % 60 }, day: day && addDays(day, carry) }
     }
-    
-    // Create time string and convert to user timezone
-    const timeStr = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}:00`
-    const date = createDateInUserTimezone(timezone, targetDateStr, timeStr)
-    const result = date.toISOString()
-    
-    console.log(`✅ Successfully parsed "${cleanInput}" to: ${result} (${timezone})`)
-    return result
-  } catch (error) {
-    console.error('❌ Error parsing user time input:', error)
-    return null
+    let { at, day } = withAnchor(onDay(date || today), date)
+    if (!day) {
+      const ahead = at.h * 60 + at.min > nowWall.h * 60 + nowWall.min
+      day = ahead ? today : addDays(today, 1)
+      if (!ahead) at = withAnchor(onDay(day), null).at
+      assumed.push('date')
+    }
+    clock = at
+    const resolved = zonedTimeToUtc(timezone, day, clock.h, clock.min)
+    start = relativeMinutes ? new Date(resolved.date.getTime() + relativeMinutes * 60000) : resolved.date
+    startDst = resolved.dst
+    if (endTime) {
+      const endDay = endTime.h * 60 + endTime.min > clock.h * 60 + clock.min ? day : addDays(day, 1)
+      endTime.date = zonedTimeToUtc(timezone, endDay, endTime.h, endTime.min).date
+    }
+  }
+  if (startDst) ambiguities.add(`dst_${startDst}`)
+  if (start < now) ambiguities.add('past')
+
+  let end
+  if (endTime && endTime.date) {
+    end = endTime.date
+  } else if (durationMinutes) {
+    end = new Date(start.getTime() + durationMinutes * 60000)
+  } else {
+    end = new Date(start.getTime() + (options.defaultDurationMinutes ?? 60) * 60000)
+    assumed.push('duration')
   }
+
+  const penalty = [...ambiguities, ...assumed].reduce((sum, flag) => sum + (PENALTIES[flag] || 0), 0)
+  return {
+    start,
+    end,
+    confidence: Math.max(0.1, Math.round((1 - penalty) * 100) / 100),
+    ambiguous: ambiguities.size > 0,
+    ambiguities: [...ambiguities],
+    assumed,
+    matched: matched.join(' ')
+  }
+}
+
+const ISO_DATE_TIME = /^(\d{4}-\d{2}-\d{2})(?:T(\d{2}:\d{2})(:\d{2}(?:\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/i
+
+/**
+ * Reads a date-time sent to the API: ISO 8601 (times without an offset are in the user's
+ * timezone) or a phrase parseNaturalDateTime understands, e.g. "tomorrow 9am"
+ * @param {string|Date} value - Input value
+ * @param {string} userTimezone - User's timezone
+ * @param {Object} [options] - Passed to parseNaturalDateTime
+ * @returns {Date|null} The instant, or null if the value can't be read
+ */
+function parseDateTimeInput(value, userTimezone, options = {}) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value
+  if (typeof value !== 'string' || !value.trim()) return null
+
+  const iso = value.trim().match(ISO_DATE_TIME)
+  if (iso) {
+    const date = iso[4]
+      ? new Date(value.trim())
+      : createDateInUserTimezone(resolveTimezone(userTimezone), iso[1], `${iso[2] || '00:00'}${(iso[3] || ':00').slice(0, 3)}`)
+    return isNaN(date.getTime()) ? null : date
+  }
+
+  const parsed = parseNaturalDateTime(value, { ...options, timezone: userTimezone })
+  return parsed ? parsed.start : null
+}
+
+/**
+ * Parses user input time and converts to ISO string in their timezone
+ * Examples: "9 AM", "2:30 PM", "14:00", "next Tuesday at 3"; see parseNaturalDateTime
+ * @param {string} userInput - Time input from user
+ * @param {string} userTimezone - User's timezone
+ * @param {string} baseDate - Date in YYYY-MM-DD format used when the input names none
+ * @returns {string|null} ISO string or null if parsing failed
+ */
+function parseUserTimeInput(userInput, userTimezone, baseDate = null) {
+  if (!userInput) return null
+  const input = baseDate && !/\b(today|tomorrow|tonight)\b/i.test(userInput) ? `${baseDate} ${userInput}` : userInput
+  const parsed = parseNaturalDateTime(input, { timezone: userTimezone })
+  return parsed ? parsed.start.toISOString() : null
 }
 
 /**
@@ -195,9 +600,14 @@ function formatTimeForUser(isoString, userTimezone) {
 }
 
 module.exports = {
+  resolveTimezone,
+  wallClock,
+  zonedTimeToUtc,
   createDateInUserTimezone,
   getTomorrowInUserTimezone,
   createDefaultMeetingTimes,
+  parseNaturalDateTime,
+  parseDateTimeInput,
   parseUserTimeInput,
   formatTimeForUser
 }
@@ -0,0 +1,256 @@
+// Tests for integrations/google/calendarSync and services/calendarService against a fake Google
+// Calendar and in-memory database
+const assert = require('assert')
+const { installFakeDb, integrationRow, stubGoogle, run } = require('./test/helpers')
+
+// --- fake database: integrations and calendar_events ---
+let nextId = 1
+
+const EVENT_COLUMNS = ['external_event_id', 'calendar_id', 'organizer', 'attendees', 'title', 'description', 'start_time', 'end_time', 'all_day', 'location', 'meeting_url', 'status', 'response_status', 'metadata']
+
+const fakeDb = installFakeDb([
+  [/FROM integrations WHERE user_id = \$1 AND platform = \$2/, params =>
+    fakeDb.integrations.filter(i => i.user_id === params[0] && i.platform === params[1])],
+  [/FROM integrations WHERE platform = \$1/, params =>
+    fakeDb.integrations.filter(i => i.platform === params[0])],
+  [/^UPDATE integrations SET config = COALESCE/, params => {
+    const row = fakeDb.integrations.find(i => i.id === params[0])
+    Object.assign(row.config, JSON.parse(params[1]))
+  }],
+  [/^INSERT INTO calendar_events/, params => {
+    const values = Object.fromEntries(EVENT_COLUMNS.map((column, i) => [column, params[i + 1]]))
+    values.attendees = JSON.parse(values.attendees)
+    values.metadata = JSON.parse(values.metadata)
+    const existing = fakeDb.events.find(e => e.user_id === params[0] && e.external_event_id === values.external_event_id)
+    if (existing) Object.assign(existing, values)
+    else fakeDb.events.push({ id: `event-${nextId++}`, user_id: params[0], platform: 'google', ...values })
+  }],
+  [/^DELETE FROM calendar_events WHERE user_id=\$1 AND platform='google' AND external_event_id=\$2/, params => {
+    fakeDb.events = fakeDb.events.filter(e => !(e.user_id === params[0] && e.external_event_id === params[1]))
+  }],
+  [/^DELETE FROM calendar_events WHERE user_id=\$1 AND platform='google' AND NOT \(external_event_id = ANY\(\$2\)\)/, params => {
+    fakeDb.events = fakeDb.events.filter(e => e.user_id !== params[0] || params[1].includes(e.external_event_id))
+  }],
+  [/^SELECT \* FROM calendar_events WHERE user_id = \$1 AND start_time < \$3/, params =>
+    fakeDb.events
+      .filter(e => e.user_id === params[0] && e.start_time < params[2] && e.end_time > params[1])
+      .sort((a, b) => (b.all_day - a.all_day) || (a.start_time - b.start_time))],
+  [/^SELECT \* FROM calendar_events WHERE id = \$1 AND user_id = \$2/, params =>
+    fakeDb.events.filter(e => e.id === params[0] && e.user_id === params[1])],
+  [/^UPDATE calendar_events SET attendees = \$3/, params => {
+    const row = fakeDb.events.find(e => e.id === params[0] && e.user_id === params[1])
+    Object.assign(row, { attendees: JSON.parse(params[2]), response_status: params[3], metadata: { ...row.metadata, ...JSON.parse(params[4]) } })
+    return [row]
+  }]
+])
+
+// --- fake Google Calendar: pages of events per call, plus get/patch on one event ---
+const fakeCalendar = { pages: [], listCalls: [], patchCalls: [], stored: {}, expireToken: false }
+
+stubGoogle({
+  calendar: () => ({
+    events: {
+      list: async params => {
+        fakeCalendar.listCalls.push(params)
+        if (params.syncToken && fakeCalendar.expireToken) {
+          fakeCalendar.expireToken = false
+          const error = new Error('Sync token is no longer valid, a full sync is required.')
+          error.code = 410
+          throw error
+        }
+        const page = fakeCalendar.pages.shift()
+        if (page instanceof Error) throw page
+        return { data: page || { items: [], nextSyncToken: 'sync-empty' } }
+      },
+      get: async ({ eventId }) => ({ data: fakeCalendar.stored[eventId] }),
+      patch: async params => {
+        fakeCalendar.patchCalls.push(params)
+        const event = { ...fakeCalendar.stored[params.eventId], ...params.requestBody }
+        fakeCalendar.stored[params.eventId] = event
+        return { data: event }
+      }
+    }
+  })
+})
+
+const calendarSync = require('./src/integrations/google/calendarSync')
+const calendarService = require('./src/services/calendarService')
+
+const ME = 'ana@acme.test'
+
+function invite(id, overrides = {}) {
+  return {
+    id,
+    status: 'confirmed',
+    summary: `Event ${id}`,
+    htmlLink: `https://calendar.google.com/event?eid=${id}`,
+    start: { dateTime: '2026-10-20T10:00:00-04:00' },
+    end: { dateTime: '2026-10-20T10:30:00-04:00' },
+    organizer: { email: 'Bob@other.test', displayName: 'Bob' },
+    attendees: [
+      { email: 'bob@other.test', organizer: true, responseStatus: 'accepted' },
+      { email: ME, self: true, responseStatus: 'needsAction' }
+    ],
+    ...overrides
+  }
+}
+
+function stored(externalId) {
+  return fakeDb.events.find(e => e.external_event_id === externalId)
+}
+
+function reset() {
+  fakeDb.integrations = [integrationRow('user-1')]
+  fakeDb.events = []
+  fakeDb.reset()
+  Object.assign(fakeCalendar, { pages: [], listCalls: [], patchCalls: [], stored: {}, expireToken: false })
+}
+
+const tests = [
+  ['a first sync stores events with attendees, conference links and RSVP status', async () => {
+    fakeCalendar.pages = [
+      {
+        timeZone: 'America/New_York',
+        items: [
+          invite('meet-1', { hangoutLink: 'https://meet.google.com/abc-defg-hij', conferenceData: { conferenceSolution: { name: 'Google Meet' }, entryPoints: [{ entryPointType: 'video', uri: 'https://meet.google.com/abc-defg-hij' }] } }),
+          invite('zoom-1', { location: 'Zoom https://acme.zoom.us/j/123456?pwd=x', attendees: undefined, organizer: { email: ME, self: true } })
+        ],
+        nextPageToken: 'page-2'
+      },
+      {
+        timeZone: 'America/New_York',
+        items: [invite('offsite', { start: { date: '2026-10-21' }, end: { date: '2026-10-22' } })],
+        nextSyncToken: 'sync-1'
+      }
+    ]
+
+    await calendarSync.sync()
+
+    assert.strictEqual(fakeCalendar.listCalls.length, 2)
+    assert.ok(fakeCalendar.listCalls[0].timeMin && fakeCalendar.listCalls[0].singleEvents)
+    assert.strictEqual(fakeCalendar.listCalls[1].pageToken, 'page-2')
+    assert.strictEqual(fakeDb.integrations[0].config.calendar_sync_token, 'sync-1')
+    assert.ok(fakeDb.integrations[0].config.calendar_last_sync)
+
+    const meet = stored('meet-1')
+    assert.strictEqual(meet.meeting_url, 'https://meet.google.com/abc-defg-hij')
+    assert.strictEqual(meet.response_status, 'needsAction')
+    assert.strictEqual(meet.organizer, 'bob@other.test')
+    assert.deepStrictEqual(meet.attendees.map(a => [a.email, a.response_status, a.self]), [['bob@other.test', 'accepted', false], [ME, 'needsAction', true]])
+    assert.strictEqual(meet.metadata.conference.solution, 'Google Meet')
+    assert.strictEqual(meet.start_time.toISOString(), '2026-10-20T14:00:00.000Z')
+
+    const zoom = stored('zoom-1')
+    assert.strictEqual(zoom.meeting_url, 'https://acme.zoom.us/j/123456?pwd=x')
+    assert.strictEqual(zoom.response_status, 'accepted')
+
+    const offsite = stored('offsite')
+    assert.strictEqual(offsite.all_day, true)
+    assert.strictEqual(offsite.start_time.toISOString(), '2026-10-21T04:00:00.000Z')
+    assert.strictEqual(offsite.end_time.toISOString(), '2026-10-22T04:00:00.000Z')
+  }],
+
+  ['later syncs apply changes and cancellations from the stored sync token', async () => {
+    fakeDb.integrations[0].config.calendar_sync_token = 'sync-1'
+    fakeCalendar.pages = [{ items: [invite('meet-1'), invite('gone')], nextSyncToken: 'sync-2' }]
+    await calendarSync.sync()
+    fakeDb.integrations[0].config.calendar_sync_token = 'sync-2'
+    fakeCalendar.pages = [{
+      items: [
+        invite('meet-1', { summary: 'Moved', start: { dateTime: '2026-10-20T15:00:00-04:00' }, end: { dateTime: '2026-10-20T16:00:00-04:00' } }),
+        { id: 'gone', status: 'cancelled' }
+      ],
+      nextSyncToken: 'sync-3'
+    }]
+
+    await calendarSync.sync()
+
+    assert.strictEqual(fakeCalendar.listCalls[1].syncToken, 'sync-2')
+    assert.strictEqual(fakeCalendar.listCalls[1].timeMin, undefined)
+    assert.strictEqual(stored('meet-1').title, 'Moved')
+    assert.strictEqual(stored('meet-1').start_time.toISOString(), '2026-10-20T19:00:00.000Z')
+    assert.strictEqual(stored('gone'), undefined)
+    assert.strictEqual(fakeDb.integrations[0].config.calendar_sync_token, 'sync-3')
+  }],
+
+  ['an expired sync token starts a clean full sync', async () => {
+    fakeDb.integrations[0].config.calendar_sync_token = 'stale'
+    fakeDb.events.push({ id: 'event-old', user_id: 'user-1', platform: 'google', external_event_id: 'deleted-meanwhile' })
+    fakeCalendar.expireToken = true
+    fakeCalendar.pages = [{ items: [invite('meet-1')], nextSyncToken: 'fresh' }]
+
+    await calendarSync.sync()
+
+    assert.strictEqual(fakeCalendar.listCalls.length, 2)
+    assert.ok(fakeCalendar.listCalls[1].timeMin)
+    assert.deepStrictEqual(fakeDb.events.map(e => e.external_event_id), ['meet-1'])
+    assert.strictEqual(fakeDb.integrations[0].config.calendar_sync_token, 'fresh')
+  }],
+
+  ['a full sync that fails part way keeps the events already stored', async () => {
+    fakeDb.events.push({ id: 'event-old', user_id: 'user-1', platform: 'google', external_event_id: 'kept' })
+    fakeCalendar.pages = [{ items: [invite('meet-1')], nextPageToken: 'page-2' }, new Error('Backend Error')]
+
+    await calendarSync.sync()
+
+    assert.deepStrictEqual(fakeDb.events.map(e => e.external_event_id).sort(), ['kept', 'meet-1'])
+    assert.strictEqual(fakeDb.integrations[0].config.calendar_sync_token, undefined)
+  }],
+
+  ['integrations waiting for reauth are skipped, and syncUser reports it', async () => {
+    fakeDb.integrations[0].config.needs_reauth = true
+    await calendarSync.sync()
+    assert.strictEqual(fakeCalendar.listCalls.length, 0)
+    await assert.rejects(() => calendarSync.syncUser('user-1'), err => err.code === 'google_reauth_required')
+    await assert.rejects(() => calendarSync.syncUser('user-9'), err => err.code === 'no_integration')
+  }],
+
+  ['listEvents returns events overlapping the range, all-day first', async () => {
+    fakeCalendar.pages = [{
+      timeZone: 'America/New_York',
+      items: [
+        invite('late', { start: { dateTime: '2026-10-20T16:00:00-04:00' }, end: { dateTime: '2026-10-20T17:00:00-04:00' } }),
+        invite('early'),
+        invite('allday', { start: { date: '2026-10-20' }, end: { date: '2026-10-21' } }),
+        invite('tomorrow', { start: { dateTime: '2026-10-21T10:00:00-04:00' }, end: { dateTime: '2026-10-21T11:00:00-04:00' } })
+      ],
+      nextSyncToken: 'sync-1'
+    }]
+    await calendarSync.sync()
+
+    const events = await calendarService.listEvents('user-1', new Date('2026-10-20T04:00:00Z'), new Date('2026-10-21T04:00:00Z'))
+    assert.deepStrictEqual(events.map(e => e.externalId), ['allday', 'early', 'late'])
+    assert.strictEqual(events[1].responseStatus, 'needsAction')
+    assert.strictEqual(events[1].htmlLink, 'https://calendar.google.com/event?eid=early')
+  }],
+
+  ['RSVP updates the user\'s attendee entry on Google, notifies guests and saves the answer', async () => {
+    fakeCalendar.pages = [{ items: [invite('meet-1')], nextSyncToken: 'sync-1' }]
+    await calendarSync.sync()
+    fakeCalendar.stored['meet-1'] = invite('meet-1')
+    const eventId = stored('meet-1').id
+
+    const event = await calendarService.respondToEvent({ id: 'user-1' }, eventId, 'declined', { comment: 'Out that day' })
+
+    const [patch] = fakeCalendar.patchCalls
+    assert.strictEqual(patch.sendUpdates, 'all')
+    assert.deepStrictEqual(patch.requestBody.attendees.map(a => a.responseStatus), ['accepted', 'declined'])
+    assert.strictEqual(patch.requestBody.attendees[1].comment, 'Out that day')
+    assert.strictEqual(event.responseStatus, 'declined')
+    assert.strictEqual(stored('meet-1').response_status, 'declined')
+  }],
+
+  ['RSVP is refused for bad answers, unknown events and events you organize', async () => {
+    fakeCalendar.pages = [{ items: [invite('mine', { attendees: undefined, organizer: { email: ME, self: true } })], nextSyncToken: 'sync-1' }]
+    await calendarSync.sync()
+    fakeCalendar.stored.mine = { ...invite('mine'), attendees: [] }
+    const eventId = stored('mine').id
+
+    await assert.rejects(() => calendarService.respondToEvent({ id: 'user-1' }, eventId, 'maybe'), err => err.code === 'invalid_response')
+    await assert.rejects(() => calendarService.respondToEvent({ id: 'user-1' }, 'event-404', 'accepted'), err => err.code === 'not_found')
+    await assert.rejects(() => calendarService.respondToEvent({ id: 'user-1' }, eventId, 'accepted'), err => err.code === 'not_invited')
+    assert.strictEqual(fakeCalendar.patchCalls.length, 0)
+  }]
+]
+
+run(tests, { beforeEach: reset })
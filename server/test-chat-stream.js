@@ -0,0 +1,197 @@
+// Tests for the chat endpoints in routes/llm.js (POST /intelligent and /intelligent/stream, approval decisions) with
+// the mock LLM provider and an in-memory database; route handlers are driven with fake req/res objects
+process.env.LLM_PROVIDER = 'mock'
+process.env.AGENT_ENABLED = 'false'
+const assert = require('assert')
+const { EventEmitter } = require('events')
+const { installFakeDb, run } = require('./test/helpers')
+
+const user = { id: 'user-1', email: 'test@example.com', display_name: 'Test User', timezone: 'UTC' }
+
+const fakeDb = installFakeDb([
+  [/^SELECT \* FROM users WHERE id = \$1/, () => [user]],
+  [/^SELECT id FROM chat_sessions WHERE id = \$1 AND user_id = \$2/, params => [{ id: params[0] }]],
+  [/^INSERT INTO chat_messages/, () => [{ id: 'chat-message-1' }]],
+  [/^UPDATE agent_runs SET status = 'running'/, params => fakeDb.runs.filter(r => r.id === params[0] && r.status === 'awaiting_confirmation')
+    .map(r => Object.assign(r, { status: 'running' }))],
+  [/FROM agent_runs WHERE id = \$1 AND user_id = \$2/, params => fakeDb.runs.filter(r => r.id === params[0])],
+  [/^UPDATE agent_runs SET status = \$2/, params => fakeDb.runs.filter(r => r.id === params[0])
+    .map(r => Object.assign(r, { status: params[1] }))]
+])
+
+const llmRoutes = require('./src/routes/llm')
+const approvalService = require('./src/services/approvalService')
+const agentLoop = require('./src/llm/agent/agentLoop')
+const credentials = require('./src/llm/credentials')
+const llmProcessor = require('./src/llm/processor')
+const agentRunService = require('./src/services/agentRunService')
+
+
+function routeHandler(method, path) {
+  const layer = llmRoutes.stack.find(l => l.route && l.route.path === path && l.route.methods[method])
+  return layer.route.stack[layer.route.stack.length - 1].handle
+}
+
+// Just enough of an Express response for an SSE route; onWrite sees every chunk as it is written
+function fakeResponse(onWrite = () => {}) {
+  const res = new EventEmitter()
+  Object.assign(res, {
+    chunks: [],
+    statusCode: 200,
+    headersSent: false,
+    writableEnded: false,
+    writableFinished: false,
+    set() { return res },
+    status(code) { res.statusCode = code; return res },
+    json(body) { res.body = body; res.end(); return res },
+    flushHeaders() { res.headersSent = true },
+    write(chunk) {
+      res.headersSent = true
+      res.chunks.push(chunk)
+      onWrite(chunk, res)
+      return true
+    },
+    end() {
+      if (res.writableEnded) return
+      res.writableEnded = true
+      res.writableFinished = true
+      res.emit('finish')
+      res.emit('close')
+    }
+  })
+  return res
+}
+
+// The client goes away: Node closes the response before it finished; the request emits nothing more
+function disconnect(res) {
+  res.writableEnded = true
+  res.emit('close')
+}
+
+function events(res) {
+  return res.chunks.filter(c => c.startsWith('event: ')).map(c => c.slice(7, c.indexOf('\n')))
+}
+
+// The approval waiting on tool call call-1 of run run-1, and the run in the given status
+function pendingApproval(runStatus) {
+  fakeDb.runs = [{ id: 'run-1', user_id: user.id, session_id: 'session-1', status: runStatus, messages: [], steps: [], pending: [{ id: 'call-1', name: 'create_task' }], step_count: 1 }]
+  const pending = { id: 'approval-1', status: 'pending', agent_run_id: 'run-1', tool_call_id: 'call-1' }
+  const decided = []
+  approvalService.getApproval = async () => pending
+  approvalService.approveAction = async () => {
+    decided.push(pending.id)
+    return { ...pending, status: 'executed', result: { task_id: 't1' } }
+  }
+  return decided
+}
+
+async function approve() {
+  const req = { user, params: { id: 'approval-1' }, body: {} }
+  const res = fakeResponse()
+  const resolveLLMOptions = credentials.resolveLLMOptions
+  credentials.resolveLLMOptions = async (userId, opts = {}) => ({ ...opts, provider: 'mock' })
+  try {
+    await routeHandler('post', '/approvals/:id/approve')(req, res)
+  } finally {
+    credentials.resolveLLMOptions = resolveLLMOptions
+  }
+  return res
+}
+
+function stream(onWrite) {
+  const req = new EventEmitter()
+  Object.assign(req, { session: { userId: user.id }, body: { message: "What's on my plate today?", sessionId: 'session-1' } })
+  const res = fakeResponse(onWrite)
+  return { req, res, done: routeHandler('post', '/intelligent/stream')(req, res) }
+}
+
+const tests = [
+  ['a finished stream saves the reply and ends with done', async () => {
+    const { res, done } = stream()
+    await done
+
+    const sent = events(res)
+    assert.strictEqual(sent[0], 'start')
+    assert.ok(sent.includes('token'))
+    assert.strictEqual(sent.pop(), 'done')
+    assert.strictEqual(fakeDb.matching(/^INSERT INTO chat_messages/).length, 1)
+    assert.ok(res.writableFinished)
+  }],
+
+  ['a client that disconnects mid-stream cancels the LLM call and nothing is saved', async () => {
+    let tokens = 0
+    const { res, done } = stream((chunk, response) => {
+      if (chunk.startsWith('event: token') && ++tokens === 2) disconnect(response)
+    })
+    await done
+
+    assert.strictEqual(tokens, 2, 'the stream should stop at the disconnect')
+    assert.ok(!events(res).includes('done'))
+    assert.ok(!events(res).includes('error'))
+    assert.strictEqual(fakeDb.matching(/^INSERT INTO chat_messages/).length, 0)
+  }],
+
+  ['the non-streaming endpoint saves the reply, links its agent run and returns the messageId', async () => {
+    const attachMessage = agentRunService.attachMessage
+    const processLLMRequest = llmProcessor.processLLMRequest
+    const attached = []
+    agentRunService.attachMessage = async (runId, messageId) => { attached.push([runId, messageId]) }
+    llmProcessor.processLLMRequest = async () => ({ type: 'agent', response: 'You have two meetings today.', data: { runId: 'run-7' } })
+    const req = { session: { userId: user.id }, body: { message: "What's on my plate today?", sessionId: 'session-1' } }
+    const res = fakeResponse()
+    try {
+      await routeHandler('post', '/intelligent')(req, res)
+    } finally {
+      agentRunService.attachMessage = attachMessage
+      llmProcessor.processLLMRequest = processLLMRequest
+    }
+
+    assert.strictEqual(res.statusCode, 200)
+    assert.strictEqual(res.body.messageId, 'chat-message-1')
+    const [insert] = fakeDb.matching(/^INSERT INTO chat_messages/)
+    assert.deepStrictEqual(insert.params.slice(0, 3), ['session-1', user.id, 'You have two meetings today.'])
+    assert.deepStrictEqual(attached, [['run-7', 'chat-message-1']])
+  }],
+
+  ['an approval for a run that is not paused yet is refused before the action runs', async () => {
+    const decided = pendingApproval('running')
+
+    const res = await approve()
+
+    assert.strictEqual(res.statusCode, 409)
+    assert.strictEqual(res.body.error, 'run_not_awaiting_confirmation')
+    assert.deepStrictEqual(decided, [], 'the action must not run')
+  }],
+
+  ['an approved action stands when the run fails to resume', async () => {
+    const decided = pendingApproval('awaiting_confirmation')
+    const resumeRun = agentLoop.resumeRun
+    agentLoop.resumeRun = async () => { throw new Error('LLM error: upstream timeout') }
+    let res
+    try {
+      res = await approve()
+    } finally {
+      agentLoop.resumeRun = resumeRun
+    }
+
+    assert.deepStrictEqual(decided, ['approval-1'])
+    assert.strictEqual(res.statusCode, 200)
+    assert.strictEqual(res.body.success, true)
+    assert.strictEqual(res.body.approval.status, 'executed')
+    assert.deepStrictEqual(res.body.resumeError, { error: 'resume_failed', message: 'LLM error: upstream timeout' })
+  }],
+
+  ['a failed decision hands the claimed run back, still paused', async () => {
+    pendingApproval('awaiting_confirmation')
+    approvalService.approveAction = async () => {
+      throw Object.assign(new Error('Approval approval-1 is executed, not pending'), { code: 'approval_not_pending' })
+    }
+
+    const res = await approve()
+
+    assert.strictEqual(res.statusCode, 409)
+    assert.strictEqual(fakeDb.runs[0].status, 'awaiting_confirmation')
+  }]
+]
+
+run(tests, { beforeEach: () => fakeDb.reset() })
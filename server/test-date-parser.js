@@ -0,0 +1,193 @@
+// Table-driven tests for the natural-language date parser in utils/timezone.js
+// Reference time is Monday 2026-10-19 10:00 in New York (14:00 UTC); results must not depend on the
+// server's own timezone, so also try e.g. TZ=Asia/Tokyo node test-date-parser.js
+const assert = require('assert')
+const { run } = require('./test/helpers')
+const {
+  parseNaturalDateTime,
+  parseDateTimeInput,
+  parseUserTimeInput,
+  createDateInUserTimezone
+} = require('./src/utils/timezone')
+
+const NOW = '2026-10-19T14:00:00Z'
+const NY = 'America/New_York'
+
+function local(date, timezone) {
+  return date.toLocaleString('sv-SE', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' })
+}
+
+// Working hours by weekday (0 = Sunday), as workPreferencesService.parserOptions gives them
+const HOURS = {
+  0: null,
+  1: { start: '08:00', end: '16:00' },
+  2: { start: '10:00', end: '18:30' },
+  3: { start: '10:00', end: '18:30' },
+  4: { start: '10:00', end: '18:30' },
+  5: { start: '08:00', end: '13:00' },
+  6: null
+}
+
+// [input, expected, options]
+// expected: null (nothing to parse) or { start, end, ambiguities, assumed, startUtc, maxConfidence }
+// start/end are wall-clock 'YYYY-MM-DD HH:mm' in the case's timezone; ambiguities/assumed are exact
+const CASES = [
+  // Day words and plain times
+  ['tomorrow 8am', { start: '2026-10-20 08:00', end: '2026-10-20 09:00', ambiguities: [], assumed: ['duration'] }],
+  ['today at 2:30 PM', { start: '2026-10-19 14:30', ambiguities: [] }],
+  ['tmrw 9a.m.', { start: '2026-10-20 09:00' }],
+  ['at 3.30pm', { start: '2026-10-19 15:30', assumed: ['date', 'duration'] }],
+  ['14:00', { start: '2026-10-19 14:00', assumed: ['date', 'duration'] }],
+  ['8am', { start: '2026-10-20 08:00', assumed: ['date', 'duration'] }],
+  ['midnight', { start: '2026-10-20 00:00', assumed: ['date', 'duration'] }],
+  ['today 8am', { start: '2026-10-19 08:00', ambiguities: ['past'] }],
+  ['day after tomorrow at noon', { start: '2026-10-21 12:00', ambiguities: [] }],
+  ['tonight', { start: '2026-10-19 20:00' }],
+  ['tonight at 9', { start: '2026-10-19 21:00', ambiguities: [] }],
+  ['around 4', { start: '2026-10-19 16:00', ambiguities: ['meridiem'] }],
+
+  // Weekdays
+  ['next Tuesday at 3', { start: '2026-10-27 15:00', ambiguities: ['next_weekday', 'meridiem'], maxConfidence: 0.7 }],
+  ['tuesday at 3pm', { start: '2026-10-20 15:00', ambiguities: [] }],
+  ['next Friday 10am', { start: '2026-10-30 10:00', ambiguities: ['next_weekday'] }],
+  ['this monday 4pm', { start: '2026-10-19 16:00', ambiguities: [] }],
+  ['monday 9am', { start: '2026-10-26 09:00' }],
+  ['on wed at 11am', { start: '2026-10-21 11:00' }],
+  ['friday morning', { start: '2026-10-23 09:00', assumed: ['duration'] }],
+  ['tomorrow afternoon at 3', { start: '2026-10-20 15:00', ambiguities: [] }],
+  ['end of day Friday', { start: '2026-10-23 17:00', ambiguities: [] }],
+  ['by 5pm friday', { start: '2026-10-23 17:00' }],
+  ['tuesday next week at 11am', { start: '2026-10-27 11:00', ambiguities: [] }],
+
+  // Relative offsets
+  ['in 2 hours', { start: '2026-10-19 12:00', ambiguities: [], assumed: ['duration'] }],
+  ['in 45 minutes', { start: '2026-10-19 10:45' }],
+  ['2 hours from now', { start: '2026-10-19 12:00' }],
+  ['in half an hour', { start: '2026-10-19 10:30' }],
+  ['in a few hours', { start: '2026-10-19 13:00', ambiguities: ['vague_quantity'] }],
+  ['in 3 days', { start: '2026-10-22 10:00' }],
+  ['in 2 days at 9am', { start: '2026-10-21 09:00' }],
+  ['in a week', { start: '2026-10-26 10:00' }],
+  ['30 min after lunch', { start: '2026-10-19 13:30' }],
+  ['an hour before 5pm', { start: '2026-10-19 16:00' }],
+
+  // Week and month phrases
+  ['eod', { start: '2026-10-19 17:00' }],
+  ['end of week', { start: '2026-10-23 17:00' }],
+  ['end of the month', { start: '2026-10-31 17:00' }],
+  ['next week', { start: '2026-10-26 09:00', assumed: ['time', 'duration'] }],
+  ['this weekend', { start: '2026-10-24 09:00' }],
+  ['next month', { start: '2026-11-01 09:00' }],
+
+  // Calendar dates
+  ['the 14th at noon', { start: '2026-11-14 12:00', ambiguities: [] }],
+  ['on the 25th', { start: '2026-10-25 09:00', assumed: ['time', 'duration'] }],
+  ['Oct 30 at 4:15pm', { start: '2026-10-30 16:15' }],
+  ['3 March 2027 9am', { start: '2027-03-03 09:00' }],
+  ['jan 5', { start: '2027-01-05 09:00' }],
+  ['10/11', { start: '2027-10-11 09:00', ambiguities: ['date_order'] }],
+  ['10/11', { start: '2026-11-10 09:00', ambiguities: ['date_order'] }, { dateOrder: 'dmy' }],
+  ['25/12', { start: '2026-12-25 09:00', ambiguities: [] }],
+  ['12/25/26 at 10am', { start: '2026-12-25 10:00' }],
+  ['2026-11-03T09:30', { start: '2026-11-03 09:30' }],
+  ['tomorrow or friday', { start: '2026-10-20 09:00', ambiguities: ['conflicting_dates'] }],
+
+  // Ranges and durations
+  ['3–4pm', { start: '2026-10-19 15:00', end: '2026-10-19 16:00', assumed: ['date'] }],
+  ['3-4pm tomorrow', { start: '2026-10-20 15:00', end: '2026-10-20 16:00', assumed: [] }],
+  ['from 10 to 11:30am on Thursday', { start: '2026-10-22 10:00', end: '2026-10-22 11:30' }],
+  ['between 2 and 3pm', { start: '2026-10-19 14:00', end: '2026-10-19 15:00' }],
+  ['11-1pm', { start: '2026-10-19 11:00', end: '2026-10-19 13:00' }],
+  ['10am-12pm friday', { start: '2026-10-23 10:00', end: '2026-10-23 12:00' }],
+  ['9pm-1am', { start: '2026-10-19 21:00', end: '2026-10-20 01:00' }],
+  ['friday from 9 to 5', { start: '2026-10-23 09:00', end: '2026-10-23 17:00', ambiguities: ['meridiem'] }],
+  ['tomorrow at 2 for 45 minutes', { start: '2026-10-20 14:00', end: '2026-10-20 14:45', ambiguities: ['meridiem'], assumed: [] }],
+  ['1.5 hour meeting tomorrow at 10am', { start: '2026-10-20 10:00', end: '2026-10-20 11:30' }],
+  ['thursday 4pm', { start: '2026-10-22 16:00', end: '2026-10-22 16:30' }, { defaultDurationMinutes: 30 }],
+  ['next week', { start: '2026-10-26 14:00' }, { defaultTime: '14:00' }],
+
+  // Working hours and lunch from the user's preferences
+  ['eod', { start: '2026-10-19 16:00' }, { workingHours: HOURS }],
+  ['end of day Friday', { start: '2026-10-23 13:00' }, { workingHours: HOURS }],
+  ['end of week', { start: '2026-10-23 13:00' }, { workingHours: HOURS }],
+  ['tomorrow first thing', { start: '2026-10-20 10:00', assumed: ['duration'] }, { workingHours: HOURS }],
+  ['first thing', { start: '2026-10-20 10:00', assumed: ['date', 'duration'] }, { workingHours: HOURS }],
+  ['an hour before eod', { start: '2026-10-19 15:00' }, { workingHours: HOURS }],
+  ['sunday eod', { start: '2026-10-25 17:00' }, { workingHours: HOURS }],
+  ['30 min after lunch', { start: '2026-10-19 13:45' }, { lunch: { start: '12:30', end: '13:15' } }],
+  ['lunch tomorrow', { start: '2026-10-20 12:30' }, { lunch: { start: '12:30', end: '13:15' } }],
+
+  // Free text around the phrase
+  ['Could we find time next Tuesday at 3 to go over the budget?', { start: '2026-10-27 15:00' }],
+  ['Sounds good, let\'s do 3-4pm on Thursday', { start: '2026-10-22 15:00', end: '2026-10-22 16:00' }],
+
+  // Nothing to parse
+  ['Let\'s talk about the budget', null],
+  ['I sat down with Sam', null],
+  ['for 30 minutes', null],
+  ['', null],
+
+  // DST: New York falls back on 2026-11-01 and springs forward on 2027-03-14
+  ['nov 1 at 1:30am', { startUtc: '2026-11-01T05:30:00.000Z', ambiguities: ['dst_overlap'] }],
+  ['march 14 2027 at 2:30am', { startUtc: '2027-03-14T07:30:00.000Z', start: '2027-03-14 03:30', ambiguities: ['dst_gap'] }],
+  ['in 2 weeks', { start: '2026-11-02 10:00', startUtc: '2026-11-02T15:00:00.000Z' }],
+  ['in 336 hours', { start: '2026-11-02 09:00', startUtc: '2026-11-02T14:00:00.000Z' }],
+  ['nov 2 at 9am', { startUtc: '2026-11-02T14:00:00.000Z' }],
+  // London leaves BST on 2026-10-25
+  ['sunday 9am', { start: '2026-10-25 09:00', startUtc: '2026-10-25T09:00:00.000Z' }, { timezone: 'Europe/London' }],
+  ['tomorrow 9am', { startUtc: '2026-10-20T03:30:00.000Z' }, { timezone: 'Asia/Kolkata' }],
+  ['tomorrow 9am', { startUtc: '2026-10-20T09:00:00.000Z' }, { timezone: 'Mars/Olympus_Mons' }]
+]
+
+function checkCase([input, expected, options = {}]) {
+  const timezone = options.timezone || NY
+  const result = parseNaturalDateTime(input, { timezone, now: NOW, ...options })
+  if (expected === null) return assert.strictEqual(result, null)
+
+  assert.ok(result, 'expected a result, got null')
+  const zone = timezone === 'Mars/Olympus_Mons' ? 'UTC' : timezone
+  if (expected.start) assert.strictEqual(local(result.start, zone), expected.start, 'start')
+  if (expected.end) assert.strictEqual(local(result.end, zone), expected.end, 'end')
+  if (expected.startUtc) assert.strictEqual(result.start.toISOString(), expected.startUtc, 'start (UTC)')
+  if (expected.ambiguities) assert.deepStrictEqual([...result.ambiguities].sort(), [...expected.ambiguities].sort(), 'ambiguities')
+  if (expected.assumed) assert.deepStrictEqual([...result.assumed].sort(), [...expected.assumed].sort(), 'assumed')
+  if (expected.maxConfidence) assert.ok(result.confidence <= expected.maxConfidence, `confidence ${result.confidence}`)
+  assert.strictEqual(result.ambiguous, result.ambiguities.length > 0)
+  assert.ok(result.confidence > 0 && result.confidence <= 1)
+  if (!result.ambiguous && !result.assumed.some(a => a !== 'duration')) assert.strictEqual(result.confidence, 1)
+}
+
+const tests = CASES.map(testCase => {
+  const [input, , options] = testCase
+  const label = options ? `${input || '(empty)'} ${JSON.stringify(options)}` : input || '(empty)'
+  return [`parses "${label}"`, () => checkCase(testCase)]
+})
+
+tests.push(
+  ['parseDateTimeInput reads ISO with an offset as-is', () => {
+    assert.strictEqual(parseDateTimeInput('2026-10-20T09:00:00Z', NY).toISOString(), '2026-10-20T09:00:00.000Z')
+    assert.strictEqual(parseDateTimeInput('2026-10-20T09:00:00+02:00', NY).toISOString(), '2026-10-20T07:00:00.000Z')
+  }],
+  ['parseDateTimeInput reads local ISO in the user\'s timezone, across DST', () => {
+    assert.strictEqual(parseDateTimeInput('2026-10-20T09:00', NY).toISOString(), '2026-10-20T13:00:00.000Z')
+    assert.strictEqual(parseDateTimeInput('2026-12-01T09:00:00', NY).toISOString(), '2026-12-01T14:00:00.000Z')
+    assert.strictEqual(parseDateTimeInput('2026-12-01', NY).toISOString(), '2026-12-01T05:00:00.000Z')
+  }],
+  ['parseDateTimeInput falls back to natural language and rejects the rest', () => {
+    assert.strictEqual(parseDateTimeInput('tomorrow 9am', NY, { now: NOW }).toISOString(), '2026-10-20T13:00:00.000Z')
+    assert.strictEqual(parseDateTimeInput('whenever', NY), null)
+    assert.strictEqual(parseDateTimeInput('', NY), null)
+    assert.strictEqual(parseDateTimeInput(new Date('nope'), NY), null)
+  }],
+  ['createDateInUserTimezone uses the offset of the target date', () => {
+    assert.strictEqual(createDateInUserTimezone(NY, '2026-12-01', '14:00:00').toISOString(), '2026-12-01T19:00:00.000Z')
+    assert.strictEqual(createDateInUserTimezone(NY, '2026-07-01', '14:00:00').toISOString(), '2026-07-01T18:00:00.000Z')
+  }],
+  ['parseUserTimeInput keeps its ISO-string contract and base date', () => {
+    assert.strictEqual(parseUserTimeInput('2:30 PM', NY, '2026-12-01'), '2026-12-01T19:30:00.000Z')
+    assert.strictEqual(parseUserTimeInput('no time here', NY), null)
+    assert.strictEqual(parseUserTimeInput(null, NY), null)
+  }]
+)
+
+run(tests)
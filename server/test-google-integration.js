@@ -0,0 +1,279 @@
+// Regression tests for the Google integration paths (scheduled send, poll, actions)
+// against an in-memory database and a fake Google API; no network or Postgres needed
+const assert = require('assert')
+const { installFakeDb, integrationRow, stubGoogle, run } = require('./test/helpers')
+const integrationUtils = require('./src/utils/integrations')
+
+// --- fake database: integrations table plus a log of every statement ---
+const fakeDb = installFakeDb([
+  [/FROM integrations WHERE user_id = \$1 AND platform = \$2/, params =>
+    fakeDb.integrations.filter(i => i.user_id === params[0] && i.platform === params[1] && i.enabled)],
+  [/SELECT \* FROM integrations WHERE platform = \$1/, params =>
+    fakeDb.integrations.filter(i => i.platform === params[0] && i.enabled)],
+  [/^UPDATE integrations SET config/, params => {
+    const row = fakeDb.integrations.find(i => i.id === params[0])
+    if (row) row.config = { ...row.config, ...JSON.parse(params[1]) }
+    return row ? [row] : []
+  }],
+  [/^UPDATE email_schedules SET status = 'sending'/, () => fakeDb.dueEmails.splice(0)],
+  [/^INSERT INTO messages/, () => [{ id: 'message-1', inserted: false }]],
+  [/^INSERT INTO notifications/, () => [{ id: 'notification-1' }]]
+])
+
+// --- fake Google API: records calls with the access token they were made with ---
+const fakeGoogle = { calls: [], history: {}, messages: {}, failNext: {} }
+
+function record(api, params, auth) {
+  fakeGoogle.calls.push({ api, params, token: auth.credentials.access_token })
+}
+
+stubGoogle({
+  gmail: ({ auth }) => ({
+    users: {
+      messages: {
+        send: async params => {
+          record('gmail.messages.send', params, auth)
+          return { data: { id: `sent-${fakeGoogle.calls.length}`, threadId: params.requestBody.threadId } }
+        },
+        get: async params => {
+          record('gmail.messages.get', params, auth)
+          const failure = fakeGoogle.failNext[params.id]
+          if (failure) {
+            delete fakeGoogle.failNext[params.id]
+            throw failure
+          }
+          if (fakeGoogle.messages[params.id]) return { data: fakeGoogle.messages[params.id] }
+          throw Object.assign(new Error('Not Found'), { code: 404 })
+        }
+      },
+      history: {
+        list: async params => {
+          record('gmail.history.list', params, auth)
+          return { data: fakeGoogle.history[auth.credentials.access_token] || { history: [], historyId: params.startHistoryId } }
+        }
+      }
+    }
+  }),
+  calendar: ({ auth }) => ({
+    events: {
+      insert: async params => {
+        record('calendar.events.insert', params, auth)
+        return { data: { id: 'event-1', htmlLink: 'https://calendar.test/event-1', summary: params.requestBody.summary } }
+      }
+    }
+  }),
+  tasks: ({ auth }) => ({
+    tasks: {
+      insert: async params => {
+        record('tasks.tasks.insert', params, auth)
+        return { data: { id: 'task-1', title: params.requestBody.title, due: params.requestBody.due } }
+      }
+    }
+  })
+})
+
+// Loaded after the fakes so their googleapis handle is the patched one
+const emailSchedulingService = require('./src/services/emailSchedulingService')
+const poller = require('./src/integrations/google/poller')
+const googleClient = require('./src/integrations/google/client')
+const agentTools = require('./src/llm/agent/tools')
+
+function reset() {
+  fakeDb.integrations = [
+    integrationRow('user-1', { tokens: { access_token: 'token-1', refresh_token: 'refresh-1' }, config: { gmail_history_id: '100' } }),
+    integrationRow('user-3', { tokens: { access_token: 'token-3', refresh_token: 'refresh-3' }, config: { gmail_history_id: '300', needs_reauth: true } })
+  ]
+  fakeDb.dueEmails = []
+  fakeDb.reset()
+  fakeGoogle.calls = []
+  fakeGoogle.history = {}
+  fakeGoogle.messages = {}
+  fakeGoogle.failNext = {}
+}
+
+// A plain-text Gmail message in format=full
+function gmailMessage(id, headers) {
+  return {
+    id,
+    labelIds: ['INBOX'],
+    snippet: 'Back again',
+    internalDate: String(Date.parse('2026-10-19T09:00:00Z')),
+    payload: {
+      mimeType: 'text/plain',
+      headers: Object.entries(headers).map(([name, value]) => ({ name, value })),
+      body: { data: Buffer.from('Back again').toString('base64') }
+    }
+  }
+}
+
+const ctx = userId => ({ userId, timezone: 'UTC', user: { id: userId, timezone: 'UTC' } })
+
+// A client for user-1 with an expired access token whose token endpoint and API calls are answered
+// by `respond` instead of the network
+function clientWithStubbedTransport(respond) {
+  const client = googleClient.createClient({
+    id: 'integration-user-1',
+    user_id: 'user-1',
+    tokens: { access_token: 'token-1', refresh_token: 'refresh-1', expiry_date: Date.now() - 1000 }
+  })
+  client.transporter = { request: async opts => respond(opts) }
+  return client
+}
+
+const isTokenRequest = opts => opts.url.startsWith('https://oauth2.googleapis.com/token')
+const PROFILE_URL = 'https://gmail.googleapis.com/gmail/v1/users/me/profile'
+
+const tests = [
+  ['scheduled sends resolve the mail integration and go out through Gmail', async () => {
+    fakeDb.dueEmails.push({ id: 'schedule-1', user_id: 'user-1', kind: 'scheduled', recipient_email: 'a@b.test', subject: 'Hi', payload: { raw: 'cmF3', threadId: 'thread-1' } })
+
+    assert.strictEqual(await emailSchedulingService.processScheduledEmails(), 1)
+
+    const lookups = fakeDb.matching(/FROM integrations WHERE user_id = \$1 AND platform = \$2/)
+    assert.deepStrictEqual(lookups.map(q => q.params), [['user-1', 'gmail']])
+    const sends = fakeGoogle.calls.filter(c => c.api === 'gmail.messages.send')
+    assert.strictEqual(sends.length, 1)
+    assert.strictEqual(sends[0].token, 'token-1')
+    assert.deepStrictEqual(sends[0].params.requestBody, { raw: 'cmF3', threadId: 'thread-1' })
+    const sent = fakeDb.matching(/^UPDATE email_schedules SET status = 'sent'/)
+    assert.deepStrictEqual(sent.map(q => q.params[0]), ['schedule-1'])
+  }],
+
+  ['scheduled sends without a Google integration fail instead of sending', async () => {
+    fakeDb.dueEmails.push({ id: 'schedule-2', user_id: 'user-2', kind: 'scheduled', payload: { raw: 'cmF3' } })
+
+    await emailSchedulingService.processScheduledEmails()
+
+    assert.strictEqual(fakeGoogle.calls.length, 0)
+    const failed = fakeDb.matching(/^UPDATE email_schedules SET status = 'failed', error_message = \$2/)
+    assert.deepStrictEqual(failed.map(q => q.params), [['schedule-2', 'No Gmail integration found for user']])
+  }],
+
+  ['scheduled sends for a revoked grant fail with the re-auth error', async () => {
+    fakeDb.dueEmails.push({ id: 'schedule-3', user_id: 'user-3', kind: 'scheduled', payload: { raw: 'cmF3' } })
+
+    await emailSchedulingService.processScheduledEmails()
+
+    assert.strictEqual(fakeGoogle.calls.length, 0)
+    const failed = fakeDb.matching(/^UPDATE email_schedules SET status = 'failed', error_message = \$2/)
+    assert.match(failed[0].params[1], /reconnect at \/api\/auth\/reauth/)
+  }],
+
+  ['the poller syncs mail integrations from their history id and skips revoked ones', async () => {
+    fakeGoogle.history['token-1'] = { history: [{ messagesDeleted: [{ message: { id: 'gone-1' } }] }], historyId: '120' }
+
+    await poller.poll()
+
+    const listed = fakeGoogle.calls.filter(c => c.api === 'gmail.history.list')
+    assert.deepStrictEqual(listed.map(c => [c.token, c.params.startHistoryId]), [['token-1', '100']])
+    const deletes = fakeDb.matching(/^DELETE FROM messages/)
+    assert.deepStrictEqual(deletes.map(q => q.params), [['user-1', 'gmail', 'gone-1']])
+    assert.strictEqual(fakeDb.integrations[0].config.gmail_history_id, '120')
+    assert.strictEqual(fakeDb.integrations[1].config.gmail_history_id, '300')
+  }],
+
+  ['a message taken out of the trash is fetched and stored again', async () => {
+    fakeGoogle.history['token-1'] = {
+      history: [
+        { labelsAdded: [{ message: { id: 'restored-1' }, labelIds: ['TRASH'] }] },
+        { labelsRemoved: [{ message: { id: 'restored-1' }, labelIds: ['TRASH'] }] }
+      ],
+      historyId: '130'
+    }
+    fakeGoogle.messages['restored-1'] = gmailMessage('restored-1', { From: 'sam@acme.test', Subject: 'Budget' })
+
+    await poller.poll()
+
+    assert.deepStrictEqual(fakeDb.matching(/^DELETE FROM messages/).map(q => q.params), [['user-1', 'gmail', 'restored-1']])
+    const fetched = fakeGoogle.calls.filter(c => c.api === 'gmail.messages.get')
+    assert.deepStrictEqual(fetched.map(c => c.params.id), ['restored-1'])
+    const stored = fakeDb.matching(/^INSERT INTO messages/)
+    assert.deepStrictEqual(stored.map(q => [q.params[2], q.params[6]]), [['restored-1', 'Budget']])
+    assert.strictEqual(fakeDb.integrations[0].config.gmail_history_id, '130')
+  }],
+
+  ['a message Gmail fails to return keeps the history id so the next poll fetches it', async () => {
+    fakeGoogle.history['token-1'] = { history: [{ messagesAdded: [{ message: { id: 'new-1' } }] }], historyId: '140' }
+    fakeGoogle.messages['new-1'] = gmailMessage('new-1', { From: 'sam@acme.test', Subject: 'Later', Date: 'not a date' })
+    fakeGoogle.failNext['new-1'] = Object.assign(new Error('Rate Limit Exceeded'), { code: 429 })
+
+    await poller.poll()
+
+    assert.strictEqual(fakeDb.matching(/^INSERT INTO messages/).length, 0)
+    assert.strictEqual(fakeDb.integrations[0].config.gmail_history_id, '100')
+
+    await poller.poll()
+
+    const stored = fakeDb.matching(/^INSERT INTO messages/)
+    assert.deepStrictEqual(stored.map(q => q.params[2]), ['new-1'])
+    // the unparseable Date header falls back to Gmail's internalDate
+    assert.strictEqual(stored[0].params[10], '2026-10-19T09:00:00.000Z')
+    assert.strictEqual(fakeDb.integrations[0].config.gmail_history_id, '140')
+  }],
+
+  ['tokens refreshed by googleapis are saved, keeping the stored refresh token', async () => {
+    const client = clientWithStubbedTransport(opts => isTokenRequest(opts)
+      ? { data: { access_token: 'token-1b', expires_in: 3600, token_type: 'Bearer' } }
+      : { data: { emailAddress: 'ana@acme.test' } })
+
+    const res = await client.request({ url: PROFILE_URL })
+    await new Promise(resolve => setImmediate(resolve))
+
+    assert.strictEqual(res.data.emailAddress, 'ana@acme.test')
+    const saved = fakeDb.matching(/^UPDATE integrations SET oauth_token_encrypted/)
+    assert.strictEqual(saved.length, 1)
+    assert.strictEqual(saved[0].params[0], 'integration-user-1')
+    const tokens = integrationUtils.decryptTokens(saved[0].params[1])
+    assert.strictEqual(tokens.access_token, 'token-1b')
+    assert.strictEqual(tokens.refresh_token, 'refresh-1')
+  }],
+
+  ['a refresh rejected with invalid_grant flags the integration and notifies the user', async () => {
+    const client = clientWithStubbedTransport(opts => {
+      if (!isTokenRequest(opts)) throw new Error('the API must not be called without a token')
+      throw Object.assign(new Error('invalid_grant'), {
+        response: { status: 400, config: {}, data: { error: 'invalid_grant', error_description: 'Token has been expired or revoked.' } }
+      })
+    })
+
+    await assert.rejects(() => client.request({ url: PROFILE_URL }), err => googleClient.isInvalidGrant(err))
+
+    const flagged = fakeDb.matching(/^UPDATE integrations SET config = COALESCE\(config, '\{\}'::jsonb\) \|\| \$2::jsonb, updated_at = now\(\) WHERE id = \$1 AND/)
+    assert.strictEqual(flagged.length, 1)
+    assert.strictEqual(JSON.parse(flagged[0].params[1]).needs_reauth, true)
+    assert.strictEqual(fakeDb.integrations[0].config.needs_reauth, true)
+    const notified = fakeDb.matching(/^INSERT INTO notifications/)
+    assert.strictEqual(notified.length, 1)
+    assert.ok(notified[0].params.includes('reauth_required'))
+  }],
+
+  ['agent calendar and task actions use the resolved integration', async () => {
+    const event = await agentTools.getTool('create_event').run({ title: 'Sync', start: '2026-10-20T10:00:00Z', duration_minutes: 30 }, ctx('user-1'))
+    const task = await agentTools.getTool('create_task').run({ title: 'Send notes', due: '2026-10-21T09:00:00Z' }, ctx('user-1'))
+
+    assert.strictEqual(event.event_id, 'event-1')
+    assert.strictEqual(task.task_id, 'task-1')
+    const calls = fakeGoogle.calls.map(c => [c.api, c.token])
+    assert.deepStrictEqual(calls, [['calendar.events.insert', 'token-1'], ['tasks.tasks.insert', 'token-1']])
+    assert.strictEqual(fakeGoogle.calls[0].params.requestBody.summary, 'Sync')
+  }],
+
+  ['actions for a revoked or missing integration are refused before calling Google', async () => {
+    await assert.rejects(() => agentTools.getTool('create_task').run({ title: 'x' }, ctx('user-3')), /reconnect/)
+    await assert.rejects(() => agentTools.getTool('create_event').run({ title: 'x', start: '2026-10-20T10:00:00Z' }, ctx('user-2')), /not connected/)
+    await assert.rejects(() => googleClient.getClientForUser('user-3', 'calendar'), err => err.code === 'google_reauth_required')
+    assert.strictEqual(await googleClient.getClientForUser('user-2'), null)
+    assert.strictEqual(fakeGoogle.calls.length, 0)
+  }],
+
+  ['every capability resolves to the Google integration; unknown ones throw', async () => {
+    for (const capability of ['mail', 'calendar', 'tasks']) {
+      const resolved = await integrationUtils.resolveIntegration('user-1', capability)
+      assert.strictEqual(resolved.platform, 'gmail')
+      assert.strictEqual(resolved.integration.tokens.access_token, 'token-1')
+    }
+    await assert.rejects(() => integrationUtils.resolveIntegration('user-1', 'fax'), /Unknown integration capability/)
+  }]
+]
+
+run(tests, { beforeEach: reset })
@@ -0,0 +1,325 @@
+// Tests for meeting invitations: utils/ical parsing, invite triage, the poller storing invites and
+// calendarService.respondToInvite against a fake Gmail / Google Calendar and in-memory database
+const assert = require('assert')
+const { installFakeDb, integrationRow, stubGoogle, run } = require('./test/helpers')
+
+const ME = 'me@example.com'
+
+// --- fake database: integrations, messages and calendar_events, plus a log of every statement ---
+const fakeDb = installFakeDb([
+  [/FROM integrations WHERE user_id = \$1 AND platform = \$2/, params =>
+    fakeDb.integrations.filter(i => i.user_id === params[0] && i.platform === params[1])],
+  [/SELECT \* FROM integrations WHERE platform = \$1/, params =>
+    fakeDb.integrations.filter(i => i.platform === params[0])],
+  [/^UPDATE integrations SET config/, params => {
+    const row = fakeDb.integrations.find(i => i.id === params[0])
+    if (row) row.config = { ...row.config, ...JSON.parse(params[1]) }
+    return row ? [row] : []
+  }],
+  [/^INSERT INTO threads/, () => [{ id: 'thread-1' }]],
+  [/^INSERT INTO messages/, params => {
+    const row = { id: `message-${fakeDb.messages.length + 1}`, user_id: params[0], metadata: JSON.parse(params[11]) }
+    fakeDb.messages.push(row)
+    return [{ id: row.id, inserted: true }]
+  }],
+  [/^UPDATE calendar_events SET response_status = \$3/, params => {
+    const rows = fakeDb.events.filter(e => e.user_id === params[0] && (e.external_event_id === params[1] || e.recurring_event_id === params[1]))
+    rows.forEach(e => { e.response_status = params[2] })
+    return rows
+  }]
+])
+
+// --- fake Gmail (one message per id) and Google Calendar (events by iCalUID) ---
+const fakeGoogle = { messages: {}, attachments: {}, history: null, events: [], patchCalls: [] }
+
+stubGoogle({
+  gmail: () => ({
+    users: {
+      messages: {
+        get: async ({ id }) => ({ data: fakeGoogle.messages[id] }),
+        attachments: {
+          get: async ({ id }) => ({ data: { data: fakeGoogle.attachments[id] } })
+        }
+      },
+      history: {
+        list: async () => ({ data: fakeGoogle.history })
+      }
+    }
+  }),
+  calendar: () => ({
+    events: {
+      list: async ({ iCalUID }) => ({ data: { items: fakeGoogle.events.filter(e => e.iCalUID === iCalUID) } }),
+      patch: async params => {
+        fakeGoogle.patchCalls.push(params)
+        const event = fakeGoogle.events.find(e => e.id === params.eventId)
+        Object.assign(event, params.requestBody)
+        return { data: event }
+      }
+    }
+  })
+})
+
+// Loaded after the fakes so their googleapis handle is the patched one
+const ical = require('./src/utils/ical')
+const poller = require('./src/integrations/google/poller')
+const calendarService = require('./src/services/calendarService')
+const { heuristicEmailActions } = require('./src/llm/processor')
+const agentTools = require('./src/llm/agent/tools')
+
+const user = { id: 'user-1', email: ME, timezone: 'America/New_York' }
+
+// Outlook-style invitation: folded lines, a Windows TZID, escaped text and quoted parameters
+const OUTLOOK_INVITE = [
+  'BEGIN:VCALENDAR',
+  'METHOD:REQUEST',
+  'PRODID:Microsoft Exchange Server 2010',
+  'VERSION:2.0',
+  'BEGIN:VTIMEZONE',
+  'TZID:Pacific Standard Time',
+  'BEGIN:STANDARD',
+  'DTSTART:16010101T020000',
+  'TZOFFSETFROM:-0700',
+  'TZOFFSETTO:-0800',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+  'BEGIN:VEVENT',
+  'ORGANIZER;CN="Lee, Pat":mailto:Pat.Lee@partner.example',
+  'ATTENDEE;ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE;CN=Me:mailto:me@',
+  ' example.com',
+  'ATTENDEE;ROLE=OPT-PARTICIPANT;PARTSTAT=ACCEPTED;CN="Ng, Sam":mailto:sam@partner.example',
+  'DESCRIPTION;LANGUAGE=en-US:Agenda:\\n1. Budget\\; timeline\\, risks\\nJoin: https://zoom.us/j/12345?p',
+  ' wd=abc',
+  'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;UNTIL=20261231T000000Z',
+  'UID:040000008200E00074C5B7101A82E008',
+  'SUMMARY;LANGUAGE=en-US:Quarterly planning',
+  'DTSTART;TZID=Pacific Standard Time:20261027T100000',
+  'DTEND;TZID=Pacific Standard Time:20261027T110000',
+  'SEQUENCE:2',
+  'LOCATION;LANGUAGE=en-US:Room 4',
+  'STATUS:CONFIRMED',
+  'BEGIN:VALARM',
+  'DESCRIPTION:REMINDER',
+  'TRIGGER;RELATED=START:-PT15M',
+  'END:VALARM',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n')
+
+function gmailMessage(id, calendarPart) {
+  const b64 = text => Buffer.from(text).toString('base64')
+  return {
+    id,
+    threadId: `t-${id}`,
+    labelIds: ['INBOX', 'UNREAD'],
+    snippet: 'Quarterly planning',
+    payload: {
+      mimeType: 'multipart/mixed',
+      headers: [
+        { name: 'From', value: '"Pat Lee" <pat.lee@partner.example>' },
+        { name: 'To', value: ME },
+        { name: 'Subject', value: 'Invitation: Quarterly planning' },
+        { name: 'Date', value: 'Mon, 19 Oct 2026 09:00:00 -0400' }
+      ],
+      parts: [
+        {
+          mimeType: 'multipart/alternative',
+          parts: [
+            { mimeType: 'text/plain', body: { data: b64('You have been invited to Quarterly planning') } },
+            calendarPart
+          ]
+        }
+      ]
+    }
+  }
+}
+
+function googleEvent(id, extra = {}) {
+  return {
+    id,
+    iCalUID: 'uid-1@google.com',
+    summary: 'Design review',
+    htmlLink: `https://calendar.test/${id}`,
+    attendees: [{ email: 'pat@partner.example', organizer: true, responseStatus: 'accepted' }, { email: ME, self: true, responseStatus: 'needsAction' }],
+    ...extra
+  }
+}
+
+function inviteMessage(invite) {
+  return { id: 'message-1', user_id: 'user-1', subject: 'Invitation: Design review', metadata: { invite } }
+}
+
+function reset() {
+  fakeDb.integrations = [integrationRow('user-1', { config: { gmail_history_id: '100' } })]
+  fakeDb.messages = []
+  fakeDb.events = []
+  fakeDb.reset()
+  fakeGoogle.messages = {}
+  fakeGoogle.attachments = {}
+  fakeGoogle.history = null
+  fakeGoogle.events = []
+  fakeGoogle.patchCalls = []
+}
+
+const tests = [
+  ['an Outlook invitation is unfolded, unescaped and read in its Windows timezone', async () => {
+    const invite = ical.parseInvite(OUTLOOK_INVITE)
+    assert.strictEqual(invite.method, 'REQUEST')
+    assert.strictEqual(invite.uid, '040000008200E00074C5B7101A82E008')
+    assert.strictEqual(invite.sequence, 2)
+    assert.strictEqual(invite.title, 'Quarterly planning')
+    assert.strictEqual(invite.start, '2026-10-27T17:00:00.000Z')
+    assert.strictEqual(invite.end, '2026-10-27T18:00:00.000Z')
+    assert.strictEqual(invite.all_day, false)
+    assert.strictEqual(invite.description, 'Agenda:\n1. Budget; timeline, risks\nJoin: https://zoom.us/j/12345?pwd=abc')
+    assert.strictEqual(invite.meeting_url, 'https://zoom.us/j/12345?pwd=abc')
+    assert.deepStrictEqual(invite.organizer, { email: 'pat.lee@partner.example', name: 'Lee, Pat' })
+    assert.deepStrictEqual(invite.attendees.map(a => [a.email, a.name, a.role, a.response_status, a.rsvp]), [
+      ['me@example.com', 'Me', 'REQ-PARTICIPANT', 'needsAction', true],
+      ['sam@partner.example', 'Ng, Sam', 'OPT-PARTICIPANT', 'accepted', false]
+    ])
+    assert.deepStrictEqual(invite.rrule.byDay, ['TU', 'TH'])
+    assert.strictEqual(invite.recurrence, 'every 2 weeks on Tue, Thu until Dec 31, 2026')
+  }],
+
+  ['all-day dates, durations and floating times', async () => {
+    const calendar = ical.parseCalendar([
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'UID:offsite',
+      'DTSTART;VALUE=DATE:20261102',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:call',
+      'DTSTART:20261103T150000',
+      'DURATION:PT45M',
+      'LOCATION:https://meet.google.com/abc-defg-hij',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\n'), { timezone: 'Europe/Berlin' })
+
+    assert.strictEqual(calendar.method, null)
+    const [offsite, call] = calendar.events
+    assert.strictEqual(offsite.all_day, true)
+    assert.strictEqual(offsite.start, '2026-11-01T23:00:00.000Z')
+    assert.strictEqual(offsite.end, '2026-11-02T23:00:00.000Z')
+    assert.strictEqual(call.start, '2026-11-03T14:00:00.000Z')
+    assert.strictEqual(call.end, '2026-11-03T14:45:00.000Z')
+    assert.strictEqual(call.meeting_url, 'https://meet.google.com/abc-defg-hij')
+    assert.strictEqual(ical.parseInvite('BEGIN:VCALENDAR\nBEGIN:VEVENT\nSUMMARY:No uid\nEND:VEVENT\nEND:VCALENDAR'), null)
+  }],
+
+  ['cancellations and replies keep their method; the series wins over an occurrence override', async () => {
+    const cancel = ical.parseInvite([
+      'BEGIN:VCALENDAR', 'METHOD:CANCEL',
+      'BEGIN:VEVENT', 'UID:weekly', 'RECURRENCE-ID:20261029T140000Z', 'DTSTART:20261029T140000Z', 'STATUS:CANCELLED', 'END:VEVENT',
+      'BEGIN:VEVENT', 'UID:weekly', 'DTSTART:20261022T140000Z', 'RRULE:FREQ=WEEKLY', 'SUMMARY:Weekly sync', 'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\n'))
+    assert.strictEqual(cancel.method, 'CANCEL')
+    assert.strictEqual(cancel.title, 'Weekly sync')
+    assert.strictEqual(cancel.recurrence, 'every week')
+
+    const reply = ical.parseInvite('BEGIN:VCALENDAR\nMETHOD:REPLY\nBEGIN:VEVENT\nUID:x\nATTENDEE;PARTSTAT=DECLINED:mailto:sam@partner.example\nEND:VEVENT\nEND:VCALENDAR')
+    assert.strictEqual(reply.method, 'REPLY')
+    assert.strictEqual(reply.attendees[0].response_status, 'declined')
+  }],
+
+  ['triage offers accept, decline and propose for invitations and files cancellations and replies', async () => {
+    const invite = ical.parseInvite(OUTLOOK_INVITE)
+    const triaged = heuristicEmailActions({ subject: 'Invitation: Quarterly planning', invite }, user)
+    assert.strictEqual(triaged.category, 'meeting_invite')
+    assert.deepStrictEqual(triaged.suggested_actions.map(a => a.type), ['accept_invite', 'decline_invite', 'propose_new_time'])
+    assert.strictEqual(triaged.suggested_actions[0].payload.uid, invite.uid)
+
+    // invitations to the user's own meeting need no answer
+    const own = heuristicEmailActions({ subject: 'Invitation', invite: { ...invite, organizer: { email: ME } } }, user)
+    assert.ok(!own.suggested_actions.some(a => a.type === 'accept_invite'))
+
+    const cancelled = heuristicEmailActions({ subject: 'Canceled: Quarterly planning', invite: { ...invite, method: 'CANCEL' } }, user)
+    assert.strictEqual(cancelled.category, 'meeting_cancelled')
+    assert.deepStrictEqual(cancelled.suggested_actions.map(a => a.type), ['mark_as_read'])
+  }],
+
+  ['the poller stores invitations from inline and attached calendar parts and links them to events', async () => {
+    const b64 = Buffer.from(OUTLOOK_INVITE).toString('base64')
+    fakeGoogle.messages['inline-1'] = gmailMessage('inline-1', { mimeType: 'text/calendar; method=REQUEST', body: { data: b64 } })
+    fakeGoogle.messages['attached-1'] = gmailMessage('attached-1', { mimeType: 'application/ics', filename: 'invite.ics', body: { attachmentId: 'att-1' } })
+    fakeGoogle.attachments['att-1'] = b64
+    fakeGoogle.history = { history: [{ messagesAdded: [{ message: { id: 'inline-1' } }, { message: { id: 'attached-1' } }] }], historyId: '120' }
+
+    await poller.poll()
+
+    assert.strictEqual(fakeDb.messages.length, 2)
+    for (const message of fakeDb.messages) {
+      assert.strictEqual(message.metadata.invite.uid, '040000008200E00074C5B7101A82E008')
+      assert.strictEqual(message.metadata.invite.method, 'REQUEST')
+    }
+    // the calendar part is not part of the body text
+    const inserted = fakeDb.matching(/^INSERT INTO messages/)
+    assert.ok(inserted.every(q => !q.params.some(p => typeof p === 'string' && p.includes('BEGIN:VCALENDAR'))))
+    assert.strictEqual(fakeDb.matching(/^UPDATE messages m SET metadata = jsonb_set/).length, 2)
+  }],
+
+  ['answering an invitation patches the event on Google and the synced copies', async () => {
+    fakeDb.integrations = [integrationRow('user-1')]
+    fakeGoogle.events = [googleEvent('series-1'), googleEvent('series-1_20261029T140000Z', { recurringEventId: 'series-1', originalStartTime: { dateTime: '2026-10-29T14:00:00Z' } })]
+    fakeDb.events = [
+      { user_id: 'user-1', external_event_id: 'series-1_20261022T140000Z', recurring_event_id: 'series-1', response_status: 'needsAction' },
+      { user_id: 'user-1', external_event_id: 'other', response_status: 'needsAction' }
+    ]
+
+    const answered = await calendarService.respondToInvite(user, inviteMessage({ method: 'REQUEST', uid: 'uid-1@google.com' }), 'accepted', { comment: 'See you there' })
+
+    assert.deepStrictEqual(answered, { event_id: 'series-1', title: 'Design review', response: 'accepted', html_link: 'https://calendar.test/series-1' })
+    const [patch] = fakeGoogle.patchCalls
+    assert.strictEqual(patch.eventId, 'series-1')
+    assert.strictEqual(patch.sendUpdates, 'all')
+    assert.deepStrictEqual(patch.requestBody.attendees.find(a => a.self), { email: ME, self: true, responseStatus: 'accepted', comment: 'See you there' })
+    assert.strictEqual(patch.requestBody.attendees.find(a => a.organizer).responseStatus, 'accepted')
+    assert.deepStrictEqual(fakeDb.events.map(e => e.response_status), ['accepted', 'needsAction'])
+
+    // an invitation for one occurrence answers that occurrence
+    await calendarService.respondToInvite(user, inviteMessage({ method: 'REQUEST', uid: 'uid-1@google.com', recurrence_id: '2026-10-29T14:00:00.000Z' }), 'declined')
+    assert.strictEqual(fakeGoogle.patchCalls[1].eventId, 'series-1_20261029T140000Z')
+  }],
+
+  ['invitations that cannot be answered are refused before patching', async () => {
+    fakeDb.integrations = [integrationRow('user-1')]
+    fakeGoogle.events = [googleEvent('mine', { iCalUID: 'uid-mine', attendees: [{ email: ME, organizer: true }] })]
+
+    await assert.rejects(() => calendarService.respondToInvite(user, inviteMessage({ method: 'REQUEST', uid: 'uid-1@google.com' }), 'maybe'), err => err.code === 'invalid_response')
+    await assert.rejects(() => calendarService.respondToInvite(user, inviteMessage({ method: 'CANCEL', uid: 'uid-mine' }), 'accepted'), err => err.code === 'not_an_invite')
+    await assert.rejects(() => calendarService.respondToInvite(user, { id: 'message-2', metadata: {} }, 'accepted'), err => err.code === 'not_an_invite')
+    await assert.rejects(() => calendarService.respondToInvite(user, inviteMessage({ method: 'REQUEST', uid: 'unknown' }), 'accepted'), err => err.code === 'not_on_calendar')
+    await assert.rejects(() => calendarService.respondToInvite(user, inviteMessage({ method: 'REQUEST', uid: 'uid-mine' }), 'accepted'), err => err.code === 'not_invited')
+    fakeDb.integrations = []
+    await assert.rejects(() => calendarService.respondToInvite(user, inviteMessage({ method: 'REQUEST', uid: 'uid-mine' }), 'accepted'), err => err.code === 'no_integration')
+    assert.strictEqual(fakeGoogle.patchCalls.length, 0)
+  }],
+
+  ['the assistant proposes a new time as a tentative answer with a note', async () => {
+    fakeDb.integrations = [integrationRow('user-1')]
+    fakeGoogle.events = [googleEvent('series-1')]
+    const message = inviteMessage({ method: 'REQUEST', uid: 'uid-1@google.com', title: 'Design review', start: '2026-10-27T14:00:00.000Z' })
+    fakeDb.handlers.unshift([/^SELECT \* FROM messages WHERE id = \$1 AND user_id = \$2/, () => [message]])
+    const tool = agentTools.getTool('respond_to_invite')
+    const ctx = { user, userId: 'user-1', timezone: user.timezone }
+    try {
+      const args = { message_id: 'message-1', response: 'accepted', proposed_start: '2026-10-28T15:00:00-04:00' }
+      assert.strictEqual(tool.confirm, true)
+      const preview = await tool.preview(args, ctx)
+      assert.deepStrictEqual(preview.map(p => p.to), ['Design review — Tue, Oct 27, 10:00 AM', 'tentative', 'Could we move this to Wed, Oct 28, 3:00 PM?'])
+
+      const result = await tool.run(args, ctx)
+      assert.strictEqual(result.response, 'tentative')
+      assert.strictEqual(fakeGoogle.patchCalls[0].requestBody.attendees.find(a => a.self).comment, 'Could we move this to Wed, Oct 28, 3:00 PM?')
+
+      fakeDb.integrations = []
+      await assert.rejects(() => tool.run({ message_id: 'message-1', response: 'accepted' }, ctx), /not connected/)
+    } finally {
+      fakeDb.handlers.shift()
+    }
+  }]
+]
+
+run(tests, { beforeEach: reset })
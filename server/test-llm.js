@@ -1,5 +1,6 @@
 const llmProcessor = require('./src/llm/processor')
 const db = require('./src/db')
+const { decryptSecret } = require('./src/utils/secrets')
 
 async function testLLMParsing() {
   console.log('🧪 Testing LLM meeting parsing...')
@@ -18,7 +19,7 @@ async function testLLMParsing() {
     const llmKey = await db.query('SELECT llm_key_encrypted FROM user_settings WHERE user_id = $1', [user.id])
     
     if (llmKey.rows[0]?.llm_key_encrypted) {
-      const apiKey = llmKey.rows[0].llm_key_encrypted.toString()
+      const apiKey = decryptSecret(llmKey.rows[0].llm_key_encrypted)
       console.log(`📋 User has LLM key: ${apiKey ? 'YES' : 'NO'}`)
       
       console.log(`📝 Testing with input: "${meetingText}"`)
@@ -0,0 +1,130 @@
+// Tests for utils/secrets (envelope encryption, key versions) and services/secretRotationService
+const assert = require('assert')
+const crypto = require('crypto')
+const { installFakeDb, run } = require('./test/helpers')
+const secrets = require('./src/utils/secrets')
+const secretRotationService = require('./src/services/secretRotationService')
+
+const KEY_1 = crypto.randomBytes(32).toString('hex')
+const KEY_2 = crypto.randomBytes(32).toString('hex')
+
+// Configure the master keys through the environment, as a deployment would, and reload them
+function useKeys(current, previous = {}) {
+  delete process.env.SECRETS_KEY_FILE
+  delete process.env.SESSION_SECRET
+  process.env.SECRETS_ENCRYPTION_KEY = current.key
+  process.env.SECRETS_ENCRYPTION_KEY_VERSION = String(current.version)
+  process.env.SECRETS_PREVIOUS_KEYS = Object.entries(previous).map(([version, key]) => `${version}:${key}`).join(',')
+  secrets.resetKeyRing()
+}
+
+// A pre-envelope value: PREFIX_V1 | iv | tag | ciphertext, encrypted directly with a master key
+function v1Value(plaintext, key) {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(key, 'hex'), iv)
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
+  return Buffer.concat([Buffer.from('enc:v1:'), iv, cipher.getAuthTag(), ciphertext])
+}
+
+// integrations rows by id; the UPDATE only applies when the stored value still matches $4
+let store = new Map()
+const fakeDb = installFakeDb([
+  [/^SELECT id AS id, oauth_token_encrypted AS value FROM integrations/, () =>
+    [...store.entries()].map(([id, value]) => ({ id, value }))],
+  [/^UPDATE integrations SET oauth_token_encrypted = \$2, oauth_token_key_version = \$3 WHERE id = \$1 AND oauth_token_encrypted = \$4/, ([id, value, , expected]) => {
+    if (!store.get(id).equals(expected)) return []
+    store.set(id, value)
+    return [{ id }]
+  }]
+])
+
+const tests = [
+  ['a secret round-trips through encrypt and decrypt', async () => {
+    const stored = secrets.encryptSecret('sk-test-1234567890')
+    assert.ok(secrets.isEncrypted(stored))
+    assert.ok(!stored.includes(Buffer.from('sk-test-1234567890')))
+    assert.strictEqual(secrets.keyVersion(stored), 1)
+    assert.strictEqual(secrets.decryptSecret(stored), 'sk-test-1234567890')
+    assert.notDeepStrictEqual(secrets.encryptSecret('sk-test-1234567890'), stored, 'each value gets its own data key and IV')
+    assert.strictEqual(secrets.decryptSecret(null), null)
+  }],
+
+  ['pre-envelope v1 values and legacy plaintext still decrypt', async () => {
+    assert.strictEqual(secrets.decryptSecret(v1Value('{"access_token":"a"}', KEY_1)), '{"access_token":"a"}')
+    assert.strictEqual(secrets.decryptSecret(Buffer.from('legacy-plaintext')), 'legacy-plaintext')
+    assert.strictEqual(secrets.decryptSecret('legacy-plaintext'), 'legacy-plaintext')
+
+    // v1 values don't record their key; one written with a retired key is found by trying the others
+    useKeys({ version: 2, key: KEY_2 }, { 1: KEY_1 })
+    assert.strictEqual(secrets.decryptSecret(v1Value('old', KEY_1)), 'old')
+    assert.ok(secrets.needsRotation(v1Value('old', KEY_1)))
+    assert.ok(secrets.needsRotation(Buffer.from('legacy-plaintext')))
+  }],
+
+  ['rotating to a new key re-wraps version 1 rows to version 2 and they still decrypt', async () => {
+    const first = secrets.encryptSecret('{"refresh_token":"r-1"}')
+    const second = secrets.encryptSecret('{"refresh_token":"r-2"}')
+    store = new Map([['integration-1', first], ['integration-2', second]])
+
+    useKeys({ version: 2, key: KEY_2 }, { 1: KEY_1 })
+    const [report] = await secretRotationService.rotateSecrets()
+    assert.strictEqual(report.checked, 2)
+    assert.strictEqual(report.rotated, 2)
+    assert.strictEqual(report.failed, 0)
+    assert.deepStrictEqual(fakeDb.matching(/^SELECT/)[0].params, [2])
+
+    for (const [id, before, plaintext] of [['integration-1', first, '{"refresh_token":"r-1"}'], ['integration-2', second, '{"refresh_token":"r-2"}']]) {
+      const after = store.get(id)
+      assert.strictEqual(secrets.keyVersion(after), 2)
+      assert.ok(!secrets.needsRotation(after))
+      assert.strictEqual(secrets.decryptSecret(after), plaintext)
+      // Only the data key is re-wrapped; the sealed secret itself is untouched
+      assert.ok(after.subarray(-30).equals(before.subarray(-30)))
+    }
+
+    // Once the old key is retired, the rotated rows no longer depend on it
+    useKeys({ version: 2, key: KEY_2 })
+    assert.strictEqual(secrets.decryptSecret(store.get('integration-1')), '{"refresh_token":"r-1"}')
+  }],
+
+  ['decrypting fails when the key version a value was wrapped with is not configured', async () => {
+    const stored = secrets.encryptSecret('secret')
+    useKeys({ version: 2, key: KEY_2 })
+    assert.throws(() => secrets.decryptSecret(stored), /No secret encryption key configured for version 1/)
+    assert.throws(() => secrets.decryptSecret(v1Value('secret', KEY_1)), /No configured secret encryption key can decrypt/)
+    assert.throws(() => secrets.rotateSecret(stored), /version 1/)
+  }],
+
+  ['rotation skips a row rewritten after it was read', async () => {
+    const original = secrets.encryptSecret('{"access_token":"old"}')
+    store = new Map([['integration-1', original]])
+    useKeys({ version: 2, key: KEY_2 }, { 1: KEY_1 })
+
+    // A token refresh saves new tokens between the rotation's SELECT and its UPDATE
+    const refreshed = secrets.encryptSecret('{"access_token":"new"}')
+    const select = fakeDb.handlers[0][1]
+    fakeDb.handlers[0][1] = (...args) => {
+      const rows = select(...args)
+      store.set('integration-1', refreshed)
+      return rows
+    }
+    try {
+      await secretRotationService.rotateSecrets()
+    } finally {
+      fakeDb.handlers[0][1] = select
+    }
+
+    const [update] = fakeDb.matching(/^UPDATE integrations SET oauth_token_encrypted/)
+    assert.ok(update.params[3].equals(original), 'the UPDATE is conditioned on the value that was read')
+    assert.strictEqual(store.get('integration-1'), refreshed)
+    assert.strictEqual(secrets.decryptSecret(store.get('integration-1')), '{"access_token":"new"}')
+  }]
+]
+
+run(tests, {
+  beforeEach() {
+    fakeDb.reset()
+    store = new Map()
+    useKeys({ version: 1, key: KEY_1 })
+  }
+})
@@ -0,0 +1,181 @@
+// Tests for services/slotFinderService: slot ranking, and free/busy collection against a fake
+// Google Calendar and in-memory database
+const assert = require('assert')
+const { installFakeDb, integrationRow, stubGoogle, run } = require('./test/helpers')
+
+// Monday 2026-10-19, 10:00 in New York
+const NOW = '2026-10-19T14:00:00Z'
+const NY = 'America/New_York'
+
+// --- fake database: integrations and users ---
+const fakeDb = installFakeDb([
+  [/FROM integrations WHERE user_id = \$1 AND platform = \$2/, params =>
+    fakeDb.integrations.filter(i => i.user_id === params[0] && i.platform === params[1])],
+  [/^SELECT work_preferences FROM users WHERE id = \$1/, params =>
+    fakeDb.users.filter(u => u.id === params[0])]
+])
+
+// --- fake Google Calendar: free/busy per access token ---
+const fakeCalendars = {}
+const freeBusyCalls = []
+
+stubGoogle({
+  calendar: ({ auth }) => ({
+    freebusy: {
+      query: async ({ requestBody }) => {
+        const token = auth.credentials.access_token
+        freeBusyCalls.push({ token, items: requestBody.items.map(i => i.id) })
+        const visible = fakeCalendars[token] || {}
+        const calendars = {}
+        for (const { id } of requestBody.items) {
+          calendars[id] = visible[id] ? { busy: visible[id] } : { errors: [{ domain: 'global', reason: 'notFound' }], busy: [] }
+        }
+        return { data: { calendars } }
+      }
+    }
+  })
+})
+
+const slotFinderService = require('./src/services/slotFinderService')
+const agentTools = require('./src/llm/agent/tools')
+
+function local(date, timezone = NY) {
+  return date.toLocaleString('sv-SE', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' })
+}
+
+// Busy block from New York wall times on a day in October 2026
+function busyOn(day, from, to) {
+  return { start: new Date(`2026-10-${day}T${from}:00-04:00`).toISOString(), end: new Date(`2026-10-${day}T${to}:00-04:00`).toISOString() }
+}
+
+function busyToday(from, to) {
+  return busyOn(19, from, to)
+}
+
+const organizer = { id: 'user-1', email: 'ana@acme.test', timezone: NY }
+
+function reset() {
+  fakeDb.integrations = [
+    integrationRow('user-1', { tokens: { access_token: 'token-1', refresh_token: 'refresh-1' } }),
+    integrationRow('user-2', { tokens: { access_token: 'token-2', refresh_token: 'refresh-2' } })
+  ]
+  fakeDb.users = [{ id: 'user-1', email: 'ana@acme.test' }, { id: 'user-2', email: 'Bob@other.test' }]
+  for (const key of Object.keys(fakeCalendars)) delete fakeCalendars[key]
+  freeBusyCalls.length = 0
+}
+
+const tests = [
+  ['an empty calendar gives the soonest slots after the notice period, two per day', async () => {
+    const slots = slotFinderService.rankSlots([], { timezone: NY, now: NOW })
+    assert.deepStrictEqual(slots.map(s => local(s.start)), [
+      '2026-10-19 11:00', '2026-10-19 11:30', '2026-10-20 09:30', '2026-10-20 10:00', '2026-10-21 09:30'
+    ])
+    assert.strictEqual(slots[0].end - slots[0].start, 30 * 60000)
+    assert.ok(slots.every((s, i) => i === 0 || s.score <= slots[i - 1].score))
+  }],
+
+  ['busy blocks and their buffer are avoided, and lunch is ranked down', async () => {
+    const slots = slotFinderService.rankSlots([busyToday('10:30', '12:00')], { timezone: NY, now: NOW, perDay: 5 })
+    const today = slots.filter(s => local(s.start).startsWith('2026-10-19')).map(s => local(s.start))
+    assert.deepStrictEqual(today.slice(0, 2), ['2026-10-19 13:00', '2026-10-19 13:30'])
+    const all = slotFinderService.rankSlots([busyToday('10:30', '12:00')], { timezone: NY, now: NOW, limit: 100, perDay: 100 })
+    assert.ok(!all.some(s => local(s.start) === '2026-10-19 12:00'), '12:00 is inside the 10 minute buffer')
+    assert.ok(all.find(s => local(s.start) === '2026-10-19 12:30').reasons.includes('over_lunch'))
+  }],
+
+  ['weekends and out-of-hours times are skipped', async () => {
+    const slots = slotFinderService.rankSlots([], { timezone: NY, now: '2026-10-23T20:00:00Z' })
+    assert.strictEqual(local(slots[0].start), '2026-10-26 09:30')
+    const hours = slotFinderService.rankSlots([], { timezone: NY, now: NOW, workingHours: { start: '10:00', end: '14:00', days: [2] }, limit: 100, perDay: 100 })
+    assert.ok(hours.length > 0)
+    assert.ok(hours.every(s => local(s.start).startsWith('2026-10-20') && local(s.start) >= '2026-10-20 10:00' && local(s.end) <= '2026-10-20 14:00'))
+  }],
+
+  ['a preferred window outranks sooner slots', async () => {
+    const slots = slotFinderService.rankSlots([], { timezone: NY, now: NOW, preferred: slotFinderService.preferredWindow('sometime in the afternoon'), durationMinutes: 60 })
+    assert.ok(slots.every(s => s.reasons.includes('preferred_time')))
+    assert.strictEqual(local(slots[0].start), '2026-10-19 13:00')
+    assert.strictEqual(local(slots[0].end), '2026-10-19 14:00')
+  }],
+
+  ['working hours follow the user\'s timezone across a DST change', async () => {
+    const slots = slotFinderService.rankSlots([], { timezone: 'Europe/London', now: '2026-10-23T16:00:00Z' })
+    assert.strictEqual(slots[0].start.toISOString(), '2026-10-26T09:30:00.000Z')
+  }],
+
+  ['hours can differ by weekday, and no-meeting days are skipped', async () => {
+    const slots = slotFinderService.rankSlots([], {
+      timezone: NY,
+      now: NOW,
+      workingHours: { 1: { start: '13:00', end: '15:00' }, 2: { start: '09:00', end: '10:00' }, 3: null },
+      noMeetingDays: [2],
+      limit: 100,
+      perDay: 100
+    })
+    assert.deepStrictEqual(slots.map(s => local(s.start)).sort(), ['2026-10-19 13:00', '2026-10-19 13:30', '2026-10-19 14:00', '2026-10-19 14:30'])
+  }],
+
+  ['slots that split the last stretch long enough for focus work are ranked down', async () => {
+    const busy = [busyOn(20, '09:00', '13:00'), busyOn(20, '16:00', '17:00')]
+    const slots = slotFinderService.rankSlots(busy, { timezone: NY, now: NOW, focusBlockMinutes: 120, limit: 100, perDay: 100 })
+    const tuesday = slots.filter(s => local(s.start).startsWith('2026-10-20'))
+    const breaking = tuesday.filter(s => s.reasons.includes('breaks_focus_block')).map(s => local(s.start).slice(11)).sort()
+    assert.deepStrictEqual(breaking, ['14:00', '14:30'])
+    assert.deepStrictEqual(tuesday.slice(0, 2).map(s => local(s.start).slice(11)).sort(), ['13:30', '15:00'])
+  }],
+
+  ['findSlots uses the stored work preferences unless the caller overrides them', async () => {
+    fakeCalendars['token-1'] = { primary: [] }
+    fakeDb.users[0].work_preferences = {
+      workingHours: { mon: null, tue: { start: '14:00', end: '16:00' } },
+      meetingLengths: [45],
+      noMeetingDays: ['wed']
+    }
+
+    const found = await slotFinderService.findSlots(organizer, { now: NOW, limit: 100, perDay: 100 })
+    assert.ok(found.slots.every(s => s.end - s.start === 45 * 60000))
+    const days = [...new Set(found.slots.map(s => local(s.start).slice(0, 10)))].sort()
+    assert.deepStrictEqual(days, ['2026-10-20', '2026-10-22', '2026-10-23'])
+    assert.ok(found.slots.filter(s => local(s.start).startsWith('2026-10-20')).every(s => local(s.start).slice(11) >= '14:00' && local(s.end).slice(11) <= '16:00'))
+
+    const longer = await slotFinderService.findSlots(organizer, { now: NOW, durationMinutes: 90 })
+    assert.strictEqual(longer.slots[0].end - longer.slots[0].start, 90 * 60000)
+  }],
+
+  ['findSlots merges the organizer and same-domain colleagues, and reports the rest without using their tokens', async () => {
+    fakeCalendars['token-1'] = { primary: [busyToday('09:00', '11:00')], 'cal@acme.test': [busyToday('11:00', '13:00')] }
+    // Bob uses the app too, but his own grant is not the organizer's to read
+    fakeCalendars['token-2'] = { primary: [busyToday('13:00', '15:00')] }
+
+    const found = await slotFinderService.findSlots(organizer, {
+      attendees: ['Cal@acme.test', 'bob@other.test', 'x@gmail.com', 'ana@acme.test'],
+      now: NOW
+    })
+
+    assert.strictEqual(local(found.slots[0].start), '2026-10-19 13:30')
+    assert.deepStrictEqual(found.checked, ['cal@acme.test'])
+    assert.deepStrictEqual(found.unchecked, ['bob@other.test', 'x@gmail.com'])
+    assert.deepStrictEqual(freeBusyCalls, [
+      { token: 'token-1', items: ['primary', 'cal@acme.test'] }
+    ])
+    assert.strictEqual(found.busy.length, 2)
+    assert.match(found.slots[0].label, /1:30 PM/)
+  }],
+
+  ['findSlots without a calendar integration fails with no_integration', async () => {
+    await assert.rejects(() => slotFinderService.findSlots({ id: 'user-9', email: 'z@acme.test' }, { now: NOW }), err => err.code === 'no_integration')
+  }],
+
+  ['the agent tool returns ranked slots to propose or book', async () => {
+    fakeCalendars['token-1'] = { primary: [] }
+    const result = await agentTools.getTool('find_meeting_slots').run({ duration_minutes: 45, preferred: 'morning' }, { user: organizer, userId: 'user-1', timezone: NY })
+    assert.ok(result.slots.length > 0)
+    assert.strictEqual(new Date(result.slots[0].end) - new Date(result.slots[0].start), 45 * 60000)
+    const start = new Date(result.slots[0].start)
+    assert.ok(start > new Date())
+    assert.ok(local(start).slice(11) >= '09:00' && local(start).slice(11) <= '11:15', `${local(start)} is in the morning`)
+    assert.deepStrictEqual(result.unchecked, [])
+  }]
+]
+
+run(tests, { beforeEach: reset })
@@ -0,0 +1,101 @@
+// Tests for services/workPreferencesService and the snooze presets that follow it
+const assert = require('assert')
+const { run } = require('./test/helpers')
+const workPreferencesService = require('./src/services/workPreferencesService')
+const snoozeService = require('./src/services/snoozeService')
+
+const NY = 'America/New_York'
+
+function local(date, timezone = NY) {
+  return date.toLocaleString('sv-SE', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit' })
+}
+
+function invalid(input, pattern) {
+  assert.throws(() => workPreferencesService.normalizePreferences(input), err => err.code === 'invalid_preferences' && pattern.test(err.message))
+}
+
+// Four-day week, starting late on Mondays, short Fridays, no meetings on Wednesdays
+const FOUR_DAYS = workPreferencesService.normalizePreferences({
+  workingHours: { mon: { start: '10:00', end: '18:00' }, fri: null },
+  lunch: { start: '12:30', end: '13:30' },
+  bufferMinutes: 15,
+  meetingLengths: [25, 50, 25],
+  noMeetingDays: ['wed'],
+  focus: { hoursPerWeek: 8 }
+})
+
+const tests = [
+  ['stored preferences fill in defaults for whatever is missing', async () => {
+    assert.deepStrictEqual(workPreferencesService.withDefaults(null), workPreferencesService.DEFAULT_PREFERENCES)
+    assert.deepStrictEqual(workPreferencesService.withDefaults({}), workPreferencesService.DEFAULT_PREFERENCES)
+    const partial = workPreferencesService.withDefaults({ workingHours: { sat: { start: '10:00', end: '12:00' } }, lunch: null })
+    assert.deepStrictEqual(partial.workingHours.sat, { start: '10:00', end: '12:00' })
+    assert.deepStrictEqual(partial.workingHours.mon, { start: '09:00', end: '17:00' })
+    assert.strictEqual(partial.lunch, null)
+    assert.deepStrictEqual(partial.meetingLengths, [30, 60])
+  }],
+
+  ['client input is validated and normalized', async () => {
+    assert.deepStrictEqual(FOUR_DAYS.workingHours.fri, null)
+    assert.deepStrictEqual(FOUR_DAYS.workingHours.tue, { start: '09:00', end: '17:00' })
+    assert.deepStrictEqual(FOUR_DAYS.meetingLengths, [25, 50])
+    assert.deepStrictEqual(FOUR_DAYS.focus, { hoursPerWeek: 8, blockMinutes: 120 })
+
+    invalid('9 to 5', /must be an object/)
+    invalid({ workingHours: { monday: { start: '09:00', end: '17:00' } } }, /Unknown weekday/)
+    invalid({ workingHours: { mon: { start: '9am', end: '17:00' } } }, /workingHours\.mon/)
+    invalid({ workingHours: { tue: { start: '17:00', end: '09:00' } } }, /end after it starts/)
+    invalid({ workingHours: { sun: null, mon: null, tue: null, wed: null, thu: null, fri: null, sat: null } }, /at least one day/)
+    invalid({ bufferMinutes: -5 }, /bufferMinutes/)
+    invalid({ meetingLengths: [30, 'long'] }, /meetingLengths/)
+    invalid({ noMeetingDays: ['friday'] }, /noMeetingDays/)
+    invalid({ focus: { hoursPerWeek: 2.5 } }, /focus\.hoursPerWeek/)
+  }],
+
+  ['slot finder and parser options are keyed by JS weekday', async () => {
+    const slots = workPreferencesService.slotOptions(FOUR_DAYS)
+    assert.deepStrictEqual(slots.workingHours[1], { start: '10:00', end: '18:00' })
+    assert.strictEqual(slots.workingHours[5], null)
+    assert.deepStrictEqual(slots.noMeetingDays, [3])
+    assert.strictEqual(slots.durationMinutes, 25)
+    assert.strictEqual(slots.bufferMinutes, 15)
+    assert.strictEqual(slots.focusBlockMinutes, 120)
+    assert.strictEqual(workPreferencesService.slotOptions(workPreferencesService.DEFAULT_PREFERENCES).focusBlockMinutes, 0)
+    assert.deepStrictEqual(workPreferencesService.parserOptions(FOUR_DAYS).lunch, { start: '12:30', end: '13:30' })
+  }],
+
+  ['working time is judged in the user\'s timezone', async () => {
+    // Monday 2026-10-19 09:30 in New York is 13:30 UTC
+    const mondayMorning = new Date('2026-10-19T13:30:00Z')
+    assert.strictEqual(workPreferencesService.isWorkingTime(workPreferencesService.DEFAULT_PREFERENCES, mondayMorning, NY), true)
+    assert.strictEqual(workPreferencesService.isWorkingTime(FOUR_DAYS, mondayMorning, NY), false)
+    assert.strictEqual(workPreferencesService.isWorkingTime(workPreferencesService.DEFAULT_PREFERENCES, mondayMorning, 'Asia/Tokyo'), false)
+    assert.strictEqual(workPreferencesService.isWorkingDay(FOUR_DAYS, new Date('2026-10-23T15:00:00Z'), NY), false)
+    assert.strictEqual(workPreferencesService.isWorkingDay(FOUR_DAYS, new Date('2026-10-22T15:00:00Z'), NY), true)
+  }],
+
+  ['snooze presets land on the user\'s working hours', async () => {
+    // The presets read the real clock, so compare against the hours of whatever day it is
+    const laterToday = snoozeService.getSnoozePreset('later_today', NY, FOUR_DAYS)
+    const tomorrow = snoozeService.getSnoozePreset('tomorrow_morning', NY, FOUR_DAYS)
+    const nextWeek = snoozeService.getSnoozePreset('next_week', NY, FOUR_DAYS)
+    const today = new Date().toLocaleDateString('en-US', { timeZone: NY, weekday: 'short' }).toLowerCase()
+    const tomorrowDay = new Date(Date.now() + 24 * 3600 * 1000).toLocaleDateString('en-US', { timeZone: NY, weekday: 'short' }).toLowerCase()
+
+    assert.strictEqual(local(laterToday).slice(11), (FOUR_DAYS.workingHours[today] || { end: '17:00' }).end)
+    assert.strictEqual(local(tomorrow).slice(11), (FOUR_DAYS.workingHours[tomorrowDay] || { start: '09:00' }).start)
+    assert.strictEqual(nextWeek.toLocaleDateString('en-US', { timeZone: NY, weekday: 'short' }), 'Mon')
+    assert.strictEqual(local(nextWeek).slice(11), '10:00')
+
+    const noMondays = workPreferencesService.withDefaults({ workingHours: { mon: null } })
+    const tuesday = snoozeService.getSnoozePreset('next_week', NY, noMondays)
+    assert.strictEqual(tuesday.toLocaleDateString('en-US', { timeZone: NY, weekday: 'short' }), 'Tue')
+    assert.strictEqual(local(tuesday).slice(11), '09:00')
+
+    // Without preferences the presets keep their fixed times
+    assert.strictEqual(local(snoozeService.getSnoozePreset('tomorrow_morning', NY)).slice(11), '09:00')
+    assert.strictEqual(snoozeService.getSnoozePreset('no_such_preset', NY, FOUR_DAYS), null)
+  }]
+]
+
+run(tests)
@@ -0,0 +1,56 @@
+const db = require('../../src/db')
+const integrationUtils = require('../../src/utils/integrations')
+
+/**
+ * Replace db.query with an in-memory fake
+ * Statements are whitespace-normalized and routed to the first [pattern, handler] that matches;
+ * a handler gets (params, sql) and returns the result rows. Unmatched statements return no rows.
+ * @param {Array} handlers - [[RegExp, (params, sql) => rows], ...], may be changed later through fake.handlers
+ * @returns {{handlers, queries, matching(pattern), reset()}} queries logs every {sql, params}
+ */
+function installFakeDb(handlers = []) {
+  const fake = {
+    handlers,
+    queries: [],
+    matching(pattern) {
+      return fake.queries.filter(q => pattern.test(q.sql))
+    },
+    reset() {
+      fake.queries = []
+    }
+  }
+
+  db.query = async (text, params = []) => {
+    const sql = text.replace(/\s+/g, ' ').trim()
+    fake.queries.push({ sql, params })
+    for (const [pattern, handler] of fake.handlers) {
+      if (pattern.test(sql)) {
+        const rows = handler(params, sql) || []
+        return { rowCount: rows.length, rows }
+      }
+    }
+    return { rowCount: 0, rows: [] }
+  }
+  return fake
+}
+
+/**
+ * A Google (platform 'gmail') integrations row with encrypted tokens
+ * @param {string} userId
+ * @param {Object} options - {tokens} default token-<userId> / refresh-<userId>, {config}
+ */
+function integrationRow(userId, { tokens, config = {} } = {}) {
+  return {
+    id: `integration-${userId}`,
+    user_id: userId,
+    platform: 'gmail',
+    external_account_id: `google-${userId}`,
+    oauth_token_encrypted: integrationUtils.encryptTokens(tokens || { access_token: `token-${userId}`, refresh_token: `refresh-${userId}` }),
+    config,
+    enabled: true,
+    created_at: new Date(),
+    updated_at: new Date()
+  }
+}
+
+module.exports = { installFakeDb, integrationRow }
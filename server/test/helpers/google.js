@@ -0,0 +1,13 @@
+const { google } = require('googleapis')
+
+/**
+ * Swap googleapis service factories for fakes, e.g. stubGoogle({ calendar: ({ auth }) => ({ events: {...} }) })
+ * Call it before requiring the modules under test; they share this googleapis instance.
+ * The factory gets the client options, so auth.credentials.access_token tells users apart.
+ * @param {Object} factories - {gmail, calendar, tasks, ...}
+ */
+function stubGoogle(factories) {
+  Object.assign(google, factories)
+}
+
+module.exports = { stubGoogle }
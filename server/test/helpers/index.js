@@ -0,0 +1,15 @@
+// Shared harness for the offline test scripts (server/test-*.js): an in-memory stand-in for
+// src/db, googleapis fakes and the "N/M passed" runner. Require it before anything from src/ so
+// the encryption key below is set before integration tokens are encrypted.
+process.env.SECRETS_ENCRYPTION_KEY = process.env.SECRETS_ENCRYPTION_KEY || require('crypto').randomBytes(32).toString('hex')
+
+const { installFakeDb, integrationRow } = require('./fakeDb')
+const { stubGoogle } = require('./google')
+const { run } = require('./runner')
+
+module.exports = {
+  installFakeDb,
+  integrationRow,
+  stubGoogle,
+  run
+}
@@ -0,0 +1,22 @@
+/**
+ * Run [name, fn] tests in order, print ✅/❌ per test and "N/M passed", then exit 1 on any failure
+ * @param {Array} tests - [[name, fn], ...]; fn may be async
+ * @param {Object} options - {beforeEach} to reset fakes between tests
+ */
+async function run(tests, { beforeEach } = {}) {
+  let failed = 0
+  for (const [name, fn] of tests) {
+    if (beforeEach) beforeEach()
+    try {
+      await fn()
+      console.log(`✅ ${name}`)
+    } catch (error) {
+      failed++
+      console.error(`❌ ${name}\n   ${error.message}`)
+    }
+  }
+  console.log(`\n${tests.length - failed}/${tests.length} passed`)
+  process.exit(failed > 0 ? 1 : 0)
+}
+
+module.exports = { run }
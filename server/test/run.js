@@ -0,0 +1,27 @@
+// npm test: runs each offline test script in its own process (they patch src/db and googleapis)
+// and fails if any of them does. The other test-*.js scripts need a live database or LLM.
+const { spawnSync } = require('child_process')
+const path = require('path')
+
+const SCRIPTS = [
+  'test-mock-provider.js',
+  'test-chat-stream.js',
+  'test-google-integration.js',
+  'test-date-parser.js',
+  'test-slot-finder.js',
+  'test-work-preferences.js',
+  'test-calendar-sync.js',
+  'test-invites.js',
+  'test-secrets.js'
+]
+
+const root = path.join(__dirname, '..')
+const failed = []
+for (const script of SCRIPTS) {
+  console.log(`\n▶ ${script}`)
+  const result = spawnSync(process.execPath, [script], { cwd: root, stdio: 'inherit', timeout: 120000 })
+  if (result.status !== 0) failed.push(script)
+}
+
+console.log(failed.length ? `\nFailed: ${failed.join(', ')}` : `\nAll ${SCRIPTS.length} test scripts passed`)
+process.exit(failed.length ? 1 : 0)